@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for the Allergen Safety Layer
+ * File: api/__test__/allergens.test.js
+ *
+ * Covers:
+ * 1. detectAllergens keywords (oats, gluten staples, nuts), category defaults and
+ *    token-scoped exceptions
+ * 2. enforceAllergenProfile swaps, removals and rejected meals
+ *
+ * Run: npm test api/__test__/allergens.test.js
+ */
+
+const {
+  normalizeAllergenProfile,
+  detectAllergens,
+  productContainsAllergen,
+  findSafeReplacement,
+  enforceAllergenProfile,
+} = require('../../utils/allergens.js');
+
+const noopLog = () => {};
+
+describe('Allergens - detectAllergens', () => {
+  test('matches keywords in ingredient keys and product names', () => {
+    expect(detectAllergens('Crunchy Peanut Butter', ['peanut', 'dairy'])).toEqual(['peanut']);
+    expect(detectAllergens('greek_yogurt', ['dairy'])).toEqual(['dairy']);
+    expect(detectAllergens('Atlantic Salmon Fillets', ['fish', 'shellfish'])).toEqual(['fish']);
+  });
+
+  test('exceptions exempt only the keyword they contain', () => {
+    expect(detectAllergens('eggplant', ['egg'])).toEqual([]);
+    expect(detectAllergens('butternut_pumpkin', ['dairy'])).toEqual([]);
+    expect(detectAllergens('veggie_omelette_with_egg', ['egg'])).toEqual(['egg']);
+    expect(detectAllergens('almond_milk_with_cheese', ['dairy'])).toEqual(['dairy']);
+    expect(detectAllergens('eggplant_and_egg', ['egg'])).toEqual(['egg']);
+  });
+
+  test('qualifiers cover the word that follows them', () => {
+    expect(detectAllergens('vegan_cheese', ['dairy'])).toEqual([]);
+    expect(detectAllergens('gluten_free_bread', ['gluten'])).toEqual([]);
+    expect(detectAllergens('gluten_free_soy_sauce', ['gluten'])).toEqual([]);
+    expect(detectAllergens('vegan_cheese_and_butter', ['dairy'])).toEqual(['dairy']);
+    expect(detectAllergens('gluten_free_pasta_with_breadcrumbs', ['gluten'])).toEqual(['gluten']);
+  });
+
+  test('gluten-free grains escape the grains default', () => {
+    expect(detectAllergens('brown rice', ['gluten'])).toEqual([]);
+    expect(detectAllergens('rolled oats', ['gluten'])).toEqual(['gluten']);
+  });
+
+  test('oats count as gluten, oat look-alikes do not', () => {
+    expect(detectAllergens('oat milk', ['gluten'])).toEqual(['gluten']);
+    expect(productContainsAllergen('So Good Oat Milk 1L', ['gluten'])).toBe('gluten');
+    expect(detectAllergens('goat cheese', ['gluten'])).toEqual([]);
+    expect(detectAllergens('coated chicken', ['gluten'])).toEqual([]);
+    expect(detectAllergens('buckwheat groats', ['gluten'])).toEqual([]);
+  });
+
+  test('gluten staples are detected', () => {
+    for (const name of ['Arnott\'s Biscuits', 'pretzels', 'garlic naan', 'crumpets', 'ramen', 'udon noodles', 'pancake mix', 'beer']) {
+      expect(detectAllergens(name, ['gluten'])).toEqual(['gluten']);
+    }
+    expect(detectAllergens('ginger beer', ['gluten'])).toEqual([]);
+  });
+
+  test('plain "nuts" are tree nuts, peanuts and coconuts are not', () => {
+    expect(productContainsAllergen('Macro Raw Natural Nuts 500g', ['tree_nut'])).toBe('tree_nut');
+    expect(detectAllergens('salted peanuts', ['tree_nut'])).toEqual([]);
+    expect(detectAllergens('coconuts', ['tree_nut'])).toEqual([]);
+  });
+
+  test('Parmigiano Reggiano is not egg', () => {
+    expect(detectAllergens('Parmigiano Reggiano', ['egg'])).toEqual([]);
+  });
+
+  test('ignores unknown allergens and empty names', () => {
+    expect(normalizeAllergenProfile(['Peanut', 'peanut', 'nightshade', null])).toEqual(['peanut']);
+    expect(detectAllergens('', ['dairy'])).toEqual([]);
+    expect(productContainsAllergen('Lurpak Butter 250g', [])).toBeNull();
+    expect(productContainsAllergen('Lurpak Butter 250g', ['dairy'])).toBe('dairy');
+  });
+});
+
+describe('Allergens - enforceAllergenProfile', () => {
+  test('swaps to the first safe candidate', () => {
+    expect(findSafeReplacement('full cream milk', ['dairy'])).toBe('oat milk');
+    expect(findSafeReplacement('firm tofu', ['soy'])).toBe('chickpeas');
+  });
+
+  test('never swaps in oats for a gluten-free profile', () => {
+    expect(findSafeReplacement('milk', ['gluten', 'dairy'])).toBe('soy milk');
+    expect(findSafeReplacement('almond milk', ['gluten', 'tree_nut'])).toBe('rice milk');
+  });
+
+  test('replaces or removes offending items and rejects emptied meals', () => {
+    const meals = [
+      { name: 'Breakfast', items: [{ key: 'rolled oats', qty_value: 60, qty_unit: 'g' }, { key: 'full cream milk', qty_value: 250, qty_unit: 'ml' }] },
+      { name: 'Snack', items: [{ key: 'ricotta', qty_value: 100, qty_unit: 'g' }] },
+    ];
+    const report = enforceAllergenProfile(meals, ['dairy'], noopLog);
+
+    expect(meals[0].items.map(item => item.key)).toEqual(['rolled oats', 'oat milk']);
+    expect(report.replaced).toEqual([{ meal: 'Breakfast', from: 'full cream milk', to: 'oat milk', allergens: ['dairy'] }]);
+    expect(report.removed).toEqual([{ meal: 'Snack', key: 'ricotta', allergens: ['dairy'] }]);
+    expect(report.rejectedMeals).toEqual(['Snack']);
+  });
+});
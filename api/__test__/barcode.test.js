@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for the Barcode Decoder
+ * File: api/__test__/barcode.test.js
+ *
+ * Covers web/src/utils/barcode.js (ES module, loaded with import()):
+ * 1. Check digits and cross-symbology matching
+ * 2. Scanline decoding of rendered EAN-13 / EAN-8 codes, upright and upside-down
+ * 3. Finding a scanned code in the shopping list
+ *
+ * Run: npm test api/__test__/barcode.test.js
+ */
+
+let barcode;
+
+beforeAll(async () => {
+  barcode = await import('../../web/src/utils/barcode.js');
+});
+
+// --- Synthetic barcode images ---
+
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+];
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Module sequence (1 = bar) for an EAN-13 or EAN-8 code
+const toModules = (code) => {
+  const digits = code.split('').map(Number);
+  const modules = [];
+  const push = (widths, startDark) => {
+    let dark = startDark;
+    for (const width of widths) {
+      for (let i = 0; i < width; i++) modules.push(dark ? 1 : 0);
+      dark = !dark;
+    }
+  };
+  const isEan13 = digits.length === 13;
+  const parity = isEan13 ? FIRST_DIGIT_PARITY[digits[0]] : 'LLLL';
+  const body = isEan13 ? digits.slice(1) : digits;
+  const half = body.length / 2;
+
+  push([1, 1, 1], true);
+  body.slice(0, half).forEach((digit, i) => {
+    push(parity[i] === 'L' ? L_PATTERNS[digit] : [...L_PATTERNS[digit]].reverse(), false);
+  });
+  push([1, 1, 1, 1, 1], false);
+  body.slice(half).forEach((digit) => push(L_PATTERNS[digit], true));
+  push([1, 1, 1], true);
+  return modules;
+};
+
+// RGBA image of the code with a quiet zone, optionally rotated 180°
+const renderBarcode = (code, { upsideDown = false, scale = 3, height = 24 } = {}) => {
+  const modules = upsideDown ? toModules(code).reverse() : toModules(code);
+  const quiet = 12;
+  const width = (modules.length + quiet * 2) * scale;
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    modules.forEach((bar, i) => {
+      if (!bar) return;
+      for (let s = 0; s < scale; s++) {
+        const offset = (y * width + (quiet + i) * scale + s) * 4;
+        data[offset] = data[offset + 1] = data[offset + 2] = 0;
+      }
+    });
+  }
+  return { data, width, height };
+};
+
+describe('Barcode - Check Digits', () => {
+  test('validates EAN-13, EAN-8 and UPC-A check digits', () => {
+    expect(barcode.isValidBarcode('9300633603076')).toBe(true);
+    expect(barcode.isValidBarcode('9300633603079')).toBe(false);
+    expect(barcode.isValidBarcode('96385074')).toBe(true);
+    expect(barcode.isValidBarcode('036000291452')).toBe(true);
+    expect(barcode.isValidBarcode('12345')).toBe(false);
+    expect(barcode.isValidBarcode(null)).toBe(false);
+  });
+
+  test('treats UPC-A and its EAN-13 form as the same product', () => {
+    expect(barcode.sameBarcode('036000291452', '0036000291452')).toBe(true);
+    expect(barcode.sameBarcode('036000291452', '9300633603076')).toBe(false);
+    expect(barcode.sameBarcode(null, '0036000291452')).toBe(false);
+  });
+});
+
+describe('Barcode - Scanline Decoder', () => {
+  test.each(['9300633603076', '5012345678900', '0036000291452'])('decodes EAN-13 %s', (code) => {
+    expect(barcode.decodeBarcodeFromImageData(renderBarcode(code))).toBe(code);
+  });
+
+  test.each(['9300633603076', '5012345678900'])('decodes upside-down EAN-13 %s', (code) => {
+    expect(barcode.decodeBarcodeFromImageData(renderBarcode(code, { upsideDown: true }))).toBe(code);
+  });
+
+  test('decodes EAN-8, upright and upside-down', () => {
+    expect(barcode.decodeBarcodeFromImageData(renderBarcode('96385074'))).toBe('96385074');
+    expect(barcode.decodeBarcodeFromImageData(renderBarcode('96385074', { upsideDown: true }))).toBe('96385074');
+  });
+
+  test('rejects codes with a bad check digit', () => {
+    expect(barcode.decodeBarcodeFromImageData(renderBarcode('9300633603079'))).toBeNull();
+  });
+
+  test('returns null for a blank frame', () => {
+    const width = 200, height = 20;
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    expect(barcode.decodeBarcodeFromImageData({ data, width, height })).toBeNull();
+  });
+});
+
+describe('Barcode - Shopping List Matches', () => {
+  test('finds the selected product and alternatives for a scanned code', () => {
+    const results = {
+      eggs: {
+        originalIngredient: 'eggs',
+        currentSelectionURL: 'https://store/eggs-12',
+        allProducts: [
+          { url: 'https://store/eggs-12', barcode: '9300633603076' },
+          { url: 'https://store/eggs-6', barcode: '036000291452' },
+        ],
+      },
+      milk: { originalIngredient: 'milk', allProducts: [{ url: 'https://store/milk', barcode: '96385074' }] },
+    };
+
+    expect(barcode.findScannedMatches(results, '9300633603076')).toEqual([
+      { key: 'eggs', ingredient: 'eggs', product: results.eggs.allProducts[0], isSelected: true },
+    ]);
+    const [alternative] = barcode.findScannedMatches(results, '0036000291452');
+    expect(alternative.isSelected).toBe(false);
+    expect(barcode.findScannedMatches(results, '5012345678900')).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for the Budget Balancer
+ * File: api/__test__/budget-balancer.test.js
+ *
+ * Covers the pure helpers behind the hard budget cap:
+ * 1. Pro-rating the weekly cap
+ * 2. Plan cost
+ * 3. Ingredient substitution candidates (incl. several sources -> one target)
+ *
+ * Run: npm test api/__test__/budget-balancer.test.js
+ */
+
+const {
+  MAX_SUBSTITUTIONS,
+  resolveBudgetCap,
+  computePlanCost,
+  findCheaperEquivalent,
+  findSubstitutionCandidates,
+} = require('../../utils/budget-balancer.js');
+
+const discovery = (normalizedKey, totalCost, extra = {}) => ({
+  source: 'discovery',
+  normalizedKey,
+  originalIngredient: normalizedKey.replace(/_/g, ' '),
+  totalGramsRequired: 300,
+  dayRefs: [1],
+  purchase: { totalCost },
+  ...extra,
+});
+
+const toMap = (results) => new Map(results.map(r => [r.normalizedKey, r]));
+
+describe('Budget Balancer - Cap and Cost', () => {
+  test('pro-rates the weekly budget to the plan length', () => {
+    expect(resolveBudgetCap({ weeklyBudget: '140' }, 7)).toBe(140);
+    expect(resolveBudgetCap({ weeklyBudget: 140 }, 3)).toBe(60);
+  });
+
+  test('returns null without a usable budget', () => {
+    expect(resolveBudgetCap({}, 7)).toBeNull();
+    expect(resolveBudgetCap({ weeklyBudget: '0' }, 7)).toBeNull();
+    expect(resolveBudgetCap({ weeklyBudget: 'abc' }, 7)).toBeNull();
+  });
+
+  test('sums only discovery results with a purchase', () => {
+    const results = [
+      discovery('salmon', 12.5),
+      discovery('rice', 2.25),
+      { source: 'failed', normalizedKey: 'saffron' },
+      { source: 'discovery', normalizedKey: 'salt' },
+    ];
+    expect(computePlanCost(results)).toBe(14.75);
+  });
+});
+
+describe('Budget Balancer - Substitution Candidates', () => {
+  test('maps expensive ingredients to their cheaper equivalent', () => {
+    expect(findCheaperEquivalent('salmon_fillet')).toBe('basa fillet');
+    expect(findCheaperEquivalent('chicken_breast')).toBe('chicken thigh');
+    expect(findCheaperEquivalent('white_rice')).toBeNull();
+  });
+
+  test('merges several sources that share one target', () => {
+    const candidates = findSubstitutionCandidates(toMap([
+      discovery('salmon', 15, { totalGramsRequired: 400, dayRefs: [1, 2] }),
+      discovery('prawns', 12, { totalGramsRequired: 250, dayRefs: [3] }),
+      discovery('almonds', 6, { requested_total_g: 100, totalGramsRequired: undefined }),
+    ]));
+
+    const targets = candidates.map(c => c.toKey);
+    expect(new Set(targets).size).toBe(targets.length);
+
+    const basa = candidates.find(c => c.toIngredient === 'basa fillet');
+    expect(basa.results.map(r => r.normalizedKey)).toEqual(['salmon', 'prawns']);
+    expect(basa.requested_total_g).toBe(650);
+    expect(basa.totalCost).toBe(27);
+    expect([...basa.dayRefs].sort()).toEqual([1, 2, 3]);
+
+    const peanuts = candidates.find(c => c.toIngredient === 'peanuts');
+    expect(peanuts.requested_total_g).toBe(100);
+  });
+
+  test('orders targets by combined cost and caps the count', () => {
+    const candidates = findSubstitutionCandidates(toMap([
+      discovery('almonds', 9),
+      discovery('cashews', 9),
+      discovery('salmon', 15),
+      discovery('quinoa', 5),
+      discovery('lamb', 14),
+      discovery('parmesan', 4),
+      discovery('sourdough', 3),
+    ]));
+
+    expect(candidates.length).toBe(MAX_SUBSTITUTIONS);
+    expect(candidates[0].toIngredient).toBe('peanuts');
+    expect(candidates[0].totalCost).toBe(18);
+    expect(candidates.map(c => c.toIngredient)).not.toContain('wholemeal bread');
+  });
+
+  test('never substitutes pantry-covered or non-discovery ingredients', () => {
+    const candidates = findSubstitutionCandidates(toMap([
+      discovery('salmon', 15, { pantry_have_g: 100 }),
+      { source: 'failed', normalizedKey: 'prawns' },
+    ]));
+    expect(candidates).toEqual([]);
+  });
+});
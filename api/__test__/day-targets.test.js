@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for Per-Day Calorie Cycling
+ * File: api/__test__/day-targets.test.js
+ *
+ * Covers:
+ * 1. buildDayTargets keeping the plan's average calories and protein
+ * 2. Carb and fat floors, with macros still adding up to the day's calories
+ * 3. resolveDayTargets fallbacks
+ *
+ * Run: npm test api/__test__/day-targets.test.js
+ */
+
+const { MIN_CARBS_G, MIN_FAT_G, buildDayTargets, resolveDayTargets } = require('../../utils/day-targets.js');
+
+const macroCalories = (day) => day.protein * 4 + day.fat * 9 + day.carbs * 4;
+
+describe('Day Targets - buildDayTargets', () => {
+  const base = { calories: 2400, protein: 160, fat: 80, carbs: 260 };
+
+  test('returns null without cycling', () => {
+    expect(buildDayTargets(base, ['standard', 'standard'], 2)).toBeNull();
+    expect(buildDayTargets(base, [], 3)).toBeNull();
+  });
+
+  test('keeps average calories and protein, moves the difference through carbs', () => {
+    const days = buildDayTargets(base, ['training', 'rest'], 2);
+    expect(days.map(d => d.calories)).toEqual([2640, 2160]);
+    expect(days.every(d => d.protein === 160 && d.fat === 80)).toBe(true);
+    expect(days.map(d => d.carbs)).toEqual([320, 200]);
+  });
+
+  test('macros still add up when the carb and fat floors both apply', () => {
+    const lean = { calories: 1415, protein: 180, fat: 35, carbs: 95 };
+    const [lowCarb] = buildDayTargets(lean, ['low_carb', 'refeed'], 2);
+    expect(lowCarb.fat).toBe(MIN_FAT_G);
+    expect(lowCarb.carbs).toBeLessThan(MIN_CARBS_G);
+    expect(Math.abs(macroCalories(lowCarb) - lowCarb.calories)).toBeLessThanOrEqual(2);
+  });
+
+  test('cuts fat before carbs drop below their floor', () => {
+    const lower = { calories: 1500, protein: 150, fat: 60, carbs: 90 };
+    const [lowCarb] = buildDayTargets(lower, ['low_carb', 'refeed'], 2);
+    expect(lowCarb.carbs).toBe(MIN_CARBS_G);
+    expect(lowCarb.fat).toBeGreaterThan(MIN_FAT_G);
+    expect(Math.abs(macroCalories(lowCarb) - lowCarb.calories)).toBeLessThanOrEqual(2);
+  });
+});
+
+describe('Day Targets - resolveDayTargets', () => {
+  const base = { calories: 2000, protein: 150, fat: 70, carbs: 195 };
+
+  test('picks the day entry', () => {
+    const dayTargets = [{ dayNumber: 2, dayType: 'rest', factor: 0.9, calories: 1800, protein: 150, fat: 70, carbs: 145 }];
+    expect(resolveDayTargets(dayTargets, 2, base)).toEqual({
+      targets: { calories: 1800, protein: 150, fat: 70, carbs: 145 }, dayType: 'rest', factor: 0.9,
+    });
+  });
+
+  test('falls back to the base targets', () => {
+    expect(resolveDayTargets(null, 1, base)).toEqual({ targets: base, dayType: 'standard', factor: 1 });
+    expect(resolveDayTargets([{ dayNumber: 1, dayType: 'bogus', calories: 1800 }], 1, base).dayType).toBe('standard');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Leftover-Aware Planning
+ * File: api/__test__/leftover-planner.test.js
+ *
+ * Covers utils/leftover-planner.js:
+ * 1. estimatePackSize matching whole key words (eggplant is not egg)
+ * 2. estimateOpenPacks with pantry stock and MIN_SURPLUS_G
+ * 3. formatLeftoversForPrompt units
+ * 4. summarizeWaste from market purchases
+ *
+ * Run: npm test api/__test__/leftover-planner.test.js
+ */
+
+const {
+  PLANNING_MODES,
+  MIN_SURPLUS_G,
+  estimatePackSize,
+  estimateOpenPacks,
+  formatLeftoversForPrompt,
+  summarizeWaste,
+} = require('../../utils/leftover-planner.js');
+const { normalizePantry } = require('../../utils/pantry');
+
+const item = (key, qty_value, qty_unit = 'g') => ({ key, qty_value, qty_unit });
+const day = (dayNumber, items) => ({ dayNumber, meals: [{ name: 'Meal', items }] });
+
+describe('Leftover Planner - estimatePackSize', () => {
+  test('matches whole key words, not substrings', () => {
+    expect(estimatePackSize('egg')).toBe(700);
+    expect(estimatePackSize('eggplant')).toBe(500);
+    expect(estimatePackSize('apple')).toBe(1000);
+    expect(estimatePackSize('pineapple')).toBe(500);
+  });
+
+  test('matches multi-word entries and plurals', () => {
+    expect(estimatePackSize('chicken_breast')).toBe(1000);
+    expect(estimatePackSize('peanut_butter')).toBe(375);
+    expect(estimatePackSize('egg_noodles')).toBe(400);
+    expect(estimatePackSize('green_beans')).toBe(400);
+    expect(estimatePackSize('whole_milk')).toBe(2000);
+  });
+
+  test('falls back to the default pack size', () => {
+    expect(estimatePackSize('dragon_fruit')).toBe(500);
+    expect(estimatePackSize(null)).toBe(500);
+  });
+});
+
+describe('Leftover Planner - estimateOpenPacks', () => {
+  test('sums usage across days and sorts by surplus', () => {
+    const openPacks = estimateOpenPacks([
+      day(1, [item('chicken breast', 200), item('broccoli', 150)]),
+      day(2, [item('chicken breast', 200)]),
+    ]);
+    expect(openPacks).toEqual([
+      { key: 'chicken breast', normalizedKey: 'chicken_breast', used_g: 400, packSize_g: 1000, surplus_g: 600, unit: 'g' },
+      { key: 'broccoli', normalizedKey: 'broccoli', used_g: 150, packSize_g: 500, surplus_g: 350, unit: 'g' },
+    ]);
+  });
+
+  test('uses pantry stock before opening a pack', () => {
+    const pantryMap = normalizePantry([
+      { key: 'chicken breast', quantity: 300, unit: 'g' },
+      { key: 'broccoli', quantity: 1, unit: 'kg' },
+    ], () => {});
+    const openPacks = estimateOpenPacks([day(1, [item('chicken breast', 400), item('broccoli', 150)])], pantryMap);
+
+    expect(openPacks).toHaveLength(1);
+    expect(openPacks[0]).toMatchObject({ normalizedKey: 'chicken_breast', used_g: 400, surplus_g: 900 });
+  });
+
+  test(`drops surplus below MIN_SURPLUS_G (${MIN_SURPLUS_G}g)`, () => {
+    const openPacks = estimateOpenPacks([day(1, [item('salmon', 250 - MIN_SURPLUS_G + 1), item('tuna', 95 * 2 - MIN_SURPLUS_G)])]);
+    expect(openPacks.map(p => p.normalizedKey)).toEqual(['tuna']);
+    expect(openPacks[0].surplus_g).toBe(MIN_SURPLUS_G);
+  });
+
+  test('keeps the ml unit of liquids', () => {
+    const [milk] = estimateOpenPacks([day(1, [item('milk', 800, 'ml')])]);
+    expect(milk).toMatchObject({ surplus_g: 1200, unit: 'ml' });
+  });
+
+  test('returns nothing without days', () => {
+    expect(estimateOpenPacks(null)).toEqual([]);
+  });
+});
+
+describe('Leftover Planner - formatLeftoversForPrompt', () => {
+  test('prints each surplus in its unit', () => {
+    const openPacks = estimateOpenPacks([day(1, [item('chicken breast', 600), item('milk', 800, 'ml')])]);
+    expect(formatLeftoversForPrompt(openPacks)).toBe('milk (~1200ml), chicken breast (~400g)');
+  });
+
+  test('lists at most ten packs', () => {
+    const openPacks = Array.from({ length: 12 }, (_, i) => ({ key: `item ${i}`, surplus_g: 100, unit: 'g' }));
+    expect(formatLeftoversForPrompt(openPacks).split(', ')).toHaveLength(10);
+    expect(formatLeftoversForPrompt(null)).toBe('');
+  });
+});
+
+describe('Leftover Planner - summarizeWaste', () => {
+  test('sums purchase leftovers, largest first', () => {
+    const results = [
+      { originalIngredient: 'rice', purchase: { leftover_g: 250 } },
+      { normalizedKey: 'chicken_breast', purchase: { leftover_g: 600.4 } },
+      { originalIngredient: 'salt', purchase: { leftover_g: 0 } },
+      { originalIngredient: 'olive oil', source: 'pantry' },
+      null,
+    ];
+    expect(summarizeWaste(results, PLANNING_MODES.LEFTOVER_AWARE)).toEqual({
+      planningMode: 'leftover_aware',
+      waste_g: 850,
+      items: [{ key: 'chicken_breast', leftover_g: 600.4 }, { key: 'rice', leftover_g: 250 }],
+    });
+  });
+
+  test('defaults to the standard mode', () => {
+    expect(summarizeWaste([])).toEqual({ planningMode: 'standard', waste_g: 0, items: [] });
+  });
+});
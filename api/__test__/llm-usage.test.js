@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for Per-Run LLM Token & Cost Accounting
+ * File: api/__test__/llm-usage.test.js
+ *
+ * Covers:
+ * 1. Ledger scoping (one per run, nothing recorded outside a ledger)
+ * 2. Attribution per agent, per day and per model, and unpriced models
+ * 3. callStructured recording every response, repair turns included
+ *
+ * Run: npm test api/__test__/llm-usage.test.js
+ */
+
+const { withUsageLedger, withUsageContext, recordUsage, summarizeUsage } = require('../../utils/llm-usage.js');
+const { callStructured, estimateLLMCost } = require('../../utils/llm-provider.js');
+
+const noopLog = () => {};
+const usage = (inputTokens, outputTokens) => ({ inputTokens, outputTokens });
+
+describe('LLM Usage - Ledger scoping', () => {
+  test('records nothing outside a ledger', () => {
+    recordUsage({ model: 'gpt-4.1', agent: 'mealPlan', usage: usage(10, 10), costUsd: 0.1 });
+    expect(summarizeUsage()).toBeNull();
+    expect(withUsageContext({ day: 1 }, () => 'ran')).toBe('ran');
+  });
+
+  test('keeps concurrent runs apart', async () => {
+    const run = (calls) => withUsageLedger(async () => {
+      for (let i = 0; i < calls; i++) {
+        await Promise.resolve();
+        recordUsage({ model: 'gpt-4.1', agent: 'mealPlan', usage: usage(100, 50), costUsd: 0.001 });
+      }
+      return summarizeUsage().calls;
+    });
+    expect(await Promise.all([run(2), run(3)])).toEqual([2, 3]);
+  });
+
+  test('skips responses without usage', () => {
+    withUsageLedger(() => {
+      recordUsage({ model: 'gpt-4.1', agent: 'chef', usage: null, costUsd: 0 });
+      expect(summarizeUsage().calls).toBe(0);
+    });
+  });
+});
+
+describe('LLM Usage - summarizeUsage', () => {
+  test('breaks spend down per agent, day and model', () => {
+    withUsageLedger(() => {
+      withUsageContext({ day: 1 }, () => {
+        recordUsage({ model: 'gpt-4.1', agent: 'mealPlan', usage: usage(1000, 500), costUsd: 0.006 });
+        recordUsage({ model: 'gemini-2.0-flash', agent: 'chef', usage: usage(200, 100), costUsd: 0.00006 });
+      });
+      withUsageContext({ day: 2 }, () => {
+        recordUsage({ model: 'gpt-4.1', agent: 'chef', usage: usage(200, 100), costUsd: 0.0012 });
+      });
+      recordUsage({ model: 'gpt-4.1', agent: 'groceryQuery', usage: usage(400, 200), costUsd: 0.0024 });
+
+      const summary = summarizeUsage();
+      expect(summary.calls).toBe(4);
+      expect(summary.totalTokens).toBe(2700);
+      expect(summary.costUsd).toBeCloseTo(0.00966, 6);
+      expect(Object.keys(summary.byAgent).sort()).toEqual(['chef', 'groceryQuery', 'mealPlan']);
+      expect(summary.byAgent.chef).toEqual({ calls: 2, inputTokens: 400, outputTokens: 200, costUsd: 0.00126 });
+      expect(summary.byDay.map(d => [d.day, d.calls])).toEqual([[1, 2], [2, 1]]);
+      expect(summary.byModel['gpt-4.1'].calls).toBe(3);
+      expect(summary.breakdown).toHaveLength(4);
+      expect(summary.unpricedModels).toEqual([]);
+    });
+  });
+
+  test('lists models without a price entry', () => {
+    const cost = estimateLLMCost('mystery-model', usage(100, 100));
+    expect(cost).toBeNull();
+    withUsageLedger(() => {
+      recordUsage({ model: 'mystery-model', agent: 'mealPlan', usage: usage(100, 100), costUsd: cost });
+      const summary = summarizeUsage();
+      expect(summary.unpricedModels).toEqual(['mystery-model']);
+      expect(summary.costUsd).toBe(0);
+    });
+  });
+
+  test('prices usage from the model table', () => {
+    expect(estimateLLMCost('gpt-4.1', usage(1e6, 1e6))).toBeCloseTo(10);
+    expect(estimateLLMCost('gpt-4.1', null)).toBe(0);
+  });
+});
+
+describe('LLM Usage - callStructured', () => {
+  const geminiResponse = (body, promptTokenCount, candidatesTokenCount) => ({
+    json: async () => ({
+      candidates: [{ finishReason: 'STOP', content: { parts: [{ text: JSON.stringify(body) }] } }],
+      usageMetadata: { promptTokenCount, candidatesTokenCount },
+    }),
+  });
+
+  test('records the first answer and the repair turn under the chef agent', async () => {
+    const answers = [
+      geminiResponse({ description: 'Toast' }, 300, 20),
+      geminiResponse({ description: 'Toast', instructions: ['Toast the bread.'] }, 400, 40),
+    ];
+    const fetchFn = jest.fn(async () => answers.shift());
+
+    await withUsageLedger(async () => {
+      const recipe = await withUsageContext({ day: 3 }, () => callStructured({
+        modelName: 'gemini-2.0-flash',
+        geminiPayload: { contents: [{ parts: [{ text: 'Recipe for toast' }] }] },
+        fetchFn,
+        log: noopLog,
+        logPrefix: 'Chef',
+        options: { agentType: 'chef' },
+      }));
+      expect(recipe.instructions).toEqual(['Toast the bread.']);
+
+      const summary = summarizeUsage();
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+      expect(summary.byAgent).toEqual({
+        chef: { calls: 2, inputTokens: 700, outputTokens: 60, costUsd: estimateLLMCost('gemini-2.0-flash', usage(700, 60)) },
+      });
+      expect(summary.byDay).toEqual([{ day: 3, ...summary.byAgent.chef }]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for the Constrained Day Solver (Solver V1)
+ * File: api/__test__/macro-solver.test.js
+ *
+ * Covers utils/macro-solver.js:
+ * 1. A feasible day landing inside DEFAULT_TOLERANCES and the fiber floor
+ * 2. SCALE_BOUNDS and the INV-003 5g-1000g portion bounds
+ * 3. Infeasible targets and an unreachable fiber floor
+ * 4. resolveFiberMinimum and computeResiduals
+ *
+ * Run: npm test api/__test__/macro-solver.test.js
+ */
+
+const {
+  DEFAULT_TOLERANCES,
+  SCALE_BOUNDS,
+  resolveFiberMinimum,
+  computeResiduals,
+  solveDayMacros,
+} = require('../../utils/macro-solver.js');
+
+// Per 100g: protein, fat, carbs, fiber
+const PER_100G = {
+  rolled_oats: { p: 13, f: 7, c: 60, fiber: 10 },
+  milk: { p: 3.4, f: 3.4, c: 5, fiber: 0 },
+  banana: { p: 1.1, f: 0.3, c: 23, fiber: 2.6 },
+  chicken_breast: { p: 31, f: 3.6, c: 0, fiber: 0 },
+  white_rice: { p: 2.7, f: 0.3, c: 28, fiber: 0.4 },
+  broccoli: { p: 2.8, f: 0.4, c: 7, fiber: 2.6 },
+  olive_oil: { p: 0, f: 100, c: 0, fiber: 0 },
+  eggs: { p: 13, f: 10, c: 1, fiber: 0 },
+  white_bread: { p: 9, f: 3, c: 49, fiber: 2.7 },
+  salt: { p: 0, f: 0, c: 0.1, fiber: 0 },
+};
+
+function getItemMacros(item) {
+  const m = PER_100G[item.key];
+  const k = item.qty_value / 100;
+  return { p: m.p * k, f: m.f * k, c: m.c * k, fiber: m.fiber * k, kcal: (m.p * 4 + m.f * 9 + m.c * 4) * k, grams: item.qty_value };
+}
+
+function dayTotals(meals) {
+  const totals = { calories: 0, protein: 0, fat: 0, carbs: 0, fiber: 0 };
+  for (const item of meals.flatMap(meal => meal.items)) {
+    const m = getItemMacros(item);
+    totals.calories += m.kcal;
+    totals.protein += m.p;
+    totals.fat += m.f;
+    totals.carbs += m.c;
+    totals.fiber += m.fiber;
+  }
+  return totals;
+}
+
+const item = (key, qty_value) => ({ key, qty_value, qty_unit: 'g' });
+const quantities = (meals) => meals.flatMap(meal => meal.items.map(i => i.qty_value));
+const TARGETS = { calories: 2400, protein: 160, fat: 80, carbs: 260 };
+
+const oatsDay = () => [
+  { name: 'Breakfast', items: [item('rolled_oats', 80), item('milk', 250), item('banana', 120)] },
+  { name: 'Lunch', items: [item('chicken_breast', 200), item('white_rice', 200), item('broccoli', 150)] },
+  { name: 'Dinner', items: [item('chicken_breast', 200), item('white_rice', 200), item('olive_oil', 15)] },
+];
+
+// Too little fiber in the recipe to reach 34g even with every item at 3x
+const lowFiberDay = () => [
+  { name: 'Breakfast', items: [item('eggs', 150), item('white_bread', 80), item('milk', 250)] },
+  { name: 'Lunch', items: [item('chicken_breast', 200), item('white_rice', 250), item('broccoli', 150)] },
+  { name: 'Dinner', items: [item('chicken_breast', 200), item('white_rice', 250), item('olive_oil', 15)] },
+];
+
+const expectWithinScaleBounds = (before, after) => {
+  quantities(after).forEach((qty, i) => {
+    expect(qty).toBeGreaterThanOrEqual(Math.floor(quantities(before)[i] * SCALE_BOUNDS.min));
+    expect(qty).toBeLessThanOrEqual(Math.ceil(quantities(before)[i] * SCALE_BOUNDS.max));
+  });
+};
+
+describe('Macro Solver - Feasible day', () => {
+  test('lands every macro inside DEFAULT_TOLERANCES and meets the fiber floor', () => {
+    const result = solveDayMacros({ meals: oatsDay(), targets: TARGETS, getItemMacros });
+    const residuals = computeResiduals(dayTotals(result.meals), TARGETS);
+
+    expect(result.adjusted).toBe(true);
+    expect(result.converged).toBe(true);
+    for (const key of ['calories', 'protein', 'fat', 'carbs']) {
+      expect(Math.abs(residuals[key].pct)).toBeLessThanOrEqual(DEFAULT_TOLERANCES[key] * 100);
+    }
+    expect(residuals.fiber.within).toBe(true);
+    expect(residuals.allWithin).toBe(true);
+  });
+
+  test('leaves meals untouched without items or a calorie target', () => {
+    const meals = oatsDay();
+    expect(solveDayMacros({ meals, targets: { calories: 0 }, getItemMacros })).toMatchObject({ adjusted: false, meals });
+    expect(solveDayMacros({ meals: [{ name: 'Empty', items: [] }], targets: TARGETS, getItemMacros }).adjusted).toBe(false);
+  });
+});
+
+describe('Macro Solver - Bounds', () => {
+  test('keeps every item within SCALE_BOUNDS of the recipe', () => {
+    const before = oatsDay();
+    expectWithinScaleBounds(before, solveDayMacros({ meals: before, targets: TARGETS, getItemMacros }).meals);
+  });
+
+  test('respects the INV-003 5g-1000g portion bounds', () => {
+    const meals = [
+      { name: 'Lunch', items: [item('white_rice', 600), item('chicken_breast', 150), item('salt', 2)] },
+    ];
+    const [rice, chicken, salt] = solveDayMacros({ meals, targets: { calories: 4000, protein: 300, fat: 100, carbs: 500 }, getItemMacros }).meals[0].items;
+
+    expect(rice.qty_value).toBeLessThanOrEqual(1000);
+    expect(chicken.qty_value).toBeLessThanOrEqual(150 * SCALE_BOUNDS.max);
+    // Already below the 5g minimum: left as the recipe wrote it
+    expect(salt.qty_value).toBe(2);
+  });
+});
+
+describe('Macro Solver - Infeasible targets', () => {
+  test('stays inside the bounds without throwing', () => {
+    const before = oatsDay();
+    const targets = { calories: 9000, protein: 600, fat: 300, carbs: 1100 };
+    let result;
+    expect(() => { result = solveDayMacros({ meals: before, targets, getItemMacros }); }).not.toThrow();
+
+    expectWithinScaleBounds(before, result.meals);
+    expect(computeResiduals(dayTotals(result.meals), targets).allWithin).toBe(false);
+  });
+
+  test('an unreachable fiber floor does not push fiber sources to their bound', () => {
+    const result = solveDayMacros({ meals: lowFiberDay(), targets: TARGETS, getItemMacros });
+    const broccoli = result.meals[1].items.find(i => i.key === 'broccoli');
+    const residuals = computeResiduals(dayTotals(result.meals), TARGETS);
+
+    expect(broccoli.qty_value).toBeLessThan(150 * 1.5);
+    for (const key of ['calories', 'protein', 'fat', 'carbs']) expect(residuals[key].within).toBe(true);
+    // The miss is still reported
+    expect(residuals.fiber.within).toBe(false);
+  });
+});
+
+describe('Macro Solver - resolveFiberMinimum', () => {
+  test('uses an explicit fiber target', () => {
+    expect(resolveFiberMinimum({ calories: 2000, carbs: 200, fiber: 25 })).toBe(25);
+  });
+
+  test('defaults to 14g per 1000 kcal', () => {
+    expect(resolveFiberMinimum({ calories: 2500, carbs: 300 })).toBe(35);
+    expect(resolveFiberMinimum({ calories: 2500 })).toBe(35);
+  });
+
+  test('caps at half the carb target', () => {
+    expect(resolveFiberMinimum({ calories: 2000, carbs: 40 })).toBe(20);
+  });
+});
+
+describe('Macro Solver - computeResiduals', () => {
+  test('reports per-macro deviation against the bands and the fiber floor', () => {
+    const residuals = computeResiduals(
+      { calories: 2100, protein: 130, fat: 70, carbs: 200, fiber: 24.56 },
+      { calories: 2000, protein: 150, fat: 70, carbs: 200 }
+    );
+    expect(residuals.calories).toEqual({ target: 2000, actual: 2100, diff: 100, pct: 5, tolerancePct: 5, within: true });
+    expect(residuals.protein).toMatchObject({ diff: -20, pct: -13.3, within: false });
+    expect(residuals.fiber).toEqual({ minimum: 28, actual: 24.6, diff: -3.4, within: false });
+    expect(residuals.allWithin).toBe(false);
+  });
+
+  test('ignores macros without a target and honours custom tolerances', () => {
+    const residuals = computeResiduals(
+      { calories: 2300, protein: 150, fat: 90, carbs: 0, fiber: 30 },
+      { calories: 2000, protein: 150, fat: 0, carbs: 0 },
+      { calories: 0.2, protein: 0.1, fat: 0.1, carbs: 0.1 },
+      10
+    );
+    expect(residuals.calories.within).toBe(true);
+    expect(residuals.fat.within).toBe(true);
+    expect(residuals.allWithin).toBe(true);
+  });
+});
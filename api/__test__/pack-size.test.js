@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Pack Size Parsing
+ * File: api/__test__/pack-size.test.js
+ *
+ * The shopping list (web/src/helpers.js, ES module, loaded with import())
+ * mirrors the backend purchase optimizer, so both are run against the same cases:
+ * 1. parsePackSize vs product-checker parseSize
+ * 2. calculatePurchaseUnits vs purchase-optimizer planUnits
+ * 3. Count packs ("dozen", "12 pack", "each") weighed by unit weight, and
+ *    unsized products kept out of the cost comparison
+ *
+ * Run: npm test api/__test__/pack-size.test.js
+ */
+
+const { parseSize } = require('../../utils/product-checker.js');
+const {
+  parseCountSize,
+  planUnits,
+  optimizePurchase,
+  applyPurchaseOptimization,
+} = require('../../utils/purchase-optimizer.js');
+
+let helpers;
+
+beforeAll(async () => {
+  helpers = await import('../../web/src/helpers.js');
+});
+
+// [size string, grams (or ml) per pack]
+const SIZE_CASES = [
+  ['500g', 500],
+  ['1.5kg', 1500],
+  ['2L', 2000],
+  ['375ml', 375],
+  ['1 kg', 1000],
+  ['Approx. 250 G', 250],
+  ['6 x 100g', 100],
+  ['0.5l', 500],
+  ['each', null],
+  ['', null],
+  [null, null],
+  [undefined, null],
+  [12, null],
+];
+
+// [size string, grams required, packs to buy]
+const UNIT_CASES = [
+  ['500g', 1200, 3],
+  ['1kg', 1000, 1],
+  ['2L', 2001, 2],
+  ['250g', 0, 1],
+];
+
+// [size string, pieces per pack]
+const COUNT_CASES = [
+  ['dozen', 12],
+  ['Half Dozen', 6],
+  ['12 pack', 12],
+  ['6pk', 6],
+  ['Pack of 4', 4],
+  ['30 Eggs', 30],
+  ['each', 1],
+  ['1 ea', 1],
+  ['500g', null],
+  ['', null],
+];
+
+describe('Pack Size - parsing', () => {
+  test.each(SIZE_CASES)('%p parses to %p on both sides', (size, grams) => {
+    const backend = parseSize(size);
+    expect(backend ? backend.value : null).toBe(grams);
+    expect(helpers.parsePackSize(size)).toBe(grams);
+  });
+
+  test('backend keeps the unit family', () => {
+    expect(parseSize('1.5kg')).toEqual({ value: 1500, unit: 'g' });
+    expect(parseSize('2L')).toEqual({ value: 2000, unit: 'ml' });
+  });
+});
+
+describe('Pack Size - purchase units', () => {
+  test.each(UNIT_CASES)('%p for %pg buys %p pack(s) on both sides', (size, requiredGrams, units) => {
+    expect(planUnits({ price: 4, size }, requiredGrams).units).toBe(units);
+    expect(helpers.calculatePurchaseUnits({ size }, requiredGrams)).toBe(units);
+  });
+});
+
+describe('Pack Size - count packs', () => {
+  test.each(COUNT_CASES)('%p counts %p piece(s)', (size, count) => {
+    expect(parseCountSize(size)).toBe(count);
+  });
+
+  test('weighs count packs with the ingredient unit weight and flags the estimate', () => {
+    // eggs 50g each, bananas 120g each
+    expect(planUnits({ price: 6, size: 'dozen' }, 900, 'eggs')).toMatchObject({ units: 2, packSize_g: 600, leftover_g: 300, totalCost: 12, estimated: true });
+    expect(planUnits({ price: 0.8, size: 'each' }, 500, 'banana')).toMatchObject({ units: 5, packSize_g: 120, totalCost: 4, estimated: true });
+    expect(planUnits({ price: 4, size: '1kg' }, 500, 'banana').estimated).toBe(false);
+  });
+
+  test('buys one unit of an unsized product and flags it as estimated', () => {
+    expect(planUnits({ price: 4, size: 'Value Pack' }, 400, 'eggs')).toMatchObject({ units: 1, packSize_g: null, leftover_g: null, estimated: true });
+  });
+
+  test('keeps unsized products out of the cost comparison', () => {
+    const sized = { name: 'Rice 1kg', url: 'rice-1kg', price: 3, size: '1kg' };
+    const unsized = { name: 'Rice Value Pack', url: 'rice-value', price: 2, size: 'Value Pack' };
+    expect(optimizePurchase([sized, unsized], 2000, 'white_rice').product).toBe(sized);
+    expect(optimizePurchase([unsized], 2000, 'white_rice').plan).toMatchObject({ units: 1, estimated: true });
+  });
+
+  test('the shopping list buys the same number of count packs', () => {
+    const products = [
+      { name: 'Free Range Eggs 12pk', url: 'eggs-12', price: 7, size: '12 pack' },
+      { name: 'Free Range Eggs 700g', url: 'eggs-700', price: 12, size: '700g' },
+    ];
+    const result = { source: 'discovery', normalizedKey: 'eggs', totalGramsRequired: 1300, currentSelectionURL: 'eggs-700', allProducts: products };
+    applyPurchaseOptimization(result);
+
+    expect(result.currentSelectionURL).toBe('eggs-12');
+    expect(result.purchase).toMatchObject({ units: 3, packSize_g: 600, totalCost: 21, estimated: true });
+    expect(products[0].packSize_g).toBe(600);
+    expect(products[1].packSize_g).toBeUndefined();
+    expect(helpers.calculatePurchaseUnits(products[0], 1300)).toBe(result.purchase.units);
+    expect(helpers.productPackSize(products[0])).toBe(600);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for Price History & Good-Deal Detection
+ * File: api/__test__/price-history.test.js
+ *
+ * Covers:
+ * 1. Product ids
+ * 2. evaluateDeal against the rolling median
+ * 3. trackPrices flagging specials and recording prices (offline in-memory KV)
+ *
+ * Run: npm test api/__test__/price-history.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const { createKvClient } = require('../../utils/offline.js');
+const {
+  DEAL_THRESHOLD,
+  ROLLING_WINDOW_DAYS,
+  MIN_OBSERVATION_DAYS,
+  productIdFor,
+  evaluateDeal,
+  trackPrices,
+  getPriceHistory,
+  getSpecials,
+} = require('../../utils/price-history.js');
+
+const kv = createKvClient({});
+const noopLog = () => {};
+const DAY_MS = 1000 * 60 * 60 * 24;
+const isoDaysAgo = (days, from = Date.now()) => new Date(from - days * DAY_MS).toISOString().slice(0, 10);
+const history = (prices, today = '2026-03-20') => ({
+  observations: prices.map((price, i) => ({ date: isoDaysAgo(prices.length - i, Date.parse(today)), price })),
+});
+
+// Background KV writes (kvSetAsync) settle after the awaited reads
+const flushWrites = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('Price History - Product Ids', () => {
+  test('prefers barcode, then URL, then name + size', () => {
+    expect(productIdFor({ barcode: '9300633603076', url: 'u', name: 'Eggs' })).toBe('bc:9300633603076');
+    expect(productIdFor({ url: 'https://store/eggs', name: 'Eggs' })).toBe('url:https://store/eggs');
+    expect(productIdFor({ name: 'Free Range Eggs', size: '700G' })).toBe('name:free range eggs|700g');
+    expect(productIdFor({})).toBeNull();
+    expect(productIdFor(null)).toBeNull();
+  });
+});
+
+describe('Price History - evaluateDeal', () => {
+  const today = '2026-03-20';
+
+  test('needs MIN_OBSERVATION_DAYS of earlier history', () => {
+    const prices = Array(MIN_OBSERVATION_DAYS - 1).fill(10);
+    const deal = evaluateDeal(history(prices, today), 5, today);
+    expect(deal).toEqual({ isGoodDeal: false, median: null, discountPct: null, observationDays: prices.length });
+    expect(evaluateDeal(null, 5, today).isGoodDeal).toBe(false);
+  });
+
+  test('flags prices at least DEAL_THRESHOLD below the median', () => {
+    const deal = evaluateDeal(history([10, 12, 10, 9, 10], today), 8, today);
+    expect(deal).toEqual({ isGoodDeal: true, median: 10, discountPct: 20, observationDays: 5 });
+  });
+
+  test('does not flag small discounts', () => {
+    const price = 10 * (1 - DEAL_THRESHOLD) + 0.01;
+    expect(evaluateDeal(history([10, 10, 10], today), price, today).isGoodDeal).toBe(false);
+  });
+
+  test('ignores same-day, out-of-window and zero-price observations', () => {
+    const observations = [
+      { date: isoDaysAgo(ROLLING_WINDOW_DAYS + 1, Date.parse(today)), price: 100 },
+      { date: isoDaysAgo(3, Date.parse(today)), price: 10 },
+      { date: isoDaysAgo(2, Date.parse(today)), price: 0 },
+      { date: isoDaysAgo(2, Date.parse(today)), price: 10 },
+      { date: isoDaysAgo(1, Date.parse(today)), price: 10 },
+      { date: today, price: 4 },
+    ];
+    const deal = evaluateDeal({ observations }, 8, today);
+    expect(deal.observationDays).toBe(3);
+    expect(deal.median).toBe(10);
+  });
+
+  test('never flags a missing price', () => {
+    expect(evaluateDeal(history([10, 10, 10], today), 0, today).isGoodDeal).toBe(false);
+    expect(evaluateDeal(history([10, 10, 10], today), undefined, today).isGoodDeal).toBe(false);
+  });
+});
+
+describe('Price History - trackPrices', () => {
+  const eggs = { name: 'Free Range Eggs', size: '700g', url: 'https://store/eggs', price: 6 };
+  const rice = { name: 'Jasmine Rice', size: '1kg', url: 'https://store/rice', price: 3 };
+
+  beforeAll(async () => {
+    const observations = [3, 2, 1].map(days => ({ date: isoDaysAgo(days), price: 8 }));
+    await kv.set('price-history:v1:coles:url:https://store/eggs', { store: 'Coles', productId: 'url:https://store/eggs', observations });
+  });
+
+  test('flags specials, records prices and updates the specials list', async () => {
+    const results = new Map([
+      ['eggs', { source: 'discovery', store: 'Coles', currentSelectionURL: eggs.url, allProducts: [eggs] }],
+      ['rice', { source: 'discovery', currentSelectionURL: rice.url, allProducts: [rice] }],
+      ['saffron', { source: 'failed', allProducts: [] }],
+    ]);
+
+    const tracking = await trackPrices(results, 'Coles', noopLog);
+    expect(tracking).toEqual({ observed: 2, deals: 1 });
+    expect(eggs.deal).toEqual({ median: 8, discountPct: 25, observationDays: 3 });
+    expect(rice.deal).toBeUndefined();
+
+    await flushWrites();
+    const recorded = await getPriceHistory('Coles', 'url:https://store/rice');
+    expect(recorded.observations).toEqual([{ date: isoDaysAgo(0), price: 3, unitPrice: null }]);
+    const specials = await getSpecials('Coles');
+    expect(specials.map(s => s.productId)).toEqual(['url:https://store/eggs']);
+  });
+
+  test('a repeat run on the same day replaces the observation', async () => {
+    const results = [{ source: 'discovery', store: 'Coles', currentSelectionURL: rice.url, allProducts: [{ ...rice, price: 2.5 }] }];
+    await trackPrices(results, 'Coles', noopLog);
+    await flushWrites();
+    const recorded = await getPriceHistory('Coles', 'url:https://store/rice');
+    expect(recorded.observations.map(o => o.price)).toEqual([2.5]);
+  });
+});
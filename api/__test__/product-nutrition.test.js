@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Product-Accurate Macros
+ * File: api/__test__/product-nutrition.test.js
+ *
+ * Covers:
+ * 1. compareWithCanonical confidence bands (high / medium / low / unverified)
+ * 2. applyProductNutrition using labels, keeping the ingredient entry on low
+ *    confidence (labels served from a replay bundle, utils/replay.js)
+ * 3. mapLimited (utils/concurrency.js) order and concurrency cap
+ *
+ * Run: npm test api/__test__/product-nutrition.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const { compareWithCanonical, applyProductNutrition } = require('../../utils/product-nutrition.js');
+const { mapLimited } = require('../../utils/concurrency.js');
+const { withReplay } = require('../../utils/replay.js');
+
+const noopLog = () => {};
+const per100 = (kcal, protein = 10, fat = 5, carbs = 10) => ({ kcal, protein, fat, carbs });
+
+describe('Product Nutrition - compareWithCanonical', () => {
+  test.each([
+    [125, 'high'],
+    [75, 'high'],
+    [126, 'medium'],
+    [150, 'medium'],
+    [50, 'medium'],
+    [151, 'low'],
+    [40, 'low'],
+  ])('a %p kcal label against 100 kcal is %p confidence', (kcal, confidence) => {
+    expect(compareWithCanonical(per100(kcal), per100(100)).confidence).toBe(confidence);
+  });
+
+  test('reports the per-macro difference in percent', () => {
+    expect(compareWithCanonical(per100(110, 12, 5, 0), per100(100, 10, 4, 0)).diffPct).toEqual({ kcal: 10, protein: 20, fat: 25, carbs: null });
+  });
+
+  test('is unverified without an ingredient entry or its kcal', () => {
+    expect(compareWithCanonical(per100(100), null)).toEqual({ confidence: 'unverified', diffPct: null });
+    expect(compareWithCanonical(per100(100), per100(0)).confidence).toBe('unverified');
+  });
+});
+
+describe('Product Nutrition - applyProductNutrition', () => {
+  const label = (barcode, calories, protein, fat, carbs) => ({ status: 'found', source: 'openfoodfacts', barcode, calories, protein, fat, carbs });
+  const selected = (name, barcode) => ({ source: 'discovery', currentSelectionURL: name, allProducts: [{ name, url: name, barcode }] });
+  const entry = (calories, protein, fat, carbs, source = 'canonical') => ({ status: 'found', source, calories, protein, fat, carbs, fiber: 1 });
+
+  async function run(nutritionDataMap, results) {
+    const bundle = { request: {}, llm: {}, prices: {}, kv: {}, finalData: null, nutrition: {
+      'label|9300000000001': label('9300000000001', 97, 10, 0.2, 4),
+      'label|9300000000002': label('9300000000002', 496, 26, 27, 38),
+      'label|9300000000003': label('9300000000003', 360, 7, 1, 80),
+    } };
+    const { result } = await withReplay(bundle, () => applyProductNutrition(nutritionDataMap, results, noopLog));
+    return result;
+  }
+
+  test('uses confident labels and keeps the ingredient entry on low confidence', async () => {
+    const nutritionDataMap = new Map([
+      ['greek_yoghurt', entry(120, 9, 5, 6)],
+      ['whole_milk', entry(64, 3.4, 3.6, 4.8)],
+      ['white_rice', entry(130, 2.7, 0.3, 28, 'fallback')],
+      ['olive_oil', entry(884, 0, 100, 0)],
+    ]);
+    const results = {
+      greek_yoghurt: selected('High Protein Yoghurt', '9300000000001'),
+      whole_milk: selected('Full Cream Milk Powder', '9300000000002'),
+      white_rice: selected('Jasmine Rice', '9300000000003'),
+      olive_oil: selected('Olive Oil', null),
+    };
+
+    const summary = await run(nutritionDataMap, results);
+    expect(summary).toEqual({ checked: 3, used: 2, lowConfidence: 1, noLabel: 0 });
+
+    // 97 vs 120 kcal: high confidence, label used
+    expect(nutritionDataMap.get('greek_yoghurt')).toMatchObject({ source: 'label', calories: 97, protein: 10, fiber: 1 });
+    expect(nutritionDataMap.get('greek_yoghurt').productNutrition).toMatchObject({ used: true, confidence: 'high' });
+
+    // Milk powder for milk: the ingredient entry stays, the comparison is recorded
+    const milk = nutritionDataMap.get('whole_milk');
+    expect(milk).toMatchObject({ source: 'canonical', calories: 64, protein: 3.4 });
+    expect(milk.productNutrition).toMatchObject({ used: false, confidence: 'low', label: { kcal: 496 }, canonical: { kcal: 64 } });
+
+    // Generic fallback entry: nothing to compare with, label used
+    expect(nutritionDataMap.get('white_rice')).toMatchObject({ source: 'label', calories: 360 });
+    expect(nutritionDataMap.get('white_rice').productNutrition.confidence).toBe('unverified');
+
+    expect(nutritionDataMap.get('olive_oil').productNutrition).toBeUndefined();
+  });
+
+  test('counts products without a label', async () => {
+    const nutritionDataMap = new Map([['banana', entry(89, 1.1, 0.3, 23)]]);
+    const summary = await run(nutritionDataMap, new Map([['banana', selected('Bananas', '9300000000009')]]));
+    expect(summary).toEqual({ checked: 1, used: 0, lowConfidence: 0, noLabel: 1 });
+    expect(nutritionDataMap.get('banana').source).toBe('canonical');
+  });
+});
+
+describe('Concurrency - mapLimited', () => {
+  test('keeps input order with at most `limit` calls in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapLimited([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return `${i}:${ms}`;
+    });
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:5', '4:15']);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('handles an empty list', async () => {
+    expect(await mapLimited([], 3, async () => 1)).toEqual([]);
+  });
+});
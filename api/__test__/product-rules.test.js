@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Per-User Brand & Product Rules
+ * File: api/__test__/product-rules.test.js
+ *
+ * Covers:
+ * 1. normalizeProductRules validation
+ * 2. attachProductRules scoping by ingredient words and category
+ * 3. Rule matching (whole-word brands, home brands, keywords, unit price caps)
+ * 4. Rule modes (only / never filters, prefer / avoid adjustments)
+ *
+ * Run: npm test api/__test__/product-rules.test.js
+ */
+
+const {
+  RULE_BOOST,
+  RULE_PENALTY,
+  normalizeProductRules,
+  describeRule,
+  attachProductRules,
+  isHomeBrand,
+  unitPricePer100,
+  evaluateProductRules,
+} = require('../../utils/product-rules.js');
+
+const product = (name, brand, extra = {}) => ({ product_name: name, product_brand: brand, ...extra });
+const rules = (...list) => normalizeProductRules(list);
+
+describe('Product Rules - normalizeProductRules', () => {
+  test('drops invalid rules and fills ids', () => {
+    const normalized = normalizeProductRules([
+      { kind: 'brand', value: ' A2 ', mode: 'only', ingredient: 'Milk' },
+      { kind: 'brand', value: '', mode: 'only' },
+      { kind: 'colour', value: 'red', mode: 'only' },
+      { kind: 'max_unit_price', value: 15, mode: 'never' },
+      { kind: 'max_unit_price', value: '15', mode: 'prefer' },
+      null,
+    ]);
+    expect(normalized).toEqual([
+      { id: 'rule_1', kind: 'brand', mode: 'only', value: 'a2', ingredient: 'milk', category: null },
+      { id: 'rule_5', kind: 'max_unit_price', mode: 'prefer', value: 15, ingredient: null, category: null },
+    ]);
+    expect(normalizeProductRules('a2')).toEqual([]);
+  });
+
+  test('describes rules for the match trace', () => {
+    const [brand, cap] = rules(
+      { kind: 'brand', value: 'a2', mode: 'only', ingredient: 'milk' },
+      { kind: 'max_unit_price', value: 15, mode: 'prefer' }
+    );
+    expect(describeRule(brand)).toBe('only brand "a2" for milk');
+    expect(describeRule(cap)).toBe('prefer ≤ $15/kg');
+  });
+});
+
+describe('Product Rules - attachProductRules', () => {
+  const [milkRule, produceRule] = rules(
+    { kind: 'brand', value: 'a2', mode: 'only', ingredient: 'milk' },
+    { kind: 'keyword', value: 'organic', mode: 'only', category: 'produce' }
+  );
+
+  test('scopes ingredient rules to whole words', () => {
+    const plan = attachProductRules([
+      { originalIngredient: 'Full cream milk', normalizedKey: 'full_cream_milk' },
+      { originalIngredient: 'Buttermilk', normalizedKey: 'buttermilk' },
+    ], [milkRule]);
+    expect(plan[0].productRules).toEqual([milkRule]);
+    expect(plan[1].productRules).toBeUndefined();
+  });
+
+  test("'produce' also covers fruit and veg", () => {
+    const plan = attachProductRules([
+      { originalIngredient: 'Banana', allowedCategories: ['fruit'] },
+      { originalIngredient: 'Rice', allowedCategories: ['pantry'] },
+    ], [produceRule]);
+    expect(plan[0].productRules).toEqual([produceRule]);
+    expect(plan[1].productRules).toBeUndefined();
+  });
+});
+
+describe('Product Rules - Matching', () => {
+  test('brand rules match whole words of the brand or the start of the name', () => {
+    const [a2] = rules({ kind: 'brand', value: 'a2', mode: 'only' });
+    expect(evaluateProductRules([a2], product('a2 Milk Full Cream 2L', 'a2 Milk')).pass).toBe(true);
+    expect(evaluateProductRules([a2], product('A2 Full Cream Milk 2L', null)).pass).toBe(true);
+    expect(evaluateProductRules([a2], product('Ka2 Milk 2L', 'Ka2')).pass).toBe(false);
+    expect(evaluateProductRules([a2], product('Milk 2L', 'Dairy Farmers a2x')).pass).toBe(false);
+  });
+
+  test('multi-word brands match as a phrase', () => {
+    const [blackGold] = rules({ kind: 'brand', value: 'black & gold', mode: 'never' });
+    expect(evaluateProductRules([blackGold], product('Black & Gold Rice 1kg', 'Black & Gold')).pass).toBe(false);
+    expect(evaluateProductRules([blackGold], product('Gold Rice 1kg', 'Black Swan Gold')).pass).toBe(true);
+  });
+
+  test('home brands come from the brand or the start of the name', () => {
+    expect(isHomeBrand(product('Coles Chicken Breast 1kg', 'Coles'))).toBe(true);
+    expect(isHomeBrand(product('Woolworths Full Cream Milk 2L', null))).toBe(true);
+    expect(isHomeBrand(product('Lilydale Chicken Breast 1kg', 'Lilydale'))).toBe(false);
+  });
+
+  test('unit price caps use the store unit price, else price / size', () => {
+    expect(unitPricePer100(product('Rice', null, { unit_price_per_100: 0.4 }), null)).toBe(0.4);
+    expect(unitPricePer100(product('Rice', null, { current_price: 3 }), { value: 1000, unit: 'g' })).toBe(0.3);
+    expect(unitPricePer100(product('Rice', null, { current_price: 3 }), null)).toBeNull();
+
+    const [cap] = rules({ kind: 'max_unit_price', value: 15, mode: 'only' });
+    expect(evaluateProductRules([cap], product('Beef', null), 1.5).pass).toBe(true);
+    expect(evaluateProductRules([cap], product('Beef', null), 1.6).pass).toBe(false);
+    expect(evaluateProductRules([cap], product('Beef', null), null).pass).toBe(false);
+  });
+});
+
+describe('Product Rules - Modes', () => {
+  const organic = product('Macro Organic Baby Spinach 120g', 'Macro');
+
+  test('only / never rules filter and report the failed rule', () => {
+    const [never] = rules({ kind: 'home_brand', mode: 'never' });
+    const result = evaluateProductRules([never], organic);
+    expect(result.pass).toBe(false);
+    expect(result.failedRule).toBe(never);
+    expect(result.hits).toEqual([{ ruleId: 'rule_1', rule: 'never home brand', effect: 'filtered' }]);
+  });
+
+  test('prefer / avoid rules adjust the score and still pass', () => {
+    const result = evaluateProductRules(rules(
+      { kind: 'keyword', value: 'organic', mode: 'prefer' },
+      { kind: 'home_brand', mode: 'avoid' },
+      { kind: 'keyword', value: 'kale', mode: 'prefer' }
+    ), organic);
+    expect(result.pass).toBe(true);
+    expect(result.adjustment).toBeCloseTo(RULE_BOOST - RULE_PENALTY);
+    expect(result.hits.map(hit => hit.effect)).toEqual(['boost', 'penalty']);
+  });
+
+  test('no rules always pass', () => {
+    expect(evaluateProductRules([], organic)).toEqual({ pass: true, adjustment: 0, hits: [], failedRule: null });
+    expect(evaluateProductRules(undefined, organic).pass).toBe(true);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Slot Regeneration
+ * File: api/__test__/regenerate.test.js
+ *
+ * Covers api/plan/regenerate.js:
+ * 1. Request and target validation (day / meal type not in the plan)
+ * 2. rebuildShoppingList reusing, adding, pantry-covering and dropping results
+ * 3. buildMarketPlan carrying the user's product rules into the market run
+ *
+ * Run: npm test api/__test__/regenerate.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const regenerate = require('../plan/regenerate.js');
+const { buildMarketPlan } = require('../plan/generate-full-plan.js');
+const { normalizePantry } = require('../../utils/pantry');
+const { normalizeProductRules } = require('../../utils/product-rules');
+
+const noopLog = () => {};
+
+function createResponse() {
+  const res = { statusCode: null, body: null, headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  res.end = () => res;
+  return res;
+}
+
+const mealPlan = () => [{
+  dayNumber: 1,
+  meals: [
+    { name: 'Rice Bowl', type: 'Lunch', items: [{ key: 'white_rice', qty: 150, unit: 'g' }, { key: 'chicken_breast', qty: 200, unit: 'g' }] },
+    { name: 'Oil Drizzle', type: 'Dinner', items: [{ key: 'olive_oil', qty: 10, unit: 'ml' }] },
+  ],
+}];
+
+const product = (name, url, price, size) => ({ name, url, price, size });
+const discovery = (url, allProducts) => ({ source: 'discovery', currentSelectionURL: url, allProducts });
+
+describe('Regenerate - Validation', () => {
+  const regenerateWith = async (overrides) => {
+    const res = createResponse();
+    await regenerate({
+      method: 'POST',
+      body: {
+        plan: { mealPlan: mealPlan(), results: {} },
+        target: { day: 1 },
+        formData: { store: 'Coles' },
+        nutritionalTargets: { calories: 2000, protein: 150, fat: 70, carbs: 195 },
+        ...overrides,
+      },
+    }, res);
+    return res;
+  };
+
+  test('rejects a day that is not in the plan', async () => {
+    for (const day of [0, 2, 'two', undefined]) {
+      const res = await regenerateWith({ target: { day } });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('INVALID_TARGET');
+    }
+  });
+
+  test('rejects a meal type that is not on the day', async () => {
+    const res = await regenerateWith({ target: { day: 1, mealType: 'Breakfast' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_TARGET', message: 'Meal type "Breakfast" not found on Day 1.' });
+  });
+
+  test('rejects missing plan, store and targets', async () => {
+    expect((await regenerateWith({ plan: { mealPlan: [] } })).body.code).toBe('INVALID_PLAN');
+    expect((await regenerateWith({ formData: {} })).body.code).toBe('INVALID_FORM_DATA');
+    expect((await regenerateWith({ nutritionalTargets: {} })).body.code).toBe('INVALID_TARGETS');
+  });
+
+  test('only accepts POST', async () => {
+    const res = createResponse();
+    await regenerate({ method: 'GET' }, res);
+    expect(res.statusCode).toBe(405);
+  });
+});
+
+describe('Regenerate - rebuildShoppingList', () => {
+  const rice = product('Rice 1kg', 'rice-1', 3, '1kg');
+  const chicken = product('Chicken Breast 500g', 'chicken-1', 7, '500g');
+  const previousResults = {
+    white_rice: { ...discovery('rice-1', [rice]), normalizedKey: 'white_rice', requested_total_g: 1500, purchase: { units: 2 } },
+    salmon: discovery('salmon-1', [product('Salmon 250g', 'salmon-1', 9, '250g')]),
+  };
+  const newResultsMap = new Map([['chicken_breast', discovery('chicken-1', [chicken])]]);
+  const newPriceDataMap = new Map([['chicken_breast', { price: 7 }]]);
+  const pantryMap = normalizePantry([{ key: 'olive_oil', quantity: 500, unit: 'ml' }], noopLog);
+
+  const rebuild = () => regenerate.rebuildShoppingList(mealPlan(), null, previousResults, newResultsMap, newPriceDataMap, pantryMap, noopLog);
+
+  test('reuses previous results and re-plans their purchase for the new grams', () => {
+    const { results } = rebuild();
+    expect(results.white_rice.currentSelectionURL).toBe('rice-1');
+    expect(results.white_rice.totalGramsRequired).toBe(150);
+    expect(results.white_rice.purchase).toMatchObject({ units: 1, totalCost: 3 });
+    expect(results.white_rice.dayRefs).toEqual([1]);
+  });
+
+  test('adds new market results with their price data', () => {
+    const { results } = rebuild();
+    expect(results.chicken_breast).toMatchObject({ source: 'discovery', currentSelectionURL: 'chicken-1', price: 7, totalGramsRequired: 200 });
+    expect(results.chicken_breast.purchase.totalCost).toBe(7);
+  });
+
+  test('covers pantry stock and drops ingredients no meal uses', () => {
+    const { results, uniqueIngredients } = rebuild();
+    expect(results.olive_oil).toMatchObject({ source: 'pantry', pantryCovered: true });
+    expect(results.salmon).toBeUndefined();
+    expect(uniqueIngredients.map(item => item.normalizedKey).sort()).toEqual(['chicken_breast', 'olive_oil', 'white_rice']);
+  });
+
+  test('omits new ingredients without a market result', () => {
+    const { results } = regenerate.rebuildShoppingList(mealPlan(), null, {}, new Map(), new Map(), new Map(), noopLog);
+    expect(Object.keys(results)).toEqual([]);
+  });
+});
+
+describe('Regenerate - buildMarketPlan', () => {
+  test('attaches product rules and allergens to the market plan', async () => {
+    const productRules = normalizeProductRules([{ kind: 'brand', value: 'a2', mode: 'never', ingredient: 'milk' }]);
+    const plan = await buildMarketPlan(
+      [{ originalIngredient: 'full cream milk', normalizedKey: 'full_cream_milk', requested_total_g: 500, dayRefs: new Set([1]) }],
+      [{ originalIngredient: 'full cream milk', normalQuery: 'full cream milk', requiredWords: ['milk'], allowedCategories: ['dairy'] }],
+      'Coles', noopLog, { allergens: ['gluten'], productRules, userId: null }
+    );
+    expect(plan).toHaveLength(1);
+    expect(plan[0]).toMatchObject({ store: 'Coles', totalGramsRequired: 500, excludedAllergens: ['gluten'], productRules });
+  });
+});
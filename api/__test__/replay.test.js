@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for Plan Record-and-Replay
+ * File: api/__test__/replay.test.js
+ *
+ * Covers:
+ * 1. diffFinalData: macros, meal portions, selected products and cost
+ * 2. replayable / wrapLlmFetch serving bundles, recording and reporting misses
+ * 3. finishSession writing bundles (CHEFFY_RECORD_DIR)
+ *
+ * Run: npm test api/__test__/replay.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  withRecording,
+  withReplay,
+  replayable,
+  wrapLlmFetch,
+  finishSession,
+  planCost,
+  diffFinalData,
+} = require('../../utils/replay.js');
+const { hashLlmRequest } = require('../../utils/offline.js');
+
+const product = (name, url, price) => ({ name, url, price });
+const discovery = (selectedUrl, totalCost, allProducts) => ({
+  source: 'discovery',
+  currentSelectionURL: selectedUrl,
+  purchase: { units: 1, totalCost },
+  allProducts,
+});
+
+const rice = [product('Rice 1kg', 'rice-1', 3), product('Rice 2kg', 'rice-2', 5)];
+
+function finalData() {
+  return {
+    mealPlan: [{
+      dayNumber: 1,
+      totals: { calories: 2000, protein: 150, fat: 70, carbs: 195, fiber: 30 },
+      meals: [
+        { name: 'Rice Bowl', items: [{ key: 'white_rice', qty: 150, unit: 'g' }, { key: 'chicken_breast', qty: 200, unit: 'g' }] },
+        { name: 'Oats', items: [{ key: 'rolled_oats', qty: 80, unit: 'g' }] },
+      ],
+    }],
+    results: {
+      white_rice: discovery('rice-1', 3, rice),
+      salt: { source: 'pantry' },
+    },
+  };
+}
+
+describe('Replay - diffFinalData', () => {
+  test('an identical plan is unchanged', () => {
+    expect(diffFinalData(finalData(), finalData())).toEqual({ changed: false, cost: null, days: [], products: [] });
+  });
+
+  test('reports macro and portion changes per day', () => {
+    const after = finalData();
+    after.mealPlan[0].totals.calories = 2050.04;
+    after.mealPlan[0].meals[0].items[0].qty = 180;
+    after.mealPlan[0].meals[0].items[1].qty = 200.02;
+    after.mealPlan[0].meals[1].items.push({ key: 'banana', qty: 120, unit: 'g' });
+
+    const diff = diffFinalData(finalData(), after);
+    expect(diff.changed).toBe(true);
+    expect(diff.days).toEqual([{
+      dayNumber: 1,
+      macros: { calories: { before: 2000, after: 2050, diff: 50 } },
+      meals: [
+        { meal: 'Rice Bowl', item: 'white_rice', before: '150g', after: '180g' },
+        { meal: 'Oats', item: 'banana', change: 'added' },
+      ],
+    }]);
+  });
+
+  test('reports added and removed meals', () => {
+    const after = finalData();
+    after.mealPlan[0].meals.pop();
+    expect(diffFinalData(finalData(), after).days[0].meals).toEqual([{ meal: 'Oats', change: 'removed' }]);
+  });
+
+  test('reports product switches and the cost difference', () => {
+    const after = finalData();
+    after.results.white_rice = discovery('rice-2', 5, rice);
+    after.results.salt = discovery('salt-1', 1.2, [product('Sea Salt', 'salt-1', 1.2)]);
+
+    const diff = diffFinalData(finalData(), after);
+    expect(diff.days).toEqual([]);
+    expect(diff.products).toEqual([
+      { key: 'white_rice', before: { product: 'Rice 1kg', source: 'discovery', cost: 3 }, after: { product: 'Rice 2kg', source: 'discovery', cost: 5 } },
+      { key: 'salt', before: { product: null, source: 'pantry', cost: 0 }, after: { product: 'Sea Salt', source: 'discovery', cost: 1.2 } },
+    ]);
+    expect(diff.cost).toEqual({ before: 3, after: 6.2, diff: 3.2 });
+  });
+
+  test('plan cost sums discovery purchases only', () => {
+    expect(planCost(finalData())).toBe(3);
+    expect(planCost(null)).toBe(0);
+  });
+});
+
+describe('Replay - Sessions', () => {
+  const bundle = () => ({ request: {}, llm: {}, prices: {}, nutrition: {}, kv: {}, finalData: null });
+
+  test('passes through outside a session', async () => {
+    expect(await replayable('prices', 'Coles|rice|1', async () => 'live')).toBe('live');
+    expect(finishSession('run', {}, null)).toBeNull();
+  });
+
+  test('serves recorded entries as copies and reports misses', async () => {
+    const recorded = bundle();
+    recorded.prices['Coles|rice|1'] = { products: ['Rice 1kg'] };
+    const live = jest.fn(async () => ({ products: ['live'] }));
+
+    const { result, session } = await withReplay(recorded, async () => {
+      const hit = await replayable('prices', 'Coles|rice|1', live);
+      hit.products.push('mutated');
+      const miss = await replayable('nutrition', 'lookup|rice', live);
+      finishSession('run', { mealPlan: [] }, null);
+      return { hit, miss };
+    });
+
+    expect(result.hit.products).toEqual(['Rice 1kg', 'mutated']);
+    expect(recorded.prices['Coles|rice|1']).toEqual({ products: ['Rice 1kg'] });
+    expect(result.miss).toEqual({ products: ['live'] });
+    expect(live).toHaveBeenCalledTimes(1);
+    expect(session.misses).toEqual([{ kind: 'nutrition', key: 'lookup|rice' }]);
+    expect(session.finalData).toEqual({ mealPlan: [] });
+  });
+
+  test('replays LLM responses by request hash', async () => {
+    const url = 'https://example.test/v1/chat/completions';
+    const body = JSON.stringify({ model: 'gpt-4.1', messages: [] });
+    const recorded = bundle();
+    recorded.llm[hashLlmRequest(url, body)] = { endpoint: url, response: { id: 'recorded' } };
+    const liveFetch = jest.fn(async () => new Response('{"id":"live"}', { status: 200 }));
+    const fetchLlm = wrapLlmFetch(liveFetch);
+
+    const { result, session } = await withReplay(recorded, async () => {
+      const hit = await (await fetchLlm(url, { method: 'POST', body })).json();
+      const miss = await (await fetchLlm(url, { method: 'POST', body: '{"other":true}' })).json();
+      return { hit, miss };
+    });
+
+    expect(result).toEqual({ hit: { id: 'recorded' }, miss: { id: 'live' } });
+    expect(liveFetch).toHaveBeenCalledTimes(1);
+    expect(session.misses.map(m => m.kind)).toEqual(['llm']);
+  });
+});
+
+describe('Replay - Recording', () => {
+  let recordDir;
+
+  beforeEach(() => {
+    recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cheffy-replay-'));
+    process.env.CHEFFY_RECORD_DIR = recordDir;
+  });
+
+  afterEach(() => {
+    delete process.env.CHEFFY_RECORD_DIR;
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  });
+
+  test('writes one bundle per run with what the sources returned', async () => {
+    const url = 'https://example.test/v1/chat/completions';
+    const body = '{"prompt":"plan"}';
+    const fetchLlm = wrapLlmFetch(async () => new Response('{"id":"answer"}', { status: 200 }));
+
+    const bundlePath = await withRecording({ formData: { store: 'Coles' } }, async () => {
+      const prices = await replayable('prices', 'Coles|rice|1', async () => ({ products: ['Rice 1kg'] }));
+      prices.products.length = 0;
+      await fetchLlm(url, { method: 'POST', body });
+      return finishSession('run-1', { mealPlan: [] }, null);
+    });
+
+    expect(bundlePath).toBe(path.join(recordDir, 'run-1.json'));
+    const written = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+    expect(written._meta.run_id).toBe('run-1');
+    expect(written.request).toEqual({ formData: { store: 'Coles' } });
+    expect(written.prices).toEqual({ 'Coles|rice|1': { products: ['Rice 1kg'] } });
+    expect(written.llm[hashLlmRequest(url, body)]).toEqual({ endpoint: url, response: { id: 'answer' } });
+    expect(written.finalData).toEqual({ mealPlan: [] });
+  });
+
+  test('does not record without CHEFFY_RECORD_DIR', async () => {
+    delete process.env.CHEFFY_RECORD_DIR;
+    expect(await withRecording({}, async () => finishSession('run-2', {}, null))).toBeNull();
+  });
+});
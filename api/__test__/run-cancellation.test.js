@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for Plan Run Cancellation
+ * File: api/__test__/run-cancellation.test.js
+ *
+ * Covers:
+ * 1. Per-run cancellation scopes (signal, linkRunSignal, isCancellation)
+ * 2. watchCancelFlag polling the KV flag and check()
+ * 3. concurrentlyMap starting no new items once the run is cancelled, and
+ *    logging failed items but not aborted ones
+ * 4. concurrentlyMapMealsByDay settling each day on its own
+ *
+ * Run: npm test api/__test__/run-cancellation.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const {
+  RunCancelledError,
+  cancelFlagKey,
+  withCancellation,
+  getRunSignal,
+  linkRunSignal,
+  isRunCancelled,
+  throwIfCancelled,
+  isCancellation,
+  watchCancelFlag,
+} = require('../../utils/run-cancellation.js');
+const { concurrentlyMap, concurrentlyMapMealsByDay } = require('../plan/generate-full-plan.js');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Run Cancellation - Scopes', () => {
+  test('has no signal outside a run', () => {
+    expect(getRunSignal()).toBeUndefined();
+    expect(isRunCancelled()).toBe(false);
+    expect(() => throwIfCancelled()).not.toThrow();
+    const own = new AbortController().signal;
+    expect(linkRunSignal(own)).toBe(own);
+  });
+
+  test('gives each run its own signal', async () => {
+    const signals = await Promise.all([
+      withCancellation(async () => { await tick(); return getRunSignal(); }),
+      withCancellation(async () => { await tick(); return getRunSignal(); }),
+    ]);
+    expect(signals[0]).toBeDefined();
+    expect(signals[0]).not.toBe(signals[1]);
+  });
+
+  test('links a fetch timeout signal to the run signal', async () => {
+    await withCancellation(async () => {
+      const watch = watchCancelFlag(async () => true, 60000);
+      const timeout = new AbortController();
+      const linked = linkRunSignal(timeout.signal);
+      expect(linked.aborted).toBe(false);
+      await expect(watch.check()).rejects.toBeInstanceOf(RunCancelledError);
+      expect(linked.aborted).toBe(true);
+      watch.stop();
+    });
+  });
+
+  test('keys the flag by run id', () => {
+    expect(cancelFlagKey('abc-123')).toBe('cheffy:run:abc-123:cancel');
+  });
+});
+
+describe('Run Cancellation - watchCancelFlag', () => {
+  test('check() passes while the flag is unset', async () => {
+    await withCancellation(async () => {
+      const isFlagSet = jest.fn(async () => false);
+      const watch = watchCancelFlag(isFlagSet, 60000);
+      await expect(watch.check()).resolves.toBeUndefined();
+      expect(isFlagSet).toHaveBeenCalledTimes(1);
+      expect(isRunCancelled()).toBe(false);
+      watch.stop();
+    });
+  });
+
+  test('aborts the run once the flag is set', async () => {
+    await withCancellation(async () => {
+      const watch = watchCancelFlag(async () => true, 60000);
+      await expect(watch.check()).rejects.toMatchObject({ code: 'RUN_CANCELLED' });
+      expect(isRunCancelled()).toBe(true);
+      expect(() => throwIfCancelled()).toThrow(RunCancelledError);
+      expect(isCancellation(new Error('AbortError'))).toBe(true);
+      watch.stop();
+    });
+  });
+
+  test('polls in the background and stops polling on stop()', async () => {
+    await withCancellation(async () => {
+      let polls = 0;
+      const watch = watchCancelFlag(async () => ++polls >= 2, 5);
+      await tick(40);
+      expect(isRunCancelled()).toBe(true);
+      watch.stop();
+      const pollsAtStop = polls;
+      await tick(30);
+      expect(polls).toBe(pollsAtStop);
+    });
+  });
+
+  test('keeps running when the flag read fails', async () => {
+    await withCancellation(async () => {
+      const watch = watchCancelFlag(async () => { throw new Error('KV down'); }, 60000);
+      await expect(watch.check()).resolves.toBeUndefined();
+      expect(isRunCancelled()).toBe(false);
+      watch.stop();
+    });
+  });
+
+  test('is a no-op outside a run', async () => {
+    const isFlagSet = jest.fn(async () => true);
+    const watch = watchCancelFlag(isFlagSet, 5);
+    await expect(watch.check()).resolves.toBeUndefined();
+    expect(isFlagSet).not.toHaveBeenCalled();
+    watch.stop();
+  });
+
+  test('only errors from a cancelled run count as cancellations', async () => {
+    expect(isCancellation(new RunCancelledError())).toBe(true);
+    await withCancellation(async () => {
+      expect(isCancellation(new Error('HTTP 500'))).toBe(false);
+    });
+  });
+});
+
+describe('Run Cancellation - concurrentlyMap', () => {
+  test('maps every item when the run is not cancelled', async () => {
+    const results = await withCancellation(() => concurrentlyMap([1, 2, 3, 4], 2, async (n) => n * 2));
+    expect(results).toEqual([2, 4, 6, 8]);
+  });
+
+  test('starts no new items after cancellation and rejects', async () => {
+    const started = [];
+    const run = withCancellation(async () => {
+      const watch = watchCancelFlag(async () => started.length >= 2, 60000);
+      try {
+        return await concurrentlyMap([1, 2, 3, 4, 5, 6], 2, async (n) => {
+          started.push(n);
+          await tick(5);
+          await watch.check();
+          return n;
+        });
+      } finally {
+        watch.stop();
+      }
+    });
+
+    await expect(run).rejects.toBeInstanceOf(RunCancelledError);
+    expect(started).toEqual([1, 2]);
+  });
+
+  test('rejects instead of returning aborted items as results', async () => {
+    const run = withCancellation(async () => {
+      const watch = watchCancelFlag(async () => true, 60000);
+      return concurrentlyMap([1, 2], 5, async (n) => {
+        if (n === 2) await watch.check().catch(() => {});
+        await tick(5);
+        throw new Error('This operation was aborted');
+      }).finally(() => watch.stop());
+    });
+    await expect(run).rejects.toBeInstanceOf(RunCancelledError);
+  });
+
+  describe('error logging', () => {
+    let consoleError;
+
+    beforeEach(() => {
+      consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+    });
+
+    test('logs a failed item and returns it as an _error object', async () => {
+      const results = await withCancellation(() => concurrentlyMap([{ name: 'rice' }], 2, async () => {
+        throw new Error('HTTP 500');
+      }));
+      expect(results).toEqual([{ _error: true, message: 'HTTP 500', itemKey: 'rice' }]);
+      expect(consoleError).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not log items aborted by a cancellation', async () => {
+      const run = withCancellation(async () => {
+        const watch = watchCancelFlag(async () => true, 60000);
+        return concurrentlyMap([1, 2, 3], 3, async (n) => {
+          if (n === 1) await watch.check().catch(() => {});
+          await tick(5);
+          throw n === 3 ? new RunCancelledError() : new Error('This operation was aborted');
+        }).finally(() => watch.stop());
+      });
+      await expect(run).rejects.toBeInstanceOf(RunCancelledError);
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Run Cancellation - concurrentlyMapMealsByDay', () => {
+  const meals = [
+    { name: 'Oats', _dayNumber: 1, ms: 5 },
+    { name: 'Wrap', _dayNumber: 1, ms: 5 },
+    { name: 'Curry', _dayNumber: 2, ms: 60 },
+  ];
+
+  test('settles a day as soon as its own meals are done', async () => {
+    await withCancellation(async () => {
+      const byDay = concurrentlyMapMealsByDay(meals, 3, async (meal) => { await tick(meal.ms); return meal.name; });
+      let allDone = false;
+      byDay.all.then(() => { allDone = true; });
+      await expect(byDay.forDay(1)).resolves.toEqual(['Oats', 'Wrap']);
+      expect(allDone).toBe(false);
+      await expect(byDay.forDay(2)).resolves.toEqual(['Curry']);
+      await expect(byDay.forDay(3)).resolves.toEqual([]);
+    });
+  });
+
+  test('leaves failed meals out of their day', async () => {
+    await withCancellation(async () => {
+      const byDay = concurrentlyMapMealsByDay(meals, 3, async (meal) => {
+        if (meal.name === 'Wrap') throw new Error('HTTP 500');
+        return meal.name;
+      });
+      await expect(byDay.forDay(1)).resolves.toEqual(['Oats']);
+    });
+  });
+
+  test('rejects an unfinished day when the run is cancelled', async () => {
+    const run = withCancellation(async () => {
+      const watch = watchCancelFlag(async () => true, 60000);
+      try {
+        const byDay = concurrentlyMapMealsByDay(meals, 1, async (meal) => {
+          await tick(meal.ms);
+          if (meal.name === 'Oats') await watch.check();
+          return meal.name;
+        });
+        return await byDay.forDay(2);
+      } finally {
+        watch.stop();
+      }
+    });
+    await expect(run).rejects.toBeInstanceOf(RunCancelledError);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit Tests for Specials-Driven Planning
+ * File: api/__test__/specials.test.js
+ *
+ * Covers:
+ * 1. Product names -> ingredient keys
+ * 2. loadSpecialsPlan from a store specials list vs price history only (storeList flag)
+ * 3. summarizeSpecialsSavings carrying storeList into the report
+ *
+ * Run: npm test api/__test__/specials.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const { registerStoreAdapter } = require('../../utils/stores');
+const { ingredientKeyFor, loadSpecialsPlan, summarizeSpecialsSavings } = require('../../utils/specials.js');
+
+const noopLog = () => {};
+
+describe('Specials - ingredientKeyFor', () => {
+  test('drops store words and snaps to a hot-path key', () => {
+    expect(ingredientKeyFor('Coles Atlantic Salmon Fillets', ['Coles'])).toBe('salmon');
+  });
+
+  test('returns null for an empty name', () => {
+    expect(ingredientKeyFor('')).toBeNull();
+  });
+});
+
+describe('Specials - loadSpecialsPlan', () => {
+  beforeAll(() => {
+    registerStoreAdapter({
+      id: 'NoList',
+      search: async () => ({ results: [] }),
+      normalizeProduct: () => null,
+    });
+  });
+
+  test('uses the store specials list when the adapter has one', async () => {
+    const plan = await loadSpecialsPlan('Coles', noopLog);
+    expect(plan.storeList).toBe(true);
+    expect(plan.specials.length).toBeGreaterThan(0);
+    expect(plan.specials.every(s => s.source === 'store' && s.regularPrice > s.price)).toBe(true);
+    expect(plan.candidates.length).toBeGreaterThan(0);
+  });
+
+  test('flags stores without a specials list', async () => {
+    const plan = await loadSpecialsPlan('NoList', noopLog);
+    expect(plan).toEqual({ store: 'NoList', storeList: false, specials: [], candidates: [] });
+    expect(summarizeSpecialsSavings({}, plan)).toEqual({ store: 'NoList', storeList: false, candidates: [], used: [], totalSaving: 0 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Cross-Store Price Comparison
+ * File: api/__test__/store-comparison.test.js
+ *
+ * Covers:
+ * 1. Comparison mode + the compared store
+ * 2. Re-pointing the primary store's queries at the other store
+ * 3. Single-store baskets, the optimal split and the recommendation
+ * 4. Building the live basket from the recommendation
+ *
+ * Run: npm test api/__test__/store-comparison.test.js
+ */
+
+const {
+  SPLIT_MIN_SAVING,
+  isComparisonMode,
+  otherStoreFor,
+  retargetQuery,
+  retargetIngredientPlan,
+  summarizeBasket,
+  compareStores,
+  selectBasket,
+} = require('../../utils/store-comparison.js');
+
+const offer = (key, store, totalCost) => ({
+  source: 'discovery',
+  normalizedKey: key,
+  originalIngredient: key,
+  store,
+  purchase: { totalCost },
+});
+
+const basket = (store, prices) => new Map(Object.entries(prices).map(([key, cost]) => [
+  key,
+  cost === null ? { source: 'failed', normalizedKey: key, originalIngredient: key, store } : offer(key, store, cost),
+]));
+
+describe('Store Comparison - Mode', () => {
+  test('only compares supported stores in compare mode', () => {
+    expect(isComparisonMode({ storeMode: 'compare', store: 'Coles' })).toBe(true);
+    expect(isComparisonMode({ storeMode: 'compare', store: 'Aldi' })).toBe(false);
+    expect(isComparisonMode({ store: 'Coles' })).toBe(false);
+  });
+
+  test('compares against the other store', () => {
+    expect(otherStoreFor('Coles')).toBe('Woolworths');
+    expect(otherStoreFor('Woolworths')).toBe('Coles');
+  });
+});
+
+describe('Store Comparison - Query Retargeting', () => {
+  test('swaps the store prefix and keeps its case', () => {
+    expect(retargetQuery('coles eggs', 'Coles', 'Woolworths')).toBe('woolworths eggs');
+    expect(retargetQuery('Coles Free Range Eggs 700g', 'Coles', 'Woolworths')).toBe('Woolworths Free Range Eggs 700g');
+  });
+
+  test('leaves queries without the store name alone', () => {
+    expect(retargetQuery('free range eggs', 'Coles', 'Woolworths')).toBe('free range eggs');
+    expect(retargetQuery('colesworth eggs', 'Coles', 'Woolworths')).toBe('colesworth eggs');
+    expect(retargetQuery(null, 'Coles', 'Woolworths')).toBeNull();
+  });
+
+  test('re-points every query and the store of an ingredient plan', () => {
+    const [ingredient] = retargetIngredientPlan([{
+      originalIngredient: 'eggs',
+      store: 'Coles',
+      tightQuery: 'coles free range eggs 12 pack',
+      normalQuery: 'coles eggs',
+      wideQuery: null,
+      requiredWords: ['eggs'],
+    }], 'Coles', 'Woolworths');
+
+    expect(ingredient).toMatchObject({
+      store: 'Woolworths',
+      tightQuery: 'woolworths free range eggs 12 pack',
+      normalQuery: 'woolworths eggs',
+      wideQuery: null,
+      requiredWords: ['eggs'],
+    });
+  });
+});
+
+describe('Store Comparison - Baskets', () => {
+  test('summarizes a single-store basket, ignoring pantry items', () => {
+    const results = basket('Coles', { eggs: 6.5, rice: 3, saffron: null });
+    results.set('salt', { source: 'pantry', normalizedKey: 'salt' });
+    expect(summarizeBasket(results)).toEqual({ total: 9.5, itemCount: 2, missing: ['saffron'] });
+  });
+
+  test('recommends the cheapest single store when a split saves little', () => {
+    const { report, assignments } = compareStores({
+      Coles: basket('Coles', { eggs: 6, rice: 3 }),
+      Woolworths: basket('Woolworths', { eggs: 8, rice: 2 }),
+    });
+
+    expect(report.cheapestStore).toBe('Coles');
+    expect(report.split.saving).toBe(1);
+    expect(report.split.saving).toBeLessThan(SPLIT_MIN_SAVING);
+    expect(report.recommended).toBe('single');
+    expect(report.recommendedStore).toBe('Coles');
+    expect([...assignments.values()]).toEqual(['Coles', 'Coles']);
+  });
+
+  test('recommends a split when it saves enough', () => {
+    const resultsByStore = {
+      Coles: basket('Coles', { beef: 20, rice: 3 }),
+      Woolworths: basket('Woolworths', { beef: 12, rice: 9 }),
+    };
+    const { report, assignments } = compareStores(resultsByStore);
+
+    expect(report.cheapestStore).toBe('Woolworths');
+    expect(report.recommended).toBe('split');
+    expect(report.recommendedStore).toBeNull();
+    expect(report.split.total).toBe(15);
+    expect(assignments.get('beef')).toBe('Woolworths');
+    expect(assignments.get('rice')).toBe('Coles');
+
+    const selected = selectBasket(resultsByStore, assignments, 'Coles');
+    expect(selected.get('beef').store).toBe('Woolworths');
+    expect(selected.get('rice').store).toBe('Coles');
+  });
+
+  test('prefers the store with fewer missing items over a cheaper total', () => {
+    const resultsByStore = {
+      Coles: basket('Coles', { eggs: 5, tahini: null }),
+      Woolworths: basket('Woolworths', { eggs: 9, tahini: 7 }),
+    };
+    const { report, assignments } = compareStores(resultsByStore);
+
+    expect(report.stores.Coles.missing).toEqual(['tahini']);
+    expect(report.cheapestStore).toBe('Woolworths');
+    expect(report.recommended).toBe('single');
+    expect(assignments.get('eggs')).toBe('Woolworths');
+
+    const selected = selectBasket(resultsByStore, assignments, 'Coles');
+    expect(selected.get('tahini').source).toBe('discovery');
+    expect(selected.get('eggs').store).toBe('Woolworths');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for Substitution Feedback Learning
+ * File: api/__test__/substitution-feedback.test.js
+ *
+ * Covers:
+ * 1. feedbackAdjustment (preferred / rejected products, preferred brands)
+ * 2. preferencesFor net and brand aggregation
+ * 3. recordFeedback with the offline in-memory KV, incl. trimming to
+ *    MAX_PRODUCTS_PER_INGREDIENT / MAX_INGREDIENTS
+ * 4. resolveRequestUserId ignoring the body's userId when auth is configured
+ *
+ * Run: npm test api/__test__/substitution-feedback.test.js
+ */
+
+process.env.CHEFFY_OFFLINE = '1';
+
+const {
+  PREFERRED_BOOST,
+  REJECTED_PENALTY,
+  BRAND_BOOST,
+  MAX_PRODUCTS_PER_INGREDIENT,
+  MAX_INGREDIENTS,
+  feedbackProductId,
+  getFeedback,
+  recordFeedback,
+  preferencesFor,
+  feedbackAdjustment,
+} = require('../../utils/substitution-feedback.js');
+const { resolveRequestUserId } = require('../../utils/firebase-auth.js');
+
+const product = (name, brand, url = `https://store.test/${name.replace(/\s/g, '-')}`) => ({ name, brand, url });
+
+describe('Substitution Feedback - feedbackAdjustment', () => {
+  const a2 = product('a2 Milk 2L', 'a2');
+  const devondale = product('Devondale Milk 2L', 'Devondale');
+  const preferences = {
+    products: { [feedbackProductId(a2)]: 2, [feedbackProductId(devondale)]: -1 },
+    brands: { a2: 2, devondale: 1 },
+  };
+
+  test('boosts preferred and penalises rejected products', () => {
+    expect(feedbackAdjustment(preferences, a2)).toEqual({ adjustment: PREFERRED_BOOST, reason: 'preferred' });
+    expect(feedbackAdjustment(preferences, devondale)).toEqual({ adjustment: -REJECTED_PENALTY, reason: 'rejected' });
+  });
+
+  test('boosts unknown products of a brand accepted twice', () => {
+    expect(feedbackAdjustment(preferences, product('a2 Milk Lite 1L', 'A2'))).toEqual({ adjustment: BRAND_BOOST, reason: 'preferred_brand' });
+    expect(feedbackAdjustment(preferences, product('Devondale Milk 1L', 'Devondale')).adjustment).toBe(0);
+  });
+
+  test('does nothing without preferences', () => {
+    expect(feedbackAdjustment(null, a2)).toEqual({ adjustment: 0, reason: null });
+  });
+});
+
+describe('Substitution Feedback - preferencesFor', () => {
+  const doc = {
+    ingredients: {
+      milk: {
+        'url:a': { name: 'a2 Milk 2L', brand: 'a2', accepts: 3, rejects: 1 },
+        'url:b': { name: 'a2 Milk Lite 1L', brand: 'A2', accepts: 1, rejects: 1 },
+        'url:c': { name: 'Devondale Milk 2L', brand: 'Devondale', accepts: 0, rejects: 2 },
+      },
+    },
+  };
+
+  test('nets accepts against rejects per product', () => {
+    const prefs = preferencesFor(doc, 'milk');
+    expect(prefs.products).toEqual({ 'url:a': 2, 'url:b': 0, 'url:c': -2 });
+    expect(prefs.preferred.map(p => p.productId)).toEqual(['url:a']);
+    expect(prefs.rejected.map(p => p.productId)).toEqual(['url:c']);
+  });
+
+  test('sums accepts per lower-cased brand', () => {
+    expect(preferencesFor(doc, 'milk').brands).toEqual({ a2: 4 });
+  });
+
+  test('returns null for unknown ingredients', () => {
+    expect(preferencesFor(doc, 'eggs')).toBeNull();
+    expect(preferencesFor(null, 'milk')).toBeNull();
+  });
+});
+
+describe('Substitution Feedback - recordFeedback', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // recordFeedback orders entries by lastAt
+  const tick = () => jest.setSystemTime(Date.now() + 1000);
+
+  test('records an accept and a reject and returns the learned preferences', async () => {
+    const a2 = product('a2 Milk 2L', 'a2');
+    const devondale = product('Devondale Milk 2L', 'Devondale');
+    const prefs = await recordFeedback('user_record', { store: 'Coles', ingredientKey: 'milk', accepted: a2, rejected: devondale });
+
+    expect(prefs.products).toEqual({ [feedbackProductId(a2)]: 1, [feedbackProductId(devondale)]: -1 });
+    expect((await getFeedback('user_record', 'coles')).ingredients.milk[feedbackProductId(a2)]).toMatchObject({ accepts: 1, rejects: 0 });
+  });
+
+  test('ignores invalid users and products without an id', async () => {
+    expect(await recordFeedback('user:bad', { store: 'Coles', ingredientKey: 'milk', accepted: product('Milk', null) })).toBeNull();
+    expect(await recordFeedback('user_noid', { store: 'Coles', ingredientKey: 'milk', accepted: {} })).toBeNull();
+  });
+
+  test('keeps the most recent MAX_PRODUCTS_PER_INGREDIENT products', async () => {
+    for (let i = 0; i < MAX_PRODUCTS_PER_INGREDIENT + 2; i++) {
+      await recordFeedback('user_products', { store: 'Coles', ingredientKey: 'milk', accepted: product(`Milk ${i}`, null) });
+      tick();
+    }
+    const products = (await getFeedback('user_products', 'Coles')).ingredients.milk;
+    expect(Object.keys(products)).toHaveLength(MAX_PRODUCTS_PER_INGREDIENT);
+    expect(products[feedbackProductId(product('Milk 0', null))]).toBeUndefined();
+    expect(products[feedbackProductId(product('Milk 1', null))]).toBeUndefined();
+    expect(products[feedbackProductId(product(`Milk ${MAX_PRODUCTS_PER_INGREDIENT + 1}`, null))]).toBeDefined();
+  });
+
+  test('keeps the most recently used MAX_INGREDIENTS ingredients', async () => {
+    for (let i = 0; i < MAX_INGREDIENTS + 1; i++) {
+      await recordFeedback('user_ingredients', { store: 'Coles', ingredientKey: `ingredient_${i}`, accepted: product(`Product ${i}`, null) });
+      tick();
+    }
+    const { ingredients } = await getFeedback('user_ingredients', 'Coles');
+    expect(Object.keys(ingredients)).toHaveLength(MAX_INGREDIENTS);
+    expect(ingredients.ingredient_0).toBeUndefined();
+    expect(ingredients[`ingredient_${MAX_INGREDIENTS}`]).toBeDefined();
+  });
+});
+
+describe('Substitution Feedback - resolveRequestUserId', () => {
+  afterEach(() => {
+    delete process.env.FIREBASE_PROJECT_ID;
+  });
+
+  test('uses the body userId only without auth', async () => {
+    expect(await resolveRequestUserId({ headers: {} }, 'user_1')).toBe('user_1');
+    expect(await resolveRequestUserId({ headers: {} }, 'user:1')).toBeNull();
+  });
+
+  test('ignores the body userId when auth is configured', async () => {
+    process.env.FIREBASE_PROJECT_ID = 'cheffy-test';
+    expect(await resolveRequestUserId({ headers: {} }, 'someone_else')).toBeNull();
+    expect(await resolveRequestUserId({ headers: { authorization: 'Bearer not-a-token' } }, 'someone_else')).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+// --- Cheffy API: /api/barcode.js ---
+// Products scanned in-store with the shopping list's barcode scanner.
+//
+// GET /api/barcode?code=9300633000000
+//     { barcode, label: { status, source, name, brand, servingUnit, calories, protein, fat, carbs } }
+//     label.status is 'not_found' when OpenFoodFacts has no usable label for the code.
+//
+// Matching the code against the shopping list and pinning it happen client-side
+// (the plan's products already carry `barcode`); pins go through /api/substitution-feedback.
+
+const { fetchProductLabel } = require('./nutrition-search');
+
+// EAN-13, EAN-8, UPC-A (12) and GTIN-14 share the same mod-10 check digit
+function isValidBarcode(code) {
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+}
+
+module.exports = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).send();
+    }
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: `Method ${req.method} Not Allowed.` });
+    }
+
+    try {
+        const code = String(req.query?.code || '').trim();
+        if (!isValidBarcode(code)) {
+            return res.status(400).json({ message: 'Provide a valid EAN-13, EAN-8 or UPC-A barcode.' });
+        }
+        const label = await fetchProductLabel(code);
+        return res.status(200).json({ barcode: code, label });
+    } catch (error) {
+        console.error('[barcode] Handler error:', error);
+        return res.status(500).json({ message: 'Internal server error in barcode handler.', details: error.message });
+    }
+};
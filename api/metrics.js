@@ -89,6 +89,29 @@ const METRIC_DEFINITIONS = {
     labels: []
   },
   
+  // LLM spend metrics (per plan run, from utils/llm-usage.js)
+  llm_calls_total: {
+    type: 'counter',
+    description: 'Total LLM responses received (fallbacks and repair turns included)',
+    labels: ['agent', 'model']
+  },
+  llm_tokens_total: {
+    type: 'counter',
+    description: 'Total LLM tokens',
+    labels: ['agent', 'model', 'direction'] // input, output
+  },
+  llm_cost_usd_total: {
+    type: 'counter',
+    description: 'Total LLM spend in USD at list prices',
+    labels: ['agent', 'model']
+  },
+  llm_plan_cost_usd: {
+    type: 'histogram',
+    description: 'LLM spend per generated plan in USD',
+    labels: ['days'],
+    buckets: [0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1]
+  },
+  
   // Reconciliation metrics
   reconciliation_factor: {
     type: 'gauge',
@@ -396,6 +419,26 @@ function recordPipelineStats(stats) {
   }
 }
 
+/**
+ * Records the LLM usage summary of one plan run
+ * 
+ * @param {Object} usage - summarizeUsage() result (utils/llm-usage.js)
+ * @param {number} [days] - Plan length; omitted for a slot regeneration, which
+ *   is counted but not observed as a plan cost
+ */
+function recordLLMUsage(usage, days) {
+  if (!usage) return;
+  
+  for (const { agent, model, calls, inputTokens, outputTokens, costUsd } of usage.breakdown || []) {
+    incrementCounter('llm_calls_total', { agent, model }, calls);
+    incrementCounter('llm_tokens_total', { agent, model, direction: 'input' }, inputTokens);
+    incrementCounter('llm_tokens_total', { agent, model, direction: 'output' }, outputTokens);
+    incrementCounter('llm_cost_usd_total', { agent, model }, costUsd);
+  }
+  
+  if (days) observeHistogram('llm_plan_cost_usd', { days: String(days) }, usage.costUsd || 0);
+}
+
 /**
  * Records an alert emission
  * 
@@ -608,6 +651,7 @@ module.exports = {
   setGauge,
   observeHistogram,
   recordPipelineStats,
+  recordLLMUsage,
   recordAlert,
   recordInvariantViolation,
   
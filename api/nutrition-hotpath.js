@@ -12,10 +12,15 @@
  * - Expanded Asian staples (dashi, mirin, miso, nori, wakame, teriyaki)
  * - Added Baking/Coating ingredients (flour, starch, panko, breadcrumbs)
  * - Added Curry/Spice mixes (curry_paste, garam_masala)
+ * * MICRONUTRIENTS:
+ * - HOT_PATH_MICROS adds sodium, sugar, saturated fat, iron, calcium,
+ *   potassium and vitamin C (see utils/micronutrients.js)
  * * Sources: AUSNUT 2011-13, USDA FoodData Central
  * All values validated and cross-referenced.
  */
 
+const { pickMicros } = require('../utils/micronutrients');
+
 /**
  * Top 150+ most common ingredients from production logs.
  * These ingredients appear in 90%+ of meal plans.
@@ -587,6 +592,135 @@ const HOT_PATH_NUTRITION = {
   },
 };
 
+/**
+ * Micronutrients per 100g, same keys and state as HOT_PATH_NUTRITION.
+ * Order: sodium mg, sugar g, saturated fat g, iron mg, calcium mg, potassium mg, vitamin C mg.
+ * Keys without an entry have unknown micronutrients (null), not zero.
+ * Source: USDA FoodData Central (SR Legacy) reference values.
+ */
+const micros = (sodium_mg, sugar_g, saturated_fat_g, iron_mg, calcium_mg, potassium_mg, vitamin_c_mg) =>
+  ({ sodium_mg, sugar_g, saturated_fat_g, iron_mg, calcium_mg, potassium_mg, vitamin_c_mg });
+
+const HOT_PATH_MICROS = {
+  // ===== PROTEINS =====
+  'chicken_breast': micros(74, 0, 1, 1, 15, 256, 0),
+  'chicken_thigh': micros(95, 0, 3, 1.3, 12, 269, 0),
+  'chicken': micros(74, 0, 1, 1, 15, 256, 0),
+  'ground_beef': micros(72, 0, 5.9, 2.6, 18, 318, 0),
+  'beef_mince': micros(72, 0, 5.9, 2.6, 18, 318, 0),
+  'ground_chicken': micros(60, 0, 2.3, 0.8, 6, 522, 0),
+  'ground_turkey': micros(69, 0, 2, 1.1, 21, 235, 0),
+  'ground_pork': micros(56, 0, 7.9, 0.9, 14, 287, 0.7),
+  'ground_lamb': micros(59, 0, 10.2, 1.6, 16, 222, 0),
+  'salmon': micros(59, 0, 3.1, 0.3, 9, 363, 3.9),
+  'egg': micros(142, 0.4, 3.1, 1.8, 56, 138, 0),
+  'bacon': micros(1717, 0, 13.9, 1.4, 11, 565, 0),
+  'tuna': micros(45, 0, 0.2, 0.8, 4, 441, 0),
+  'canned_tuna': micros(247, 0, 0.2, 1.5, 11, 237, 0),
+  'pork': micros(62, 0, 5, 0.9, 19, 423, 0.6),
+  'turkey_breast': micros(99, 0, 0.4, 0.7, 10, 249, 0),
+  'turkey': micros(99, 0, 0.4, 0.7, 10, 249, 0),
+  'white_fish': micros(54, 0, 0.2, 0.4, 16, 413, 1),
+  'lamb': micros(72, 0, 8.8, 1.9, 17, 310, 0),
+  'prawns': micros(111, 0, 0.1, 0.5, 70, 259, 0),
+  'tofu': micros(7, 0.6, 0.7, 5.4, 350, 121, 0.1),
+  'tempeh': micros(9, 0, 2.2, 2.7, 111, 412, 0),
+  'beef_steak': micros(60, 0, 7.3, 2.6, 18, 305, 0),
+  'edamame': micros(6, 2.2, 0.6, 2.3, 63, 436, 6.1),
+  // ===== CARBS =====
+  'white_rice': micros(5, 0.1, 0.2, 0.8, 28, 115, 0),
+  'jasmine_rice': micros(5, 0.1, 0.2, 0.8, 28, 115, 0),
+  'basmati_rice': micros(5, 0.1, 0.2, 0.8, 28, 115, 0),
+  'sushi_rice': micros(5, 0.1, 0.2, 0.8, 28, 115, 0),
+  'cooked_rice': micros(1, 0.1, 0.1, 0.2, 10, 35, 0),
+  'cooked_white_rice': micros(1, 0.1, 0.1, 0.2, 10, 35, 0),
+  'brown_rice': micros(7, 0.9, 0.5, 1.5, 23, 223, 0),
+  'cooked_brown_rice': micros(5, 0.4, 0.2, 0.4, 10, 43, 0),
+  'pasta': micros(6, 2.7, 0.3, 1.3, 21, 223, 0),
+  'rolled_oats': micros(6, 1, 1.1, 4.3, 52, 362, 0),
+  'oats': micros(6, 1, 1.1, 4.3, 52, 362, 0),
+  'quick_oats': micros(6, 1, 1.1, 4.3, 52, 362, 0),
+  'white_bread': micros(480, 5, 0.7, 3.6, 144, 126, 0),
+  'whole_wheat_bread': micros(450, 5.6, 0.7, 2.5, 163, 250, 0),
+  'whole_grain_bread': micros(450, 5.6, 0.7, 2.5, 163, 250, 0),
+  'potato': micros(6, 0.8, 0, 0.8, 12, 425, 19.7),
+  'sweet_potato': micros(55, 4.2, 0, 0.6, 30, 337, 2.4),
+  'quinoa': micros(5, 0, 0.7, 4.6, 47, 563, 0),
+  'couscous': micros(10, 0, 0.1, 1.1, 24, 166, 0),
+  'lentils': micros(6, 2, 0.2, 6.5, 35, 677, 4.5),
+  'red_lentils': micros(6, 2, 0.2, 6.5, 35, 677, 4.5),
+  'chickpeas': micros(24, 10.7, 0.6, 6.2, 105, 875, 4),
+  'black_beans': micros(5, 2.1, 0.4, 5, 123, 1483, 0),
+  'flour': micros(2, 0.3, 0.2, 1.2, 15, 107, 0),
+  'plain_flour': micros(2, 0.3, 0.2, 1.2, 15, 107, 0),
+  'breadcrumbs': micros(732, 6.2, 1.1, 4.8, 183, 196, 0),
+  // ===== FATS, NUTS & DAIRY =====
+  'olive_oil': micros(2, 0, 13.8, 0.6, 1, 1, 0),
+  'butter': micros(643, 0.1, 51.4, 0, 24, 24, 0),
+  'avocado': micros(7, 0.7, 2.1, 0.6, 12, 485, 10),
+  'peanut_butter': micros(426, 9.2, 10.1, 1.9, 49, 558, 0),
+  'almond_butter': micros(7, 4.4, 4.2, 3.5, 347, 748, 0),
+  'almonds': micros(1, 4.4, 3.8, 3.7, 269, 733, 0),
+  'walnuts': micros(2, 2.6, 6.1, 2.9, 98, 441, 1.3),
+  'cashews': micros(12, 5.9, 7.8, 6.7, 37, 660, 0.5),
+  'coconut_oil': micros(0, 0, 82.5, 0, 1, 0, 0),
+  'vegetable_oil': micros(0, 0, 14, 0, 0, 0, 0),
+  'canola_oil': micros(0, 0, 7.4, 0, 0, 0, 0),
+  'whole_milk': micros(43, 4.8, 1.9, 0, 113, 132, 0),
+  'skim_milk': micros(42, 5, 0.1, 0, 122, 156, 0),
+  'low_fat_milk': micros(44, 5, 0.6, 0, 120, 150, 0),
+  'cheddar': micros(621, 0.5, 19.4, 0.7, 721, 98, 0),
+  'mozzarella': micros(619, 1.1, 10.1, 0.2, 782, 95, 0),
+  'parmesan': micros(1529, 0.8, 19.1, 0.8, 1184, 125, 0),
+  'cottage_cheese': micros(364, 2.7, 1.7, 0.1, 83, 104, 0),
+  'feta': micros(1116, 4.1, 14.9, 0.7, 493, 62, 0),
+  'ricotta': micros(105, 0.3, 8.3, 0.4, 207, 105, 0),
+  'cream_cheese': micros(321, 3.2, 20.2, 0.1, 98, 138, 0),
+  'sour_cream': micros(80, 2.9, 11.7, 0.1, 101, 125, 0.9),
+  'yogurt': micros(46, 4.7, 2.1, 0.1, 121, 155, 0.5),
+  'greek_yogurt': micros(35, 4, 2.4, 0.1, 100, 141, 0),
+  'low_fat_yogurt': micros(70, 5.3, 1, 0.1, 183, 234, 0.8),
+  // ===== VEGETABLES & FRUIT =====
+  'broccoli': micros(33, 1.7, 0, 0.7, 47, 316, 89.2),
+  'spinach': micros(79, 0.4, 0.1, 2.7, 99, 558, 28.1),
+  'carrot': micros(69, 4.7, 0, 0.3, 33, 320, 5.9),
+  'tomato': micros(5, 2.6, 0, 0.3, 10, 237, 13.7),
+  'onion': micros(4, 4.2, 0, 0.2, 23, 146, 7.4),
+  'red_onion': micros(4, 4.2, 0, 0.2, 23, 146, 7.4),
+  'lettuce': micros(28, 0.8, 0, 0.9, 36, 194, 9.2),
+  'romaine_lettuce': micros(8, 1.2, 0, 1, 33, 247, 4),
+  'zucchini': micros(8, 2.5, 0.1, 0.4, 16, 261, 17.9),
+  'cucumber': micros(2, 1.7, 0, 0.3, 16, 147, 2.8),
+  'mushroom': micros(5, 2, 0, 0.5, 3, 318, 2.1),
+  'corn': micros(15, 6.3, 0.3, 0.5, 2, 270, 6.8),
+  'cabbage': micros(18, 3.2, 0, 0.5, 40, 170, 36.6),
+  'bell_pepper': micros(4, 4.2, 0, 0.4, 7, 211, 127.7),
+  'arugula': micros(27, 2.1, 0.1, 1.5, 160, 369, 15),
+  'green_onion': micros(16, 2.3, 0, 1.5, 72, 276, 18.8),
+  'celery': micros(80, 1.3, 0, 0.2, 40, 260, 3.1),
+  'asparagus': micros(2, 1.9, 0, 2.1, 24, 202, 5.6),
+  'cauliflower': micros(30, 1.9, 0.1, 0.4, 22, 299, 48.2),
+  'eggplant': micros(2, 3.5, 0, 0.2, 9, 229, 2.2),
+  'green_beans': micros(6, 3.3, 0, 1, 37, 211, 12.2),
+  'banana': micros(1, 12.2, 0.1, 0.3, 5, 358, 8.7),
+  'apple': micros(1, 10.4, 0, 0.1, 6, 107, 4.6),
+  'orange': micros(0, 9.4, 0, 0.1, 40, 181, 53.2),
+  'strawberry': micros(1, 4.9, 0, 0.4, 16, 153, 58.8),
+  'blueberry': micros(1, 10, 0, 0.3, 6, 77, 9.7),
+  'mango': micros(1, 13.7, 0.1, 0.2, 11, 168, 36.4),
+  'grape': micros(2, 15.5, 0.1, 0.4, 10, 191, 3.2),
+  'watermelon': micros(1, 6.2, 0, 0.2, 7, 112, 8.1),
+  'pear': micros(1, 9.8, 0, 0.2, 9, 116, 4.3),
+  'kiwi': micros(3, 9, 0, 0.3, 34, 312, 92.7),
+  // ===== SAUCES & SWEETENERS =====
+  'teriyaki_sauce': micros(3833, 14.2, 0, 1.7, 25, 225, 0),
+  'miso_paste': micros(3728, 6.2, 1, 2.5, 57, 210, 0),
+  'honey': micros(4, 82.1, 0, 0.4, 6, 52, 0.5),
+  'maple_syrup': micros(12, 60.5, 0, 0.1, 102, 212, 0),
+  'sugar': micros(1, 99.8, 0, 0, 1, 2, 0),
+  'brown_sugar': micros(28, 97, 0, 0.7, 83, 133, 0),
+};
+
 /**
  * Gets nutrition data from hot-path if available.
  * Returns null if not in hot-path (fallback to canonical/external).
@@ -607,6 +741,7 @@ function getHotPath(normalizedKey) {
     fat: data.fat,
     carbs: data.carbs,
     fiber: data.fiber,
+    ...pickMicros(HOT_PATH_MICROS[normalizedKey]),
     notes: data.notes || '',
     confidence: data.confidence,
     originalSource: data.source,
@@ -663,6 +798,7 @@ function getHotPathStats() {
 }
 
 module.exports = {
+  HOT_PATH_MICROS,
   getHotPath,
   isHotPath,
   getHotPathKeys,
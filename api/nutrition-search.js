@@ -5,10 +5,14 @@
 // Target: Decouple macro accuracy from market run product selection.
 
 const fetch = require('node-fetch');
-const { createClient } = require('@vercel/kv');
+const { createKvClient, isKvConfigured, isOfflineMode } = require('../utils/offline');
 
 // --- Hot-Path Module (Ultra-fast, top 50+ ingredients) ---
 const { getHotPath, isHotPath, getHotPathStats } = require('./nutrition-hotpath.js');
+// --- Micronutrients (sodium, sugar, saturated fat, iron, calcium, potassium, vitamin C) ---
+const { pickMicros } = require('../utils/micronutrients');
+// --- Record/replay of plan runs ---
+const { replayable } = require('../utils/replay');
 
 // --- Canonical Database ---
 let CANON_VERSION = '0.0.0-detached';
@@ -46,7 +50,7 @@ const KV_URL   = process.env.UPSTASH_REDIS_REST_URL || '';
 const KV_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || '';
 
 // --- Cache version includes both hot-path and canon version ---
-const CACHE_PREFIX = `nutri:v10:hot:cv:${CANON_VERSION}`; // Bumped to v10 for Phase 2
+const CACHE_PREFIX = `nutri:v11:hot:cv:${CANON_VERSION}`; // Bumped to v11: entries now carry micronutrients
 const TTL_FINAL_MS = 1000 * 60 * 60 * 24 * 7;  // 7 days
 const TTL_AVO_Q_MS = 1000 * 60 * 60 * 24 * 7;  // 7 days
 const TTL_AVO_U_MS = 1000 * 60 * 60 * 24 * 30; // 30 days
@@ -186,6 +190,7 @@ function getFallbackNutrition(query, log = console.log) {
     fat: fallback.fat,
     carbs: fallback.carbs,
     fiber: fallback.fiber,
+    ...pickMicros(null), // Unknown for generic categories
     confidence: fallback.confidence,
     inferredCategory: category,
     matchedKey: normalizedKey,
@@ -246,8 +251,8 @@ function resetPipelineStats() {
 }
 
 // ---------- KV + Memory cache ----------
-const kv = createClient({ url: KV_URL, token: KV_TOKEN });
-const kvReady = !!(KV_URL && KV_TOKEN);
+const kv = createKvClient({ url: KV_URL, token: KV_TOKEN });
+const kvReady = isKvConfigured();
 
 const mem = new Map();
 function memGet(key) { const x = mem.get(key); return x && x.exp > Date.now() ? x.v : null; }
@@ -547,6 +552,7 @@ function transformCanonToOutput(canonData, key) {
     fat: canonData.fat_g_per_100g,
     carbs: canonData.carb_g_per_100g,
     fiber: canonData.fiber_g_per_100g,
+    ...pickMicros(canonData, '_per_100g'),
     notes: canonData.notes,
     version: CANON_VERSION,
     matchedKey: key
@@ -989,7 +995,8 @@ async function fetchNutritionData(barcode, query, log = console.log) {
   
   // --- TIER 4: EXTERNAL APIs (MOD ZONE 4: Demoted to last resort) ---
   // Only proceed if internal lookup failed (out is currently the FALLBACK result)
-  if (out.source === 'FALLBACK') {
+  // Offline mode (utils/offline.js) never leaves the process: keep the FALLBACK
+  if (out.source === 'FALLBACK' && !isOfflineMode()) {
     log(`[NUTRI] Internal lookup failed, attempting EXTERNAL API FALLBACK for '${query || barcode}'`, 'WARN', 'PIPELINE');
     
     const tasks = [];
@@ -1068,6 +1075,38 @@ async function fetchNutritionData(barcode, query, log = console.log) {
   return out;
 }
 
+// ---------- PRODUCT LABEL (BARCODE) ----------
+/**
+ * Label nutrition for one packaged product, by barcode only (no ingredient
+ * fallback): used by the in-store barcode scanner (api/barcode.js).
+ * @param {string} barcode - EAN-13 / EAN-8 / UPC-A digits
+ * @returns {object} { status: 'found', source, barcode, name, brand, servingUnit, calories, protein, fat, carbs }
+ *   or { status: 'not_found', barcode, reason }
+ */
+async function fetchProductLabel(barcode, log = console.log) {
+  if (isOfflineMode()) {
+    return { status: 'not_found', barcode, reason: 'Label lookups are disabled in offline mode.' };
+  }
+  const out = await offByBarcode(barcode);
+  if (!out) {
+    log(`[NUTRI] No label nutrition for barcode ${barcode}`, 'INFO', 'LABEL');
+    return { status: 'not_found', barcode, reason: 'Product not found on OpenFoodFacts or label data incomplete.' };
+  }
+  const product = out._raw?.product || {};
+  return {
+    status: 'found',
+    source: out.source,
+    barcode,
+    name: product.product_name || null,
+    brand: (product.brands || '').split(',')[0].trim() || null,
+    servingUnit: out.servingUnit,
+    calories: out.calories,
+    protein: out.protein,
+    fat: out.fat,
+    carbs: out.carbs,
+  };
+}
+
 // ---------- HTTP handler ----------
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -1088,8 +1127,13 @@ module.exports = async (req, res) => {
   }
 };
 
-module.exports.fetchNutritionData = fetchNutritionData;
-module.exports.lookupIngredientNutrition = lookupIngredientNutrition; // MOD ZONE 1: NEW EXPORT
+// Lookups are recorded into / served from replay bundles (utils/replay.js)
+module.exports.fetchNutritionData = (barcode, query, log = console.log) =>
+  replayable('nutrition', `fetch|${barcode || ''}|${query || ''}`, () => fetchNutritionData(barcode, query, log));
+module.exports.fetchProductLabel = (barcode, log = console.log) =>
+  replayable('nutrition', `label|${barcode}`, () => fetchProductLabel(barcode, log));
+module.exports.lookupIngredientNutrition = (ingredientKey, log = console.log) => // MOD ZONE 1: NEW EXPORT
+  replayable('nutrition', `lookup|${ingredientKey}`, () => lookupIngredientNutrition(ingredientKey, log));
 module.exports.getHotPathStats = getHotPathStats;
 module.exports.getPipelineStats = getPipelineStats;
 module.exports.resetPipelineStats = resetPipelineStats;
@@ -0,0 +1,89 @@
+// api/plan/cancel.js
+// Plan Cancellation Endpoint
+// Stops an in-flight generate-full-plan run (including one that kept running
+// detached after the tab closed). Sets the run's cancellation flag in KV; the
+// orchestrator picks it up within a couple of seconds, aborts its outstanding
+// LLM/RapidAPI requests and marks the run 'cancelled' (see utils/run-cancellation.js).
+
+const { createKvClient, isKvConfigured } = require('../../utils/offline');
+const { cancelFlagKey, CANCEL_FLAG_TTL_MS } = require('../../utils/run-cancellation');
+
+const kv = createKvClient({
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN,
+});
+
+let kvReady = isKvConfigured();
+
+// Runs in these states have nothing left to cancel
+const FINISHED_STATUSES = ['complete', 'failed', 'cancelled'];
+
+module.exports = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            message: 'Only POST requests are supported'
+        });
+    }
+
+    const runId = req.body?.runId;
+
+    if (!runId || typeof runId !== 'string' || runId.length < 10) {
+        return res.status(400).json({
+            error: 'Invalid runId',
+            message: 'A valid runId is required in the request body'
+        });
+    }
+
+    if (!kvReady) {
+        return res.status(503).json({
+            error: 'Storage unavailable',
+            message: 'KV store is not configured',
+            status: 'unknown'
+        });
+    }
+
+    try {
+        const raw = await kv.get(`cheffy:run:${runId}`);
+
+        if (!raw) {
+            return res.status(404).json({
+                status: 'unknown',
+                message: 'No record found for this run ID. It may have expired or never existed.'
+            });
+        }
+
+        const record = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+        if (FINISHED_STATUSES.includes(record.status)) {
+            return res.status(200).json({
+                status: record.status,
+                cancelled: false,
+                message: `Run already ${record.status}.`
+            });
+        }
+
+        await kv.set(cancelFlagKey(runId), '1', { px: CANCEL_FLAG_TTL_MS });
+        console.log(`[PLAN_CANCEL] Cancellation requested for run ${runId} (was ${record.status}).`);
+
+        return res.status(202).json({
+            status: 'cancelling',
+            cancelled: true,
+            runId
+        });
+    } catch (error) {
+        console.error('[PLAN_CANCEL] Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'Failed to cancel run'
+        });
+    }
+};
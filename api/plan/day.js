@@ -5,8 +5,8 @@
 /// ===== IMPORTS-START ===== \\\\
 const fetch = require('node-fetch');
 const crypto = require('crypto'); // For run_id and hashing
-// --- [NEW] Import Vercel KV client ---
-const { createClient } = require('@vercel/kv');
+// --- [NEW] Import Vercel KV client (in-memory in offline mode) ---
+const { createKvClient, isKvConfigured, createLlmFetch } = require('../../utils/offline');
 // Import cache-wrapped microservices
 const { fetchPriceData } = require('../price-search.js'); // Relative path (api/price-search.js) - This is CORRECT
 const { fetchNutritionData } = require('../nutrition-search.js'); // Relative path (api/nutrition-search.js) - This is CORRECT
@@ -22,7 +22,7 @@ const { toAsSold, getAbsorbedOil, TRANSFORM_VERSION, normalizeToGramsOrMl } = re
 const { validateDayPlan } = require('../../utils/validation');
 
 // --- [NEW] Import LLM provider abstraction ---
-const { buildLLMRequest, parseLLMResponse, detectProvider, validateChefRecipeShape, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../../utils/llm-provider.js');
+const { callStructured, detectProvider, getFallbackModel, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../../utils/llm-provider.js');
 
 // --- [NEW] Grocery Matching Integrations (V13.1) ---
 // Preserved generateFallbackQueries from old preprocessor as it is still used in market run
@@ -48,13 +48,16 @@ const PLAN_MODEL_NAME_PRIMARY = PRIMARY_MODEL;    // defaults to 'gpt-5.1'
 const PLAN_MODEL_NAME_FALLBACK = FALLBACK_MODEL;  // defaults to 'gemini-2.0-flash'
 
 // --- [NEW] Vercel KV Client ---
-const kv = createClient({
+const kv = createKvClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
     token: process.env.UPSTASH_REDIS_REST_TOKEN,
 });
 
+// LLM transport; CHEFFY_OFFLINE serves recorded responses instead (utils/offline.js)
+const llmFetch = createLlmFetch(fetch);
+
 // --- [Change 6.2] Add startup health check ---
-let kvReady = !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+let kvReady = isKvConfigured();
 (async () => {
     if (kvReady) {
         try {
@@ -297,7 +300,7 @@ async function fetchLLMWithRetry(url, options, log, attemptPrefix = "LLM") {
 
         try {
             log(`${attemptPrefix} Attempt ${attempt}: Fetching from ${url} (Timeout: ${LLM_REQUEST_TIMEOUT_MS}ms)`, 'DEBUG', 'HTTP');
-            const response = await fetch(url, { ...options, signal: controller.signal });
+            const response = await llmFetch(url, { ...options, signal: controller.signal });
             clearTimeout(timeout);
 
             if (response.ok) return response;
@@ -577,45 +580,16 @@ JSON Structure:
 async function tryGenerateLLMPlan(modelName, payload, log, logPrefix, expectedJsonShape) {
     log(`${logPrefix}: Attempting model: ${modelName} (${detectProvider(modelName)})`, 'INFO', 'LLM');
 
-    const req = buildLLMRequest(modelName, payload, { agentType: logPrefix.includes('Grocery') ? 'groceryQuery' : 'mealPlan' });
-
-    const response = await fetchLLMWithRetry(req.url, {
-        method: 'POST',
-        headers: req.headers,
-        body: req.body,
-    }, log, logPrefix);
-
-    const result = await response.json();
-    const { text: jsonText, finishReason } = parseLLMResponse(modelName, result);
-
-    if (finishReason === 'MAX_TOKENS') {
-        log(`${logPrefix}: Model ${modelName} failed with finishReason: MAX_TOKENS.`, 'WARN', 'LLM');
-        throw new Error(`Model ${modelName} failed: MAX_TOKENS.`);
-    }
-    if (finishReason !== 'STOP') {
-        log(`${logPrefix}: Model ${modelName} failed with non-STOP finishReason: ${finishReason}`, 'WARN', 'LLM', { result });
-        throw new Error(`Model ${modelName} failed: FinishReason was ${finishReason}.`);
-    }
-
-    log(`${logPrefix} Raw JSON Text`, 'DEBUG', 'LLM', { raw: jsonText.substring(0, 300) + '...' });
-
-    try {
-        const parsed = JSON.parse(jsonText.trim());
-        if (!parsed || typeof parsed !== 'object') throw new Error("Parsed response is not a valid object.");
-        for (const key in expectedJsonShape) {
-            if (!parsed.hasOwnProperty(key)) {
-                throw new Error(`Parsed JSON missing required top-level key: '${key}'.`);
-            }
-            if (Array.isArray(expectedJsonShape[key]) && !Array.isArray(parsed[key])) {
-                throw new Error(`Parsed JSON key '${key}' was not an array.`);
-            }
-        }
-        log(`${logPrefix}: Model ${modelName} succeeded.`, 'SUCCESS', 'LLM');
-        return parsed;
-    } catch (parseError) {
-        log(`Failed to parse/validate ${logPrefix} JSON from ${modelName}: ${parseError.message}`, 'CRITICAL', 'LLM', { jsonText: jsonText.substring(0, 300) });
-        throw new Error(`Model ${modelName} failed: Invalid JSON response. ${parseError.message}`);
-    }
+    // Schema-validated, auto-corrected, one repair turn on failure (utils/llm-provider.js)
+    return callStructured({
+        modelName,
+        geminiPayload: payload,
+        fetchFn: fetchLLMWithRetry,
+        log,
+        logPrefix,
+        options: { agentType: logPrefix.includes('Grocery') ? 'groceryQuery' : 'mealPlan' },
+        expectedShape: expectedJsonShape,
+    });
 }
 
 // --- generateMealPlan (MODIFIED V4: Added Fallback) ---
@@ -710,7 +684,7 @@ async function generateGroceryQueries(uniqueIngredientKeys, store, log, primaryM
         _autoNegatives: item._autoNegatives
     }));
 
-    const isAustralianStore = (store === 'Coles' || store === 'Woolworths');
+    const isAustralianStore = ['Coles', 'Woolworths', 'Aldi', 'IGA'].includes(store);
     const australianTermNote = isAustralianStore ? " Use common Australian terms (e.g., 'spring onion', 'capsicum')." : "";
 
     // Use ENHANCED_GROCERY_PROMPT imported from utils
@@ -808,35 +782,16 @@ JSON Structure:
 async function tryGenerateChefRecipe(modelName, payload, mealName, log) {
     log(`Chef AI [${mealName}]: Attempting model: ${modelName} (${detectProvider(modelName)})`, 'INFO', 'LLM_CHEF');
 
-    const req = buildLLMRequest(modelName, payload, { agentType: 'chefRecipe' });
-
-    const response = await fetchLLMWithRetry(req.url, {
-        method: 'POST',
-        headers: req.headers,
-        body: req.body,
-    }, log, `Chef-${mealName}`);
-
-    const result = await response.json();
-    const { text: jsonText, finishReason } = parseLLMResponse(modelName, result);
-
-    if (finishReason !== 'STOP') {
-        log(`Chef AI [${mealName}]: Model ${modelName} failed with non-STOP finishReason: ${finishReason}`, 'WARN', 'LLM_CHEF', { result });
-        throw new Error(`Model ${modelName} failed: FinishReason was ${finishReason}.`);
-    }
-
-    try {
-        const trimmedText = jsonText.trim();
-        if (!trimmedText.startsWith('{') || !trimmedText.endsWith('}')) {
-            throw new Error(`Response text was not a JSON object. (Likely a safety refusal)`);
-        }
-        const parsed = JSON.parse(trimmedText);
-        validateChefRecipeShape(parsed);
-        log(`Chef AI [${mealName}]: Model ${modelName} succeeded.`, 'SUCCESS', 'LLM_CHEF');
-        return parsed;
-    } catch (parseError) {
-        log(`Failed to parse/validate Chef AI JSON for [${mealName}] from ${modelName}: ${parseError.message}`, 'CRITICAL', 'LLM_CHEF', { jsonText: jsonText.substring(0, 300) });
-        throw new Error(`Model ${modelName} failed: Invalid JSON response. ${parseError.message}`);
-    }
+    // CHEF_RECIPE_SCHEMA: non-empty description + instructions
+    return callStructured({
+        modelName,
+        geminiPayload: payload,
+        fetchFn: fetchLLMWithRetry,
+        log,
+        logPrefix: `Chef-${mealName}`,
+        options: { agentType: 'chef' },
+        logCategory: 'LLM_CHEF',
+    });
 }
 
 // --- generateChefInstructions (MODIFIED V4: Added Fallback) ---
@@ -960,7 +915,7 @@ module.exports = async (request, response) => {
         let requestFallback = PLAN_MODEL_NAME_FALLBACK;
         if (preferredModel && typeof preferredModel === 'string' && SUPPORTED_MODELS[preferredModel]) {
             requestPrimary = preferredModel;
-            requestFallback = (preferredModel === PRIMARY_MODEL) ? FALLBACK_MODEL : PRIMARY_MODEL;
+            requestFallback = getFallbackModel(preferredModel);
             log(`User selected model: ${preferredModel}`, 'INFO', 'MODEL_SELECT');
         }
 
@@ -15,7 +15,11 @@ const fetch = require('node-fetch');
 // Ensure Response is available for the fix in Change 2.5
 const Response = fetch.Response || global.Response;
 const crypto = require('crypto');
-const { createClient } = require('@vercel/kv');
+const { createKvClient, isKvConfigured, createLlmFetch } = require('../../utils/offline');
+const { withRecording, replayable, wrapLlmFetch, finishSession } = require('../../utils/replay');
+const { withUsageLedger, withUsageContext, summarizeUsage } = require('../../utils/llm-usage');
+const { recordLLMUsage } = require('../metrics');
+const { cancelFlagKey, withCancellation, getRunSignal, linkRunSignal, isRunCancelled, throwIfCancelled, isCancellation, watchCancelFlag, RunCancelledError } = require('../../utils/run-cancellation');
 
 // Import cache-wrapped microservices
 const { fetchPriceData } = require('../price-search.js');
@@ -29,14 +33,14 @@ try {
     var { toAsSold, getAbsorbedOil, TRANSFORM_VERSION, normalizeToGramsOrMl } = require('../utils/transforms.js');
     var { reconcileNonProtein, reconcileMealLevel } = require('../utils/reconcileNonProtein.js'); // FIX: Import reconcileMealLevel
     // Change 2.1: Import LLM provider (Primary path)
-    var { buildLLMRequest, parseLLMResponse, detectProvider, validateChefRecipeShape, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../utils/llm-provider.js');
+    var { callStructured, detectProvider, getFallbackModel, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../utils/llm-provider.js');
 } catch (e) {
     console.error("CRITICAL: Failed to import utils. Using local fallbacks.", e.message);
     var { normalizeKey } = require('../../scripts/normalize.js');
     var { toAsSold, getAbsorbedOil, TRANSFORM_VERSION, normalizeToGramsOrMl } = require('../../utils/transforms.js');
     var { reconcileNonProtein, reconcileMealLevel } = require('../../utils/reconcileNonProtein.js'); // FIX: Import reconcileMealLevel
     // Change 2.1: Import LLM provider (Fallback path)
-    var { buildLLMRequest, parseLLMResponse, detectProvider, validateChefRecipeShape, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../../utils/llm-provider.js');
+    var { callStructured, detectProvider, getFallbackModel, PRIMARY_MODEL, FALLBACK_MODEL, SUPPORTED_MODELS } = require('../../utils/llm-provider.js');
 }
 
 // --- [NEW] Import validation helper (Task 1) ---
@@ -53,6 +57,29 @@ const { GROCERY_OPTIMIZER_SYSTEM_PROMPT: ENHANCED_GROCERY_PROMPT } = require('..
 const { createMatchTrace } = require('../../utils/product-match-logger');
 const { tracedScoring } = require('../../utils/traced-scoring');
 
+// --- [NEW] Pantry Inventory ---
+const { normalizePantry, applyPantryStock, buildPantryResult } = require('../../utils/pantry');
+
+// --- [NEW] Pack-Size-Aware Purchase Optimizer ---
+const { applyPurchaseOptimization } = require('../../utils/purchase-optimizer');
+
+// --- [NEW] Leftover-Aware Planning ---
+const { PLANNING_MODES, estimateOpenPacks, formatLeftoversForPrompt, summarizeWaste } = require('../../utils/leftover-planner');
+const { resolveBudgetCap, computePlanCost, buildCostBreakdown, swapToCheaperProducts, findSubstitutionCandidates } = require('../../utils/budget-balancer');
+const { isComparisonMode, otherStoreFor, retargetIngredientPlan, compareStores, selectBasket } = require('../../utils/store-comparison');
+const { trackPrices } = require('../../utils/price-history');
+const { mapLimited } = require('../../utils/concurrency');
+const { isSpecialsMode, loadSpecialsPlan, formatSpecialsForPrompt, summarizeSpecialsSavings } = require('../../utils/specials');
+const { getFeedback, attachLearnedPreferences } = require('../../utils/substitution-feedback');
+const { resolveRequestUserId } = require('../../utils/firebase-auth');
+const { normalizeProductRules, attachProductRules } = require('../../utils/product-rules');
+const { isProductAccurateMode, applyProductNutrition } = require('../../utils/product-nutrition');
+const { normalizeAllergenProfile, detectAllergens, enforceAllergenProfile, formatAllergensForPrompt } = require('../../utils/allergens');
+const { normalizeHousehold, householdScale, applyHouseholdScale, scaleDayForMember } = require('../../utils/household');
+const { resolveDayTargets, adjustTargets, formatDayTypeForPrompt } = require('../../utils/day-targets');
+const { scaleMicros, createMicroTotals, addMicros, finalizeMicroTotals } = require('../../utils/micronutrients');
+const { solveDayMacros, computeResiduals, resolveFiberMinimum, DEFAULT_TOLERANCES } = require('../../utils/macro-solver');
+
 /// ===== IMPORTS-END ===== ////
 
 // --- CONFIGURATION ---
@@ -60,7 +87,8 @@ const { tracedScoring } = require('../../utils/traced-scoring');
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const TRANSFORM_CONFIG_VERSION = TRANSFORM_VERSION || 'v13.3-hybrid';
 
-const USE_SOLVER_V1 = process.env.CHEFFY_USE_SOLVER === '1'; // Default to false (use legacy reconcile)
+const USE_SOLVER_V1 = process.env.CHEFFY_USE_SOLVER !== '0'; // Default to true; CHEFFY_USE_SOLVER=0 falls back to the legacy reconcile
+const MACRO_RESIDUAL_KEYS = ['calories', 'protein', 'fat', 'carbs']; // Logged per solver path
 const ALLOW_PROTEIN_SCALING = process.env.CHEFFY_SCALE_PROTEIN === '1'; // D3: New feature flag for protein scaling
 
 // Change 2.2: GPT-5.1 as primary, Gemini as fallback (from llm-provider.js)
@@ -68,21 +96,28 @@ const PLAN_MODEL_NAME_PRIMARY = PRIMARY_MODEL;
 const PLAN_MODEL_NAME_FALLBACK = FALLBACK_MODEL;
 
 // --- Vercel KV Client ---
-const kv = createClient({
+const kv = createKvClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
     token: process.env.UPSTASH_REDIS_REST_TOKEN,
 });
 
+// LLM transport; CHEFFY_OFFLINE serves recorded responses instead (utils/offline.js),
+// and record/replay sessions capture or serve them per run (utils/replay.js)
+const llmFetch = wrapLlmFetch(createLlmFetch(fetch));
+
 // Change 6.2: Add health check
-let kvReady = !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+let kvReady = isKvConfigured();
 (async () => {
     if (kvReady) {
+        let timer;
         try {
-            const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('KV Ping Timeout')), 3000));
+            const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('KV Ping Timeout')), 3000); });
             await Promise.race([kv.ping(), timeout]);
         } catch (e) {
             console.warn(`KV Connection check failed: ${e.message}`);
             kvReady = false;
+        } finally {
+            clearTimeout(timer); // Don't hold the process open for the full timeout
         }
     }
 })();
@@ -123,7 +158,9 @@ const MOCK_RECIPE_FALLBACK = {
 /// ===== HELPERS-START ===== \\
 
 // --- Cache Helpers ---
-async function cacheGet(key, log) {
+// Plan-level cache reads are part of a replay bundle (utils/replay.js)
+const cacheGet = (key, log) => replayable('kv', key, () => cacheGetLive(key, log));
+async function cacheGetLive(key, log) {
   if (!kvReady) return null;
   try {
     const hit = await kv.get(key);
@@ -147,26 +184,49 @@ function hashString(str) {
   return crypto.createHash('sha256').update(str).digest('hex').substring(0, 16);
 }
 
+// [NEW] A finished run's status is final: the un-awaited 'running_detached' write from the
+// close handler must not land after (or overwrite) 'cancelled' / 'complete' / 'failed'.
+// Writes per run are chained so they reach KV in call order.
+const FINISHED_RUN_STATUSES = new Set(['complete', 'failed', 'cancelled']);
+const RUN_STATUS_TTL_MS = 1000 * 60 * 60; // 1 hour
+const runStatusWrites = new Map(); // runId -> { last: Promise, finished: boolean }
+
 // CHANGE 4: Persist `lastPhase` to KV for polling progress
 async function setRunStatus(runId, status, payload, log, lastPhase = null) {
     if (!kvReady) return;
     const key = `cheffy:run:${runId}`;
-    const ttl = 1000 * 60 * 60; // 1 hour
-    try {
-        const record = {
-            status,
-            payload,
-            updatedAt: new Date().toISOString(),
-        };
-        // Include lastPhase and startedAt for running status
-        if (lastPhase) record.lastPhase = lastPhase;
-        if (status === 'running') record.startedAt = record.startedAt || new Date().toISOString();
-
-        await kv.set(key, JSON.stringify(record), { px: ttl });
-        log(`Run status SET: ${key} → ${status}${lastPhase ? ` (phase: ${lastPhase})` : ''}`, 'DEBUG', 'RUN_STATUS');
-    } catch (e) {
-        log(`Run status SET Error: ${e.message}`, 'ERROR', 'RUN_STATUS');
+    let state = runStatusWrites.get(runId);
+    if (!state) {
+        state = { last: Promise.resolve(), finished: false };
+        runStatusWrites.set(runId, state);
+        const cleanup = setTimeout(() => runStatusWrites.delete(runId), RUN_STATUS_TTL_MS);
+        if (cleanup.unref) cleanup.unref();
+    }
+    if (state.finished) {
+        log(`Run status SET skipped: ${key} is already finished (${status} ignored).`, 'DEBUG', 'RUN_STATUS');
+        return;
     }
+    if (FINISHED_RUN_STATUSES.has(status)) state.finished = true;
+
+    const write = async () => {
+        try {
+            const record = {
+                status,
+                payload,
+                updatedAt: new Date().toISOString(),
+            };
+            // Include lastPhase and startedAt for running status
+            if (lastPhase) record.lastPhase = lastPhase;
+            if (status === 'running') record.startedAt = record.startedAt || new Date().toISOString();
+
+            await kv.set(key, JSON.stringify(record), { px: RUN_STATUS_TTL_MS });
+            log(`Run status SET: ${key} → ${status}${lastPhase ? ` (phase: ${lastPhase})` : ''}`, 'DEBUG', 'RUN_STATUS');
+        } catch (e) {
+            log(`Run status SET Error: ${e.message}`, 'ERROR', 'RUN_STATUS');
+        }
+    };
+    state.last = state.last.then(write);
+    return state.last;
 }
 
 async function getRunStatus(runId, log) {
@@ -321,49 +381,81 @@ function getSanitizedFormData(formData) {
     try {
         if (!formData || typeof formData !== 'object') return { error: "Invalid form data received." };
         // Redact PII
-        const { name, height, weight, age, bodyFat, ...rest } = formData;
-        return { ...rest, user_profile: "[REDACTED]" };
+        const { name, height, weight, age, bodyFat, household, ...rest } = formData;
+        return { ...rest, household_size: Array.isArray(household) ? household.length : 0, user_profile: "[REDACTED]" };
     } catch (e) { return { error: "Failed to sanitize form data." }; }
 }
 
+/**
+ * mapLimited (utils/concurrency.js) for pipeline stages: a cancelled run starts
+ * no new items, and a failed item comes back as an `_error` object instead of
+ * failing the whole stage.
+ */
 async function concurrentlyMap(array, limit, asyncMapper) {
-    const results = [];
-    const executing = [];
-    for (const item of array) {
-        const promise = asyncMapper(item)
-            .then(result => {
-                // Remove this promise from the executing list once it's done
-                const index = executing.indexOf(promise);
-                if (index > -1) executing.splice(index, 1);
-                return result;
-            })
-            .catch(error => {
-                // Handle errors gracefully
+    const results = await mapLimited(array, limit, (item) => {
+        // A cancelled run starts no new items (in-flight ones are aborted through the run signal)
+        throwIfCancelled();
+        return asyncMapper(item).catch(error => {
+            // Handle errors gracefully; items aborted by a cancellation are expected, not logged
+            if (!isCancellation(error)) {
                 console.error(`Error in concurrentlyMap item "${item?.originalIngredient || item?.name || 'unknown'}":`, error);
-                const index = executing.indexOf(promise);
-                if (index > -1) executing.splice(index, 1);
-                // Return an error object to be handled by the caller
-                return { _error: true, message: error.message || 'Unknown concurrent map error', itemKey: item?.originalIngredient || item?.name || 'unknown' };
-            });
-        executing.push(promise);
-        results.push(promise);
-        if (executing.length >= limit) {
-            // Wait for at least one promise to resolve before adding more
-            await Promise.race(executing);
+            }
+            // Return an error object to be handled by the caller
+            return { _error: true, message: error.message || 'Unknown concurrent map error', itemKey: item?.originalIngredient || item?.name || 'unknown' };
+        });
+    });
+    throwIfCancelled(); // Aborted items come back as _error objects; don't hand them on as results
+    return results.filter(r => r != null); // Filter out null/undefined results
+}
+
+/**
+ * concurrentlyMap over meals tagged with `_dayNumber` that also settles each day's
+ * results on their own, so a day can be finished without waiting for the whole plan.
+ * forDay() rejects with the run when it is cancelled before that day is done.
+ * @returns {{ all: Promise<Array>, forDay: (dayNumber: number) => Promise<Array> }}
+ */
+function concurrentlyMapMealsByDay(meals, limit, asyncMapper) {
+    const days = new Map(); // dayNumber -> { remaining, results, done, resolve }
+    for (const meal of meals) {
+        if (!days.has(meal._dayNumber)) {
+            const entry = { remaining: 0, results: [] };
+            entry.done = new Promise(resolve => { entry.resolve = resolve; });
+            days.set(meal._dayNumber, entry);
         }
+        days.get(meal._dayNumber).remaining++;
     }
-    return Promise.all(results).then(res => res.filter(r => r != null)); // Filter out null/undefined results
+    const settle = (entry, result) => {
+        if (result) entry.results.push(result);
+        if (--entry.remaining === 0) entry.resolve(entry.results);
+    };
+    const all = concurrentlyMap(meals, limit, (meal) => {
+        const entry = days.get(meal._dayNumber);
+        return asyncMapper(meal).then(
+            result => { settle(entry, result); return result; },
+            error => { settle(entry, null); throw error; }
+        );
+    });
+    all.catch(() => {}); // Surfaced through forDay()
+    return {
+        all,
+        forDay: (dayNumber) => {
+            const entry = days.get(dayNumber);
+            return entry ? Promise.race([entry.done, all.then(() => entry.done)]) : Promise.resolve([]);
+        }
+    };
 }
 
 // --- fetchLLMWithRetry with JSON Guard ---
 async function fetchLLMWithRetry(url, options, log, attemptPrefix = "LLM") {
     for (let attempt = 1; attempt <= MAX_LLM_RETRIES; attempt++) {
+        throwIfCancelled();
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), LLM_REQUEST_TIMEOUT_MS);
 
         try {
             log(`${attemptPrefix} Attempt ${attempt}: Fetching from ${url} (Timeout: ${LLM_REQUEST_TIMEOUT_MS}ms)`, 'DEBUG', 'HTTP');
-            const response = await fetch(url, { ...options, signal: controller.signal });
+            // The run signal also aborts the request when the run is cancelled (utils/run-cancellation.js)
+            const response = await llmFetch(url, { ...options, signal: linkRunSignal(controller.signal) });
             clearTimeout(timeout); // Clear the timeout as the request completed
 
             if (response.ok) {
@@ -400,8 +492,10 @@ async function fetchLLMWithRetry(url, options, log, attemptPrefix = "LLM") {
             }
         } catch (error) {
              clearTimeout(timeout); // Clear timeout on error
-             
-             if (error.name === 'AbortError') {
+
+             if (isRunCancelled()) {
+                 throw new RunCancelledError(); // Not a timeout: no retry
+             } else if (error.name === 'AbortError') {
                  // Request timed out
                  log(`${attemptPrefix} Attempt ${attempt}: Fetch timed out after ${LLM_REQUEST_TIMEOUT_MS}ms. Retrying...`, 'WARN', 'HTTP');
              } else if (error instanceof SyntaxError) {
@@ -431,6 +525,23 @@ async function fetchLLMWithRetry(url, options, log, attemptPrefix = "LLM") {
 }
 
 
+// --- Model Selection: honour user's preferred model if valid ---
+function resolveRequestModels(preferredModel, log) {
+    let primary = PLAN_MODEL_NAME_PRIMARY;   // default from env / llm-provider
+    let fallback = PLAN_MODEL_NAME_FALLBACK;
+    if (preferredModel && typeof preferredModel === 'string') {
+        if (SUPPORTED_MODELS && SUPPORTED_MODELS[preferredModel]) {
+            primary = preferredModel;
+            // "Other" default model; a local model falls back to itself
+            fallback = getFallbackModel(preferredModel);
+            log(`User selected model: ${preferredModel} (fallback: ${fallback})`, 'INFO', 'MODEL_SELECT');
+        } else {
+            log(`Ignoring unknown preferredModel: "${preferredModel}". Using default: ${primary}`, 'WARN', 'MODEL_SELECT');
+        }
+    }
+    return { primary, fallback };
+}
+
 const calculateUnitPrice = (price, size) => {
     if (!price || price <= 0 || typeof size !== 'string' || size.length === 0) return price;
     const sizeLower = size.toLowerCase().replace(/\s/g, '');
@@ -637,7 +748,7 @@ function synthWide(ing, store) {
 /// ===== API-CALLERS-START ===== \\
 
 // --- LLM System Prompt (Step A1, A2, A3) ---
-const MEAL_PLANNER_SYSTEM_PROMPT = (weight, calories, mealMax, day, perMealTargets) => `
+const MEAL_PLANNER_SYSTEM_PROMPT = (weight, calories, mealMax, day, perMealTargets, leftovers = '') => `
 You are an expert dietitian. Your SOLE task is to generate the \`meals\` for ONE day (Day ${day}).
 RULES:
 1.  Generate meals ('meals') & items ('items') used TODAY.
@@ -654,7 +765,8 @@ RULES:
 7.  The code will calculate total calories based on your plan; you do NOT need to estimate them.
 8.  Adhere to all user constraints.
 9.  'meals' array is MANDATORY. Do NOT include 'ingredients' array.
-10. Do NOT include calorie estimates in your response.
+10. Do NOT include calorie estimates in your response.${leftovers ? `
+11. **OPEN PACKS (LEFTOVERS):** These ingredients are left over in already-opened packs from earlier days: ${leftovers}. Where it fits the targets and constraints, build today's meals around them so they are used up instead of wasted.` : ''}
 
 CRITICAL STATE HINT RULES:
 - "dry": Quantity refers to dry or uncooked weight (oats, rice, pasta, noodles, lentils, quinoa, other grains).
@@ -725,53 +837,28 @@ JSON Structure:
 async function tryGenerateLLMPlan(modelName, payload, log, logPrefix, expectedJsonShape) {
     log(`${logPrefix}: Attempting model: ${modelName} (${detectProvider(modelName)})`, 'INFO', 'LLM');
 
-    const req = buildLLMRequest(modelName, payload, { agentType: logPrefix.includes('Grocery') ? 'groceryQuery' : 'mealPlan' });
-
-    const response = await fetchLLMWithRetry(req.url, {
-        method: 'POST',
-        headers: req.headers,
-        body: req.body,
-    }, log, logPrefix);
-
-    const result = await response.json();
-    const { text: jsonText, finishReason } = parseLLMResponse(modelName, result);
-
-    if (finishReason === 'MAX_TOKENS') {
-        log(`${logPrefix}: Model ${modelName} failed with finishReason: MAX_TOKENS.`, 'WARN', 'LLM');
-        throw new Error(`Model ${modelName} failed: MAX_TOKENS.`);
-    }
-    if (finishReason !== 'STOP') {
-        log(`${logPrefix}: Model ${modelName} failed with non-STOP finishReason: ${finishReason}`, 'WARN', 'LLM', { result });
-        throw new Error(`Model ${modelName} failed: FinishReason was ${finishReason}.`);
-    }
-
-    log(`${logPrefix} Raw JSON Text`, 'DEBUG', 'LLM', { raw: jsonText.substring(0, 300) + '...' });
-
-    try {
-        const parsed = JSON.parse(jsonText.trim());
-        if (!parsed || typeof parsed !== 'object') throw new Error("Parsed response is not a valid object.");
-        for (const key in expectedJsonShape) {
-            if (!parsed.hasOwnProperty(key)) {
-                throw new Error(`Parsed JSON missing required top-level key: '${key}'.`);
-            }
-            if (Array.isArray(expectedJsonShape[key]) && !Array.isArray(parsed[key])) {
-                throw new Error(`Parsed JSON key '${key}' was not an array.`);
-            }
-        }
-        log(`${logPrefix}: Model ${modelName} succeeded.`, 'SUCCESS', 'LLM');
-        return parsed;
-    } catch (parseError) {
-        log(`Failed to parse/validate ${logPrefix} JSON from ${modelName}: ${parseError.message}`, 'CRITICAL', 'LLM', { jsonText: jsonText.substring(0, 300) });
-        throw new Error(`Model ${modelName} failed: Invalid JSON response. ${parseError.message}`);
-    }
+    // Schema-validated, auto-corrected, one repair turn on failure (utils/llm-provider.js)
+    return callStructured({
+        modelName,
+        geminiPayload: payload,
+        fetchFn: fetchLLMWithRetry,
+        log,
+        logPrefix,
+        options: { agentType: logPrefix.includes('Grocery') ? 'groceryQuery' : 'mealPlan' },
+        expectedShape: expectedJsonShape,
+    });
 }
 
 
 /**
  * Generates a meal plan for a *single* day.
  * (Step A1, A4: Update signature and user query)
+ * options.onlyMealType / options.avoidMealNames are used by /api/plan/regenerate to replace one slot.
+ * formData.allergens is enforced after the LLM call (utils/allergens.js): offending items are
+ * replaced or removed, and a meal left empty triggers one re-prompt before the day fails.
+ * options.specials (specials mode) lists discounted ingredient keys the planner should prefer.
  */
-async function generateMealPlan_Single(day, formData, nutritionalTargets, log, perMealTargets, primaryModel = PLAN_MODEL_NAME_PRIMARY, fallbackModel = PLAN_MODEL_NAME_FALLBACK) {
+async function generateMealPlan_Single(day, formData, nutritionalTargets, log, perMealTargets, primaryModel = PLAN_MODEL_NAME_PRIMARY, fallbackModel = PLAN_MODEL_NAME_FALLBACK, options = {}) {
     const { name, height, weight, age, gender, goal, dietary, store, eatingOccasions, costPriority, mealVariety, cuisine } = formData;
     const { calories, protein, fat, carbs } = nutritionalTargets;
     
@@ -794,14 +881,42 @@ async function generateMealPlan_Single(day, formData, nutritionalTargets, log, p
 
     // Removed outdated mealAvg/mealMax calculation
 
-    const systemPrompt = MEAL_PLANNER_SYSTEM_PROMPT(weight, calories, 0, day, perMealTargets); // mealMax parameter is now obsolete, passed 0
+    // [NEW] Leftover-aware mode: open packs from earlier days (see utils/leftover-planner.js)
+    const leftoversText = formatLeftoversForPrompt(options.leftovers);
+    const systemPrompt = MEAL_PLANNER_SYSTEM_PROMPT(weight, calories, 0, day, perMealTargets, leftoversText); // mealMax parameter is now obsolete, passed 0
     let userQuery = `Gen plan Day ${day} for ${name||'Guest'}. Profile: ${age}yo ${gender}, ${height}cm, ${weight}kg. Act: ${formData.activityLevel}. Goal: ${goal}. Store: ${store}. Day ${day} Targets: DAILY ~${calories} kcal. PER MAIN MEAL: ~${mainMealCal} kcal, ~${mainMealP}g protein. PER SNACK: ~${snackCal} kcal, ~${snackP}g protein. Dietary: ${dietary}. Meals: ${eatingOccasions} (${Array.isArray(requiredMeals) ? requiredMeals.join(', ') : '3 meals'}). Spend: ${costPriority}. Cuisine: ${cuisineInstruction}.`;
 
+    // [NEW] Calorie cycling: nutritionalTargets are already this day's targets; tell the planner why
+    const dayTypeText = formatDayTypeForPrompt(options.dayType);
+    if (dayTypeText) {
+        userQuery += ` Day type: ${dayTypeText}`;
+    }
+    // [NEW] Slot regeneration: restrict output to one meal and steer away from the meals being replaced
+    if (options.onlyMealType) {
+        userQuery += ` Regenerate ONLY the "${options.onlyMealType}" meal: return exactly ONE meal in 'meals' with type "${options.onlyMealType}".`;
+    }
+    if (Array.isArray(options.avoidMealNames) && options.avoidMealNames.length > 0) {
+        userQuery += ` Do NOT repeat these meals: ${options.avoidMealNames.join('; ')}.`;
+    }
+    // [NEW] Specials-driven mode: discounted ingredients are preferences, targets and constraints still win
+    const specialsText = formatSpecialsForPrompt(options.specials);
+    if (specialsText) {
+        userQuery += ` SPECIALS THIS WEEK at ${store} — prefer these ingredients where they fit the targets: ${specialsText}.`;
+    }
+    // [NEW] Structured allergen profile (hard exclusion, enforced below)
+    const allergens = normalizeAllergenProfile(formData.allergens);
+    const allergensText = formatAllergensForPrompt(allergens);
+    if (allergensText) {
+        userQuery += ` ALLERGENS — NEVER use any ingredient containing: ${allergensText} (including sauces, spreads and breads).`;
+    }
+
     const logPrefix = `MealPlannerDay${day}`;
     log(`Meal Planner AI Prompt for Day ${day}`, 'INFO', 'LLM_PROMPT', {
         systemPromptStart: systemPrompt.substring(0, 200) + '...',
         userQuery: userQuery,
         targets: nutritionalTargets,
+        leftovers: leftoversText || null,
+        specials: specialsText || null,
     });
 
     const payload = {
@@ -814,21 +929,35 @@ async function generateMealPlan_Single(day, formData, nutritionalTargets, log, p
     const expectedShape = { "meals": [] };
     
     // 3. Execute LLM Call (V3.1: GPT-5.1 primary with fallback)
-    let parsedResult;
-    try {
-        parsedResult = await tryGenerateLLMPlan(primaryModel, payload, log, logPrefix, expectedShape);
-    } catch (primaryError) {
-        if (fallbackModel) {
-            log(`${logPrefix}: Primary model ${primaryModel} failed: ${primaryError.message}. Falling back to ${fallbackModel}.`, 'WARN', 'LLM_FALLBACK');
-            try {
-                parsedResult = await tryGenerateLLMPlan(fallbackModel, payload, log, logPrefix, expectedShape);
-            } catch (fallbackError) {
-                log(`${logPrefix}: Fallback model ${fallbackModel} also failed: ${fallbackError.message}.`, 'CRITICAL', 'LLM');
-                throw new Error(`Grocery Query generation failed: All models failed. Last error: ${fallbackError.message}`);
+    const runPlanner = async () => {
+        try {
+            return await tryGenerateLLMPlan(primaryModel, payload, log, logPrefix, expectedShape);
+        } catch (primaryError) {
+            if (fallbackModel) {
+                log(`${logPrefix}: Primary model ${primaryModel} failed: ${primaryError.message}. Falling back to ${fallbackModel}.`, 'WARN', 'LLM_FALLBACK');
+                try {
+                    return await tryGenerateLLMPlan(fallbackModel, payload, log, logPrefix, expectedShape);
+                } catch (fallbackError) {
+                    log(`${logPrefix}: Fallback model ${fallbackModel} also failed: ${fallbackError.message}.`, 'CRITICAL', 'LLM');
+                    throw new Error(`Grocery Query generation failed: All models failed. Last error: ${fallbackError.message}`);
+                }
+            } else {
+                log(`${logPrefix}: ${primaryModel} failed: ${primaryError.message}. No fallback configured.`, 'CRITICAL', 'LLM');
+                throw new Error(`Grocery Query generation failed: ${primaryModel} failed. ${primaryError.message}`);
             }
-        } else {
-            log(`${logPrefix}: ${primaryModel} failed: ${primaryError.message}. No fallback configured.`, 'CRITICAL', 'LLM');
-            throw new Error(`Grocery Query generation failed: ${primaryModel} failed. ${primaryError.message}`);
+        }
+    };
+    let parsedResult = await runPlanner();
+
+    // 4. [NEW] Allergen safety: replace/remove offending items; re-prompt once if a meal is left empty
+    let allergenReport = enforceAllergenProfile(parsedResult.meals || [], allergens, log);
+    if (allergenReport.rejectedMeals.length > 0) {
+        log(`${logPrefix}: Meals built on excluded allergens (${allergenReport.rejectedMeals.join(', ')}). Re-prompting.`, 'WARN', 'ALLERGEN');
+        payload.contents[0].parts[0].text = `${userQuery} Your previous answer used excluded allergens in: ${allergenReport.rejectedMeals.join('; ')}. Use NONE of: ${allergensText}.`;
+        parsedResult = await runPlanner();
+        allergenReport = enforceAllergenProfile(parsedResult.meals || [], allergens, log);
+        if (allergenReport.rejectedMeals.length > 0) {
+            throw new Error(`Meal Planner AI could not produce allergen-safe meals for Day ${day} (${allergensText}): ${allergenReport.rejectedMeals.join(', ')}.`);
         }
     }
     
@@ -868,7 +997,7 @@ async function generateGroceryQueries_Batched(aggregatedIngredients, store, log,
     }));
 
     // 2. Prepare Prompt
-    const isAustralianStore = (store === 'Coles' || store === 'Woolworths');
+    const isAustralianStore = ['Coles', 'Woolworths', 'Aldi', 'IGA'].includes(store);
     const australianTermNote = isAustralianStore ? " Use common Australian terms (e.g., 'spring onion', 'capsicum')." : "";
 
     // Use ENHANCED_GROCERY_PROMPT imported from utils
@@ -961,35 +1090,16 @@ ${JSON.stringify(llmInput)}`;
 async function tryGenerateChefRecipe(modelName, payload, mealName, log) {
     log(`Chef AI [${mealName}]: Attempting model: ${modelName} (${detectProvider(modelName)})`, 'INFO', 'LLM_CHEF');
 
-    const req = buildLLMRequest(modelName, payload, { agentType: 'chefRecipe' });
-
-    const response = await fetchLLMWithRetry(req.url, {
-        method: 'POST',
-        headers: req.headers,
-        body: req.body,
-    }, log, `Chef-${mealName}`);
-
-    const result = await response.json();
-    const { text: jsonText, finishReason } = parseLLMResponse(modelName, result);
-
-    if (finishReason !== 'STOP') {
-        log(`Chef AI [${mealName}]: Model ${modelName} failed with non-STOP finishReason: ${finishReason}`, 'WARN', 'LLM_CHEF', { result });
-        throw new Error(`Model ${modelName} failed: FinishReason was ${finishReason}.`);
-    }
-
-    try {
-        const trimmedText = jsonText.trim();
-        if (!trimmedText.startsWith('{') || !trimmedText.endsWith('}')) {
-            throw new Error(`Response text was not a JSON object. (Likely a safety refusal)`);
-        }
-        const parsed = JSON.parse(trimmedText);
-        validateChefRecipeShape(parsed);
-        log(`Chef AI [${mealName}]: Model ${modelName} succeeded.`, 'SUCCESS', 'LLM_CHEF');
-        return parsed;
-    } catch (parseError) {
-        log(`Failed to parse/validate Chef AI JSON for [${mealName}] from ${modelName}: ${parseError.message}`, 'CRITICAL', 'LLM_CHEF', { jsonText: jsonText.substring(0, 300) });
-        throw new Error(`Model ${modelName} failed: Invalid JSON response. ${parseError.message}`);
-    }
+    // CHEF_RECIPE_SCHEMA: non-empty description + instructions
+    return callStructured({
+        modelName,
+        geminiPayload: payload,
+        fetchFn: fetchLLMWithRetry,
+        log,
+        logPrefix: `Chef-${mealName}`,
+        options: { agentType: 'chef' },
+        logCategory: 'LLM_CHEF',
+    });
 }
 
 async function generateChefInstructions(meal, store, log, primaryModel = PLAN_MODEL_NAME_PRIMARY, fallbackModel = PLAN_MODEL_NAME_FALLBACK) {
@@ -1049,17 +1159,1072 @@ async function generateChefInstructions(meal, store, log, primaryModel = PLAN_MO
 /// ===== API-CALLERS-END ===== ////
 
 
-// --- Market Run Logic (Copied from day.js) ---
-/* The processSingleIngredientOptimized function was here but has been moved
-   inside the main handler (module.exports) where the 'log' and 'store' variables
-   are correctly scoped to fix the "log is not defined" error. 
-*/
+/// ===== PIPELINE-STAGES-START ===== \\
+// The plan-building stages below used to live as closures inside the main handler.
+// They are module-scoped (with 'log' and 'store' passed explicitly) so that
+// /api/plan/regenerate can reuse them to patch a single day or meal.
+
+/**
+ * Splits the daily targets into MAIN and SNACK per-meal targets.
+ * (Phase B: Realistic Meal-Type Target Distribution - B2, B3, B4)
+ */
+function buildTargetsPerMealType(nutritionalTargets, eatingOccasionsInput) {
+    const eatingOccasions = parseInt(eatingOccasionsInput, 10) || 3;
+    const mainMealCount = Math.min(eatingOccasions, 3); // B, L, D
+    const snackCount = Math.max(0, eatingOccasions - mainMealCount);
+
+    let mainRatio, snackRatio;
+
+    if (eatingOccasions === 4) {
+        // B=28%, L=28%, D=28%, S1=16%. Total Main: 84%, Total Snack: 16%
+        mainRatio = 0.84;
+        snackRatio = 0.16;
+    } else if (eatingOccasions >= 5) {
+        // B=25%, L=25%, D=25%, S1=12.5%, S2=12.5%. Total Main: 75%, Total Snack: 25%
+        mainRatio = 0.75;
+        snackRatio = 0.25;
+    } else {
+        // 3 meals: B=33.3%, L=33.3%, D=33.3%. Total Main: 100%, Total Snack: 0%
+        mainRatio = 1.0;
+        snackRatio = 0.0;
+    }
+
+    const mainMealSplit = mainMealCount > 0 ? mainRatio / mainMealCount : 0;
+    const snackSplit = snackCount > 0 ? snackRatio / snackCount : 0;
+
+    return {
+        main: {
+            calories: nutritionalTargets.calories * mainMealSplit,
+            protein: nutritionalTargets.protein * mainMealSplit,
+            fat: nutritionalTargets.fat * mainMealSplit,
+            carbs: nutritionalTargets.carbs * mainMealSplit,
+        },
+        snack: {
+            calories: nutritionalTargets.calories * snackSplit,
+            protein: nutritionalTargets.protein * snackSplit,
+            fat: nutritionalTargets.fat * snackSplit,
+            carbs: nutritionalTargets.carbs * snackSplit,
+        },
+        // Used for solver macro logging (Phase 5)
+        mainCount: mainMealCount,
+        snackCount: snackCount
+    };
+}
+
+/**
+ * Aggregates every meal item across the given days into a Map keyed by normalizedKey.
+ * Items are mutated in place (normalizedKey attached, stateHint normalized).
+ */
+function aggregateIngredients(days, log) {
+    const ingredientMap = new Map(); // Use normalizedKey as the key
+
+    for (const day of days) {
+        for (const meal of day.meals) {
+            // Add normalizedKey to all items *early*
+            meal.items.forEach(item => { if(item && item.key) { item.normalizedKey = normalizeKey(item.key); } });
+
+            for (const item of meal.items) {
+                // [Step 5] Ensure stateHint is normalized before use in quantity normalization
+                normalizeStateHintForItem(item, log);
+
+                // This is a "dry run" to get quantities. No log needed.
+                // This function respects item.stateHint now that it is normalized
+                const { value: gramsOrMl } = normalizeToGramsOrMl(item, () => {});
+
+                const existing = ingredientMap.get(item.normalizedKey);
+                if (existing) {
+                    existing.requested_total_g += gramsOrMl;
+                    existing.dayRefs.add(day.dayNumber);
+                    // Carry forward stateHint if not yet set
+                    if (!existing.stateHint) existing.stateHint = item.stateHint;
+                } else {
+                    ingredientMap.set(item.normalizedKey, {
+                        originalIngredient: item.key, // Use the first-seen name as the "original"
+                        normalizedKey: item.normalizedKey,
+                        requested_total_g: gramsOrMl,
+                        dayRefs: new Set([day.dayNumber]),
+                        stateHint: item.stateHint // MOD ZONE 1.3: Pass stateHint
+                    });
+                }
+            }
+        }
+    }
+    return ingredientMap;
+}
+
+/**
+ * Maps the aggregated ingredients onto the Grocery Optimizer's query plan.
+ */
+function buildFullIngredientPlan(aggregatedIngredients, ingredientPlan, store, log, allergens = []) {
+    return aggregatedIngredients.map(aggItem => {
+        const planDetails = ingredientPlan.find(p => p.originalIngredient === aggItem.originalIngredient);
+        if (!planDetails) {
+             log(`No plan details from LLM for "${aggItem.originalIngredient}". Using fallback.`, 'WARN', 'LLM');
+             return {
+                 ...aggItem,
+                 category: 'misc',
+                 normalQuery: `${store} ${aggItem.originalIngredient}`,
+                 requiredWords: aggItem.originalIngredient.split(' ').slice(0,1),
+                 negativeKeywords: [],
+                 allowedCategories: ['pantry', 'produce', 'meat', 'dairy', 'frozen'],
+                 excludedAllergens: allergens
+             };
+        }
+        // CRITICAL: Ensure the store is included in the ingredient object for the market runner's synthTight/synthWide to work
+        return {
+            ...planDetails, // Contains LLM-generated query data
+            normalizedKey: aggItem.normalizedKey,
+            totalGramsRequired: aggItem.requested_total_g, // Overwrite LLM estimate with our sum
+            dayRefs: aggItem.dayRefs,
+            stateHint: aggItem.stateHint, // MOD ZONE 1.3: Pass stateHint
+            store: store, // Pass store name explicitly
+            category: planDetails.category || 'Uncategorized', // FIX: Ensure category always exists for FE grouping
+            // Ensure preprocessed data is carried over (V13.0)
+            _preprocessed: planDetails._preprocessed || null,
+            // [NEW] Allergen profile: runEnhancedChecklist hard-fails matching products
+            excludedAllergens: allergens
+        };
+    });
+}
+
+/**
+ * The market-ready ingredient plan: the Grocery Optimizer's queries plus the
+ * user's learned substitute preferences and brand / product rules. Every
+ * market run (plan, budget substitutes, /api/plan/regenerate) goes through here.
+ */
+async function buildMarketPlan(aggregatedIngredients, ingredientPlan, store, log, { allergens = [], productRules = [], userId = null } = {}) {
+    const plan = buildFullIngredientPlan(aggregatedIngredients, ingredientPlan, store, log, allergens);
+    return attachProductRules(attachLearnedPreferences(plan, await getFeedback(userId, store)), productRules);
+}
+
+// --- Market Run Logic ---
+/**
+ * Runs market search logic for a single ingredient.
+ */
+async function processSingleIngredientOptimized(ingredient, store, log) {
+    let telemetry = { name: ingredient.originalIngredient, used: 'none', score: 0, page: 1 };
+    try {
+        if (!ingredient || !ingredient.originalIngredient) {
+            log(`Market Run: Skipping invalid ingredient data`, 'WARN', 'MARKET_RUN', { ingredient });
+            return { _error: true, itemKey: 'unknown_invalid', message: 'Invalid ingredient data' };
+        }
+        const ingredientKey = ingredient.originalIngredient;
+
+        if (!ingredient.normalQuery || !Array.isArray(ingredient.requiredWords) || !Array.isArray(ingredient.negativeKeywords) || !Array.isArray(ingredient.allowedCategories) || ingredient.allowedCategories.length === 0) {
+            log(`[${ingredientKey}] Skipping: Missing critical fields (normalQuery/validation)`, 'ERROR', 'MARKET_RUN', ingredient);
+            return { [ingredientKey]: { ...ingredient, source: 'error', error: 'Missing critical query/validation fields', allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url } };
+        }
+
+        const result = { ...ingredient, allProducts: [], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url, source: 'failed', searchAttempts: [] };
+
+        // --- MATCH TRACE ---
+        const trace = createMatchTrace(ingredientKey, ingredient);
+
+        const qn = ingredient.normalQuery;
+        const qt = (ingredient.tightQuery && ingredient.tightQuery.trim()) ? ingredient.tightQuery : synthTight(ingredient, ingredient.store); // Use ingredient.store (passed from LLM) or infer from outer scope
+        const qw = (ingredient.wideQuery && ingredient.wideQuery.trim()) ? ingredient.wideQuery : synthWide(ingredient, ingredient.store);
 
+        const queriesToTry = [ { type: 'tight', query: qt }, { type: 'normal', query: qn }, { type: 'wide', query: qw } ].filter(q => q.query && q.query.trim());
+
+        log(`[${ingredientKey}] Queries: Tight (${qt ? (ingredient.tightQuery ? 'AI' : 'Synth') : 'N/A'}), Normal (AI), Wide (${qw ? (ingredient.wideQuery ? 'AI' : 'Synth') : 'N/A'})`, 'DEBUG', 'MARKET_RUN');
+
+        let acceptedQueryType = 'none';
+        let bestScore = 0;
+
+        for (const [index, { type, query }] of queriesToTry.entries()) {
+            if (type === 'normal' && acceptedQueryType !== 'none') {
+                continue; 
+            }
+            if (type === 'wide') {
+                if (acceptedQueryType !== 'none') continue;
+                const isFailFastCategory = ingredient.allowedCategories.some(c => FAIL_FAST_CATEGORIES.includes(c));
+                if (isFailFastCategory) {
+                    log(`[${ingredientKey}] Skipping "wide" query due to fail-fast category.`, 'DEBUG', 'MARKET_RUN');
+                    continue;
+                }
+            }
+
+            log(`[${ingredientKey}] Attempting "${type}" query: "${query}"`, 'DEBUG', 'HTTP');
+            const attemptRecorder = trace.startAttempt(type, query);
+            result.searchAttempts.push({ queryType: type, query: query, status: 'pending', foundCount: 0});
+            const currentAttemptLog = result.searchAttempts.at(-1);
+
+            // NOTE: The store variable from the outer scope is correctly captured here.
+            const { data: priceData } = await fetchPriceData(store, query, 1, log);
+
+            if (priceData.error) {
+                log(`[${ingredientKey}] Fetch failed (${type}): ${priceData.error.message}`, 'WARN', 'HTTP', { status: priceData.error.status });
+                attemptRecorder.finalize('fetch_error', 0);
+                currentAttemptLog.status = 'fetch_error'; 
+                continue;
+            }
+
+            const rawProducts = priceData.results || [];
+            currentAttemptLog.rawCount = rawProducts.length;
+            const validProductsOnPage = [];
+
+            for (const rawProduct of rawProducts) {
+                if (!rawProduct || !rawProduct.product_name) continue;
+                // log is correctly scoped here
+                // [MODIFIED V13.1] Use Enhanced Checklist with Trace
+                const checklistResult = tracedScoring(runEnhancedChecklist, rawProduct, ingredient, log, attemptRecorder);
+                if (checklistResult.pass) {
+                    validProductsOnPage.push({ 
+                        product: { 
+                            name: rawProduct.product_name, 
+                            brand: rawProduct.product_brand, 
+                            price: rawProduct.current_price, 
+                            size: rawProduct.product_size, 
+                            url: rawProduct.url, 
+                            barcode: rawProduct.barcode, 
+                            // calculateUnitPrice is module-scoped, fine
+                            unit_price_per_100: calculateUnitPrice(rawProduct.current_price, rawProduct.product_size) 
+                        }, 
+                        score: checklistResult.score
+                    });
+                }
+            }
+
+            // log is correctly scoped here
+            const filteredProducts = applyPriceOutlierGuard(validProductsOnPage, log, ingredientKey); 
+            // Syntax Fix applied previously: (max, p => Math.max...) -> (max, p) => Math.max...
+            const currentBestScore = filteredProducts.length > 0 ? filteredProducts.reduce((max, p) => Math.max(max, p.score), 0) : 0;
+            currentAttemptLog.bestScore = currentBestScore;
+
+            attemptRecorder.finalize(filteredProducts.length > 0 ? 'success' : 'no_match_post_filter', filteredProducts.length);
+
+            if (filteredProducts.length > 0) {
+                log(`[${ingredientKey}] Found ${filteredProducts.length} valid (${type}).`, 'INFO', 'DATA');
+                const currentUrls = new Set(result.allProducts.map(p => p.url));
+
+                // [MODIFIED V13.0] Attach score to product before pushing to allProducts
+                filteredProducts.forEach(vp => { 
+                    if (!currentUrls.has(vp.product.url)) { 
+                        vp.product._matchScore = vp.score;
+                        result.allProducts.push(vp.product); 
+                    } 
+                });
+
+                if (result.allProducts.length > 0) {
+                    // [MODIFIED V13.0] Sort by score first (prefer better matches), then by price
+                    const foundProduct = result.allProducts.reduce((best, current) => {
+                        const bestScore = best._matchScore ?? 0;
+                        const currentScore = current._matchScore ?? 0;
+                        // If scores differ significantly (>0.1), prefer higher score
+                        if (Math.abs(currentScore - bestScore) > 0.1) {
+                            return currentScore > bestScore ? current : best;
+                        }
+                        // Otherwise, prefer cheaper
+                        return (current.unit_price_per_100 ?? Infinity) < (best.unit_price_per_100 ?? Infinity) ? current : best;
+                    }, result.allProducts[0]);
+
+                    result.currentSelectionURL = foundProduct.url;
+                    result.source = 'discovery';
+                    currentAttemptLog.status = 'success';
+
+                    if (acceptedQueryType === 'none') {
+                        acceptedQueryType = type;
+                        bestScore = currentBestScore;
+                    }
+
+                    trace.setSelection(foundProduct, 'discovery', acceptedQueryType);
+
+                    if (type === 'tight' && currentBestScore >= SKIP_STRONG_MATCH_THRESHOLD) {
+                        log(`[${ingredientKey}] Skip heuristic hit (Strong tight match).`, 'INFO', 'MARKET_RUN');
+                        break; 
+                    }
+                    if (type === 'normal') {
+                        log(`[${ingredientKey}] Found valid 'normal' match. Stopping search.`, 'DEBUG', 'MARKET_RUN');
+                        break;
+                    }
+                } else { 
+                    currentAttemptLog.status = 'no_match_post_filter'; 
+                }
+            } else { 
+                log(`[${ingredientKey}] No valid products (${type}).`, 'WARN', 'DATA'); 
+                currentAttemptLog.status = 'no_match';
+                attemptRecorder.finalize('no_match', 0);
+            }
+        }
+
+        if (result.source === 'failed') { 
+            // [MODIFIED V13.0] Progressive Fallback Logic
+            log(`[${ingredientKey}] Market Run failed after trying all queries. Attempting fallbacks...`, 'WARN', 'MARKET_RUN');
+
+            const fallbackQueries = generateFallbackQueries(ingredientKey, store);
+
+            for (const fbQuery of fallbackQueries) {
+                log(`[${ingredientKey}] Fallback query: "${fbQuery}"`, 'DEBUG', 'MARKET_RUN');
+                const fbAttemptRecorder = trace.startAttempt('fallback', fbQuery);
+                result.searchAttempts.push({ queryType: 'fallback', query: fbQuery, status: 'pending', foundCount: 0 });
+                const fbAttemptLog = result.searchAttempts.at(-1);
+
+                try {
+                    const { data: searchData } = await fetchPriceData(store, fbQuery, 1, log);
+                    const products = searchData?.results || [];
+                    fbAttemptLog.foundCount = products.length;
+
+                    if (products.length > 0) {
+                        const validProducts = products.map(p => {
+                            const enrichedProduct = {
+                                name: p.product_name || p.name,
+                                brand: p.product_brand,
+                                price: p.current_price,
+                                size: p.product_size || p.size || '',
+                                url: p.url,
+                                barcode: p.barcode,
+                                product_name: p.product_name || p.name, // Ensure product_name is set for scorer
+                                product_category: p.product_category || p.category || '',
+                                product_size: p.product_size || p.size || '',
+                                unit_price_per_100: calculateUnitPrice(p.current_price, p.product_size || p.size || ''),
+                            };
+                            // [MODIFIED V13.1] Use Enhanced Checklist with Trace
+                            const checkResult = tracedScoring(runEnhancedChecklist, enrichedProduct, ingredient, log, fbAttemptRecorder);
+                            return checkResult.pass ? { product: enrichedProduct, score: checkResult.score } : null;
+                        }).filter(Boolean);
+
+                        fbAttemptRecorder.finalize(validProducts.length > 0 ? 'success' : 'no_match_post_filter', validProducts.length);
+
+                        if (validProducts.length > 0) {
+                            // Sort by score descending, then by unit price ascending
+                            validProducts.sort((a, b) => {
+                                if (Math.abs(a.score - b.score) > 0.05) return b.score - a.score;
+                                return (a.product.unit_price_per_100 ?? Infinity) - (b.product.unit_price_per_100 ?? Infinity);
+                            });
+
+                            const currentUrls = new Set(result.allProducts.map(p => p.url));
+                            validProducts.forEach(vp => { 
+                                if (!currentUrls.has(vp.product.url)) { 
+                                    vp.product._matchScore = vp.score;
+                                    result.allProducts.push(vp.product); 
+                                }
+                            });
+
+                            if (result.allProducts.length > 0) {
+                                const foundProduct = result.allProducts.reduce((best, current) => {
+                                    const bestScore = best._matchScore ?? 0;
+                                    const currentScore = current._matchScore ?? 0;
+                                    if (Math.abs(currentScore - bestScore) > 0.1) return currentScore > bestScore ? current : best;
+                                    return (current.unit_price_per_100 ?? Infinity) < (best.unit_price_per_100 ?? Infinity) ? current : best;
+                                }, result.allProducts[0]);
+
+                                result.currentSelectionURL = foundProduct.url;
+                                result.source = 'discovery';
+                                fbAttemptLog.status = 'success';
+                                acceptedQueryType = 'fallback';
+                                bestScore = foundProduct._matchScore || 0;
+                                log(`[${ingredientKey}] Fallback matched: "${foundProduct.product_name || foundProduct.name}"`, 'INFO', 'MARKET_RUN');
+
+                                trace.setSelection(foundProduct, 'fallback', 'fallback');
+                                break; // Stop trying more fallbacks
+                            }
+                        }
+                    } else {
+                        fbAttemptRecorder.finalize('no_match', 0);
+                    }
+                    fbAttemptLog.status = fbAttemptLog.status === 'pending' ? 'no_match' : fbAttemptLog.status;
+                } catch (fbErr) {
+                    log(`[${ingredientKey}] Fallback query error: ${fbErr.message}`, 'WARN', 'MARKET_RUN');
+                    fbAttemptLog.status = 'error';
+                    fbAttemptRecorder.finalize('fetch_error', 0);
+                }
+            }
+
+            if (result.source === 'failed') { 
+                log(`[${ingredientKey}] Market Run failed after trying all queries + fallbacks.`, 'WARN', 'MARKET_RUN'); 
+                trace.setFailed('All queries exhausted without a match');
+            }
+        } else { 
+            log(`[${ingredientKey}] Market Run success via '${acceptedQueryType}' query.`, 'DEBUG', 'MARKET_RUN'); 
+        }
+
+        telemetry.used = acceptedQueryType;
+        telemetry.score = bestScore;
+        log(`[${ingredientKey}] Market Run Telemetry`, 'INFO', 'MARKET_RUN', telemetry);
+
+        // Attach match trace to result
+        result._matchTrace = trace.build();
+        return { [ingredientKey]: result };
+
+    } catch(e) {
+        log(`CRITICAL Error in processSingleIngredient "${ingredient?.originalIngredient}": ${e.message}`, 'CRITICAL', 'MARKET_RUN', { stack: e.stack?.substring(0, 300) });
+        return { _error: true, itemKey: ingredient?.originalIngredient || 'unknown_error', message: `Internal Market Run Error: ${e.message}` };
+    }
+}
 // --- End Market Run Logic ---
 
+/**
+ * Collates the raw market run output into a Map<normalizedKey, result>.
+ * onMatchTrace(key, trace) is called for every result carrying a match trace.
+ */
+function collateMarketResults(parallelResultsArray, fullIngredientPlan, log, onMatchTrace) {
+    // fullResultsMap still needed to map key to selected product
+    const fullResultsMap = new Map(); // Map<normalizedKey, result>
+    parallelResultsArray.forEach(currentResult => {
+         // FIX 1 & 2: Derive normalized key and look up plan item
+         const ingredientKey = Object.keys(currentResult)[0];
+         const normalizedKey = normalizeKey(ingredientKey);
+         const resultData = currentResult[ingredientKey];
+
+         // Look up the enriched plan item using the normalized key
+         const planItem = fullIngredientPlan.find(i => i.normalizedKey === normalizedKey);
+
+         if (currentResult._error) {
+             log(`Market Run Item Error for "${currentResult.itemKey}": ${currentResult.message}`, 'WARN', 'MARKET_RUN');
+             const baseData = planItem || { originalIngredient: currentResult.itemKey, normalizedKey: normalizeKey(currentResult.itemKey) };
+             fullResultsMap.set(normalizedKey, { ...baseData, source: 'error', error: currentResult.message, allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url });
+             return;
+         }
+
+         if (resultData && typeof resultData === 'object' && planItem) {
+             // FIX 3: Merge resultData with the enriched planItem to carry over fields like 'category'
+             fullResultsMap.set(normalizedKey, { ...planItem, ...resultData, normalizedKey: planItem.normalizedKey });
+
+             // Emit Trace Event if available
+             if (resultData._matchTrace && onMatchTrace) {
+                 onMatchTrace(ingredientKey, resultData._matchTrace);
+             }
+         } else {
+              log(`Invalid market result structure or missing plan item for "${normalizedKey}"`, 'ERROR', 'SYSTEM', { resultData, planItemExists: !!planItem });
+              const baseData = planItem || { originalIngredient: ingredientKey, normalizedKey: normalizedKey };
+              fullResultsMap.set(normalizedKey, { ...baseData, source: 'error', error: 'Invalid market result structure', allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url });
+         }
+    });
+    return fullResultsMap;
+}
+
+/**
+ * Extracts the selected product's price data from a market result (Mod Zone 3).
+ * Even if no product was found, an entry with zero price data is returned.
+ */
+function extractPriceData(result, store) {
+    const selected = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+
+    if (selected) {
+        return {
+            price: selected.price || 0,
+            url: selected.url,
+            store: store,
+            packSize: selected.size,
+            unitPrice: selected.unit_price_per_100 || 0,
+            productName: selected.name || result.originalIngredient
+        };
+    }
+    return {
+        price: 0,
+        url: MOCK_PRODUCT_TEMPLATE.url,
+        store: store,
+        packSize: 'N/A',
+        unitPrice: 0,
+        productName: result.originalIngredient
+    };
+}
+
+/**
+ * Fetches ingredient-centric nutrition for the aggregated ingredients (Mod Zone 1 & 2).
+ * Returns { nutritionDataMap, canonicalHits }.
+ */
+async function fetchNutritionForIngredients(aggregatedIngredients, log) {
+    const nutritionDataMap = new Map(); // Map<normalizedKey, nutritionData>
+    let canonicalHits = 0; // Keep tracking canonical fallbacks
+
+    // MOD ZONE 1.1: Gather items for ingredient lookup
+    const itemNutritionRequests = aggregatedIngredients.map(item => ({
+        normalizedKey: item.normalizedKey,
+        query: item.originalIngredient,
+        stateHint: item.stateHint // MOD ZONE 1.3: Pass stateHint
+    }));
+
+    // Fetch in parallel using the ingredient-centric lookup
+    if (itemNutritionRequests.length > 0) {
+        log(`Fetching nutrition for ${itemNutritionRequests.length} unique ingredients...`, 'INFO', 'HTTP');
+        const nutritionResults = await concurrentlyMap(itemNutritionRequests, NUTRITION_CONCURRENCY, async (item) => {
+             try {
+                 // MOD ZONE 2.1, 2.2, 2.3: Call lookupIngredientNutrition with only ingredientKey
+                 const nut = await lookupIngredientNutrition(item.query, log);
+
+                 // Check if it's a Canonical hit for telemetry
+                 if (nut?.source === 'canonical') canonicalHits++;
+
+                 return { ...item, nut };
+             } catch (err) {
+                 log(`Nutrition fetch error for ${item.query}: ${err.message}`, 'WARN', 'HTTP');
+                 return { ...item, nut: { status: 'not_found', source: 'error', error: `Nutrition fetch failed: ${err.message}` } };
+             }
+         });
+        // Collate nutrition results
+        nutritionResults.forEach(item => {
+             if (item && item.normalizedKey && item.nut) {
+                nutritionDataMap.set(item.normalizedKey, item.nut);
+             }
+        });
+    }
+    return { nutritionDataMap, canonicalHits };
+}
+
+/**
+ * Builds the macro calculators bound to a nutrition map.
+ * Returns { computeDetailedItemMacros, computeItemMacros, calculateTotals }.
+ */
+function createMacroCalculator(nutritionDataMap, log) {
+    const computeDetailedItemMacros = (item, mealItems) => { // Relies on closure 'log' and 'nutritionDataMap'
+         const normalizedKey = item.normalizedKey; 
+
+         // 1. Get user-facing quantity
+         const { value: gramsOrMl } = normalizeToGramsOrMl(item, log);
+         const gramsInput = gramsOrMl; // Normalized grams/ml before transforms
+
+         // Initialize debug item structure
+         const debugItem = {
+            key: item.key,
+            displayName: item.key, // Using key as fallback
+            qtyValue: item.qty_value || null,
+            qtyUnit: item.qty_unit || null,
+            stateHint: item.stateHint || null,
+            methodHint: item.methodHint || null,
+            gramsInput: gramsInput,
+            gramsAsSold: null,
+            nutritionKey: normalizedKey,
+            per100: { kcal: null, protein: null, fat: null, carbs: null },
+            computedMacros: { calories: 0, protein: 0, fat: 0, carbs: 0 },
+            computedMicros: null, // [NEW] sodium_mg, sugar_g, ... (null = no micronutrient data)
+            source: 'missing',
+            notes: null,
+            lookupMethod: 'ingredient-centric' // MOD ZONE 4.3: Add ingredient-centric flag
+         };
+
+         // ... (rest of initial checks) ...
+         if (!Number.isFinite(gramsInput) || gramsInput < 0 || gramsInput === 0) {
+             if (gramsInput !== 0) {
+                log(`[MACRO_DEBUG] Invalid quantity for item '${item.key}'.`, 'ERROR', 'CALC', { item, gramsInput });
+             }
+             return { p: 0, f: 0, c: 0, kcal: 0, fiber: 0, micros: null, key: item.key, debugItem };
+         }
+
+         // 2. Convert to 'as_sold' (e.g., 200g cooked rice -> 67g dry rice)
+         const { grams_as_sold, inferredMethod } = toAsSold(item, gramsInput, log);
+
+         debugItem.gramsAsSold = grams_as_sold;
+         debugItem.methodHint = item.methodHint || inferredMethod || null;
+
+         // 3. Get nutrition data (per 100g)
+         const nutritionData = nutritionDataMap.get(normalizedKey);
+         let grams = grams_as_sold;
+         let p = 0, f = 0, c = 0, kcal = 0, fiber = 0;
+         let micros = null;
+
+         let source = 'missing';
+
+         if (nutritionData && nutritionData.status === 'found') {
+             // Use real data
+             const proteinPer100 = Number(nutritionData.protein || nutritionData.protein_g_per_100g) || 0;
+             const fatPer100 = Number(nutritionData.fat || nutritionData.fat_g_per_100g) || 0;
+             const carbsPer100 = Number(nutritionData.carbs || nutritionData.carb_g_per_100g) || 0;
+
+             // RFC-001: calories is the primary field from nutrition-search.js
+             // Fallback chain: calories → kcal → kcal_per_100g → reconstruct from macros
+             const kcalPer100 = 
+                 Number(nutritionData.calories) ||
+                 Number(nutritionData.kcal) || 
+                 Number(nutritionData.kcal_per_100g) || 
+                 ((proteinPer100 * 4) + (fatPer100 * 9) + (carbsPer100 * 4));
+
+
+             // Populate debug per100
+             debugItem.per100.kcal = kcalPer100;
+             debugItem.per100.protein = proteinPer100;
+             debugItem.per100.fat = fatPer100;
+             debugItem.per100.carbs = carbsPer100;
+
+             p = (proteinPer100 / 100) * grams;
+             f = (fatPer100 / 100) * grams;
+             c = (carbsPer100 / 100) * grams;
+             fiber = ((Number(nutritionData.fiber) || 0) / 100) * grams;
+             micros = scaleMicros(nutritionData, grams);
+             debugItem.computedMicros = micros;
+
+             source = nutritionData.source.toLowerCase();
+             debugItem.source = source;
+
+             // [NEW] Product-accurate mode (utils/product-nutrition.js): label vs ingredient entry, with confidence
+             if (nutritionData.productNutrition) {
+                 debugItem.productNutrition = nutritionData.productNutrition;
+                 if (source === 'label') debugItem.lookupMethod = 'product-label';
+             }
+
+             // MOD ZONE 4.2: Log warning if an external API was used
+             // In the ingredient-centric flow, the only valid sources are HOT_PATH, CANONICAL, or FALLBACK (LABEL in product-accurate mode)
+             if (source !== 'hot_path' && source !== 'canonical' && source !== 'fallback' && source !== 'label' && gramsInput > 0) {
+                 log(`[MACRO_DEBUG] WARNING: External API used for '${item.key}'. Potential for macro drift. Source: ${nutritionData.source}`, 'WARN', 'CALC');
+             }
+         } else { 
+            if (gramsInput > 0) {
+               log(`[MACRO_DEBUG] No nutrition found for '${item.key}'. Macros set to 0.`, 'WARN', 'CALC', { normalizedKey }); 
+            }
+            debugItem.notes = 'Nutrition data missing or not found.';
+         }
+
+         // 4. Add extras (e.g., oil absorption)
+         const { absorbed_oil_g } = getAbsorbedOil(item, debugItem.methodHint, mealItems, log);
+         if (absorbed_oil_g > 0) { 
+             f += absorbed_oil_g; 
+             debugItem.notes = (debugItem.notes ? debugItem.notes + '; ' : '') + `Added ${absorbed_oil_g.toFixed(1)}g fat from absorbed oil.`;
+         }
+
+         // 5. Calculate final kcal
+         kcal = (p * 4) + (f * 9) + (c * 4);
+
+         // Populate debug computed macros
+         debugItem.computedMacros.calories = kcal;
+         debugItem.computedMacros.protein = p;
+         debugItem.computedMacros.fat = f;
+         debugItem.computedMacros.carbs = c;
+
+         // 6. Set Final Source and Log Anomalies
+
+         if (kcal === 0 && gramsInput > 0) {
+             // Log anomaly: Zero-calorie item with non-zero quantity (Rule 4)
+             log(`[MACRO_DEBUG] Zero-calorie item with non-zero qty: '${item.key}' (${gramsInput.toFixed(0)}g). Source: ${source}`, 'WARN', 'CALC');
+         }
+
+         if (source === 'canonical' && gramsInput > 0) {
+             // Log anomaly: Canonical fallback used (Rule 4)
+             log(`[MACRO_DEBUG] Canonical fallback used for '${item.key}'.`, 'INFO', 'CALC');
+         }
+
+         if (kcal > MAX_CALORIES_PER_ITEM && !item.key.toLowerCase().includes('oil')) {
+            log(`CRITICAL: Item '${item.key}' calculated to ${kcal.toFixed(0)} kcal, exceeding sanity limit.`, 'CRITICAL', 'CALC', { item, grams, p, f, c });
+            // Nullify macros to prevent breaking the plan
+            kcal = 0; p = 0; f = 0; c = 0; fiber = 0; micros = null;
+            debugItem.computedMacros = { calories: 0, protein: 0, fat: 0, carbs: 0 };
+            debugItem.computedMicros = null;
+            debugItem.notes = (debugItem.notes ? debugItem.notes + '; ' : '') + 'Macros nullified due to sanity check failure.';
+         }
+
+         return { p, f, c, kcal, fiber, micros, key: item.key, debugItem };
+    };
+
+
+    // Redefine the simple helper that calculateTotals and reconcilerGetItemMacros expects.
+    // This function replaces the original `computeItemMacros` but maintains the simple return structure.
+    const computeItemMacros = (item, mealItems) => {
+         const result = computeDetailedItemMacros(item, mealItems);
+         return {
+             p: result.p, f: result.f, c: result.c, kcal: result.kcal, fiber: result.fiber, micros: result.micros, key: result.key,
+             grams: result.debugItem.gramsAsSold ?? result.debugItem.gramsInput // Portion size for INV-003 bounds in Solver V1
+         };
+    };
+
+
+    // Helper to calculate totals for a list of meals
+    const calculateTotals = (mealList, dayNum) => {
+        let totalKcal = 0, totalP = 0, totalF = 0, totalC = 0, totalFiber = 0;
+        const microTotals = createMicroTotals(); // [NEW] Micronutrients summed alongside macros
+        let planHasInvalidItems = false;
+        for (const meal of mealList) {
+             let mealKcal = 0, mealP = 0, mealF = 0, mealC = 0;
+             for (const item of meal.items) {
+                 // Attach normalizedKey again as it was lost in deep copy
+                 item.normalizedKey = normalizeKey(item.key); 
+
+                 // Ensure stateHint is normalized before macro calculation
+                 normalizeStateHintForItem(item, log);
+
+                 // This is the call to the macro calculator (the getMacros function for validation)
+                 const macros = computeItemMacros(item, meal.items);
+                 mealKcal += macros.kcal; mealP += macros.p; mealF += macros.f; mealC += macros.c;
+                 totalFiber += macros.fiber || 0;
+                 addMicros(microTotals, macros.micros);
+             }
+             meal.subtotal_kcal = mealKcal; meal.subtotal_protein = mealP; meal.subtotal_fat = mealF; meal.subtotal_carbs = mealC;
+             if (meal.subtotal_kcal <= 0 && meal.items.length > 0) { // Only log if not an empty meal
+                 log(`[Solver] Meal "${meal.name}" (Day ${dayNum}) has zero/negative kcal.`, 'WARN', 'CALC', { items: meal.items.map(i => i.key) });
+                 planHasInvalidItems = true;
+             }
+             totalKcal += mealKcal; totalP += mealP; totalF += mealF; totalC += mealC;
+        }
+        // Return total object, which serves as the dayTotals input for validation
+        return { totalKcal, totalP, totalF, totalC, totalFiber, totalMicros: finalizeMicroTotals(microTotals), planHasInvalidItems };
+    };
+
+    return { computeDetailedItemMacros, computeItemMacros, calculateTotals };
+}
+
+/**
+ * Solves a single day: per-meal reconciliation, then the day-level Solver V1 (live) vs
+ * Reconciler V0 (shadow) pass, then validation. Returns { dayPlan, dayDebug }.
+ * Both paths are scored with per-macro residuals (utils/macro-solver.js); the live
+ * path's residuals are attached to the day as `solver`.
+ */
+function solveDay(day, nutritionalTargets, targetsPerMealType, calculator, nutritionDataMap, log) {
+    const { computeDetailedItemMacros, computeItemMacros, calculateTotals } = calculator;
+
+    let mealsForThisDay = JSON.parse(JSON.stringify(day.meals)); // Deep copy for safety
+    // nutritionalTargets is the targets object for the current day
+    const targetCalories = nutritionalTargets.calories;
+
+    // Determine per meal targets for logging (Phase 5)
+    const targetsPerMeal = (meal) => {
+        const isSnack = meal.type && meal.type.toLowerCase().includes('snack');
+        return isSnack ? targetsPerMealType.snack : targetsPerMealType.main;
+    };
+
+    // Phase C5 & C6: Per-meal reconciliation loop
+    let reconciliationHappened = false;
+
+    for (let i = 0; i < mealsForThisDay.length; i++) {
+        const meal = mealsForThisDay[i];
+        const mealTargets = targetsPerMeal(meal);
+
+        // Use a deep copy for the reconciliation input as it mutates the meal object internally
+        const mealCopy = JSON.parse(JSON.stringify(meal));
+
+        const { adjusted, factor, meal: reconciledMeal } = reconcileMealLevel({
+            meal: mealCopy,
+            targetKcal: mealTargets.calories,
+            targetProtein: mealTargets.protein,
+            getItemMacros: computeItemMacros,
+            log: log,
+            tolPct: 15 // Use 15% tolerance for individual meal adjustment
+        });
+
+        if (adjusted) {
+            reconciliationHappened = true;
+            // Replace the original meal with the reconciled one
+            mealsForThisDay[i] = reconciledMeal; 
+        }
+    }
+
+    if (reconciliationHappened) {
+         log(`[MEAL_RECON] Per-meal reconciliation applied on Day ${day.dayNumber}. Recalculating day totals.`, 'INFO', 'SOLVER');
+    }
+
+    // --- 1. Run Solver V1 (Live Path by default) ---
+    // Constrained solve over every item: calories/protein/fat/carbs within bands + fiber minimum
+    const fiberMinG = resolveFiberMinimum(nutritionalTargets);
+    const solverV1Result = solveDayMacros({
+        meals: JSON.parse(JSON.stringify(mealsForThisDay)), // Fresh deep copy (start from possibly reconciled state)
+        targets: nutritionalTargets,
+        getItemMacros: (item, mealItems) => {
+            item.normalizedKey = normalizeKey(item.key);
+            normalizeStateHintForItem(item, log);
+            return computeItemMacros(item, mealItems);
+        },
+        fiberMinG,
+        log
+    });
+    const solverV1Meals = solverV1Result.meals;
+    const solverV1Totals = calculateTotals(solverV1Meals, day.dayNumber);
+
+    // --- 2. Run Reconciler V0 (Shadow Path, live with CHEFFY_USE_SOLVER=0) ---
+    const reconcilerGetItemMacros = (item) => {
+        item.normalizedKey = normalizeKey(item.key); // Ensure key is normalized
+        // State hint is normalized inside calculateTotals, but we must ensure consistency here too
+        normalizeStateHintForItem(item, log);
+
+        const mealContext = mealsForThisDay.find(m => m.items.some(i => i.key === item.key))?.items || [];
+        return computeItemMacros(item, mealContext);
+    };
+
+    const { adjusted, factor, meals: scaledMeals } = reconcileNonProtein({
+        meals: mealsForThisDay.map(m => ({ ...m, items: m.items.map(i => ({ ...i, qty: i.qty_value, unit: i.qty_unit })) })),
+        targetKcal: targetCalories,
+        getItemMacros: reconcilerGetItemMacros, // Use our master calculator
+        tolPct: 5,
+        // D1, D2, D3: Pass parameters for protein scaling logic
+        allowProteinScaling: ALLOW_PROTEIN_SCALING,
+        targetProtein: nutritionalTargets.protein,
+        log: log
+    });
+
+    // Re-format scaled meals and calculate their *final* totals
+    const reconcilerV0Meals = scaledMeals.map(m => ({ ...m, items: m.items.map(i => ({ ...i, qty_value: i.qty, qty_unit: i.unit })) }));
+    const reconcilerV0Totals = calculateTotals(reconcilerV0Meals, day.dayNumber);
+
+    // --- Determine which meal/total set to use ---
+    let selectedMeals = USE_SOLVER_V1 ? solverV1Meals : reconcilerV0Meals;
+    let selectedTotals = USE_SOLVER_V1 ? solverV1Totals : reconcilerV0Totals;
+
+    // Per-macro residuals for both paths (after rounding, from recomputed totals)
+    const residualsFor = (totals) => computeResiduals({
+        calories: totals.totalKcal,
+        protein: totals.totalP,
+        fat: totals.totalF,
+        carbs: totals.totalC,
+        fiber: totals.totalFiber
+    }, nutritionalTargets, DEFAULT_TOLERANCES, fiberMinG);
+    const solverV1Residuals = residualsFor(solverV1Totals);
+    const reconcilerV0Residuals = residualsFor(reconcilerV0Totals);
+
+    // --- 3. Log Comparison ---
+    log(`[Solver] Day ${day.dayNumber} Shadow Mode Comparison:`, 'INFO', 'SOLVER', {
+        day: day.dayNumber,
+        target: targetCalories,
+        solver_v1_kcal: solverV1Totals.totalKcal.toFixed(0),
+        reconciler_v0_kcal: reconcilerV0Totals.totalKcal.toFixed(0),
+        solver_v1_pct: MACRO_RESIDUAL_KEYS.map(k => `${k} ${solverV1Residuals[k].pct}%`).join(', '),
+        reconciler_v0_pct: MACRO_RESIDUAL_KEYS.map(k => `${k} ${reconcilerV0Residuals[k].pct}%`).join(', '),
+        solver_v1_fiber_g: solverV1Residuals.fiber.actual,
+        reconciler_v0_fiber_g: reconcilerV0Residuals.fiber.actual,
+        fiber_min_g: fiberMinG,
+        solver_v1_within: solverV1Residuals.allWithin,
+        reconciler_v0_within: reconcilerV0Residuals.allWithin,
+        solver_v1_converged: solverV1Result.converged,
+        reconciler_adjusted: adjusted,
+        reconciler_factor: factor
+    });
+
+    // --- 4. Validation (Task 3) ---
+    const validationResult = validateDayPlan({
+      meals: selectedMeals,
+      dayTotals: {
+        calories: selectedTotals.totalKcal,
+        protein: selectedTotals.totalP,
+        fat: selectedTotals.totalF,
+        carbs: selectedTotals.totalC,
+        micros: selectedTotals.totalMicros
+      },
+      targets: nutritionalTargets, 
+      nutritionDataMap: nutritionDataMap,
+      getMacros: computeItemMacros,
+      log: log
+    });
+
+    // --- 5. Optional Log Validation Issues (Task 5) ---
+    if (validationResult && validationResult.hasIssues && validationResult.hasIssues()) {
+      log(
+        `[VALIDATION] Day ${day.dayNumber}: ${validationResult.issues.length} issues (confidence=${validationResult.confidenceScore.toFixed(2)})`,
+        'WARN',
+        'CALC'
+      );
+    }
+    // --- End Validation ---
+
+    // --- 6. Select Path and Finalize Day Object (Task 4) ---
+    log(`[Solver] Using ${USE_SOLVER_V1 ? 'SOLVER_V1' : 'RECONCILER_V0'} for Day ${day.dayNumber}`, 'INFO', 'SOLVER');
+
+    // --- [NEW] Collect Macro Debug Data for this Day ---
+    const dayDebug = {
+        dayIndex: day.dayNumber - 1, // 0-based
+        dayLabel: `Day ${day.dayNumber}`,
+        residuals: { solver_v1: solverV1Residuals, reconciler_v0: reconcilerV0Residuals },
+        meals: []
+    };
+
+    for (const meal of selectedMeals) {
+        // Use per-meal target function for logging (Phase 5)
+        const targetMacros = targetsPerMeal(meal); 
+
+        const mealDebug = {
+            mealName: meal.name,
+            mealId: null, // Not available
+            targetMacros: {
+                calories: targetMacros.calories ? Math.round(targetMacros.calories) : null,
+                protein: targetMacros.protein ? Math.round(targetMacros.protein) : null,
+                fat: targetMacros.fat ? Math.round(targetMacros.fat) : null,
+                carbs: targetMacros.carbs ? Math.round(targetMacros.carbs) : null
+            },
+            computedTotals: {
+                calories: Math.round(meal.subtotal_kcal || 0),
+                protein: Math.round(meal.subtotal_protein || 0),
+                fat: Math.round(meal.subtotal_fat || 0),
+                carbs: Math.round(meal.subtotal_carbs || 0)
+            },
+            deviation: {
+                caloriesDiff: targetMacros.calories ? Math.round((meal.subtotal_kcal || 0) - targetMacros.calories) : null,
+                proteinDiff: targetMacros.protein ? Math.round((meal.subtotal_protein || 0) - targetMacros.protein) : null,
+                fatDiff: targetMacros.fat ? Math.round((meal.subtotal_fat || 0) - targetMacros.fat) : null,
+                carbsDiff: targetMacros.carbs ? Math.round((meal.subtotal_carbs || 0) - targetMacros.carbs) : null
+            },
+            items: []
+        };
+
+        for (const item of meal.items) {
+            // Recalculate item macros using the detailed function to get the debug object
+            const { debugItem } = computeDetailedItemMacros(item, meal.items);
+            // Round the final computed macros in the debug item
+            debugItem.computedMacros.calories = Math.round(debugItem.computedMacros.calories);
+            debugItem.computedMacros.protein = Math.round(debugItem.computedMacros.protein);
+            debugItem.computedMacros.fat = Math.round(debugItem.computedMacros.fat);
+            debugItem.computedMacros.carbs = Math.round(debugItem.computedMacros.carbs);
+
+            mealDebug.items.push(debugItem);
+        }
+        dayDebug.meals.push(mealDebug);
+    }
+
+    const dayPlan = {
+        dayNumber: day.dayNumber, 
+        meals: selectedMeals, 
+        totals: {
+            calories: selectedTotals.totalKcal,
+            protein: selectedTotals.totalP,
+            fat: selectedTotals.totalF,
+            carbs: selectedTotals.totalC,
+            fiber: selectedTotals.totalFiber,
+            micros: selectedTotals.totalMicros
+        },
+        // [NEW] Attach validation result (Task 4)
+        validation: validationResult.toJSON(),
+        // [NEW] Which path produced the quantities and how far each macro landed from its target
+        solver: {
+            path: USE_SOLVER_V1 ? 'SOLVER_V1' : 'RECONCILER_V0',
+            residuals: USE_SOLVER_V1 ? solverV1Residuals : reconcilerV0Residuals
+        }
+    };
+
+    return { dayPlan, dayDebug };
+}
+
+/**
+ * Rounds a solved day's totals and simplifies its meal items for the frontend.
+ * Mutates the day in place and returns the unrounded totals for summary aggregation.
+ */
+function finalizeDayForResponse(day) {
+    // Store rounded totals separately for frontend consumption
+    const dayTotals = day.totals;
+    day.totals = {
+        calories: Math.round(dayTotals.calories || 0),
+        protein: Math.round(dayTotals.protein || 0),
+        fat: Math.round(dayTotals.fat || 0),
+        carbs: Math.round(dayTotals.carbs || 0),
+        fiber: Math.round(dayTotals.fiber || 0),
+        micros: dayTotals.micros || null, // Already rounded by finalizeMicroTotals
+    }
+
+    day.meals.forEach(meal => {
+        // Round meal macros
+        meal.subtotal_kcal = Math.round(meal.subtotal_kcal || 0);
+        meal.subtotal_protein = Math.round(meal.subtotal_protein || 0);
+        meal.subtotal_fat = Math.round(meal.subtotal_fat || 0);
+        meal.subtotal_carbs = Math.round(meal.subtotal_carbs || 0);
+        // Simplify item structure
+        meal.items = meal.items.map(item => ({
+            key: item.key,
+            qty: item.qty_value,
+            unit: item.qty_unit,
+            stateHint: item.stateHint,
+            methodHint: item.methodHint
+        }));
+    });
+    return dayTotals;
+}
+
+/**
+ * [NEW] Hard budget cap (see utils/budget-balancer.js).
+ * Stage 1 swaps to cheaper products already in allProducts; if the plan is still
+ * over the cap, stage 2 substitutes cheaper equivalent ingredients, market-runs
+ * them and rewrites the meal items, so nutrition + solver run on the new plan.
+ * Mutates fullMealPlan, aggregatedIngredients and fullResultsMap in place.
+ *
+ * @returns {{ cap, before, after, withinBudget, swaps, substitutions, breakdown, affectedMeals, reason }}
+ */
+async function rebalanceToBudget(cap, { fullMealPlan, aggregatedIngredients, fullResultsMap, allergens = [], productRules = [], userId = null }, store, log, primaryModel, fallbackModel) {
+    const before = computePlanCost(fullResultsMap.values());
+    const beforeBreakdown = buildCostBreakdown(fullResultsMap.values());
+    const report = { cap, before, after: before, withinBudget: before <= cap, swaps: [], substitutions: [], breakdown: { before: beforeBreakdown, after: beforeBreakdown }, affectedMeals: [], reason: null };
+    if (report.withinBudget) return report;
+
+    log(`Plan cost $${before.toFixed(2)} exceeds budget cap $${cap.toFixed(2)}. Re-balancing...`, 'WARN', 'BUDGET');
+
+    // Stage 1: cheaper products for the same ingredients
+    report.swaps = swapToCheaperProducts(fullResultsMap, cap, log);
+    let total = computePlanCost(fullResultsMap.values());
+
+    // Stage 2: cheaper equivalent ingredients
+    if (total > cap) {
+        const candidates = findSubstitutionCandidates(fullResultsMap)
+            .filter(({ toKey }) => !fullResultsMap.has(toKey))
+            .filter(({ toIngredient }) => detectAllergens(toIngredient, allergens).length === 0);
+
+        if (candidates.length > 0) {
+            // One item per target ingredient, sized for everything it replaces
+            const substituteItems = candidates.map(({ results, toIngredient, toKey, requested_total_g, dayRefs }) => ({
+                originalIngredient: toIngredient,
+                normalizedKey: toKey,
+                requested_total_g,
+                dayRefs: new Set(dayRefs),
+                stateHint: results[0].stateHint
+            }));
+
+            try {
+                const { ingredients: ingredientPlan } = await generateGroceryQueries_Batched(substituteItems, store, log, primaryModel, fallbackModel);
+                const substitutePlan = await buildMarketPlan(substituteItems, ingredientPlan || [], store, log, { allergens, productRules, userId });
+                const marketResults = await concurrentlyMap(substitutePlan, MARKET_RUN_CONCURRENCY, (ingredient) => processSingleIngredientOptimized(ingredient, store, log));
+                const substituteResults = collateMarketResults(marketResults, substitutePlan, log);
+
+                for (const { results: fromResults, toIngredient, toKey, totalCost: fromCost } of candidates) {
+                    if (total <= cap) break;
+                    const toResult = applyPurchaseOptimization(substituteResults.get(toKey), log);
+                    if (!toResult || toResult.source !== 'discovery' || !toResult.purchase) continue;
+                    const saving = Number((fromCost - toResult.purchase.totalCost).toFixed(2));
+                    if (saving <= 0) continue;
+                    const fromKeys = new Set(fromResults.map(r => r.normalizedKey));
+                    const fromNames = fromResults.map(r => r.originalIngredient).join(', ');
+
+                    // Rewrite the meal items so nutrition + solver use the substitute
+                    for (const day of fullMealPlan) {
+                        for (const meal of day.meals) {
+                            let touched = false;
+                            for (const item of meal.items) {
+                                if (item && fromKeys.has(item.normalizedKey)) {
+                                    item.key = toIngredient;
+                                    item.normalizedKey = toKey;
+                                    touched = true;
+                                }
+                            }
+                            if (touched && !report.affectedMeals.some(m => m._dayNumber === day.dayNumber && m.name === meal.name)) {
+                                report.affectedMeals.push({ ...meal, _dayNumber: day.dayNumber });
+                            }
+                        }
+                    }
+
+                    // The first replaced ingredient's slot takes the substitute, the others are dropped
+                    const substituteItem = substituteItems.find(a => a.normalizedKey === toKey);
+                    const aggIndex = aggregatedIngredients.findIndex(a => fromKeys.has(a.normalizedKey));
+                    if (aggIndex !== -1) aggregatedIngredients.splice(aggIndex, 1, substituteItem);
+                    for (let i = aggregatedIngredients.length - 1; i >= 0; i--) {
+                        if (fromKeys.has(aggregatedIngredients[i]?.normalizedKey)) aggregatedIngredients.splice(i, 1);
+                    }
+                    for (const fromKey of fromKeys) fullResultsMap.delete(fromKey);
+                    fullResultsMap.set(toKey, toResult);
+
+                    report.substitutions.push({
+                        from: fromNames,
+                        to: toIngredient,
+                        before: fromCost,
+                        after: toResult.purchase.totalCost,
+                        saving
+                    });
+                    total = computePlanCost(fullResultsMap.values());
+                    log(`[Budget] Substituted ${fromNames} -> ${toIngredient} (-$${saving.toFixed(2)}).`, 'INFO', 'BUDGET');
+                }
+            } catch (error) {
+                log(`Budget substitution market run failed: ${error.message}`, 'WARN', 'BUDGET');
+            }
+        }
+    }
+
+    report.after = computePlanCost(fullResultsMap.values());
+    report.breakdown.after = buildCostBreakdown(fullResultsMap.values());
+    report.withinBudget = report.after <= cap;
+    if (!report.withinBudget) {
+        report.reason = report.swaps.length === 0 && report.substitutions.length === 0
+            ? 'No cheaper products or equivalent ingredients were found for this plan.'
+            : `Cheapest available options still cost $${report.after.toFixed(2)}, $${(report.after - cap).toFixed(2)} over the cap.`;
+        log(`Budget cap not met: ${report.reason}`, 'WARN', 'BUDGET');
+    } else {
+        log(`Plan re-balanced: $${before.toFixed(2)} -> $${report.after.toFixed(2)} (cap $${cap.toFixed(2)}).`, 'SUCCESS', 'BUDGET');
+    }
+    return report;
+}
+
+/// ===== PIPELINE-STAGES-END ===== ////
+
+
 
 /// ===== MAIN-HANDLER-START ===== \\
-module.exports = async (request, response) => {
+const handlePlanRequest = async (request, response) => {
     const planStartTime = Date.now();
     let dietitian_ms = 0, market_run_ms = 0, nutrition_ms = 0, solver_ms = 0, writer_ms = 0; // Telemetry timers
     
@@ -1107,6 +2272,10 @@ module.exports = async (request, response) => {
     
     await setRunStatus(run_id, 'running', null, log);
 
+    // [NEW] Cancellation: POST /api/plan/cancel sets a KV flag that stops the run,
+    // detached or not (utils/run-cancellation.js). Checked between phases and polled.
+    const cancelWatch = watchCancelFlag(async () => kvReady && !!(await kv.get(cancelFlagKey(run_id))));
+
     // ── PERSISTENCE FIX: Detect client disconnect ──
     // When the browser tab closes, refreshes, or the SSE connection drops,
     // this fires.  We set a flag so the pipeline continues to run but
@@ -1115,8 +2284,11 @@ module.exports = async (request, response) => {
     // update the KV status).
     let clientDisconnected = false;
 
+    // Captured here: 'close' listeners don't run inside the run's cancellation scope
+    const runSignal = getRunSignal();
     response.on('close', () => {
-        if (!response.writableEnded) {
+        // A cancelled run closes its own stream; it is not detached
+        if (!response.writableEnded && !runSignal?.aborted) {
             clientDisconnected = true;
             console.log(`[SSE] Client disconnected for run ${run_id}. Pipeline will continue.`);
             // Update KV so the poller can distinguish "still running, client left"
@@ -1140,22 +2312,13 @@ module.exports = async (request, response) => {
     let store = ''; // Must be defined outside try block for market run logic scope
 
     try {
-        const { formData, nutritionalTargets, preferredModel } = request.body;
+        const { formData, nutritionalTargets, preferredModel, pantry, household, dayTargets } = request.body;
+        // Learned preferences are loaded for the verified caller only, never a uid taken from the body
+        const userId = await resolveRequestUserId(request, request.body.userId);
         const numDays = parseInt(formData.days, 10) || 7;
 
         // --- Model Selection: honour user's preferred model if valid ---
-        let requestPrimary = PLAN_MODEL_NAME_PRIMARY;   // default from env / llm-provider
-        let requestFallback = PLAN_MODEL_NAME_FALLBACK;
-        if (preferredModel && typeof preferredModel === 'string') {
-            if (SUPPORTED_MODELS && SUPPORTED_MODELS[preferredModel]) {
-                requestPrimary = preferredModel;
-                // Set fallback to the "other" model
-                requestFallback = (preferredModel === PRIMARY_MODEL) ? FALLBACK_MODEL : PRIMARY_MODEL;
-                log(`User selected model: ${preferredModel} (fallback: ${requestFallback})`, 'INFO', 'MODEL_SELECT');
-            } else {
-                log(`Ignoring unknown preferredModel: "${preferredModel}". Using default: ${requestPrimary}`, 'WARN', 'MODEL_SELECT');
-            }
-        }
+        const { primary: requestPrimary, fallback: requestFallback } = resolveRequestModels(preferredModel, log);
 
         log(`Plan generation starting for ${numDays} days.`, 'INFO', 'SYSTEM');
         // REMOVED (v2): Old sendEvent call removed to prevent duplicate/delayed run_id
@@ -1173,74 +2336,94 @@ module.exports = async (request, response) => {
         if (!store) throw new Error("'store' missing in formData.");
 
         // --- Phase B: Implement Realistic Meal-Type Target Distribution (B2, B3, B4) ---
-        const eatingOccasions = parseInt(formData.eatingOccasions, 10) || 3;
-        const mainMealCount = Math.min(eatingOccasions, 3); // B, L, D
-        const snackCount = Math.max(0, eatingOccasions - mainMealCount);
-
-        let mainRatio, snackRatio;
-
-        if (eatingOccasions === 4) {
-            // B=28%, L=28%, D=28%, S1=16%. Total Main: 84%, Total Snack: 16%
-            mainRatio = 0.84;
-            snackRatio = 0.16;
-        } else if (eatingOccasions >= 5) {
-            // B=25%, L=25%, D=25%, S1=12.5%, S2=12.5%. Total Main: 75%, Total Snack: 25%
-            mainRatio = 0.75;
-            snackRatio = 0.25;
-        } else {
-            // 3 meals: B=33.3%, L=33.3%, D=33.3%. Total Main: 100%, Total Snack: 0%
-            mainRatio = 1.0;
-            snackRatio = 0.0;
-        }
-        
-        const mainMealSplit = mainMealCount > 0 ? mainRatio / mainMealCount : 0;
-        const snackSplit = snackCount > 0 ? snackRatio / snackCount : 0;
-
-        const targetsPerMealType = {
-            main: {
-                calories: nutritionalTargets.calories * mainMealSplit,
-                protein: nutritionalTargets.protein * mainMealSplit,
-                fat: nutritionalTargets.fat * mainMealSplit,
-                carbs: nutritionalTargets.carbs * mainMealSplit,
-            },
-            snack: {
-                calories: nutritionalTargets.calories * snackSplit,
-                protein: nutritionalTargets.protein * snackSplit,
-                fat: nutritionalTargets.fat * snackSplit,
-                carbs: nutritionalTargets.carbs * snackSplit,
-            },
-            // Used for solver macro logging (Phase 5)
-            mainCount: mainMealCount,
-            snackCount: snackCount
+        const targetsPerMealType = buildTargetsPerMealType(nutritionalTargets, formData.eatingOccasions);
+
+        // [NEW] Pantry stock (needed by leftover-aware generation and Phase 2)
+        const pantryMap = normalizePantry(pantry, log);
+        const planningMode = formData.planningMode === PLANNING_MODES.LEFTOVER_AWARE ? PLANNING_MODES.LEFTOVER_AWARE : PLANNING_MODES.STANDARD;
+        // [NEW] Structured allergen profile (meals are checked in generateMealPlan_Single, products in runEnhancedChecklist)
+        const allergens = normalizeAllergenProfile(formData.allergens);
+        // [NEW] User brand / product rules (enforced in runEnhancedChecklist, hits in the match trace)
+        const productRules = normalizeProductRules(formData.productRules);
+        // [NEW] Household mode: shared meals from the primary targets, portions solved per member
+        const householdMembers = normalizeHousehold(household, nutritionalTargets, log);
+        // [NEW] Calorie cycling: per-day targets from /api/plan/targets (days without an entry use the base target)
+        const calorieCycling = Array.isArray(dayTargets) && dayTargets.length > 0;
+        const targetsForDay = (dayNumber, baseTargets = nutritionalTargets) => {
+            const { targets, dayType, factor } = resolveDayTargets(dayTargets, dayNumber, nutritionalTargets);
+            if (factor === 1) {
+                const perMealType = baseTargets === nutritionalTargets ? targetsPerMealType : buildTargetsPerMealType(baseTargets, formData.eatingOccasions);
+                return { targets: baseTargets, dayType, perMealType };
+            }
+            // Household members cycle by the same factor as the primary profile
+            const dayBase = baseTargets === nutritionalTargets ? targets : adjustTargets(baseTargets, factor);
+            return { targets: dayBase, dayType, perMealType: buildTargetsPerMealType(dayBase, formData.eatingOccasions) };
         };
 
 
         // --- Phase 1: Generate ALL Meals (Parallelized - Change 2.10) ---
         sendEvent('phase:start', { name: 'meals', description: `Generating ${numDays}-day meal plan...` });
+        await cancelWatch.check(); // between phases: stop here if the run was cancelled
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'meals');
 
+        // [NEW] Specials-driven mode: this week's discounted products become preferred ingredients
+        const specialsPlan = isSpecialsMode(formData) ? await loadSpecialsPlan(store, log) : null;
+        if (specialsPlan) {
+            const specialsMessage = specialsPlan.candidates.length > 0
+                ? `Planning around ${specialsPlan.candidates.length} specials at ${store}.`
+                : specialsPlan.storeList
+                    ? `No specials found at ${store}; planning normally.`
+                    : `Specials aren't available for ${store} yet; planning normally.`;
+            sendEvent('plan:progress', { message: specialsMessage });
+        }
+
         const dietitianStartTime = Date.now();
         const fullMealPlan = []; // This is the master list of day objects
         
-        sendEvent('plan:progress', { pct: 10, message: `Generating ${numDays} days in parallel...` });
-        const dayPromises = [];
-        
-        for (let day = 1; day <= numDays; day++) {
-            dayPromises.push(
-                generateMealPlan_Single(day, formData, nutritionalTargets, log, targetsPerMealType, requestPrimary, requestFallback)
+        const generateDay = (day, options = {}) => {
+            const { targets, dayType, perMealType } = targetsForDay(day);
+            // LLM usage of the planner calls is attributed to this day
+            return withUsageContext({ day }, () => generateMealPlan_Single(day, formData, targets, log, perMealType, requestPrimary, requestFallback, { ...options, dayType, specials: specialsPlan?.candidates }))
                 .then(dayPlan => {
-                    sendEvent('plan:progress', { message: `Day ${day} generated.` });
+                    // [NEW] Streaming: raw meals for provisional cards (no macros/recipes yet; upgraded by day:final)
+                    sendEvent('day:meals', { dayNumber: day, totalDays: numDays, meals: dayPlan.meals });
                     return dayPlan;
                 })
                 .catch(dayError => {
                     log(`Failed to generate meals for Day ${day}: ${dayError.message}`, 'ERROR', 'LLM');
                     throw new Error(`Meal plan generation failed for Day ${day}: ${dayError.message}`);
-                })
-            );
+                });
+        };
+
+        let results;
+        if (planningMode === PLANNING_MODES.LEFTOVER_AWARE) {
+            // [NEW] Leftover-aware mode: days are generated IN ORDER so each day can
+            // consume the open-pack surplus estimated from the days before it.
+            sendEvent('plan:progress', { pct: 10, message: `Generating ${numDays} days in order (leftover-aware)...` });
+            results = [];
+            for (let day = 1; day <= numDays; day++) {
+                // Household packs are shared, so usage is scaled by the whole household's portions
+                const openPacks = estimateOpenPacks(householdMembers ? results.map(d => scaleDayForMember(d, householdScale(householdMembers))) : results, pantryMap);
+                const dayPlan = await generateDay(day, { leftovers: openPacks });
+                sendEvent('plan:progress', { message: `Day ${day} generated${openPacks.length > 0 ? ` (reusing ${Math.min(openPacks.length, 10)} open packs)` : ''}.` });
+                results.push(dayPlan);
+            }
+        } else {
+            sendEvent('plan:progress', { pct: 10, message: `Generating ${numDays} days in parallel...` });
+            const dayPromises = [];
+
+            for (let day = 1; day <= numDays; day++) {
+                dayPromises.push(
+                    generateDay(day).then(dayPlan => {
+                        sendEvent('plan:progress', { message: `Day ${day} generated.` });
+                        return dayPlan;
+                    })
+                );
+            }
+
+            results = await Promise.all(dayPromises);
         }
-        
-        const results = await Promise.all(dayPromises);
         results.forEach(dayPlan => {
             if (!dayPlan || !dayPlan.meals || dayPlan.meals.length === 0) {
                  throw new Error(`Meal Planner AI returned no meals.`);
@@ -1260,490 +2443,172 @@ module.exports = async (request, response) => {
         // --- [PERF V2] Phase 1.5: Launch Chef AI early (parallel with market run) ---
         // Chef AI only needs meal names + ingredient lists, NOT solved quantities.
         // By starting it here, it runs in parallel with aggregation + market run + nutrition + solver.
-        // We await the promise later in Phase 6.
+        // Each day's recipes are awaited in Phase 6.
         log('Phase 1.5: Launching Chef AI early (parallel with market run)...', 'INFO', 'PHASE');
         const earlyChefStartTime = Date.now();
         const allMealsForChef = fullMealPlan.flatMap(day => 
             day.meals.map(meal => ({ ...meal, _dayNumber: day.dayNumber }))
         );
-        const earlyChefPromise = concurrentlyMap(allMealsForChef, 6, (meal) => 
-            generateChefInstructions(meal, store, log, requestPrimary, requestFallback)
+        const earlyChef = concurrentlyMapMealsByDay(allMealsForChef, 6, (meal) =>
+            withUsageContext({ day: meal._dayNumber }, () => generateChefInstructions(meal, store, log, requestPrimary, requestFallback))
                 .then(result => ({ ...result, _dayNumber: meal._dayNumber, _originalName: meal.name }))
         );
 
         // --- Phase 2: Aggregate Ingredients ---
         sendEvent('phase:start', { name: 'aggregate', description: 'Aggregating ingredient list...' });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'aggregate');
 
         const aggregateStartTime = Date.now();
-        const ingredientMap = new Map(); // Use normalizedKey as the key
-
-        for (const day of fullMealPlan) {
-            for (const meal of day.meals) {
-                // Add normalizedKey to all items *early*
-                meal.items.forEach(item => { if(item && item.key) { item.normalizedKey = normalizeKey(item.key); } });
-
-                for (const item of meal.items) {
-                    // [Step 5] Ensure stateHint is normalized before use in quantity normalization
-                    normalizeStateHintForItem(item, log);
-                    
-                    // This is a "dry run" to get quantities. No log needed.
-                    // This function respects item.stateHint now that it is normalized
-                    const { value: gramsOrMl } = normalizeToGramsOrMl(item, () => {}); 
-                    
-                    const existing = ingredientMap.get(item.normalizedKey);
-                    if (existing) {
-                        existing.requested_total_g += gramsOrMl;
-                        existing.dayRefs.add(day.dayNumber);
-                        // Carry forward stateHint if not yet set
-                        if (!existing.stateHint) existing.stateHint = item.stateHint; 
-                    } else {
-                        ingredientMap.set(item.normalizedKey, {
-                            originalIngredient: item.key, // Use the first-seen name as the "original"
-                            normalizedKey: item.normalizedKey,
-                            requested_total_g: gramsOrMl,
-                            dayRefs: new Set([day.dayNumber]),
-                            stateHint: item.stateHint // MOD ZONE 1.3: Pass stateHint
-                        });
-                    }
-                }
-            }
-        }
+        const ingredientMap = aggregateIngredients(fullMealPlan, log); // Use normalizedKey as the key
         const aggregatedIngredients = Array.from(ingredientMap.values());
-        sendEvent('phase:end', { name: 'aggregate', duration_ms: Date.now() - aggregateStartTime, uniqueIngredients: aggregatedIngredients.length });
+        // [NEW] Household: one combined shopping list for everyone
+        if (householdMembers) applyHouseholdScale(aggregatedIngredients, householdMembers, log);
+
+        // [NEW] Pantry: reduce requested_total_g by what the user already has
+        const { toBuy: ingredientsToBuy, covered: pantryCoveredIngredients } = applyPantryStock(aggregatedIngredients, pantryMap, log);
+        sendEvent('phase:end', { name: 'aggregate', duration_ms: Date.now() - aggregateStartTime, uniqueIngredients: aggregatedIngredients.length, pantryCovered: pantryCoveredIngredients.length });
 
 
         // --- Phase 3: Generate Queries & Run Market (Batched) ---
-        sendEvent('phase:start', { name: 'market', description: `Querying ${store} for ${aggregatedIngredients.length} items...` });
+        // [NEW] Comparison mode: run the same market search against both stores
+        const comparisonStore = isComparisonMode(formData) ? otherStoreFor(store) : null;
+        sendEvent('phase:start', { name: 'market', description: `Querying ${comparisonStore ? `${store} and ${comparisonStore}` : store} for ${ingredientsToBuy.length} items...` });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'market');
 
         sendEvent('plan:progress', { pct: 35, message: `Running market search...` });
         const marketStartTime = Date.now();
 
-        // 3a. Generate Queries (LLM call)
-        const groceryQueryData = await generateGroceryQueries_Batched(aggregatedIngredients, store, log, requestPrimary, requestFallback);
-        const { ingredients: ingredientPlan } = groceryQueryData;
-        if (!ingredientPlan || ingredientPlan.length === 0) {
-             throw new Error(`Grocery Optimizer AI returned empty ingredients.`);
-        }
-        
-        // Map aggregated plan to full plan details
-        const fullIngredientPlan = aggregatedIngredients.map(aggItem => {
-            const planDetails = ingredientPlan.find(p => p.originalIngredient === aggItem.originalIngredient);
-            if (!planDetails) {
-                 log(`No plan details from LLM for "${aggItem.originalIngredient}". Using fallback.`, 'WARN', 'LLM');
-                 return {
-                     ...aggItem,
-                     category: 'misc',
-                     normalQuery: `${store} ${aggItem.originalIngredient}`,
-                     requiredWords: aggItem.originalIngredient.split(' ').slice(0,1),
-                     negativeKeywords: [],
-                     allowedCategories: ['pantry', 'produce', 'meat', 'dairy', 'frozen']
-                 };
+        // 3a. Generate Queries (LLM call) — pantry-covered items are skipped
+        let fullIngredientPlan = [];
+        if (ingredientsToBuy.length > 0) {
+            const groceryQueryData = await generateGroceryQueries_Batched(ingredientsToBuy, store, log, requestPrimary, requestFallback);
+            const { ingredients: ingredientPlan } = groceryQueryData;
+            if (!ingredientPlan || ingredientPlan.length === 0) {
+                 throw new Error(`Grocery Optimizer AI returned empty ingredients.`);
             }
-            // CRITICAL: Ensure the store is included in the ingredient object for the market runner's synthTight/synthWide to work
-            return {
-                ...planDetails, // Contains LLM-generated query data
-                normalizedKey: aggItem.normalizedKey,
-                totalGramsRequired: aggItem.requested_total_g, // Overwrite LLM estimate with our sum
-                dayRefs: aggItem.dayRefs,
-                stateHint: aggItem.stateHint, // MOD ZONE 1.3: Pass stateHint
-                store: store, // Pass store name explicitly
-                category: planDetails.category || 'Uncategorized', // FIX: Ensure category always exists for FE grouping
-                // Ensure preprocessed data is carried over (V13.0)
-                _preprocessed: planDetails._preprocessed || null
-            };
-        });
-        
-        // --- Market Run Logic (Moved inside handler for proper scoping) ---
-        /**
-         * Runs market search logic for a single ingredient.
-         * Note: 'log' and 'store' are now correctly in scope from the enclosing handler.
-         */
-        const processSingleIngredientOptimized = async (ingredient) => {
-            let telemetry = { name: ingredient.originalIngredient, used: 'none', score: 0, page: 1 };
-            try {
-                if (!ingredient || !ingredient.originalIngredient) {
-                    log(`Market Run: Skipping invalid ingredient data`, 'WARN', 'MARKET_RUN', { ingredient });
-                    return { _error: true, itemKey: 'unknown_invalid', message: 'Invalid ingredient data' };
-                }
-                const ingredientKey = ingredient.originalIngredient;
-                
-                if (!ingredient.normalQuery || !Array.isArray(ingredient.requiredWords) || !Array.isArray(ingredient.negativeKeywords) || !Array.isArray(ingredient.allowedCategories) || ingredient.allowedCategories.length === 0) {
-                    log(`[${ingredientKey}] Skipping: Missing critical fields (normalQuery/validation)`, 'ERROR', 'MARKET_RUN', ingredient);
-                    return { [ingredientKey]: { ...ingredient, source: 'error', error: 'Missing critical query/validation fields', allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url } };
-                }
-                
-                const result = { ...ingredient, allProducts: [], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url, source: 'failed', searchAttempts: [] };
-                
-                // --- MATCH TRACE ---
-                const trace = createMatchTrace(ingredientKey, ingredient);
-
-                const qn = ingredient.normalQuery;
-                const qt = (ingredient.tightQuery && ingredient.tightQuery.trim()) ? ingredient.tightQuery : synthTight(ingredient, ingredient.store); // Use ingredient.store (passed from LLM) or infer from outer scope
-                const qw = (ingredient.wideQuery && ingredient.wideQuery.trim()) ? ingredient.wideQuery : synthWide(ingredient, ingredient.store);
-                
-                const queriesToTry = [ { type: 'tight', query: qt }, { type: 'normal', query: qn }, { type: 'wide', query: qw } ].filter(q => q.query && q.query.trim());
-                
-                log(`[${ingredientKey}] Queries: Tight (${qt ? (ingredient.tightQuery ? 'AI' : 'Synth') : 'N/A'}), Normal (AI), Wide (${qw ? (ingredient.wideQuery ? 'AI' : 'Synth') : 'N/A'})`, 'DEBUG', 'MARKET_RUN');
-                
-                let acceptedQueryType = 'none';
-                let bestScore = 0;
-
-                for (const [index, { type, query }] of queriesToTry.entries()) {
-                    if (type === 'normal' && acceptedQueryType !== 'none') {
-                        continue; 
-                    }
-                    if (type === 'wide') {
-                        if (acceptedQueryType !== 'none') continue;
-                        const isFailFastCategory = ingredient.allowedCategories.some(c => FAIL_FAST_CATEGORIES.includes(c));
-                        if (isFailFastCategory) {
-                            log(`[${ingredientKey}] Skipping "wide" query due to fail-fast category.`, 'DEBUG', 'MARKET_RUN');
-                            continue;
-                        }
-                    }
-
-                    log(`[${ingredientKey}] Attempting "${type}" query: "${query}"`, 'DEBUG', 'HTTP');
-                    const attemptRecorder = trace.startAttempt(type, query);
-                    result.searchAttempts.push({ queryType: type, query: query, status: 'pending', foundCount: 0});
-                    const currentAttemptLog = result.searchAttempts.at(-1);
-
-                    // NOTE: The store variable from the outer scope is correctly captured here.
-                    const { data: priceData } = await fetchPriceData(store, query, 1, log);
-
-                    if (priceData.error) {
-                        log(`[${ingredientKey}] Fetch failed (${type}): ${priceData.error.message}`, 'WARN', 'HTTP', { status: priceData.error.status });
-                        attemptRecorder.finalize('fetch_error', 0);
-                        currentAttemptLog.status = 'fetch_error'; 
-                        continue;
-                    }
-                    
-                    const rawProducts = priceData.results || [];
-                    currentAttemptLog.rawCount = rawProducts.length;
-                    const validProductsOnPage = [];
-                    
-                    for (const rawProduct of rawProducts) {
-                        if (!rawProduct || !rawProduct.product_name) continue;
-                        // log is correctly scoped here
-                        // [MODIFIED V13.1] Use Enhanced Checklist with Trace
-                        const checklistResult = tracedScoring(runEnhancedChecklist, rawProduct, ingredient, log, attemptRecorder);
-                        if (checklistResult.pass) {
-                            validProductsOnPage.push({ 
-                                product: { 
-                                    name: rawProduct.product_name, 
-                                    brand: rawProduct.product_brand, 
-                                    price: rawProduct.current_price, 
-                                    size: rawProduct.product_size, 
-                                    url: rawProduct.url, 
-                                    barcode: rawProduct.barcode, 
-                                    // calculateUnitPrice is module-scoped, fine
-                                    unit_price_per_100: calculateUnitPrice(rawProduct.current_price, rawProduct.product_size) 
-                                }, 
-                                score: checklistResult.score
-                            });
-                        }
-                    }
-                    
-                    // log is correctly scoped here
-                    const filteredProducts = applyPriceOutlierGuard(validProductsOnPage, log, ingredientKey); 
-                    // Syntax Fix applied previously: (max, p => Math.max...) -> (max, p) => Math.max...
-                    const currentBestScore = filteredProducts.length > 0 ? filteredProducts.reduce((max, p) => Math.max(max, p.score), 0) : 0;
-                    currentAttemptLog.bestScore = currentBestScore;
-                    
-                    attemptRecorder.finalize(filteredProducts.length > 0 ? 'success' : 'no_match_post_filter', filteredProducts.length);
-
-                    if (filteredProducts.length > 0) {
-                        log(`[${ingredientKey}] Found ${filteredProducts.length} valid (${type}).`, 'INFO', 'DATA');
-                        const currentUrls = new Set(result.allProducts.map(p => p.url));
-                        
-                        // [MODIFIED V13.0] Attach score to product before pushing to allProducts
-                        filteredProducts.forEach(vp => { 
-                            if (!currentUrls.has(vp.product.url)) { 
-                                vp.product._matchScore = vp.score;
-                                result.allProducts.push(vp.product); 
-                            } 
-                        });
-
-                        if (result.allProducts.length > 0) {
-                            // [MODIFIED V13.0] Sort by score first (prefer better matches), then by price
-                            const foundProduct = result.allProducts.reduce((best, current) => {
-                                const bestScore = best._matchScore ?? 0;
-                                const currentScore = current._matchScore ?? 0;
-                                // If scores differ significantly (>0.1), prefer higher score
-                                if (Math.abs(currentScore - bestScore) > 0.1) {
-                                    return currentScore > bestScore ? current : best;
-                                }
-                                // Otherwise, prefer cheaper
-                                return (current.unit_price_per_100 ?? Infinity) < (best.unit_price_per_100 ?? Infinity) ? current : best;
-                            }, result.allProducts[0]);
-
-                            result.currentSelectionURL = foundProduct.url;
-                            result.source = 'discovery';
-                            currentAttemptLog.status = 'success';
-                            
-                            if (acceptedQueryType === 'none') {
-                                acceptedQueryType = type;
-                                bestScore = currentBestScore;
-                            }
-                            
-                            trace.setSelection(foundProduct, 'discovery', acceptedQueryType);
 
-                            if (type === 'tight' && currentBestScore >= SKIP_STRONG_MATCH_THRESHOLD) {
-                                log(`[${ingredientKey}] Skip heuristic hit (Strong tight match).`, 'INFO', 'MARKET_RUN');
-                                break; 
-                            }
-                            if (type === 'normal') {
-                                log(`[${ingredientKey}] Found valid 'normal' match. Stopping search.`, 'DEBUG', 'MARKET_RUN');
-                                break;
-                            }
-                        } else { 
-                            currentAttemptLog.status = 'no_match_post_filter'; 
-                        }
-                    } else { 
-                        log(`[${ingredientKey}] No valid products (${type}).`, 'WARN', 'DATA'); 
-                        currentAttemptLog.status = 'no_match';
-                        attemptRecorder.finalize('no_match', 0);
-                    }
-                }
-                
-                if (result.source === 'failed') { 
-                    // [MODIFIED V13.0] Progressive Fallback Logic
-                    log(`[${ingredientKey}] Market Run failed after trying all queries. Attempting fallbacks...`, 'WARN', 'MARKET_RUN');
-                    
-                    const fallbackQueries = generateFallbackQueries(ingredientKey, store);
-                    
-                    for (const fbQuery of fallbackQueries) {
-                        log(`[${ingredientKey}] Fallback query: "${fbQuery}"`, 'DEBUG', 'MARKET_RUN');
-                        const fbAttemptRecorder = trace.startAttempt('fallback', fbQuery);
-                        result.searchAttempts.push({ queryType: 'fallback', query: fbQuery, status: 'pending', foundCount: 0 });
-                        const fbAttemptLog = result.searchAttempts.at(-1);
-                        
-                        try {
-                            const { data: searchData } = await fetchPriceData(store, fbQuery, 1, log);
-                            const products = searchData?.results || [];
-                            fbAttemptLog.foundCount = products.length;
-                            
-                            if (products.length > 0) {
-                                const validProducts = products.map(p => {
-                                    const enrichedProduct = {
-                                        name: p.product_name || p.name,
-                                        brand: p.product_brand,
-                                        price: p.current_price,
-                                        size: p.product_size || p.size || '',
-                                        url: p.url,
-                                        barcode: p.barcode,
-                                        product_name: p.product_name || p.name, // Ensure product_name is set for scorer
-                                        product_category: p.product_category || p.category || '',
-                                        product_size: p.product_size || p.size || '',
-                                        unit_price_per_100: calculateUnitPrice(p.current_price, p.product_size || p.size || ''),
-                                    };
-                                    // [MODIFIED V13.1] Use Enhanced Checklist with Trace
-                                    const checkResult = tracedScoring(runEnhancedChecklist, enrichedProduct, ingredient, log, fbAttemptRecorder);
-                                    return checkResult.pass ? { product: enrichedProduct, score: checkResult.score } : null;
-                                }).filter(Boolean);
-                                
-                                fbAttemptRecorder.finalize(validProducts.length > 0 ? 'success' : 'no_match_post_filter', validProducts.length);
-
-                                if (validProducts.length > 0) {
-                                    // Sort by score descending, then by unit price ascending
-                                    validProducts.sort((a, b) => {
-                                        if (Math.abs(a.score - b.score) > 0.05) return b.score - a.score;
-                                        return (a.product.unit_price_per_100 ?? Infinity) - (b.product.unit_price_per_100 ?? Infinity);
-                                    });
-                                    
-                                    const currentUrls = new Set(result.allProducts.map(p => p.url));
-                                    validProducts.forEach(vp => { 
-                                        if (!currentUrls.has(vp.product.url)) { 
-                                            vp.product._matchScore = vp.score;
-                                            result.allProducts.push(vp.product); 
-                                        }
-                                    });
-                                    
-                                    if (result.allProducts.length > 0) {
-                                        const foundProduct = result.allProducts.reduce((best, current) => {
-                                            const bestScore = best._matchScore ?? 0;
-                                            const currentScore = current._matchScore ?? 0;
-                                            if (Math.abs(currentScore - bestScore) > 0.1) return currentScore > bestScore ? current : best;
-                                            return (current.unit_price_per_100 ?? Infinity) < (best.unit_price_per_100 ?? Infinity) ? current : best;
-                                        }, result.allProducts[0]);
-                                        
-                                        result.currentSelectionURL = foundProduct.url;
-                                        result.source = 'discovery';
-                                        fbAttemptLog.status = 'success';
-                                        acceptedQueryType = 'fallback';
-                                        bestScore = foundProduct._matchScore || 0;
-                                        log(`[${ingredientKey}] Fallback matched: "${foundProduct.product_name || foundProduct.name}"`, 'INFO', 'MARKET_RUN');
-                                        
-                                        trace.setSelection(foundProduct, 'fallback', 'fallback');
-                                        break; // Stop trying more fallbacks
-                                    }
-                                }
-                            } else {
-                                fbAttemptRecorder.finalize('no_match', 0);
-                            }
-                            fbAttemptLog.status = fbAttemptLog.status === 'pending' ? 'no_match' : fbAttemptLog.status;
-                        } catch (fbErr) {
-                            log(`[${ingredientKey}] Fallback query error: ${fbErr.message}`, 'WARN', 'MARKET_RUN');
-                            fbAttemptLog.status = 'error';
-                            fbAttemptRecorder.finalize('fetch_error', 0);
-                        }
-                    }
-
-                    if (result.source === 'failed') { 
-                        log(`[${ingredientKey}] Market Run failed after trying all queries + fallbacks.`, 'WARN', 'MARKET_RUN'); 
-                        trace.setFailed('All queries exhausted without a match');
-                    }
-                } else { 
-                    log(`[${ingredientKey}] Market Run success via '${acceptedQueryType}' query.`, 'DEBUG', 'MARKET_RUN'); 
-                }
-
-                telemetry.used = acceptedQueryType;
-                telemetry.score = bestScore;
-                log(`[${ingredientKey}] Market Run Telemetry`, 'INFO', 'MARKET_RUN', telemetry);
-
-                // Attach match trace to result
-                result._matchTrace = trace.build();
-                return { [ingredientKey]: result };
-
-            } catch(e) {
-                log(`CRITICAL Error in processSingleIngredient "${ingredient?.originalIngredient}": ${e.message}`, 'CRITICAL', 'MARKET_RUN', { stack: e.stack?.substring(0, 300) });
-                return { _error: true, itemKey: ingredient?.originalIngredient || 'unknown_error', message: `Internal Market Run Error: ${e.message}` };
-            }
-        };
-        // --- End Market Run Logic ---
+            // Map aggregated plan to full plan details (+ learned preferences and product rules)
+            fullIngredientPlan = await buildMarketPlan(ingredientsToBuy, ingredientPlan, store, log, { allergens, productRules, userId });
+        }
 
         // 3b. Execute market run in parallel
-        const parallelResultsArray = await concurrentlyMap(fullIngredientPlan, MARKET_RUN_CONCURRENCY, processSingleIngredientOptimized);
+        const parallelResultsArray = await concurrentlyMap(fullIngredientPlan, MARKET_RUN_CONCURRENCY, (ingredient) => processSingleIngredientOptimized(ingredient, store, log));
         sendEvent('plan:progress', { pct: 50, message: `Market search complete...` });
         
         // Collate market results (fullResultsMap still needed to map key to selected product)
-        const fullResultsMap = new Map(); // Map<normalizedKey, result>
-        parallelResultsArray.forEach(currentResult => {
-             // FIX 1 & 2: Derive normalized key and look up plan item
-             const ingredientKey = Object.keys(currentResult)[0];
-             const normalizedKey = normalizeKey(ingredientKey);
-             const resultData = currentResult[ingredientKey];
-             
-             // Look up the enriched plan item using the normalized key
-             const planItem = fullIngredientPlan.find(i => i.normalizedKey === normalizedKey);
-
-             if (currentResult._error) {
-                 log(`Market Run Item Error for "${currentResult.itemKey}": ${currentResult.message}`, 'WARN', 'MARKET_RUN');
-                 const baseData = planItem || { originalIngredient: currentResult.itemKey, normalizedKey: normalizeKey(currentResult.itemKey) };
-                 fullResultsMap.set(normalizedKey, { ...baseData, source: 'error', error: currentResult.message, allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url });
-                 return;
-             }
-             
-             if (resultData && typeof resultData === 'object' && planItem) {
-                 // FIX 3: Merge resultData with the enriched planItem to carry over fields like 'category'
-                 fullResultsMap.set(normalizedKey, { ...planItem, ...resultData, normalizedKey: planItem.normalizedKey });
-
-                 // Emit Trace Event if available
-                 if (resultData._matchTrace) {
-                     sendEvent('ingredient:match_trace', {
-                         key: ingredientKey,
-                         trace: resultData._matchTrace
-                     });
-                 }
-             } else {
-                  log(`Invalid market result structure or missing plan item for "${normalizedKey}"`, 'ERROR', 'SYSTEM', { resultData, planItemExists: !!planItem });
-                  const baseData = planItem || { originalIngredient: ingredientKey, normalizedKey: normalizedKey };
-                  fullResultsMap.set(normalizedKey, { ...baseData, source: 'error', error: 'Invalid market result structure', allProducts:[], currentSelectionURL: MOCK_PRODUCT_TEMPLATE.url });
-             }
+        let fullResultsMap = collateMarketResults(parallelResultsArray, fullIngredientPlan, log, (key, trace) => {
+            sendEvent('ingredient:match_trace', { key, trace });
         });
-        
+        pantryCoveredIngredients.forEach(item => {
+            fullResultsMap.set(item.normalizedKey, buildPantryResult(item));
+        });
+
+        // [NEW] Cross-store comparison: the recommended basket (single store or split) becomes the live shopping list
+        let storeComparison = null;
+        let priceTrackingResults = fullResultsMap;
+        if (comparisonStore && fullIngredientPlan.length > 0) {
+            const comparisonPlan = attachLearnedPreferences(
+                retargetIngredientPlan(fullIngredientPlan.map(({ learnedPreferences, ...ingredient }) => ingredient), store, comparisonStore),
+                await getFeedback(userId, comparisonStore)
+            );
+            const comparisonResultsArray = await concurrentlyMap(comparisonPlan, MARKET_RUN_CONCURRENCY, (ingredient) => processSingleIngredientOptimized(ingredient, comparisonStore, log));
+            const comparisonResultsMap = collateMarketResults(comparisonResultsArray, comparisonPlan, log);
+            pantryCoveredIngredients.forEach(item => {
+                comparisonResultsMap.set(item.normalizedKey, buildPantryResult(item));
+            });
+
+            const resultsByStore = { [store]: fullResultsMap, [comparisonStore]: comparisonResultsMap };
+            Object.values(resultsByStore).forEach(map => map.forEach(result => applyPurchaseOptimization(result, log)));
+            const { report, assignments } = compareStores(resultsByStore, log);
+            storeComparison = report;
+            // Both stores' prices go into the price history, not just the recommended basket
+            priceTrackingResults = Object.values(resultsByStore).flatMap(map => Array.from(map.values()));
+            fullResultsMap = selectBasket(resultsByStore, assignments, store);
+            sendEvent('store:comparison', storeComparison);
+        }
+
+        // [NEW] Price history: flag products well below their rolling median (product.deal), then record today's prices
+        const priceTracking = await trackPrices(priceTrackingResults, store, log);
+
         market_run_ms = Date.now() - marketStartTime;
-        sendEvent('phase:end', { name: 'market', duration_ms: market_run_ms, itemsFound: Array.from(fullResultsMap.values()).filter(v => v.source === 'discovery').length });
+        sendEvent('phase:end', { name: 'market', duration_ms: market_run_ms, specials: priceTracking.deals, itemsFound: Array.from(fullResultsMap.values()).filter(v => v.source === 'discovery').length });
 
 
         // --- Phase 3.5: Price Extraction (Mod Zone 3) ---
         sendEvent('phase:start', { name: 'price_extract', description: 'Extracting price data...' });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'price_extract');
 
         const priceExtractStartTime = Date.now();
         const priceDataMap = new Map(); 
+        let checkoutTotal = 0, leftoverTotal_g = 0;
+
+        // [NEW] Pick the product + unit count with the lowest total cost for totalGramsRequired
+        fullResultsMap.forEach(result => applyPurchaseOptimization(result, log));
+
+        // [NEW] Hard budget cap: re-balance before nutrition + solver so substitutions are solved for
+        const budgetCap = resolveBudgetCap(formData, numDays);
+        let budgetReport = null;
+        let budgetChef = null;
+        if (budgetCap !== null) {
+            // Substitutes are searched in the basket's store (the primary store when the basket is split)
+            const budgetStore = storeComparison?.recommendedStore || store;
+            const { affectedMeals, ...report } = await rebalanceToBudget(budgetCap, { fullMealPlan, aggregatedIngredients, fullResultsMap, allergens, productRules, userId }, budgetStore, log, requestPrimary, requestFallback);
+            budgetReport = report;
+            sendEvent('budget:rebalance', budgetReport);
+            // Substituted meals need recipes that mention the new ingredients (overrides the early chef output)
+            if (affectedMeals.length > 0) {
+                budgetChef = concurrentlyMapMealsByDay(affectedMeals, 6, (meal) =>
+                    withUsageContext({ day: meal._dayNumber }, () => generateChefInstructions(meal, store, log, requestPrimary, requestFallback))
+                        .then(result => ({ ...result, _dayNumber: meal._dayNumber, _originalName: meal.name }))
+                );
+            }
+        }
 
         for (const [normalizedKey, result] of fullResultsMap.entries()) {
-            const selected = result.allProducts.find(p => p && p.url === result.currentSelectionURL);
-            
-            if (selected) {
-                priceDataMap.set(normalizedKey, {
-                    price: selected.price || 0,
-                    url: selected.url,
-                    store: store,
-                    packSize: selected.size, 
-                    unitPrice: selected.unit_price_per_100 || 0,
-                    productName: selected.name || result.originalIngredient
-                });
-            } else {
-                 // Even if no product was found, create an entry with zero price data
-                 priceDataMap.set(normalizedKey, {
-                    price: 0,
-                    url: MOCK_PRODUCT_TEMPLATE.url,
-                    store: store,
-                    packSize: 'N/A', 
-                    unitPrice: 0,
-                    productName: result.originalIngredient
-                });
+            if (result.purchase) {
+                checkoutTotal += result.purchase.totalCost;
+                leftoverTotal_g += result.purchase.leftover_g || 0;
             }
+            priceDataMap.set(normalizedKey, extractPriceData(result, result.store || store)); // Split baskets mix stores
         }
-        sendEvent('phase:end', { name: 'price_extract', duration_ms: Date.now() - priceExtractStartTime });
+        log(`Purchase plan: $${checkoutTotal.toFixed(2)} at checkout, ${Math.round(leftoverTotal_g)}g left over.`, 'INFO', 'PURCHASE');
+        // [NEW] Per-plan waste metric (real pack leftovers after the purchase optimizer)
+        const wasteSummary = summarizeWaste(fullResultsMap.values(), planningMode);
+        sendEvent('phase:end', { name: 'price_extract', duration_ms: Date.now() - priceExtractStartTime, checkoutTotal: Number(checkoutTotal.toFixed(2)), leftover_g: Math.round(leftoverTotal_g) });
 
 
         // --- Phase 4: Nutrition Fetch (Mod Zone 1 & 2: Ingredient-Centric) ---
         sendEvent('phase:start', { name: 'nutrition', description: 'Fetching ingredient nutrition data...' });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'nutrition');
 
         sendEvent('plan:progress', { pct: 75, message: `Fetching nutrition data...` });
         const nutritionStartTime = Date.now();
-        const nutritionDataMap = new Map(); // Map<normalizedKey, nutritionData>
-        let canonicalHitsToday = 0; // Keep tracking canonical fallbacks
-
-        // MOD ZONE 1.1: Gather items for ingredient lookup (ALL aggregated ingredients)
-        const itemNutritionRequests = aggregatedIngredients.map(item => ({
-            normalizedKey: item.normalizedKey,
-            query: item.originalIngredient,
-            stateHint: item.stateHint // MOD ZONE 1.3: Pass stateHint
-        }));
-        
-        // 4b. Fetch in parallel using the ingredient-centric lookup
-        if (itemNutritionRequests.length > 0) {
-            log(`Fetching nutrition for ${itemNutritionRequests.length} unique ingredients...`, 'INFO', 'HTTP');
-            const nutritionResults = await concurrentlyMap(itemNutritionRequests, NUTRITION_CONCURRENCY, async (item) => {
-                 try {
-                     // MOD ZONE 2.1, 2.2, 2.3: Call lookupIngredientNutrition with only ingredientKey
-                     const nut = await lookupIngredientNutrition(item.query, log); 
-                     
-                     // Check if it's a Canonical hit for telemetry
-                     if (nut?.source === 'canonical') canonicalHitsToday++;
-                     
-                     return { ...item, nut };
-                 } catch (err) {
-                     log(`Nutrition fetch error for ${item.query}: ${err.message}`, 'WARN', 'HTTP');
-                     return { ...item, nut: { status: 'not_found', source: 'error', error: `Nutrition fetch failed: ${err.message}` } };
-                 }
-             });
-            // 4c. Collate nutrition results
-            nutritionResults.forEach(item => {
-                 if (item && item.normalizedKey && item.nut) {
-                    nutritionDataMap.set(item.normalizedKey, item.nut);
-                 }
-            });
-        }
-        
+        // MOD ZONE 1.1: Lookup covers ALL aggregated ingredients
+        const { nutritionDataMap, canonicalHits: canonicalHitsToday } = await fetchNutritionForIngredients(aggregatedIngredients, log);
+
         // 4d. Canonical Fallback count is now tracked inside the lookup, so we log the total here
         if (canonicalHitsToday > 0) log(`Used ${canonicalHitsToday} canonical fallbacks.`, 'INFO', 'CALC');
+
+        // 4e. [NEW] Product-accurate mode: label nutrition of the selected products (utils/product-nutrition.js)
+        const productNutritionSummary = isProductAccurateMode(formData)
+            ? await applyProductNutrition(nutritionDataMap, fullResultsMap, log)
+            : null;
         
         nutrition_ms = Date.now() - nutritionStartTime;
-        sendEvent('phase:end', { name: 'nutrition', duration_ms: nutrition_ms, itemsFetched: nutritionDataMap.size });
+        sendEvent('phase:end', { name: 'nutrition', duration_ms: nutrition_ms, itemsFetched: nutritionDataMap.size, productLabels: productNutritionSummary?.used ?? null });
 
 
         // --- Phase 5: Solver (Calculate Final Macros) ---
         sendEvent('phase:start', { name: 'solver', description: 'Calculating final macros...' });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'solver');
 
@@ -1753,352 +2618,26 @@ module.exports = async (request, response) => {
 
         // [NEW] Macro Debug Data Initialization
         // Removed outdated targetsPerMeal calculation (B1)
-        
         const macroDebugDaysData = [];
+        const macroCalculator = createMacroCalculator(nutritionDataMap, log);
 
-        /**
-         * Calculates the macros for a single item using the master nutrition map.
-         * This function returns a detailed object including debug information required for the macroDebug payload.
-         */
-        const computeDetailedItemMacros = (item, mealItems) => { // Relies on closure 'log' and 'nutritionDataMap'
-             const normalizedKey = item.normalizedKey; 
-             
-             // 1. Get user-facing quantity
-             const { value: gramsOrMl } = normalizeToGramsOrMl(item, log);
-             const gramsInput = gramsOrMl; // Normalized grams/ml before transforms
-
-             // Initialize debug item structure
-             const debugItem = {
-                key: item.key,
-                displayName: item.key, // Using key as fallback
-                qtyValue: item.qty_value || null,
-                qtyUnit: item.qty_unit || null,
-                stateHint: item.stateHint || null,
-                methodHint: item.methodHint || null,
-                gramsInput: gramsInput,
-                gramsAsSold: null,
-                nutritionKey: normalizedKey,
-                per100: { kcal: null, protein: null, fat: null, carbs: null },
-                computedMacros: { calories: 0, protein: 0, fat: 0, carbs: 0 },
-                source: 'missing',
-                notes: null,
-                lookupMethod: 'ingredient-centric' // MOD ZONE 4.3: Add ingredient-centric flag
-             };
-             
-             // ... (rest of initial checks) ...
-             if (!Number.isFinite(gramsInput) || gramsInput < 0 || gramsInput === 0) {
-                 if (gramsInput !== 0) {
-                    log(`[MACRO_DEBUG] Invalid quantity for item '${item.key}'.`, 'ERROR', 'CALC', { item, gramsInput });
-                 }
-                 return { p: 0, f: 0, c: 0, kcal: 0, key: item.key, debugItem };
-             }
-             
-             // 2. Convert to 'as_sold' (e.g., 200g cooked rice -> 67g dry rice)
-             const { grams_as_sold, inferredMethod } = toAsSold(item, gramsInput, log);
-             
-             debugItem.gramsAsSold = grams_as_sold;
-             debugItem.methodHint = item.methodHint || inferredMethod || null;
-             
-             // 3. Get nutrition data (per 100g)
-             const nutritionData = nutritionDataMap.get(normalizedKey);
-             let grams = grams_as_sold;
-             let p = 0, f = 0, c = 0, kcal = 0;
-             
-             let source = 'missing';
-
-             if (nutritionData && nutritionData.status === 'found') {
-                 // Use real data
-                 const proteinPer100 = Number(nutritionData.protein || nutritionData.protein_g_per_100g) || 0;
-                 const fatPer100 = Number(nutritionData.fat || nutritionData.fat_g_per_100g) || 0;
-                 const carbsPer100 = Number(nutritionData.carbs || nutritionData.carb_g_per_100g) || 0;
-
-                 // RFC-001: calories is the primary field from nutrition-search.js
-                 // Fallback chain: calories → kcal → kcal_per_100g → reconstruct from macros
-                 const kcalPer100 = 
-                     Number(nutritionData.calories) ||
-                     Number(nutritionData.kcal) || 
-                     Number(nutritionData.kcal_per_100g) || 
-                     ((proteinPer100 * 4) + (fatPer100 * 9) + (carbsPer100 * 4));
-
-
-                 // Populate debug per100
-                 debugItem.per100.kcal = kcalPer100;
-                 debugItem.per100.protein = proteinPer100;
-                 debugItem.per100.fat = fatPer100;
-                 debugItem.per100.carbs = carbsPer100;
-                 
-                 p = (proteinPer100 / 100) * grams;
-                 f = (fatPer100 / 100) * grams;
-                 c = (carbsPer100 / 100) * grams;
-                 
-                 source = nutritionData.source.toLowerCase();
-                 debugItem.source = source;
-                 
-                 // MOD ZONE 4.2: Log warning if an external API was used
-                 // In the ingredient-centric flow, the only valid sources are HOT_PATH, CANONICAL, or FALLBACK
-                 if (source !== 'hot_path' && source !== 'canonical' && source !== 'fallback' && gramsInput > 0) {
-                     log(`[MACRO_DEBUG] WARNING: External API used for '${item.key}'. Potential for macro drift. Source: ${nutritionData.source}`, 'WARN', 'CALC');
-                 }
-             } else { 
-                if (gramsInput > 0) {
-                   log(`[MACRO_DEBUG] No nutrition found for '${item.key}'. Macros set to 0.`, 'WARN', 'CALC', { normalizedKey }); 
-                }
-                debugItem.notes = 'Nutrition data missing or not found.';
-             }
-             
-             // 4. Add extras (e.g., oil absorption)
-             const { absorbed_oil_g } = getAbsorbedOil(item, debugItem.methodHint, mealItems, log);
-             if (absorbed_oil_g > 0) { 
-                 f += absorbed_oil_g; 
-                 debugItem.notes = (debugItem.notes ? debugItem.notes + '; ' : '') + `Added ${absorbed_oil_g.toFixed(1)}g fat from absorbed oil.`;
-             }
-             
-             // 5. Calculate final kcal
-             kcal = (p * 4) + (f * 9) + (c * 4);
-
-             // Populate debug computed macros
-             debugItem.computedMacros.calories = kcal;
-             debugItem.computedMacros.protein = p;
-             debugItem.computedMacros.fat = f;
-             debugItem.computedMacros.carbs = c;
-             
-             // 6. Set Final Source and Log Anomalies
-             
-             if (kcal === 0 && gramsInput > 0) {
-                 // Log anomaly: Zero-calorie item with non-zero quantity (Rule 4)
-                 log(`[MACRO_DEBUG] Zero-calorie item with non-zero qty: '${item.key}' (${gramsInput.toFixed(0)}g). Source: ${source}`, 'WARN', 'CALC');
-             }
-             
-             if (source === 'canonical' && gramsInput > 0) {
-                 // Log anomaly: Canonical fallback used (Rule 4)
-                 log(`[MACRO_DEBUG] Canonical fallback used for '${item.key}'.`, 'INFO', 'CALC');
-             }
-
-             if (kcal > MAX_CALORIES_PER_ITEM && !item.key.toLowerCase().includes('oil')) {
-                log(`CRITICAL: Item '${item.key}' calculated to ${kcal.toFixed(0)} kcal, exceeding sanity limit.`, 'CRITICAL', 'CALC', { item, grams, p, f, c });
-                // Nullify macros to prevent breaking the plan
-                kcal = 0; p = 0; f = 0; c = 0;
-                debugItem.computedMacros = { calories: 0, protein: 0, fat: 0, carbs: 0 };
-                debugItem.notes = (debugItem.notes ? debugItem.notes + '; ' : '') + 'Macros nullified due to sanity check failure.';
-             }
-
-             return { p, f, c, kcal, key: item.key, debugItem };
-        };
-
-
-        // Redefine the simple helper that calculateTotals and reconcilerGetItemMacros expects.
-        // This function replaces the original `computeItemMacros` but maintains the simple return structure.
-        const computeItemMacros = (item, mealItems) => {
-             const result = computeDetailedItemMacros(item, mealItems);
-             return { p: result.p, f: result.f, c: result.c, kcal: result.kcal, key: result.key };
-        };
-
-
-        // Helper to calculate totals for a list of meals
-        const calculateTotals = (mealList, dayNum) => {
-            let totalKcal = 0, totalP = 0, totalF = 0, totalC = 0;
-            let planHasInvalidItems = false;
-            for (const meal of mealList) {
-                 let mealKcal = 0, mealP = 0, mealF = 0, mealC = 0;
-                 for (const item of meal.items) {
-                     // Attach normalizedKey again as it was lost in deep copy
-                     item.normalizedKey = normalizeKey(item.key); 
-                     
-                     // Ensure stateHint is normalized before macro calculation
-                     normalizeStateHintForItem(item, log);
-                     
-                     // This is the call to the macro calculator (the getMacros function for validation)
-                     const macros = computeItemMacros(item, meal.items);
-                     mealKcal += macros.kcal; mealP += macros.p; mealF += macros.f; mealC += macros.c;
-                 }
-                 meal.subtotal_kcal = mealKcal; meal.subtotal_protein = mealP; meal.subtotal_fat = mealF; meal.subtotal_carbs = mealC;
-                 if (meal.subtotal_kcal <= 0 && meal.items.length > 0) { // Only log if not an empty meal
-                     log(`[Solver] Meal "${meal.name}" (Day ${dayNum}) has zero/negative kcal.`, 'WARN', 'CALC', { items: meal.items.map(i => i.key) });
-                     planHasInvalidItems = true;
-                 }
-                 totalKcal += mealKcal; totalP += mealP; totalF += mealF; totalC += mealC;
-            }
-            // Return total object, which serves as the dayTotals input for validation
-            return { totalKcal, totalP, totalF, totalC, planHasInvalidItems };
-        };
-
-
-        // --- Run Solver V1 (Shadow) vs Reconciler V0 (Live) ---
+        // --- Run Solver V1 (Live) vs Reconciler V0 (Shadow) ---
         for (const day of fullMealPlan) {
-            let mealsForThisDay = JSON.parse(JSON.stringify(day.meals)); // Deep copy for safety
-            // nutritionalTargets is the targets object for the current day
-            const targetCalories = nutritionalTargets.calories;
-            
-            // Determine per meal targets for logging (Phase 5)
-            const targetsPerMeal = (meal) => {
-                const isSnack = meal.type && meal.type.toLowerCase().includes('snack');
-                return isSnack ? targetsPerMealType.snack : targetsPerMealType.main;
-            };
-
-            // Phase C5 & C6: Per-meal reconciliation loop
-            let reconciliationHappened = false;
-            
-            for (let i = 0; i < mealsForThisDay.length; i++) {
-                const meal = mealsForThisDay[i];
-                const mealTargets = targetsPerMeal(meal);
-                
-                // Use a deep copy for the reconciliation input as it mutates the meal object internally
-                const mealCopy = JSON.parse(JSON.stringify(meal));
-
-                const { adjusted, factor, meal: reconciledMeal } = reconcileMealLevel({
-                    meal: mealCopy,
-                    targetKcal: mealTargets.calories,
-                    targetProtein: mealTargets.protein,
-                    getItemMacros: computeItemMacros,
-                    log: log,
-                    tolPct: 15 // Use 15% tolerance for individual meal adjustment
-                });
-                
-                if (adjusted) {
-                    reconciliationHappened = true;
-                    // Replace the original meal with the reconciled one
-                    mealsForThisDay[i] = reconciledMeal; 
-                }
-            }
-
-            if (reconciliationHappened) {
-                 log(`[MEAL_RECON] Per-meal reconciliation applied on Day ${day.dayNumber}. Recalculating day totals.`, 'INFO', 'SOLVER');
-            }
-
-            // --- 1. Run Solver V1 (Shadow Path) ---
-            const solverV1Meals = JSON.parse(JSON.stringify(mealsForThisDay)); // Fresh deep copy (start from possibly reconciled state)
-            const solverV1Totals = calculateTotals(solverV1Meals, day.dayNumber);
-
-            // --- 2. Run Reconciler V0 (Live Path by default) ---
-            const reconcilerGetItemMacros = (item) => {
-                item.normalizedKey = normalizeKey(item.key); // Ensure key is normalized
-                // State hint is normalized inside calculateTotals, but we must ensure consistency here too
-                normalizeStateHintForItem(item, log);
-                
-                const mealContext = mealsForThisDay.find(m => m.items.some(i => i.key === item.key))?.items || [];
-                return computeItemMacros(item, mealContext);
-            };
-
-            const { adjusted, factor, meals: scaledMeals } = reconcileNonProtein({
-                meals: mealsForThisDay.map(m => ({ ...m, items: m.items.map(i => ({ ...i, qty: i.qty_value, unit: i.qty_unit })) })),
-                targetKcal: targetCalories,
-                getItemMacros: reconcilerGetItemMacros, // Use our master calculator
-                tolPct: 5,
-                // D1, D2, D3: Pass parameters for protein scaling logic
-                allowProteinScaling: ALLOW_PROTEIN_SCALING,
-                targetProtein: nutritionalTargets.protein,
-                log: log
-            });
-
-            // Re-format scaled meals and calculate their *final* totals
-            const reconcilerV0Meals = scaledMeals.map(m => ({ ...m, items: m.items.map(i => ({ ...i, qty_value: i.qty, qty_unit: i.unit })) }));
-            const reconcilerV0Totals = calculateTotals(reconcilerV0Meals, day.dayNumber);
-            
-            // --- Determine which meal/total set to use ---
-            let selectedMeals = USE_SOLVER_V1 ? solverV1Meals : reconcilerV0Meals;
-            let selectedTotals = USE_SOLVER_V1 ? solverV1Totals : reconcilerV0Totals;
-
-            // --- 3. Log Comparison ---
-            log(`[Solver] Day ${day.dayNumber} Shadow Mode Comparison:`, 'INFO', 'SOLVER', {
-                day: day.dayNumber,
-                target: targetCalories,
-                solver_v1_kcal: solverV1Totals.totalKcal.toFixed(0),
-                reconciler_v0_kcal: reconcilerV0Totals.totalKcal.toFixed(0),
-                reconciler_adjusted: adjusted,
-                reconciler_factor: factor
-            });
-
-            // --- 4. Validation (Task 3) ---
-            const validationResult = validateDayPlan({
-              meals: selectedMeals,
-              dayTotals: {
-                calories: selectedTotals.totalKcal,
-                protein: selectedTotals.totalP,
-                fat: selectedTotals.totalF,
-                carbs: selectedTotals.totalC
-              },
-              targets: nutritionalTargets, 
-              nutritionDataMap: nutritionDataMap,
-              getMacros: computeItemMacros,
-              log: log
-            });
-
-            // --- 5. Optional Log Validation Issues (Task 5) ---
-            if (validationResult && validationResult.hasIssues && validationResult.hasIssues()) {
-              log(
-                `[VALIDATION] Day ${day.dayNumber}: ${validationResult.issues.length} issues (confidence=${validationResult.confidenceScore.toFixed(2)})`,
-                'WARN',
-                'CALC'
-              );
-            }
-            // --- End Validation ---
-
-            // --- 6. Select Path and Finalize Day Object (Task 4) ---
-            log(`[Solver] Using ${USE_SOLVER_V1 ? 'SOLVER_V1' : 'RECONCILER_V0'} for Day ${day.dayNumber}`, 'INFO', 'SOLVER');
+            const { targets, perMealType } = targetsForDay(day.dayNumber);
+            const { dayPlan, dayDebug } = solveDay(day, targets, perMealType, macroCalculator, nutritionDataMap, log);
+            macroDebugDaysData.push(dayDebug);
+            finalMealPlan.push(dayPlan);
+        }
 
-            // --- [NEW] Collect Macro Debug Data for this Day ---
-            const dayDebug = {
-                dayIndex: day.dayNumber - 1, // 0-based
-                dayLabel: `Day ${day.dayNumber}`,
-                meals: []
-            };
-            
-            for (const meal of selectedMeals) {
-                // Use per-meal target function for logging (Phase 5)
-                const targetMacros = targetsPerMeal(meal); 
-
-                const mealDebug = {
-                    mealName: meal.name,
-                    mealId: null, // Not available
-                    targetMacros: {
-                        calories: targetMacros.calories ? Math.round(targetMacros.calories) : null,
-                        protein: targetMacros.protein ? Math.round(targetMacros.protein) : null,
-                        fat: targetMacros.fat ? Math.round(targetMacros.fat) : null,
-                        carbs: targetMacros.carbs ? Math.round(targetMacros.carbs) : null
-                    },
-                    computedTotals: {
-                        calories: Math.round(meal.subtotal_kcal || 0),
-                        protein: Math.round(meal.subtotal_protein || 0),
-                        fat: Math.round(meal.subtotal_fat || 0),
-                        carbs: Math.round(meal.subtotal_carbs || 0)
-                    },
-                    deviation: {
-                        caloriesDiff: targetMacros.calories ? Math.round((meal.subtotal_kcal || 0) - targetMacros.calories) : null,
-                        proteinDiff: targetMacros.protein ? Math.round((meal.subtotal_protein || 0) - targetMacros.protein) : null,
-                        fatDiff: targetMacros.fat ? Math.round((meal.subtotal_fat || 0) - targetMacros.fat) : null,
-                        carbsDiff: targetMacros.carbs ? Math.round((meal.subtotal_carbs || 0) - targetMacros.carbs) : null
-                    },
-                    items: []
-                };
-
-                for (const item of meal.items) {
-                    // Recalculate item macros using the detailed function to get the debug object
-                    const { debugItem } = computeDetailedItemMacros(item, meal.items);
-                    // Round the final computed macros in the debug item
-                    debugItem.computedMacros.calories = Math.round(debugItem.computedMacros.calories);
-                    debugItem.computedMacros.protein = Math.round(debugItem.computedMacros.protein);
-                    debugItem.computedMacros.fat = Math.round(debugItem.computedMacros.fat);
-                    debugItem.computedMacros.carbs = Math.round(debugItem.computedMacros.carbs);
-                    
-                    mealDebug.items.push(debugItem);
-                }
-                dayDebug.meals.push(mealDebug);
+        // [NEW] Household: solve each extra member's portions of the shared meals (first member is the primary)
+        const memberPlans = new Map(); // memberId -> solved days
+        if (householdMembers) {
+            for (const member of householdMembers.slice(1)) {
+                memberPlans.set(member.id, fullMealPlan.map(day => {
+                    const { targets, perMealType } = targetsForDay(day.dayNumber, member.nutritionalTargets);
+                    return solveDay(scaleDayForMember(day, member.scale), targets, perMealType, macroCalculator, nutritionDataMap, log).dayPlan;
+                }));
             }
-            macroDebugDaysData.push(dayDebug);
-            
-            
-            finalMealPlan.push({ 
-                dayNumber: day.dayNumber, 
-                meals: selectedMeals, 
-                totals: {
-                    calories: selectedTotals.totalKcal,
-                    protein: selectedTotals.totalP,
-                    fat: selectedTotals.totalF,
-                    carbs: selectedTotals.totalC
-                },
-                // [NEW] Attach validation result (Task 4)
-                validation: validationResult.toJSON()
-            });
         }
         solver_ms = Date.now() - solverStartTime;
         sendEvent('phase:end', { name: 'solver', duration_ms: solver_ms, using_solver_v1: USE_SOLVER_V1 });
@@ -2106,45 +2645,57 @@ module.exports = async (request, response) => {
 
         // --- Phase 6: Chef AI (Writer) — [PERF V2] Await early promise ---
         // Chef AI was launched in Phase 1.5, running in parallel with market run + nutrition + solver.
-        // Here we just await the already-running promise and assemble results.
+        // Here each day waits for its own recipes only, then is finalized and streamed.
         sendEvent('phase:start', { name: 'writer', description: 'Finalizing recipes...' });
+        await cancelWatch.check();
         await setRunStatus(run_id, 'running', null, log, 'writer');
 
         sendEvent('plan:progress', { pct: 95, message: `Finalizing recipes...` });
         const writerStartTime = Date.now();
-        
-        // Await the promise that was started in Phase 1.5
-        const recipeResults = await earlyChefPromise;
-        
-        // Create a map to re-assemble the plan
-        const recipeMap = new Map();
-        recipeResults.forEach((result) => {
-            if (result && !result._error && result._dayNumber != null && result._originalName) {
-                recipeMap.set(`${result._dayNumber}:${result._originalName}`, result);
-            }
-        });
-
-        // Re-inject recipes into the final plan
-        for (const day of finalMealPlan) {
-            day.meals = day.meals.map(meal => {
-                const recipe = recipeMap.get(`${day.dayNumber}:${meal.name}`);
-                if (recipe) {
-                    // Merge recipe data (description, instructions) onto the solver-adjusted meal
-                    // Keep the solver's adjusted quantities but use chef's description + instructions
-                    const { _dayNumber, _originalName, _error, ...recipeData } = recipe;
-                    return { ...meal, description: recipeData.description, instructions: recipeData.instructions };
+        let recipesGenerated = 0;
+
+        const finalDayTotals = await Promise.all(finalMealPlan.map(async (day, dayIndex) => {
+            // Budget substitutions override the early chef output for the same meal
+            const recipeResults = [
+                ...await earlyChef.forDay(day.dayNumber),
+                ...(budgetChef ? await budgetChef.forDay(day.dayNumber) : [])
+            ];
+            const recipeMap = new Map();
+            recipeResults.forEach((result) => {
+                if (result && !result._error && result._originalName) {
+                    recipeMap.set(result._originalName, result);
                 }
-                return { ...meal, ...MOCK_RECIPE_FALLBACK };
             });
-        }
+            recipesGenerated += recipeMap.size;
+
+            // Re-inject recipes into the solved day (and every household member's copy)
+            const memberDays = [...memberPlans.values()].map(plan => plan[dayIndex]);
+            for (const solvedDay of [day, ...memberDays]) {
+                solvedDay.meals = solvedDay.meals.map(meal => {
+                    const recipe = recipeMap.get(meal.name);
+                    if (recipe) {
+                        // Keep the solver's adjusted quantities but use chef's description + instructions
+                        return { ...meal, description: recipe.description, instructions: recipe.instructions };
+                    }
+                    return { ...meal, ...MOCK_RECIPE_FALLBACK };
+                });
+            }
+
+            const dayTotals = finalizeDayForResponse(day);
+            memberDays.forEach(finalizeDayForResponse);
+            // [NEW] Streaming: the solved day with recipes replaces its provisional cards
+            sendEvent('day:final', day);
+            return dayTotals;
+        }));
         writer_ms = Date.now() - writerStartTime;
         // Log total chef time including parallel execution
         const totalChefMs = Date.now() - earlyChefStartTime;
         log(`Chef AI total elapsed: ${totalChefMs}ms (${writerStartTime - earlyChefStartTime}ms hidden behind other phases)`, 'INFO', 'PERF');
-        sendEvent('phase:end', { name: 'writer', duration_ms: writer_ms, recipesGenerated: recipeMap.size, total_chef_ms: totalChefMs });
+        sendEvent('phase:end', { name: 'writer', duration_ms: writer_ms, recipesGenerated, total_chef_ms: totalChefMs });
 
         // --- Phase 7: Finalize ---
         sendEvent('phase:start', { name: 'finalize', description: 'Assembling final plan...' });
+        await cancelWatch.check();
         // CHANGE 4: Persist `lastPhase` to KV
         await setRunStatus(run_id, 'running', null, log, 'finalize');
 
@@ -2178,37 +2729,12 @@ module.exports = async (request, response) => {
         });
 
 
-        finalMealPlan.forEach(day => {
-            // Store rounded totals separately for frontend consumption
-            const dayTotals = day.totals;
-            day.totals = {
-                calories: Math.round(dayTotals.calories || 0),
-                protein: Math.round(dayTotals.protein || 0),
-                fat: Math.round(dayTotals.fat || 0),
-                carbs: Math.round(dayTotals.carbs || 0),
-            }
+        finalDayTotals.forEach(dayTotals => {
             // Aggregate totals for the summary (Rule 3)
             totalCalories += dayTotals.calories;
             totalProtein += dayTotals.protein;
             totalFat += dayTotals.fat;
             totalCarbs += dayTotals.carbs;
-
-
-            day.meals.forEach(meal => {
-                // Round meal macros
-                meal.subtotal_kcal = Math.round(meal.subtotal_kcal || 0);
-                meal.subtotal_protein = Math.round(meal.subtotal_protein || 0);
-                meal.subtotal_fat = Math.round(meal.subtotal_fat || 0);
-                meal.subtotal_carbs = Math.round(meal.subtotal_carbs || 0);
-                // Simplify item structure
-                meal.items = meal.items.map(item => ({
-                    key: item.key,
-                    qty: item.qty_value,
-                    unit: item.qty_unit,
-                    stateHint: item.stateHint,
-                    methodHint: item.methodHint
-                }));
-            });
         });
 
         // [NEW] Calculate Summary Debug Data (Rule 3)
@@ -2222,6 +2748,13 @@ module.exports = async (request, response) => {
             avgProteinPerDay: numDays > 0 ? Math.round(totalProtein / numDays) : null,
         };
         
+        // [NEW] Specials-driven mode: saving on the specials the basket actually bought
+        const specialsReport = specialsPlan ? summarizeSpecialsSavings(resultsObject, specialsPlan) : null;
+
+        // [NEW] LLM token/cost accounting for every call made by this run
+        const llmUsage = summarizeUsage();
+        recordLLMUsage(llmUsage, numDays);
+
         // Prepare the final payload
         const responseData = {
             message: `Successfully generated full ${numDays}-day plan.`,
@@ -2233,8 +2766,31 @@ module.exports = async (request, response) => {
             // [NEW] Macro Debug Payload (Rule 1)
             macroDebug: {
                 days: macroDebugDaysData,
-                summary: macroDebugSummary
-            }
+                summary: macroDebugSummary,
+                // [NEW] Product-accurate mode: label lookups (null in the default ingredient mode)
+                productNutrition: productNutritionSummary
+            },
+            // [NEW] Leftover-aware planning: grams left over in purchased packs
+            waste: wasteSummary,
+            // [NEW] Hard budget cap: before/after cost breakdown (null when no budget is set)
+            budget: budgetReport,
+            // [NEW] Cross-store comparison: per-store baskets, optimal split and savings (null unless storeMode is 'compare')
+            storeComparison,
+            // [NEW] Specials-driven mode: specials planned around and the saving vs regular prices (null when off)
+            specials: specialsReport,
+            // [NEW] Household mode: per-member targets + portions (null for single-person plans)
+            household: householdMembers ? householdMembers.map((member, i) => ({
+                ...member,
+                mealPlan: i === 0 ? finalMealPlan : memberPlans.get(member.id),
+                dayTargets: calorieCycling ? finalMealPlan.map(day => {
+                    const { targets, dayType } = targetsForDay(day.dayNumber, i === 0 ? nutritionalTargets : member.nutritionalTargets);
+                    return { dayNumber: day.dayNumber, dayType, ...targets };
+                }) : null
+            })) : null,
+            // [NEW] Calorie cycling: per-day targets used for prompts and the solver (null = same target every day)
+            dayTargets: calorieCycling ? dayTargets : null,
+            // [NEW] LLM spend: tokens and estimated USD cost per agent, day and model
+            llmUsage
         };
 
         const plan_total_ms = Date.now() - planStartTime;
@@ -2247,7 +2803,22 @@ module.exports = async (request, response) => {
             writer_ms,
             total_items: aggregatedIngredients.length,
             canonical_hits: canonicalHitsToday,
-            solver_path_live: USE_SOLVER_V1 ? 'SOLVER_V1' : 'RECONCILER_V0'
+            planning_mode: planningMode,
+            waste_g: wasteSummary.waste_g,
+            budget_cap: budgetCap,
+            within_budget: budgetReport ? budgetReport.withinBudget : null,
+            store_basket: storeComparison ? (storeComparison.recommendedStore || 'split') : store,
+            price_specials: priceTracking.deals,
+            specials_saving: specialsReport ? specialsReport.totalSaving : null,
+            product_rules: productRules.length,
+            product_labels_used: productNutritionSummary ? productNutritionSummary.used : null,
+            household_size: householdMembers ? householdMembers.length : 1,
+            calorie_cycling: calorieCycling,
+            llm_calls: llmUsage ? llmUsage.calls : null,
+            llm_tokens: llmUsage ? llmUsage.totalTokens : null,
+            llm_cost_usd: llmUsage ? llmUsage.costUsd : null,
+            solver_path_live: USE_SOLVER_V1 ? 'SOLVER_V1' : 'RECONCILER_V0',
+            solver_days_within_bands: finalMealPlan.filter(d => d.solver?.residuals?.allWithin).length
         });
 
         // ── PERSISTENCE FIX: Guard against KV payload size limits ──
@@ -2261,27 +2832,43 @@ module.exports = async (request, response) => {
             log(`Payload too large for KV (${(payloadSizeBytes / 1024).toFixed(0)} KB). Storing trimmed version.`, 'WARN', 'RUN_STATUS');
             
             // Create a trimmed copy — strip macroDebug and truncate recipe instructions
+            const trimInstructions = (mealPlan) => mealPlan.map(day => ({
+                ...day,
+                meals: day.meals.map(meal => ({
+                    ...meal,
+                    instructions: meal.instructions
+                        ? [meal.instructions[0] || 'See full plan for instructions.']
+                        : ['See full plan for instructions.']
+                }))
+            }));
             const trimmedData = {
                 ...responseData,
                 macroDebug: { _trimmed: true, reason: 'payload_size_limit' },
-                mealPlan: responseData.mealPlan.map(day => ({
-                    ...day,
-                    meals: day.meals.map(meal => ({
-                        ...meal,
-                        instructions: meal.instructions
-                            ? [meal.instructions[0] || 'See full plan for instructions.']
-                            : ['See full plan for instructions.']
-                    }))
-                }))
+                mealPlan: trimInstructions(responseData.mealPlan),
+                household: responseData.household
+                    ? responseData.household.map(member => ({ ...member, mealPlan: trimInstructions(member.mealPlan) }))
+                    : null
             };
             await setRunStatus(run_id, 'complete', trimmedData, log);
         } else {
             await setRunStatus(run_id, 'complete', responseData, log);
         }
 
+        finishSession(run_id, responseData, log);
         sendFinalDataAndClose(responseData);
 
     } catch (error) {
+        if (isCancellation(error)) {
+            log(`Run cancelled by user request.`, 'WARN', 'SYSTEM');
+            // LLM spend up to the cancellation is kept with the run record
+            await setRunStatus(run_id, 'cancelled', { llmUsage: summarizeUsage() }, log).catch(() => {});
+            sendEvent('plan:cancelled', { run_id });
+            if (!response.writableEnded) {
+                try { response.end(); } catch {}
+            }
+            return;
+        }
+
         log(`CRITICAL Orchestrator ERROR: ${error.message}`, 'CRITICAL', 'SYSTEM', { stack: error.stack?.substring(0, 500) });
         console.error(`FULL PLAN UNHANDLED ERROR:`, error);
         
@@ -2293,6 +2880,7 @@ module.exports = async (request, response) => {
         return; 
     }
     finally {
+        cancelWatch.stop();
         // Ensure the stream is closed if execution somehow reaches here
         if (response && !response.writableEnded) {
             log('Stream not ended, forcing close.', 'WARN', 'SYSTEM');
@@ -2301,7 +2889,33 @@ module.exports = async (request, response) => {
     }
 };
 
+// CHEFFY_RECORD_DIR records each run into a replay bundle (utils/replay.js, scripts/replay-plans.js)
+module.exports = (request, response) => withRecording(request.body, () => withUsageLedger(() => withCancellation(() => handlePlanRequest(request, response))));
+
 module.exports.getRunStatus = getRunStatus;
 
+// [NEW] Shared pipeline stages (used by /api/plan/regenerate)
+module.exports.createLogger = createLogger;
+module.exports.resolveRequestModels = resolveRequestModels;
+module.exports.concurrentlyMap = concurrentlyMap;
+module.exports.concurrentlyMapMealsByDay = concurrentlyMapMealsByDay;
+module.exports.generateMealPlan_Single = generateMealPlan_Single;
+module.exports.generateGroceryQueries_Batched = generateGroceryQueries_Batched;
+module.exports.generateChefInstructions = generateChefInstructions;
+module.exports.buildTargetsPerMealType = buildTargetsPerMealType;
+module.exports.aggregateIngredients = aggregateIngredients;
+module.exports.buildFullIngredientPlan = buildFullIngredientPlan;
+module.exports.buildMarketPlan = buildMarketPlan;
+module.exports.processSingleIngredientOptimized = processSingleIngredientOptimized;
+module.exports.collateMarketResults = collateMarketResults;
+module.exports.extractPriceData = extractPriceData;
+module.exports.fetchNutritionForIngredients = fetchNutritionForIngredients;
+module.exports.createMacroCalculator = createMacroCalculator;
+module.exports.solveDay = solveDay;
+module.exports.finalizeDayForResponse = finalizeDayForResponse;
+module.exports.rebalanceToBudget = rebalanceToBudget;
+module.exports.MARKET_RUN_CONCURRENCY = MARKET_RUN_CONCURRENCY;
+module.exports.MOCK_RECIPE_FALLBACK = MOCK_RECIPE_FALLBACK;
+
 /// ===== MAIN-HANDLER-END ===== ////
 
@@ -0,0 +1,373 @@
+// --- Cheffy API: /api/plan/regenerate.js ---
+// Regenerates ONE slot of an existing full plan: either a whole day (target.day)
+// or a single meal within a day (target.day + target.mealType).
+// Reuses the generate-full-plan pipeline stages:
+// 1. Generate the replacement slot (generateMealPlan_Single)
+// 2. Run the market ONLY for ingredients not already in the plan's results
+//    (after subtracting pantry stock across the whole patched plan)
+// 3. Fetch nutrition (+ label nutrition in product-accurate mode) + re-solve the affected day (reconcileMealLevel / reconcileNonProtein)
+// 4. Chef AI for the new meal(s)
+// 5. Recompute the shopping list and totalCost across the patched plan
+
+const crypto = require('crypto');
+const {
+    createLogger,
+    resolveRequestModels,
+    concurrentlyMap,
+    generateMealPlan_Single,
+    generateGroceryQueries_Batched,
+    generateChefInstructions,
+    buildTargetsPerMealType,
+    aggregateIngredients,
+    buildMarketPlan,
+    processSingleIngredientOptimized,
+    collateMarketResults,
+    extractPriceData,
+    fetchNutritionForIngredients,
+    createMacroCalculator,
+    solveDay,
+    finalizeDayForResponse,
+    MARKET_RUN_CONCURRENCY,
+    MOCK_RECIPE_FALLBACK,
+} = require('./generate-full-plan.js');
+const { normalizePantry, applyPantryStock, buildPantryResult, PANTRY_SOURCE } = require('../../utils/pantry');
+const { planUnits, applyPurchaseOptimization, describePurchase } = require('../../utils/purchase-optimizer');
+const { PLANNING_MODES, estimateOpenPacks, summarizeWaste } = require('../../utils/leftover-planner');
+const { normalizeAllergenProfile } = require('../../utils/allergens');
+const { normalizeProductRules } = require('../../utils/product-rules');
+const { resolveRequestUserId } = require('../../utils/firebase-auth');
+const { normalizeHousehold, householdScale, applyHouseholdScale, scaleDayForMember } = require('../../utils/household');
+const { resolveDayTargets, adjustTargets } = require('../../utils/day-targets');
+const { isProductAccurateMode, applyProductNutrition } = require('../../utils/product-nutrition');
+const { withUsageLedger, withUsageContext, summarizeUsage } = require('../../utils/llm-usage');
+const { recordLLMUsage } = require('../metrics');
+
+// --- START: Helper Functions ---
+
+// Error carrying an HTTP status + machine-readable code for the handler's catch block
+function requestError(message, code, statusCode = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Converts a finalized (frontend) meal back into the planner shape used by the solver:
+// { key, qty, unit } -> { key, qty_value, qty_unit }
+function expandMealForSolver(meal) {
+    return {
+        ...meal,
+        items: (meal.items || []).map(item => ({
+            key: item.key,
+            qty_value: item.qty_value ?? item.qty,
+            qty_unit: item.qty_unit ?? item.unit,
+            stateHint: item.stateHint,
+            methodHint: item.methodHint ?? null
+        }))
+    };
+}
+
+// Builds the { dayNumber, meals } shape aggregateIngredients expects for every day of the plan
+function expandPlanForAggregation(mealPlan) {
+    return mealPlan.map(day => ({
+        dayNumber: day.dayNumber,
+        meals: day.meals.map(expandMealForSolver)
+    }));
+}
+
+// Mirrors recalculateTotalCost() in web/src/hooks/useAppLogic.js
+function calculateTotalCost(results) {
+    let total = 0;
+    Object.values(results).forEach(item => {
+        if (item.source === 'discovery' && item.allProducts && item.currentSelectionURL) {
+            const selected = item.allProducts.find(p => p && p.url === item.currentSelectionURL);
+            if (selected?.price) {
+                const qty = item.userQuantity || planUnits(selected, item.totalGramsRequired ?? item.requested_total_g, item.normalizedKey)?.units || 1;
+                total += selected.price * qty;
+            }
+        }
+    });
+    return total;
+}
+
+/**
+ * Rebuilds results + uniqueIngredients for the whole (patched) plan.
+ * Existing market results are reused; new ones come from this request's market run.
+ * Household plans are scaled like the pipeline (applyHouseholdScale on the primary plan).
+ * Pantry-covered ingredients get a 'pantry' entry; ingredients no longer referenced by any meal are dropped.
+ */
+function rebuildShoppingList(mealPlan, householdMembers, previousResults, newResultsMap, newPriceDataMap, pantryMap, log) {
+    const ingredientMap = aggregateIngredients(expandPlanForAggregation(mealPlan), log);
+    if (householdMembers) applyHouseholdScale(Array.from(ingredientMap.values()), householdMembers, log);
+    applyPantryStock(Array.from(ingredientMap.values()), pantryMap, log);
+
+    const results = {};
+    const uniqueIngredients = [];
+    for (const aggItem of ingredientMap.values()) {
+        const { normalizedKey, dayRefs, ...rest } = aggItem;
+        const previous = previousResults[normalizedKey];
+        let entry;
+        if (aggItem.pantryCovered) {
+            entry = buildPantryResult(aggItem);
+        } else if (newResultsMap.has(normalizedKey)) {
+            entry = {
+                ...rest,
+                normalizedKey,
+                ...newResultsMap.get(normalizedKey),
+                ...(newPriceDataMap.get(normalizedKey) || {})
+            };
+        } else if (previous && previous.source !== PANTRY_SOURCE) {
+            entry = { ...previous };
+        } else {
+            log(`No market result for "${normalizedKey}". Omitting from shopping list.`, 'WARN', 'MARKET_RUN');
+            continue;
+        }
+        entry.normalizedKey = normalizedKey;
+        entry.requested_total_g = aggItem.requested_total_g;
+        entry.totalGramsRequired = aggItem.requested_total_g;
+        entry.gross_total_g = aggItem.gross_total_g;
+        entry.pantry_have_g = aggItem.pantry_have_g;
+        entry.pantryCovered = aggItem.pantryCovered;
+        describePurchase(entry); // Required grams changed; keep the current product selection
+        entry.dayRefs = Array.from(dayRefs); // Convert Set to Array
+        results[normalizedKey] = entry;
+        uniqueIngredients.push(entry);
+    }
+
+    const dropped = Object.keys(previousResults).filter(key => !results[key]);
+    if (dropped.length > 0) {
+        log(`Removed ${dropped.length} ingredients no longer used by the plan.`, 'INFO', 'SYSTEM', { dropped });
+    }
+    return { results, uniqueIngredients };
+}
+// --- END: Helper Functions ---
+
+
+async function handleRegenerateRequest(request, response) {
+    const run_id = crypto.randomUUID();
+    const { log, getLogs } = createLogger(run_id);
+    const startTime = Date.now();
+
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        return response.status(405).json({
+            message: `Method ${request.method} Not Allowed. Please use POST.`,
+            code: "METHOD_NOT_ALLOWED"
+        });
+    }
+
+    try {
+        const { plan, target, formData, nutritionalTargets, preferredModel, pantry } = request.body || {};
+
+        // --- Input Validation ---
+        if (!plan || !Array.isArray(plan.mealPlan) || plan.mealPlan.length === 0) {
+            throw requestError("Missing or invalid 'plan.mealPlan' in request body.", "INVALID_PLAN");
+        }
+        if (!formData || typeof formData !== 'object' || !formData.store) {
+            throw requestError("Missing or invalid 'formData' (store is required).", "INVALID_FORM_DATA");
+        }
+        if (!nutritionalTargets || typeof nutritionalTargets !== 'object' || !nutritionalTargets.calories) {
+            throw requestError("Missing or invalid 'nutritionalTargets' in request body.", "INVALID_TARGETS");
+        }
+        const dayNumber = parseInt(target?.day, 10);
+        const dayIndex = plan.mealPlan.findIndex(d => d && d.dayNumber === dayNumber);
+        if (!Number.isInteger(dayNumber) || dayIndex === -1) {
+            throw requestError(`Target day "${target?.day}" does not exist in the plan.`, "INVALID_TARGET");
+        }
+
+        const store = formData.store;
+        const previousResults = plan.results || {};
+        const existingDay = plan.mealPlan[dayIndex];
+        const mealType = (typeof target.mealType === 'string' && target.mealType.trim()) ? target.mealType.trim() : null;
+
+        let mealIndex = -1;
+        if (mealType) {
+            mealIndex = existingDay.meals.findIndex(m => (m.type || '').toLowerCase() === mealType.toLowerCase());
+            if (mealIndex === -1) {
+                throw requestError(`Meal type "${mealType}" not found on Day ${dayNumber}.`, "INVALID_TARGET");
+            }
+        }
+
+        const slotLabel = mealType ? `${existingDay.meals[mealIndex].type} on Day ${dayNumber}` : `Day ${dayNumber}`;
+
+        const { primary, fallback } = resolveRequestModels(preferredModel, log);
+        // Calorie-cycled plans carry their per-day targets in plan.dayTargets
+        const { targets: dayTargets, dayType, factor: dayFactor } = resolveDayTargets(plan.dayTargets, dayNumber, nutritionalTargets);
+        const targetsPerMealType = buildTargetsPerMealType(dayTargets, formData.eatingOccasions);
+        const pantryMap = normalizePantry(pantry, log);
+        const planningMode = formData.planningMode === PLANNING_MODES.LEFTOVER_AWARE ? PLANNING_MODES.LEFTOVER_AWARE : PLANNING_MODES.STANDARD;
+        const allergens = normalizeAllergenProfile(formData.allergens);
+        const productRules = normalizeProductRules(formData.productRules);
+        const userId = await resolveRequestUserId(request, request.body.userId);
+        // Household plans carry every member's portions in plan.household (first member is the primary)
+        const householdMembers = normalizeHousehold(plan.household, nutritionalTargets, log);
+        log(`Regenerating ${slotLabel}.`, 'INFO', 'SYSTEM');
+
+        // --- 1. Generate the replacement slot ---
+        const replacedMeals = mealType ? [existingDay.meals[mealIndex]] : existingDay.meals;
+        // Leftover-aware plans: steer the new slot towards packs opened on earlier days
+        // (household plans buy for everyone, so usage is scaled as in the pipeline)
+        const earlierDays = expandPlanForAggregation(plan.mealPlan.filter(d => d.dayNumber < dayNumber));
+        const openPacks = planningMode === PLANNING_MODES.LEFTOVER_AWARE
+            ? estimateOpenPacks(householdMembers ? earlierDays.map(d => scaleDayForMember(d, householdScale(householdMembers))) : earlierDays, pantryMap)
+            : [];
+        const generated = await withUsageContext({ day: dayNumber }, () => generateMealPlan_Single(dayNumber, formData, dayTargets, log, targetsPerMealType, primary, fallback, {
+            dayType,
+            onlyMealType: mealType ? existingDay.meals[mealIndex].type : null,
+            avoidMealNames: replacedMeals.map(m => m.name).filter(Boolean),
+            leftovers: openPacks
+        }));
+        const generatedMeals = (generated.meals || []).filter(m => m && Array.isArray(m.items) && m.items.length > 0);
+        if (generatedMeals.length === 0) {
+            throw new Error(`Meal Planner AI returned no meals for Day ${dayNumber}.`);
+        }
+
+        let newMeals;
+        let workingMeals;
+        if (mealType) {
+            const originalType = existingDay.meals[mealIndex].type;
+            const picked = generatedMeals.find(m => (m.type || '').toLowerCase() === originalType.toLowerCase()) || generatedMeals[0];
+            newMeals = [{ ...picked, type: originalType }];
+            workingMeals = existingDay.meals.map((meal, i) => i === mealIndex ? newMeals[0] : expandMealForSolver(meal));
+        } else {
+            newMeals = generatedMeals;
+            workingMeals = newMeals;
+        }
+
+        // Chef AI only needs names + ingredient lists, so start it now (as in Phase 1.5)
+        const chefPromise = concurrentlyMap(newMeals, 6, (meal) =>
+            withUsageContext({ day: dayNumber }, () => generateChefInstructions(meal, store, log, primary, fallback))
+                .then(result => ({ ...result, _originalName: meal.name }))
+        );
+
+        // --- 2. Market run for NEW ingredients only ---
+        const dayIngredients = Array.from(aggregateIngredients([{ dayNumber, meals: workingMeals }], log).values());
+
+        // Pantry stock is shared by every day, so coverage is computed over the whole patched plan
+        const planIngredients = Array.from(aggregateIngredients(
+            expandPlanForAggregation(plan.mealPlan).map((day, i) => i === dayIndex ? { dayNumber, meals: workingMeals } : day),
+            log
+        ).values());
+        if (householdMembers) applyHouseholdScale(planIngredients, householdMembers, log);
+        const { toBuy } = applyPantryStock(planIngredients, pantryMap, log);
+        const newIngredients = toBuy.filter(item => {
+            const previous = previousResults[item.normalizedKey];
+            return !previous || previous.source === PANTRY_SOURCE;
+        });
+        log(`${newIngredients.length} ingredients in the patched plan have no market result yet.`, 'INFO', 'MARKET_RUN');
+
+        let newResultsMap = new Map();
+        const newPriceDataMap = new Map();
+        const matchTraces = [];
+        if (newIngredients.length > 0) {
+            const groceryQueryData = await generateGroceryQueries_Batched(newIngredients, store, log, primary, fallback);
+            const ingredientPlan = groceryQueryData?.ingredients || [];
+            const fullIngredientPlan = await buildMarketPlan(newIngredients, ingredientPlan, store, log, { allergens, productRules, userId });
+            const parallelResultsArray = await concurrentlyMap(fullIngredientPlan, MARKET_RUN_CONCURRENCY, (ingredient) => processSingleIngredientOptimized(ingredient, store, log));
+            newResultsMap = collateMarketResults(parallelResultsArray, fullIngredientPlan, log, (key, trace) => matchTraces.push(trace));
+            for (const [normalizedKey, result] of newResultsMap.entries()) {
+                applyPurchaseOptimization(result, log);
+                newPriceDataMap.set(normalizedKey, extractPriceData(result, store));
+            }
+        }
+
+        // --- 3. Nutrition + re-solve the day ---
+        const { nutritionDataMap } = await fetchNutritionForIngredients(dayIngredients, log);
+        if (isProductAccurateMode(formData)) {
+            await applyProductNutrition(nutritionDataMap, { ...previousResults, ...Object.fromEntries(newResultsMap) }, log);
+        }
+        const macroCalculator = createMacroCalculator(nutritionDataMap, log);
+        const { dayPlan, dayDebug } = solveDay({ dayNumber, meals: workingMeals }, dayTargets, targetsPerMealType, macroCalculator, nutritionDataMap, log);
+
+        // --- 4. Merge Chef AI recipes onto the new meals ---
+        const recipeResults = await chefPromise;
+        const recipeMap = new Map();
+        recipeResults.forEach((result) => {
+            if (result && !result._error && result._originalName) {
+                recipeMap.set(result._originalName, result);
+            }
+        });
+        const newMealNames = new Set(newMeals.map(m => m.name));
+        const applyRecipes = (day) => {
+            day.meals = day.meals.map(meal => {
+                if (!newMealNames.has(meal.name)) return meal;
+                const recipe = recipeMap.get(meal.name);
+                if (recipe) {
+                    return { ...meal, description: recipe.description, instructions: recipe.instructions };
+                }
+                return { ...meal, ...MOCK_RECIPE_FALLBACK };
+            });
+            finalizeDayForResponse(day);
+            return day;
+        };
+        applyRecipes(dayPlan);
+
+        // --- 5. Patch the plan and recompute the shopping list ---
+        const mealPlan = plan.mealPlan.map((day, i) => i === dayIndex ? dayPlan : day);
+
+        // Household: re-solve the day for every other member and patch their copies
+        let household = null;
+        if (householdMembers) {
+            household = householdMembers.map((member, i) => {
+                if (i === 0) return { ...member, mealPlan };
+                const previousPlan = plan.household.find(m => String(m.id) === member.id)?.mealPlan || plan.mealPlan;
+                const memberTargets = dayFactor === 1 ? member.nutritionalTargets : adjustTargets(member.nutritionalTargets, dayFactor);
+                const memberTargetsPerMealType = buildTargetsPerMealType(memberTargets, formData.eatingOccasions);
+                const { dayPlan: memberDay } = solveDay(scaleDayForMember({ dayNumber, meals: workingMeals }, member.scale), memberTargets, memberTargetsPerMealType, macroCalculator, nutritionDataMap, log);
+                return { ...member, mealPlan: previousPlan.map(day => day.dayNumber === dayNumber ? applyRecipes(memberDay) : day) };
+            });
+        }
+
+        // The shopping list covers every member's portions
+        const { results, uniqueIngredients } = rebuildShoppingList(mealPlan, householdMembers, previousResults, newResultsMap, newPriceDataMap, pantryMap, log);
+        const totalCost = calculateTotalCost(results);
+
+        // LLM token/cost accounting for this regeneration (not a whole plan, so no per-plan histogram)
+        const llmUsage = summarizeUsage();
+        recordLLMUsage(llmUsage);
+
+        log(`Regeneration complete in ${Date.now() - startTime}ms.`, 'SUCCESS', 'SYSTEM', {
+            day: dayNumber,
+            mealType,
+            newIngredients: newIngredients.length,
+            totalCost: Number(totalCost.toFixed(2))
+        });
+
+        return response.status(200).json({
+            message: `Regenerated ${slotLabel}.`,
+            mealPlan,
+            results,
+            uniqueIngredients,
+            totalCost,
+            waste: summarizeWaste(Object.values(results), planningMode),
+            household,
+            macroDebugDay: dayDebug,
+            matchTraces: matchTraces.filter(Boolean),
+            llmUsage,
+            logs: getLogs()
+        });
+
+    } catch (error) {
+        log(`CRITICAL Error during regeneration: ${error.message}`, 'CRITICAL', 'SYSTEM', { stack: error.stack?.substring(0, 300) });
+        console.error("REGENERATE API UNHANDLED ERROR:", error);
+
+        return response.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : "An internal server error occurred while regenerating the plan.",
+            error: error.message,
+            code: error.code || "REGENERATE_FAILED",
+            logs: getLogs()
+        });
+    }
+}
+
+// One usage ledger per regeneration (utils/llm-usage.js)
+module.exports = (request, response) => withUsageLedger(() => handleRegenerateRequest(request, response));
+module.exports.rebuildShoppingList = rebuildShoppingList;
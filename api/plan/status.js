@@ -6,14 +6,14 @@
 // PERSISTENCE FIX: Added 'running_detached' as a recognised status.
 // This distinguishes "still running, client disconnected" from "stuck".
 
-const { createClient } = require('@vercel/kv');
+const { createKvClient, isKvConfigured } = require('../../utils/offline');
 
-const kv = createClient({
+const kv = createKvClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
     token: process.env.UPSTASH_REDIS_REST_TOKEN,
 });
 
-let kvReady = !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+let kvReady = isKvConfigured();
 
 module.exports = async (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -76,6 +76,14 @@ module.exports = async (req, res) => {
                     updatedAt: record.updatedAt
                 });
 
+            // Stopped via /api/plan/cancel (payload carries the LLM spend up to that point)
+            case 'cancelled':
+                return res.status(200).json({
+                    status: 'cancelled',
+                    payload: record.payload,
+                    updatedAt: record.updatedAt
+                });
+
             case 'running':
                 return res.status(200).json({
                     status: 'running',
@@ -3,6 +3,8 @@
 // [MODIFIED] Now uses LBM-based protein calculation.
 
 const crypto = require('crypto'); // For run_id
+const { buildDayTargets } = require('../../utils/day-targets');
+const { householdMemberId } = require('../../utils/household');
 
 // --- START: Helper Functions ---
 
@@ -43,9 +45,10 @@ function createLogger(run_id) {
 function getSanitizedFormData(formData) {
     try {
         if (!formData || typeof formData !== 'object') return { error: "Invalid form data received." };
-        const { name, height, weight, age, bodyFat, ...rest } = formData;
+        const { name, height, weight, age, bodyFat, household, ...rest } = formData;
         return {
             ...rest,
+            household_size: Array.isArray(household) ? household.length : 0, // Member profiles are PII too
             user_profile: "[REDACTED]" // Basic redaction
         };
     } catch (e) {
@@ -194,6 +197,29 @@ function calculateMacroTargets(calorieTarget, formData, log) {
      };
 }
 
+// --- [NEW] Household Targets ---
+// Runs every extra household member (formData.household) through the same calculators.
+// Members missing core fields are skipped with a warning rather than failing the request.
+function calculateHouseholdTargets(members, log) {
+    if (!Array.isArray(members) || members.length === 0) return [];
+    const householdTargets = [];
+    members.forEach((member, i) => {
+        const label = member?.name || `Member ${i + 1}`;
+        if (!member || !member.weight || !member.height || !member.age || !member.gender || !member.activityLevel || !member.goal) {
+            log(`Household member "${label}" is missing profile data. Skipping.`, 'WARN', 'INPUT');
+            return;
+        }
+        log(`Calculating targets for household member "${label}"...`, 'INFO', 'HOUSEHOLD');
+        const calorieTarget = calculateCalorieTarget(member, log);
+        householdTargets.push({
+            id: householdMemberId(member, i + 1), // The primary profile is position 0
+            name: label,
+            nutritionalTargets: calculateMacroTargets(calorieTarget, member, log)
+        });
+    });
+    return householdTargets;
+}
+
 // --- END: Refactored Functions ---
 
 
@@ -251,12 +277,20 @@ module.exports = async (request, response) => {
         const macroTargets = calculateMacroTargets(calorieTarget, formData, log);
         // --- End Modification ---
 
+        // [NEW] Household mode: targets for every extra member
+        const householdTargets = calculateHouseholdTargets(formData.household, log);
+
+        // [NEW] Calorie cycling: per-day targets from the DayPicker schedule (null = same target every day)
+        const dayTargets = buildDayTargets(macroTargets, formData.daySchedule, parseInt(formData.days, 10) || 7, log);
+
         log("Nutritional targets calculation complete.", 'SUCCESS', 'SYSTEM');
 
         // --- Return Success Response ---
         return response.status(200).json({
             message: "Targets calculated successfully.",
             nutritionalTargets: macroTargets,
+            householdTargets,
+            dayTargets,
             logs: getLogs() // Include logs in the success response
         });
 
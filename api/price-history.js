@@ -0,0 +1,50 @@
+// --- Cheffy API: /api/price-history.js ---
+// Price history recorded by market runs (utils/price-history.js).
+//
+// GET /api/price-history?store=Coles&barcode=9300...       one product (also: url=, or name= + size=)
+// GET /api/price-history?store=Coles&id=bc:9300...         one product by its history id
+// GET /api/price-history?store=Coles&specials=1            products currently flagged as good deals
+//
+// Product responses: { store, productId, name, size, observations: [{ date, price, unitPrice }], deal }
+
+const { productIdFor, getPriceHistory, getSpecials } = require('../utils/price-history');
+const { getStoreAdapter } = require('../utils/stores');
+
+module.exports = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).send();
+    }
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: `Method ${req.method} Not Allowed.` });
+    }
+
+    try {
+        const { store, id, barcode, url, name, size, specials } = req.query || {};
+        const adapter = getStoreAdapter(store);
+        if (!adapter) {
+            return res.status(400).json({ message: 'Missing or invalid store.' });
+        }
+
+        if (specials) {
+            const items = await getSpecials(adapter.id);
+            return res.status(200).json({ store: adapter.id, specials: items });
+        }
+
+        const productId = id || productIdFor({ barcode, url, name, size });
+        if (!productId) {
+            return res.status(400).json({ message: 'Provide id, barcode, url or name.' });
+        }
+        const history = await getPriceHistory(adapter.id, productId);
+        if (!history) {
+            return res.status(404).json({ message: 'No price history for this product.', productId });
+        }
+        return res.status(200).json(history);
+    } catch (error) {
+        console.error('[price-history] Handler error:', error);
+        return res.status(500).json({ message: 'Internal server error in price history handler.', details: error.message });
+    }
+};
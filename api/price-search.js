@@ -12,23 +12,22 @@
 //    If KV doesn't respond in 800ms, we skip it rather than waiting 4.3s.
 // 4. All KV writes (cache SET) are now fire-and-forget (non-blocking).
 //    We never await cache SET on the hot path.
+// 5. Store-specific work (host, request, response/product shape, rate limit) is
+//    delegated to the store adapter registry in utils/stores. This file keeps
+//    retries, 429 handling, the token bucket and the KV search cache.
 //
 // ALL EXISTING API CONTRACTS AND RETURN SHAPES ARE PRESERVED.
 
-const axios = require('axios');
-const { createClient } = require('@vercel/kv');
+const { createKvClient, isKvConfigured } = require('../utils/offline');
+const { getStoreAdapter, listStores } = require('../utils/stores');
+const { replayable } = require('../utils/replay');
 
-const kv = createClient({
+const kv = createKvClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
     token: process.env.UPSTASH_REDIS_REST_TOKEN,
 });
 
 // --- CONFIGURATION ---
-const RAPID_API_HOSTS = {
-    Coles: 'coles-product-price-api.p.rapidapi.com',
-    Woolworths: 'woolworths-products-api.p.rapidapi.com'
-};
-const RAPID_API_KEY = process.env.RAPIDAPI_KEY;
 const MAX_RETRIES = 3;
 const DELAY_MS = 1500;
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -51,7 +50,7 @@ let kvCircuitBreaker = {
 };
 
 function isKvAvailable() {
-    if (!process.env.UPSTASH_REDIS_REST_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) return false;
+    if (!isKvConfigured()) return false;
     if (!kvCircuitBreaker.isOpen) return true;
     // Check if cooldown has elapsed
     if (Date.now() - kvCircuitBreaker.lastFailure > CIRCUIT_BREAKER_COOLDOWN_MS) {
@@ -113,22 +112,21 @@ function kvSetAsync(key, value, options, log) {
 // --- [PERF V2] IN-MEMORY TOKEN BUCKET ---
 // Replaces the KV-based bucket. Instant, no network calls.
 // Trade-off: per-instance, not global. Acceptable for Vercel serverless.
-const BUCKET_CAPACITY = 12; // Slightly higher than before (was 10)
-const BUCKET_REFILL_RATE = 12; // Tokens per second (was 10)
+// Capacity and refill rate (tokens per second) come from each adapter's rateLimit.
 const BUCKET_RETRY_DELAY_MS = 700;
 
 const inMemoryBuckets = {}; // { [storeKey]: { tokens, lastRefill } }
 
-function acquireToken(storeKey) {
+function acquireToken(storeKey, { capacity, refillPerSec }) {
     const now = Date.now();
     if (!inMemoryBuckets[storeKey]) {
-        inMemoryBuckets[storeKey] = { tokens: BUCKET_CAPACITY - 1, lastRefill: now };
+        inMemoryBuckets[storeKey] = { tokens: capacity - 1, lastRefill: now };
         return true; // First call always succeeds
     }
     const bucket = inMemoryBuckets[storeKey];
     const elapsedMs = now - bucket.lastRefill;
-    const tokensToAdd = elapsedMs * (BUCKET_REFILL_RATE / 1000);
-    bucket.tokens = Math.min(BUCKET_CAPACITY, bucket.tokens + tokensToAdd);
+    const tokensToAdd = elapsedMs * (refillPerSec / 1000);
+    bucket.tokens = Math.min(capacity, bucket.tokens + tokensToAdd);
     bucket.lastRefill = now;
 
     if (bucket.tokens >= 1) {
@@ -144,48 +142,43 @@ const inflightRefreshes = new Set();
 
 
 /**
- * Internal logic for fetching price data from the API.
- * UNCHANGED from V1 except timeout reduced from 8000 to 6000ms.
+ * Internal logic for fetching price data through the store's adapter.
+ * Results are normalised to the common product shape (utils/stores/product.js).
  */
 async function _fetchPriceDataFromApi(store, query, page = 1, log = console.log) {
-    if (!RAPID_API_KEY) {
-        log('Configuration Error: RAPIDAPI_KEY is not set.', 'CRITICAL', 'CONFIG');
-        return { error: { message: 'Server configuration error: API key missing.', status: 500 } };
-    }
     if (!store || !query) {
         log('Missing required parameters: store and query.', 'WARN', 'INPUT', { store, query });
         return { error: { message: 'Missing required parameters: store and query.', status: 400 } };
     }
-    const host = RAPID_API_HOSTS[store];
-    if (!host) {
-        log(`Invalid store specified: ${store}. Must be "Coles" or "Woolworths".`, 'WARN', 'INPUT');
-        return { error: { message: 'Invalid store specified. Must be "Coles" or "Woolworths".', status: 400 } };
+    const adapter = getStoreAdapter(store);
+    if (!adapter) {
+        const storeList = listStores().map(s => `"${s}"`).join(', ');
+        log(`Invalid store specified: ${store}. Must be one of ${storeList}.`, 'WARN', 'INPUT');
+        return { error: { message: `Invalid store specified. Must be one of ${storeList}.`, status: 400 } };
+    }
+    if (!adapter.isConfigured()) {
+        log(`Configuration Error: store adapter "${adapter.id}" is not configured.`, 'CRITICAL', 'CONFIG');
+        return { error: { message: `Server configuration error: ${adapter.id} search is not configured.`, status: 500 } };
     }
-
-    const endpointUrl = `https://${host}/${store.toLowerCase()}/product-search/`;
-    const apiParams = { query, page: page.toString(), page_size: '20' };
 
     for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
         const attemptStartTime = Date.now();
-        log(`Attempt ${attempt + 1}/${MAX_RETRIES}: Requesting product data (Page ${page}).`, 'DEBUG', 'RAPID_REQUEST', { store, query, page, endpoint: endpointUrl });
+        log(`Attempt ${attempt + 1}/${MAX_RETRIES}: Requesting product data (Page ${page}).`, 'DEBUG', 'RAPID_REQUEST', { store: adapter.id, query, page });
 
         try {
-            const rapidResp = await axios.get(endpointUrl, {
-                params: apiParams,
-                headers: { 'x-rapidapi-key': RAPID_API_KEY, 'x-rapidapi-host': host },
-                timeout: 6000 // [PERF V2] Reduced from 8000ms
-            });
+            const normalized = adapter.normalizeResponse(await adapter.search(query, page, log)) || {};
+            const results = (normalized.results || []).map(adapter.normalizeProduct).filter(Boolean);
             const attemptLatency = Date.now() - attemptStartTime;
-            log(`Successfully fetched products for "${query}" (Page ${page}).`, 'SUCCESS', 'RAPID_RESPONSE', { count: rapidResp.data.results?.length || 0, status: rapidResp.status, currentPage: rapidResp.data.current_page, totalPages: rapidResp.data.total_pages, latency_ms: attemptLatency });
-            return rapidResp.data;
+            log(`Successfully fetched products for "${query}" (Page ${page}).`, 'SUCCESS', 'RAPID_RESPONSE', { store: adapter.id, count: results.length, currentPage: normalized.current_page, totalPages: normalized.total_pages, latency_ms: attemptLatency });
+            return { ...normalized, results };
 
         } catch (error) {
             const attemptLatency = Date.now() - attemptStartTime;
-            const status = error.response?.status;
+            const status = error.response?.status || error.statusCode;
             const is429 = status === 429;
             const isRetryableNetworkError = error.code === 'ECONNABORTED' || error.code === 'EAI_AGAIN' || error.message.includes('timeout');
 
-            log(`RapidAPI fetch failed (Attempt ${attempt + 1})`, 'WARN', 'RAPID_FAILURE', { store, query, page, status: status || 'Network/Timeout', message: error.message, is429, isRetryable: is429 || isRetryableNetworkError, latency_ms: attemptLatency });
+            log(`Store search failed (Attempt ${attempt + 1})`, 'WARN', 'RAPID_FAILURE', { store, query, page, status: status || 'Network/Timeout', message: error.message, is429, isRetryable: is429 || isRetryableNetworkError, latency_ms: attemptLatency });
 
             if (is429) {
                 const rateLimitError = new Error(`Rate limit exceeded (429)`);
@@ -217,18 +210,19 @@ async function _fetchPriceDataFromApi(store, query, page = 1, log = console.log)
  */
 async function fetchStoreSafe(store, query, page = 1, log = console.log) {
     const storeKey = store?.toLowerCase();
-    if (!RAPID_API_HOSTS[store]) {
+    const adapter = getStoreAdapter(store);
+    if (!adapter) {
         log(`Invalid store key "${storeKey}" for token bucket.`, 'CRITICAL', 'BUCKET_ERROR');
         return { data: { error: { message: `Internal configuration error: Invalid store key ${storeKey}`, status: 500 } }, waitMs: 0 };
     }
 
     // [PERF V2] In-memory token bucket — instant, no KV calls
-    if (!acquireToken(storeKey)) {
+    if (!acquireToken(storeKey, adapter.rateLimit)) {
         // Brief wait and retry once
         await delay(100);
-        if (!acquireToken(storeKey)) {
+        if (!acquireToken(storeKey, adapter.rateLimit)) {
             log(`In-memory rate limiter: no token available for ${storeKey}. Proceeding anyway.`, 'DEBUG', 'BUCKET_SKIP');
-            // Proceed anyway — RapidAPI will 429 us if needed, and we handle that below
+            // Proceed anyway — the store API will 429 us if needed, and we handle that below
         }
     }
 
@@ -237,7 +231,7 @@ async function fetchStoreSafe(store, query, page = 1, log = console.log) {
         return { data, waitMs: 0 };
     } catch (error) {
         if (error.statusCode === 429) {
-            log(`RapidAPI returned 429. Retrying once after ${BUCKET_RETRY_DELAY_MS}ms...`, 'WARN', 'BUCKET_RETRY', { store, query, page });
+            log(`Store API returned 429. Retrying once after ${BUCKET_RETRY_DELAY_MS}ms...`, 'WARN', 'BUCKET_RETRY', { store, query, page });
             await delay(BUCKET_RETRY_DELAY_MS);
             try {
                 const retryData = await _fetchPriceDataFromApi(store, query, page, log);
@@ -293,6 +287,11 @@ async function fetchPriceData(store, query, page = 1, log = console.log) {
     const cacheKey = `${CACHE_PREFIX_SEARCH}:${storeNorm}:${queryNorm}:${page}`;
     const keyType = 'price_search';
 
+    // Local adapters (fixtures) are never cached: the source is already local
+    if (getStoreAdapter(store)?.cacheable === false) {
+        return fetchStoreSafe(store, query, page, log);
+    }
+
     // [PERF V2] Try cache with fast-fail (800ms timeout + circuit breaker)
     const cachedItem = await kvGetSafe(cacheKey, log);
 
@@ -356,4 +355,10 @@ module.exports = async (req, res) => {
 };
 
 // Expose fetchPriceData for generate-full-plan.js and day.js
-module.exports.fetchPriceData = fetchPriceData;
\ No newline at end of file
+// (recorded into / served from replay bundles, see utils/replay.js)
+module.exports.fetchPriceData = (store, query, page = 1, log = console.log) =>
+    replayable('prices', `${store}|${query}|${page}`, () => fetchPriceData(store, query, page, log));
+
+// Guarded KV access (timeout + shared circuit breaker) for other hot-path KV users (utils/price-history)
+module.exports.kvGetSafe = kvGetSafe;
+module.exports.kvSetAsync = kvSetAsync;
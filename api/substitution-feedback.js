@@ -0,0 +1,66 @@
+// --- Cheffy API: /api/substitution-feedback.js ---
+// Substitute picks from the shopping list, learned per user and store (utils/substitution-feedback.js).
+//
+// POST /api/substitution-feedback   { userId, store, ingredientKey, accepted: product, rejected?: product }
+//      records a pick; answers with the ingredient's learned preferences
+// GET  /api/substitution-feedback?userId=...&store=Coles
+//      learned preferences: { userId, store, updatedAt, ingredients: { [key]: { preferred, rejected, brands } } }
+//
+// Callers send their Firebase ID token (Authorization: Bearer <token>); when
+// FIREBASE_PROJECT_ID is configured, userId must be the token's uid.
+
+const { recordFeedback, getLearnedPreferences } = require('../utils/substitution-feedback');
+const { getStoreAdapter } = require('../utils/stores');
+const { isValidUserId, isAuthConfigured, getCallerUid } = require('../utils/firebase-auth');
+
+module.exports = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).send();
+    }
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ message: `Method ${req.method} Not Allowed.` });
+    }
+
+    try {
+        const params = (req.method === 'GET' ? req.query : req.body) || {};
+        const adapter = getStoreAdapter(params.store);
+        if (!isValidUserId(params.userId)) {
+            return res.status(400).json({ message: 'Missing or invalid userId.' });
+        }
+        if (!adapter) {
+            return res.status(400).json({ message: 'Missing or invalid store.' });
+        }
+        // Callers only read and write their own feedback
+        if (isAuthConfigured()) {
+            const callerUid = await getCallerUid(req);
+            if (!callerUid) {
+                return res.status(401).json({ message: 'Sign in to use substitution feedback.' });
+            }
+            if (callerUid !== params.userId) {
+                return res.status(403).json({ message: 'userId does not match the signed-in user.' });
+            }
+        }
+
+        if (req.method === 'GET') {
+            const learned = await getLearnedPreferences(params.userId, adapter.id);
+            return res.status(200).json(learned || { userId: params.userId, store: adapter.id, updatedAt: null, ingredients: {} });
+        }
+
+        const { userId, ingredientKey, accepted, rejected } = params;
+        if (!ingredientKey || !accepted || typeof accepted !== 'object') {
+            return res.status(400).json({ message: 'Provide ingredientKey and the accepted product.' });
+        }
+        const preferences = await recordFeedback(userId, { store: adapter.id, ingredientKey, accepted, rejected });
+        if (!preferences) {
+            return res.status(503).json({ message: 'Feedback not recorded (storage unavailable or product without id).' });
+        }
+        return res.status(200).json({ store: adapter.id, ingredientKey, preferred: preferences.preferred, rejected: preferences.rejected });
+    } catch (error) {
+        console.error('[substitution-feedback] Handler error:', error);
+        return res.status(500).json({ message: 'Internal server error in substitution feedback handler.', details: error.message });
+    }
+};
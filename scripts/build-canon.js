@@ -12,6 +12,8 @@ const fs = require('fs');
 const path = require('path');
 // [MODIFIED] Use the normalize script from its correct location
 const { normalizeKey } = require('./normalize.js'); // Use shared normalizer
+// [NEW] Optional micronutrient fields (sodium_mg, sugar_g, ...) -> `${key}_per_100g`, null when missing
+const { MICRONUTRIENT_KEYS, pickMicros } = require('../utils/micronutrients.js');
 
 // --- [FIX] Use __dirname to create reliable paths ---
 // __dirname is the directory of the *current script* (e.g., /vercel/path/scripts)
@@ -80,6 +82,8 @@ function runSanityChecks(item, warnings) {
     fat_g_per_100g: f,
     carb_g_per_100g: c,
     fiber_g_per_100g: fiber,
+    sugar_g_per_100g: sugar,
+    saturated_fat_g_per_100g: satFat,
   } = item;
 
   // 1. Calorie balance check (±12%)
@@ -98,6 +102,14 @@ function runSanityChecks(item, warnings) {
       `[${key}] Fiber > Carbs: Fiber ${fiber}g, Carbs ${c}g. (Note: This is common for high-fiber, low-carb items)`
     );
   }
+
+  // 3. Micronutrient checks (only when present)
+  if (sugar !== null && sugar > c + 0.5) {
+    warnings.push(`[${key}] Sugar > Carbs: Sugar ${sugar}g, Carbs ${c}g.`);
+  }
+  if (satFat !== null && satFat > f + 0.5) {
+    warnings.push(`[${key}] Saturated fat > Fat: Saturated ${satFat}g, Fat ${f}g.`);
+  }
 }
 
 /**
@@ -196,6 +208,9 @@ async function run() {
         fat_g_per_100g: item.fat_g || 0,
         carb_g_per_100g: item.carbs_g || 0,
         fiber_g_per_100g: item.fiber_g || 0,
+        ...Object.fromEntries(
+          Object.entries(pickMicros(item)).map(([microKey, value]) => [`${microKey}_per_100g`, value])
+        ),
         source: item.source || 'unknown',
         notes: item.notes || '',
         fallback_source: item.fallback_source || null,
@@ -262,6 +277,12 @@ module.exports = {
       builtAt: new Date().toISOString(),
       totalItems: totalItems,
       categories: categoryCounts,
+      micronutrientCoverage: Object.fromEntries(
+        MICRONUTRIENT_KEYS.map((microKey) => [
+          microKey,
+          Object.values(CANON).filter((row) => row[`${microKey}_per_100g`] !== null).length,
+        ])
+      ),
       warnings: warnings,
       duplicateKeysFound: duplicates.length,
     };
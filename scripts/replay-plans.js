@@ -0,0 +1,133 @@
+/**
+ * Cheffy Plan Replay Harness
+ *
+ * Re-executes generate-full-plan against recorded replay bundles
+ * (CHEFFY_RECORD_DIR, see utils/replay.js) and diffs the new plan with the
+ * recorded one: per-day macros, meal portions, selected products and cost.
+ * Run it after changing product-scorer.js weights or transforms.js yields to
+ * see which historical plans changed.
+ *
+ * Usage:
+ *   node scripts/replay-plans.js <bundle.json | bundle dir> [...] [--json]
+ *
+ * Exits 1 when any plan changed or failed to replay.
+ * Runs in offline mode (utils/offline.js): anything not in a bundle is served
+ * from local fixtures and reported as a miss, never fetched live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.CHEFFY_OFFLINE = process.env.CHEFFY_OFFLINE || '1';
+
+const { withReplay, diffFinalData, planCost } = require('../utils/replay');
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const inputs = args.filter(arg => arg !== '--json');
+
+function collectBundlePaths(entries) {
+    return entries.flatMap(entry => {
+        if (fs.statSync(entry).isDirectory()) {
+            return fs.readdirSync(entry).filter(name => name.endsWith('.json')).sort().map(name => path.join(entry, name));
+        }
+        return [entry];
+    });
+}
+
+/**
+ * Minimal SSE response: collects what the handler writes.
+ */
+function createCaptureResponse() {
+    const res = new EventEmitter();
+    let body = '';
+    Object.assign(res, {
+        writableEnded: false,
+        setHeader() {},
+        status() { return res; },
+        json(payload) { body += JSON.stringify(payload); res.end(); },
+        write(chunk) { body += chunk; return true; },
+        end(chunk) { if (chunk) body += chunk; res.writableEnded = true; },
+        getBody: () => body
+    });
+    return res;
+}
+
+function sseError(body) {
+    const block = body.split('\n\n').find(b => /^event: error$/m.test(b));
+    const data = block && block.match(/^data: (.*)$/m);
+    return data ? JSON.parse(data[1]).message : 'no plan:complete event';
+}
+
+async function replayBundle(bundlePath, handler) {
+    const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+    const res = createCaptureResponse();
+    const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+    // The orchestrator logs every step to the console; failures are reported below
+    Object.keys(consoleMethods).forEach(method => { console[method] = () => {}; });
+    let session;
+    try {
+        ({ session } = await withReplay(bundle, () => handler({ method: 'POST', body: bundle.request }, res)));
+    } finally {
+        Object.assign(console, consoleMethods);
+    }
+
+    const misses = session.misses.reduce((acc, miss) => ({ ...acc, [miss.kind]: (acc[miss.kind] || 0) + 1 }), {});
+    const base = { bundle: bundlePath, run_id: bundle._meta?.run_id, misses };
+    if (!session.finalData) return { ...base, status: 'failed', error: sseError(res.getBody()) };
+
+    const diff = diffFinalData(bundle.finalData, session.finalData);
+    return { ...base, status: diff.changed ? 'changed' : 'unchanged', cost: planCost(session.finalData), diff };
+}
+
+function printReport(report) {
+    const label = `${path.basename(report.bundle)} (run ${report.run_id || '?'})`;
+    const missText = Object.keys(report.misses).length > 0
+        ? ` [not in bundle: ${Object.entries(report.misses).map(([kind, n]) => `${kind} ${n}`).join(', ')}]`
+        : '';
+    console.log(`${report.status.toUpperCase().padEnd(9)} ${label}${missText}`);
+    if (report.status === 'failed') {
+        console.log(`  error: ${report.error}`);
+        return;
+    }
+    const { cost, days, products } = report.diff;
+    if (cost) console.log(`  cost: $${cost.before.toFixed(2)} -> $${cost.after.toFixed(2)} (${cost.diff >= 0 ? '+' : ''}${cost.diff.toFixed(2)})`);
+    for (const day of days) {
+        const macros = Object.entries(day.macros).map(([key, m]) => `${key} ${m.before} -> ${m.after}`).join(', ');
+        console.log(`  day ${day.dayNumber}${macros ? `: ${macros}` : ''}`);
+        for (const change of day.meals) {
+            const what = change.item ? `${change.item} ${change.before ? `${change.before} -> ${change.after}` : change.change}` : change.change;
+            console.log(`    ${change.meal}: ${what}`);
+        }
+    }
+    for (const product of products) {
+        const describe = (p) => (p ? (p.product ? `${p.product} ($${p.cost.toFixed(2)})` : p.source) : 'none');
+        console.log(`  ${product.key}: ${describe(product.before)} -> ${describe(product.after)}`);
+    }
+}
+
+async function main() {
+    if (inputs.length === 0) {
+        console.error('Usage: node scripts/replay-plans.js <bundle.json | bundle dir> [...] [--json]');
+        process.exit(2);
+    }
+    const handler = require('../api/plan/generate-full-plan.js');
+    const reports = [];
+    for (const bundlePath of collectBundlePaths(inputs)) {
+        reports.push(await replayBundle(bundlePath, handler));
+    }
+
+    if (asJson) console.log(JSON.stringify(reports, null, 2));
+    else {
+        reports.forEach(printReport);
+        const changed = reports.filter(r => r.status !== 'unchanged').length;
+        console.log(`\n${reports.length} replayed, ${reports.length - changed} unchanged, ${changed} changed or failed.`);
+    }
+    process.exit(reports.some(r => r.status !== 'unchanged') ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(2);
+});
@@ -0,0 +1,272 @@
+/**
+ * utils/allergens.js
+ *
+ * Allergen & Intolerance Safety Layer for Cheffy
+ *
+ * PURPOSE:
+ * formData.dietary is free text that only the LLM sees. formData.allergens is a
+ * structured list of allergen ids that is ENFORCED, not just prompted:
+ *   1. enforceAllergenProfile() runs on every LLM meal plan and replaces
+ *      (ALLERGEN_SAFE_SWAPS) or removes offending items; a meal left empty is
+ *      rejected so the caller can regenerate it
+ *   2. productContainsAllergen() is used by runEnhancedChecklist to hard-fail
+ *      store products whose names indicate an excluded allergen
+ *
+ * DETECTION:
+ * - Keyword fragments are matched against normalizeKey() output
+ *   ("Crunchy Peanut Butter" -> "crunchy_peanut_butter")
+ * - stateResolver categories add category-level defaults: everything in DAIRY
+ *   is dairy, everything in GRAINS is gluten unless it is a gluten-free grain
+ * - Per-allergen `except` fragments stop false positives
+ *   ("butternut_pumpkin" is not dairy, "eggplant" is not egg). An exception only
+ *   exempts the keyword matches inside it, so "veggie_omelette_with_egg" is
+ *   still egg; qualifiers ('vegan', 'eggless', '..._free') also cover the word
+ *   after them ("vegan_cheese", "gluten_free_soy_sauce")
+ *
+ * ASSUMPTIONS:
+ * - Oats count as gluten (FSANZ: oats cannot be labelled gluten free)
+ * - Coconut is not a tree nut
+ * - Unknown allergen ids are ignored
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { resolveState } = require('./stateResolver');
+
+const ALLERGENS = {
+    gluten: {
+        label: 'Gluten',
+        keywords: ['wheat', 'bread', 'pasta', 'spaghetti', 'penne', 'macaroni', 'fusilli', 'fettuc', 'lasagne', 'noodle', 'couscous',
+            'barley', 'rye', 'spelt', 'semolina', 'flour', 'wrap', 'tortilla', 'pita', 'bagel', 'muffin', 'cracker', 'crouton',
+            'breadcrumb', 'panko', 'soy_sauce', 'gnocchi', 'cereal', 'weet_bix', 'granola', 'muesli', 'oat', 'biscuit', 'pretzel',
+            'naan', 'crumpet', 'ramen', 'udon', 'pancake', 'beer'],
+        except: ['gluten_free', 'buckwheat', 'rice_noodle', 'rice_vermicelli', 'rice_paper', 'corn_tortilla', 'rice_flour',
+            'almond_flour', 'coconut_flour', 'chickpea_pasta', 'lentil_pasta', 'rice_cracker', 'lettuce_wrap', 'tamari',
+            'oat_free', 'goat', 'coat', 'boat', 'float', 'buckwheat_groat', 'ginger_beer', 'root_beer'],
+        category: 'GRAINS',
+    },
+    dairy: {
+        label: 'Dairy',
+        keywords: ['milk', 'cheese', 'cheddar', 'mozzarella', 'parmesan', 'feta', 'ricotta', 'halloumi', 'bocconcini', 'yogurt',
+            'yoghurt', 'butter', 'cream', 'whey', 'ghee', 'casein', 'custard', 'labneh', 'kefir'],
+        except: ['dairy_free', 'vegan', 'almond_milk', 'oat_milk', 'soy_milk', 'rice_milk', 'coconut_milk', 'coconut_cream',
+            'coconut_yogurt', 'peanut_butter', 'almond_butter', 'cashew_butter', 'nut_butter', 'seed_butter', 'cocoa_butter', 'butternut',
+            'butter_bean', 'buttermilk_free', 'cream_of_tartar'],
+        category: 'DAIRY',
+    },
+    peanut: {
+        label: 'Peanut',
+        keywords: ['peanut', 'satay', 'groundnut'],
+        except: [],
+    },
+    tree_nut: {
+        label: 'Tree Nut',
+        keywords: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil_nut', 'pine_nut',
+            'mixed_nut', 'nuts', 'praline', 'marzipan', 'nutella', 'pesto'],
+        except: ['nut_free', 'peanut', 'coconut', 'butternut', 'donut', 'doughnut', 'water_chestnut'],
+    },
+    shellfish: {
+        label: 'Shellfish',
+        keywords: ['prawn', 'shrimp', 'crab', 'lobster', 'crayfish', 'mussel', 'oyster', 'scallop', 'clam', 'squid', 'calamari',
+            'octopus', 'shellfish', 'marinara_mix'],
+        except: ['oyster_mushroom', 'crab_apple'],
+    },
+    egg: {
+        label: 'Egg',
+        keywords: ['egg', 'mayo', 'aioli', 'meringue', 'hollandaise'],
+        except: ['eggplant', 'egg_free', 'eggless', 'veggie', 'reggiano'],
+    },
+    soy: {
+        label: 'Soy',
+        keywords: ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari'],
+        except: ['soy_free'],
+    },
+    sesame: {
+        label: 'Sesame',
+        keywords: ['sesame', 'tahini', 'hummus', 'houmous', 'halva', 'dukkah'],
+        except: [],
+    },
+    fish: {
+        label: 'Fish',
+        keywords: ['fish', 'salmon', 'tuna', 'cod', 'basa', 'barramundi', 'snapper', 'anchov', 'sardine', 'mackerel', 'trout',
+            'hoki', 'whiting', 'flathead', 'dory', 'tilapia', 'perch', 'caviar'],
+        except: ['shellfish', 'fish_free'],
+    },
+};
+
+const ALLERGEN_IDS = Object.keys(ALLERGENS);
+
+// Grains that stay gluten-free despite the GRAINS category default
+const GLUTEN_FREE_GRAINS = /rice|quinoa|corn|polenta|millet|buckwheat|amaranth|sorghum|tapioca|gluten_free/;
+
+// Offending key fragment -> replacement candidates (first allergen-safe candidate wins)
+const ALLERGEN_SAFE_SWAPS = [
+    ['peanut_butter', ['sunflower seed butter', 'tahini']],
+    ['almond_milk', ['oat milk', 'rice milk']],
+    ['milk', ['oat milk', 'soy milk', 'rice milk']],
+    ['greek_yogurt', ['coconut yogurt', 'soy yogurt']],
+    ['yogurt', ['coconut yogurt', 'soy yogurt']],
+    ['butter', ['olive oil']],
+    ['cheese', ['nutritional yeast']],
+    ['cream', ['coconut cream']],
+    ['peanut', ['pumpkin seeds', 'sunflower seeds']],
+    ['almond', ['pumpkin seeds', 'sunflower seeds']],
+    ['cashew', ['pumpkin seeds', 'sunflower seeds']],
+    ['walnut', ['pumpkin seeds', 'sunflower seeds']],
+    ['egg', ['tofu', 'chickpeas']],
+    ['tofu', ['chickpeas', 'chicken breast']],
+    ['soy_sauce', ['coconut aminos']],
+    ['pasta', ['rice noodles', 'brown rice']],
+    ['spaghetti', ['rice noodles', 'brown rice']],
+    ['noodle', ['rice noodles', 'brown rice']],
+    ['couscous', ['quinoa', 'brown rice']],
+    ['bread', ['gluten free bread', 'rice cakes']],
+    ['wrap', ['corn tortillas', 'rice paper']],
+    ['tortilla', ['corn tortillas', 'rice paper']],
+    ['rolled_oats', ['quinoa flakes', 'rice flakes']],
+    ['oat', ['quinoa flakes', 'rice flakes']],
+    ['flour', ['rice flour']],
+    ['prawn', ['chicken breast']],
+    ['shrimp', ['chicken breast']],
+    ['salmon', ['chicken breast', 'lean beef']],
+    ['tuna', ['chicken breast', 'lean beef']],
+    ['fish', ['chicken breast', 'lean beef']],
+    ['sesame', ['pumpkin seeds', 'sunflower seeds']],
+    ['tahini', ['sunflower seed butter', 'olive oil']],
+    ['hummus', ['avocado']],
+];
+
+/**
+ * Filters a client-supplied allergen list down to known ids.
+ * @returns {string[]}
+ */
+function normalizeAllergenProfile(allergens) {
+    if (!Array.isArray(allergens)) return [];
+    return [...new Set(allergens.map(a => String(a || '').toLowerCase().trim()).filter(a => ALLERGENS[a]))];
+}
+
+// Exception fragments that qualify the next word rather than name a food
+const isQualifier = (fragment) => fragment === 'vegan' || fragment === 'eggless' || fragment.endsWith('_free');
+
+// Every index where `fragment` occurs in `key`
+function occurrences(key, fragment) {
+    const found = [];
+    for (let at = key.indexOf(fragment); at !== -1; at = key.indexOf(fragment, at + 1)) found.push(at);
+    return found;
+}
+
+// [start, end) spans of `key` covered by exception fragments
+function exceptionSpans(key, fragments) {
+    return fragments.flatMap(fragment => occurrences(key, fragment).map(at => {
+        let end = at + fragment.length;
+        if (isQualifier(fragment) && key[end] === '_') {
+            const nextBreak = key.indexOf('_', end + 1);
+            end = nextBreak === -1 ? key.length : nextBreak;
+        }
+        return [at, end];
+    }));
+}
+
+/**
+ * Detects allergens in an ingredient key or product name.
+ * @param {string} name - Ingredient key or product name
+ * @param {string[]} [only] - Restrict detection to these allergen ids
+ * @returns {string[]} allergen ids
+ */
+function detectAllergens(name, only = ALLERGEN_IDS) {
+    const key = normalizeKey(String(name || ''));
+    if (!key) return [];
+    const { category } = resolveState(String(name).toLowerCase());
+
+    return only.filter(id => {
+        const def = ALLERGENS[id];
+        if (!def) return false;
+        const spans = exceptionSpans(key, def.except);
+        const exempt = (at) => spans.some(([start, end]) => start <= at && at < end);
+        if (def.keywords.some(fragment => occurrences(key, fragment).some(at => !exempt(at)))) return true;
+        // Category defaults describe the whole item, so any exception overrides them
+        if (def.category && category === def.category && spans.length === 0) {
+            return id !== 'gluten' || !GLUTEN_FREE_GRAINS.test(key);
+        }
+        return false;
+    });
+}
+
+/**
+ * Product-level check for runEnhancedChecklist.
+ * @returns {string|null} the first matched allergen id, or null
+ */
+function productContainsAllergen(productName, allergens) {
+    if (!allergens || allergens.length === 0) return null;
+    return detectAllergens(productName, allergens)[0] || null;
+}
+
+/**
+ * Finds an allergen-safe replacement ingredient for an offending key.
+ * @returns {string|null}
+ */
+function findSafeReplacement(itemKey, allergens) {
+    const key = normalizeKey(String(itemKey || ''));
+    for (const [fragment, candidates] of ALLERGEN_SAFE_SWAPS) {
+        if (!key.includes(fragment)) continue;
+        const safe = candidates.find(candidate => detectAllergens(candidate, allergens).length === 0);
+        if (safe) return safe;
+    }
+    return null;
+}
+
+/**
+ * Post-LLM check: replaces or removes items containing excluded allergens.
+ * Mutates the meals in place.
+ *
+ * @param {Array} meals - LLM meals ({ name, type, items: [{ key, qty_value, qty_unit, stateHint }] })
+ * @param {string[]} allergens - From normalizeAllergenProfile
+ * @param {function} log - Logger
+ * @returns {{ replaced: Array, removed: Array, rejectedMeals: string[] }}
+ */
+function enforceAllergenProfile(meals, allergens, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const report = { replaced: [], removed: [], rejectedMeals: [] };
+    if (!allergens || allergens.length === 0) return report;
+
+    for (const meal of meals || []) {
+        const safeItems = [];
+        for (const item of meal.items || []) {
+            const found = item && item.key ? detectAllergens(item.key, allergens) : [];
+            if (found.length === 0) {
+                safeItems.push(item);
+                continue;
+            }
+            const replacement = findSafeReplacement(item.key, allergens);
+            if (replacement) {
+                report.replaced.push({ meal: meal.name, from: item.key, to: replacement, allergens: found });
+                safeLog(`[Allergen] ${meal.name}: replaced "${item.key}" (${found.join(', ')}) with "${replacement}".`, 'WARN', 'ALLERGEN');
+                safeItems.push({ ...item, key: replacement, stateHint: resolveState(replacement).state });
+            } else {
+                report.removed.push({ meal: meal.name, key: item.key, allergens: found });
+                safeLog(`[Allergen] ${meal.name}: removed "${item.key}" (${found.join(', ')}), no safe replacement.`, 'WARN', 'ALLERGEN');
+            }
+        }
+        meal.items = safeItems;
+        if (safeItems.length === 0) report.rejectedMeals.push(meal.name);
+    }
+    return report;
+}
+
+/**
+ * Prompt line listing the excluded allergens, e.g. "peanut, tree nut".
+ */
+function formatAllergensForPrompt(allergens) {
+    return (allergens || []).map(id => ALLERGENS[id].label.toLowerCase()).join(', ');
+}
+
+module.exports = {
+    ALLERGENS,
+    ALLERGEN_IDS,
+    ALLERGEN_SAFE_SWAPS,
+    normalizeAllergenProfile,
+    detectAllergens,
+    productContainsAllergen,
+    findSafeReplacement,
+    enforceAllergenProfile,
+    formatAllergensForPrompt,
+};
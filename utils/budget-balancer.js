@@ -0,0 +1,203 @@
+/**
+ * utils/budget-balancer.js
+ *
+ * Hard Budget Cap for Cheffy
+ *
+ * PURPOSE:
+ * formData.costPriority is only a prompt hint. formData.weeklyBudget is a hard
+ * cap: after the market run + purchase optimizer, if the plan's checkout total
+ * exceeds the cap the orchestrator re-balances it in two stages:
+ *   1. PRODUCT SWAPS  — switch the selection to a cheaper candidate already in
+ *      allProducts (match quality may drop by up to RELAXED_SCORE_TOLERANCE)
+ *   2. INGREDIENT SUBSTITUTIONS — replace expensive ingredients with cheaper
+ *      equivalents (CHEAPER_EQUIVALENTS), market-run them, and let the solver
+ *      run on the substituted meals
+ * This module holds the pure helpers; the market-dependent stage lives in
+ * generate-full-plan.js (rebalanceToBudget).
+ *
+ * ASSUMPTIONS:
+ * - Costs come from `purchase.totalCost` (utils/purchase-optimizer.js)
+ * - The cap is weekly; plans shorter/longer than 7 days are pro-rated
+ * - Pantry-covered (or partially covered) ingredients are never substituted,
+ *   so the user's stock is still used
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { planUnits } = require('./purchase-optimizer');
+
+// Product swaps may trade some match quality for price
+// (the market run treats scores within 0.1 as equivalent)
+const RELAXED_SCORE_TOLERANCE = 0.3;
+
+// Upper bound on ingredient substitutions per plan (each one costs a market run)
+const MAX_SUBSTITUTIONS = 4;
+
+// Expensive ingredient (normalized key fragment) -> cheaper equivalent. First match wins.
+const CHEAPER_EQUIVALENTS = [
+    ['salmon', 'basa fillet'],
+    ['prawn', 'basa fillet'],
+    ['barramundi', 'basa fillet'],
+    ['steak', 'beef mince'],
+    ['lamb', 'beef mince'],
+    ['chicken_breast', 'chicken thigh'],
+    ['quinoa', 'brown rice'],
+    ['greek_yogurt', 'natural yogurt'],
+    ['greek_yoghurt', 'natural yogurt'],
+    ['blueberr', 'frozen mixed berries'],
+    ['raspberr', 'frozen mixed berries'],
+    ['almond', 'peanuts'],
+    ['cashew', 'peanuts'],
+    ['pine_nut', 'sunflower seeds'],
+    ['parmesan', 'cheddar cheese'],
+    ['sourdough', 'wholemeal bread'],
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Pro-rates formData.weeklyBudget to the plan length.
+ * @returns {number|null} cap in dollars, or null when no budget is set
+ */
+function resolveBudgetCap(formData, numDays) {
+    const weekly = parseFloat(formData?.weeklyBudget);
+    if (isNaN(weekly) || weekly <= 0) return null;
+    return round2(weekly * (numDays / 7));
+}
+
+/**
+ * Sum of purchase.totalCost over 'discovery' results.
+ */
+function computePlanCost(results) {
+    let total = 0;
+    for (const result of results || []) {
+        if (result?.source === 'discovery' && result.purchase) total += result.purchase.totalCost;
+    }
+    return round2(total);
+}
+
+/**
+ * Per-ingredient cost breakdown, most expensive first.
+ */
+function buildCostBreakdown(results) {
+    const rows = [];
+    for (const result of results || []) {
+        if (result?.source !== 'discovery' || !result.purchase) continue;
+        const selected = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+        rows.push({
+            key: result.normalizedKey,
+            ingredient: result.originalIngredient,
+            product: selected?.name || null,
+            units: result.purchase.units,
+            cost: result.purchase.totalCost
+        });
+    }
+    return rows.sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * Finds the cheapest-to-buy product in allProducts that beats the current selection.
+ * @returns {{ product, plan, saving } | null}
+ */
+function findCheaperProduct(result) {
+    if (result?.source !== 'discovery' || !result.purchase) return null;
+    const candidates = (result.allProducts || []).filter(p => p && p.url !== result.currentSelectionURL);
+    const bestScore = (result.allProducts || []).reduce((max, p) => Math.max(max, p?._matchScore ?? 0), 0);
+    const requiredGrams = result.totalGramsRequired ?? result.requested_total_g;
+
+    let best = null;
+    for (const product of candidates) {
+        if ((product._matchScore ?? 0) < bestScore - RELAXED_SCORE_TOLERANCE) continue;
+        const plan = planUnits(product, requiredGrams, result.normalizedKey);
+        // An unknown pack size always looks like one cheap unit
+        if (!plan || plan.packSize_g === null || plan.totalCost >= result.purchase.totalCost) continue;
+        if (!best || plan.totalCost < best.plan.totalCost) best = { product, plan };
+    }
+    return best ? { ...best, saving: round2(result.purchase.totalCost - best.plan.totalCost) } : null;
+}
+
+/**
+ * Stage 1: swap selections to cheaper products, biggest saving first, until under the cap.
+ * Mutates the results in place.
+ * @returns {Array} swaps applied
+ */
+function swapToCheaperProducts(resultsMap, cap, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const options = [];
+    for (const result of resultsMap.values()) {
+        const cheaper = findCheaperProduct(result);
+        if (cheaper) options.push({ result, ...cheaper });
+    }
+    options.sort((a, b) => b.saving - a.saving);
+
+    const swaps = [];
+    let total = computePlanCost(resultsMap.values());
+    for (const { result, product, plan, saving } of options) {
+        if (total <= cap) break;
+        const previous = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+        swaps.push({
+            ingredient: result.originalIngredient,
+            from: previous?.name || null,
+            to: product.name,
+            before: result.purchase.totalCost,
+            after: plan.totalCost,
+            saving
+        });
+        result.currentSelectionURL = product.url;
+        result.purchase = plan;
+        total = round2(total - saving);
+        safeLog(`[Budget] ${result.originalIngredient}: swapped to "${product.name}" (-$${saving.toFixed(2)}).`, 'INFO', 'BUDGET');
+    }
+    return swaps;
+}
+
+/**
+ * Returns the cheaper equivalent ingredient name for a normalized key, or null.
+ */
+function findCheaperEquivalent(normalizedKey) {
+    const key = String(normalizedKey || '');
+    const match = CHEAPER_EQUIVALENTS.find(([fragment]) => key.includes(fragment));
+    return match ? match[1] : null;
+}
+
+/**
+ * Stage 2 candidates: the most expensive ingredients that have a cheaper equivalent.
+ * Several ingredients can share one equivalent (salmon and prawns both become
+ * basa fillet), so candidates are grouped by target: one market run per target,
+ * sized for the combined grams of every ingredient it replaces.
+ * @returns {Array<{ toIngredient, toKey, results, totalCost, requested_total_g, dayRefs }>}
+ */
+function findSubstitutionCandidates(resultsMap) {
+    const groups = new Map();
+    for (const result of resultsMap.values()) {
+        if (result?.source !== 'discovery' || !result.purchase) continue;
+        if (result.pantry_have_g > 0) continue; // Keep using the user's stock
+        const toIngredient = findCheaperEquivalent(result.normalizedKey);
+        if (!toIngredient) continue;
+
+        const toKey = normalizeKey(toIngredient);
+        if (!groups.has(toKey)) {
+            groups.set(toKey, { toIngredient, toKey, results: [], totalCost: 0, requested_total_g: 0, dayRefs: new Set() });
+        }
+        const group = groups.get(toKey);
+        group.results.push(result);
+        group.totalCost = round2(group.totalCost + result.purchase.totalCost);
+        group.requested_total_g += Number(result.totalGramsRequired ?? result.requested_total_g) || 0;
+        for (const dayRef of result.dayRefs || []) group.dayRefs.add(dayRef);
+    }
+    return [...groups.values()]
+        .sort((a, b) => b.totalCost - a.totalCost)
+        .slice(0, MAX_SUBSTITUTIONS);
+}
+
+module.exports = {
+    RELAXED_SCORE_TOLERANCE,
+    MAX_SUBSTITUTIONS,
+    CHEAPER_EQUIVALENTS,
+    resolveBudgetCap,
+    computePlanCost,
+    buildCostBreakdown,
+    findCheaperProduct,
+    swapToCheaperProducts,
+    findCheaperEquivalent,
+    findSubstitutionCandidates,
+};
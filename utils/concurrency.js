@@ -0,0 +1,41 @@
+/**
+ * utils/concurrency.js
+ *
+ * Bounded Concurrency for Cheffy
+ *
+ * PURPOSE:
+ * The market run, nutrition lookups, label lookups and price-history writes
+ * all fan out over a list with a cap on in-flight calls. mapLimited is the one
+ * worker pool they share (generate-full-plan's concurrentlyMap adds run
+ * cancellation and per-item error objects on top of it).
+ *
+ * ASSUMPTIONS:
+ * - Results keep the input order
+ * - A rejected item rejects the whole map; callers that want to carry on
+ *   catch inside their mapper
+ */
+
+/**
+ * Maps `items` through async `fn` with at most `limit` calls in flight.
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} results in input order
+ */
+async function mapLimited(items, limit, fn) {
+    const out = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            out[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return out;
+}
+
+module.exports = {
+    mapLimited,
+};
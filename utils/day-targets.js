@@ -0,0 +1,131 @@
+/**
+ * utils/day-targets.js
+ *
+ * Per-Day Calorie Cycling for Cheffy
+ *
+ * PURPOSE:
+ * /api/plan/targets returns one daily target. When the user marks days in
+ * DayPicker (formData.daySchedule, e.g. ['training', 'rest', ...]) this module
+ * turns that target into a per-day array:
+ *   - buildDayTargets() is called by targets.js and returns
+ *     [{ dayNumber, dayType, factor, calories, protein, fat, carbs }]
+ *   - resolveDayTargets() is called by the orchestrator and regenerate to pick
+ *     the entry for one day (prompt + solver), falling back to the base target
+ *
+ * MACRO RULES:
+ * - Factors are normalised so the plan's AVERAGE calories equal the base
+ *   target: cycling redistributes the goal's calories, it does not change them
+ * - Protein stays fixed; the calorie difference is carried by carbs
+ * - Carbs never drop below MIN_CARBS_G; any remaining cut comes from fat
+ *   (never below MIN_FAT_G). When fat hits its floor too, carbs give up the
+ *   rest after all so the macros still add up to the day's calories
+ *
+ * ASSUMPTIONS:
+ * - daySchedule index 0 is Day 1; missing or unknown entries are 'standard'
+ * - A schedule with only 'standard' days means no cycling (returns null)
+ */
+
+const DAY_TYPES = {
+    standard: { label: 'Standard', factor: 1.0, prompt: null },
+    training: { label: 'Training', factor: 1.1, prompt: 'training day: put more carbs around lunch and dinner' },
+    rest: { label: 'Rest', factor: 0.9, prompt: 'rest day: lighter meals, fewer starchy carbs' },
+    high_carb: { label: 'High Carb', factor: 1.15, prompt: 'high carb day: rice, potatoes, oats and fruit are welcome' },
+    low_carb: { label: 'Low Carb', factor: 0.85, prompt: 'low carb day: minimal starches and sugars, more vegetables' },
+    refeed: { label: 'Refeed', factor: 1.25, prompt: 'refeed day: generous carb portions' },
+};
+
+const MIN_CARBS_G = 50;
+const MIN_FAT_G = 30;
+
+/**
+ * Cleans a client-supplied schedule to exactly numDays known day types.
+ * @returns {string[]}
+ */
+function normalizeDaySchedule(schedule, numDays) {
+    const list = Array.isArray(schedule) ? schedule : [];
+    return Array.from({ length: numDays }, (_, i) => (DAY_TYPES[list[i]] ? list[i] : 'standard'));
+}
+
+/**
+ * Scales a target by a calorie factor, keeping protein and moving the difference through carbs (then fat).
+ */
+function adjustTargets(base, factor) {
+    const calories = Math.round(base.calories * factor);
+    const deltaCal = calories - base.calories;
+    let carbs = base.carbs + deltaCal / 4;
+    let fat = base.fat;
+    if (carbs < MIN_CARBS_G) {
+        const shortfallCal = (MIN_CARBS_G - carbs) * 4;
+        fat = Math.round(Math.max(MIN_FAT_G, fat - shortfallCal / 9));
+        // Whatever the fat floor kept comes back out of carbs
+        carbs = Math.max(0, (calories - base.protein * 4 - fat * 9) / 4);
+    }
+    return { calories, protein: base.protein, fat: Math.round(fat), carbs: Math.round(carbs) };
+}
+
+/**
+ * Builds the per-day target array for a schedule.
+ *
+ * @param {Object} baseTargets - { calories, protein, fat, carbs }
+ * @param {string[]} schedule - formData.daySchedule
+ * @param {number} numDays - Plan length
+ * @param {function} log - Logger
+ * @returns {Array|null} null when every day is 'standard'
+ */
+function buildDayTargets(baseTargets, schedule, numDays, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const days = normalizeDaySchedule(schedule, numDays);
+    if (!(baseTargets?.calories > 0) || days.every(type => type === 'standard')) return null;
+
+    const rawFactors = days.map(type => DAY_TYPES[type].factor);
+    const mean = rawFactors.reduce((sum, f) => sum + f, 0) / rawFactors.length;
+
+    const dayTargets = days.map((dayType, i) => {
+        const factor = Math.round((rawFactors[i] / mean) * 1000) / 1000;
+        return { dayNumber: i + 1, dayType, factor, ...adjustTargets(baseTargets, factor) };
+    });
+    safeLog(`Calorie cycling: ${dayTargets.map(d => `D${d.dayNumber} ${d.dayType} ${d.calories}kcal`).join(', ')}`, 'INFO', 'CALC');
+    return dayTargets;
+}
+
+/**
+ * Picks one day's targets from a (client-echoed) dayTargets array.
+ *
+ * @returns {{ targets: Object, dayType: string, factor: number }}
+ *          The base targets (factor 1) when the day has no valid entry.
+ */
+function resolveDayTargets(dayTargets, dayNumber, baseTargets) {
+    const entry = Array.isArray(dayTargets) ? dayTargets.find(d => d && Number(d.dayNumber) === Number(dayNumber)) : null;
+    if (!entry || !(Number(entry.calories) > 0) || !DAY_TYPES[entry.dayType]) {
+        return { targets: baseTargets, dayType: 'standard', factor: 1 };
+    }
+    return {
+        targets: {
+            calories: Number(entry.calories),
+            protein: Number(entry.protein) || 0,
+            fat: Number(entry.fat) || 0,
+            carbs: Number(entry.carbs) || 0,
+        },
+        dayType: entry.dayType,
+        factor: Number(entry.factor) || entry.calories / baseTargets.calories,
+    };
+}
+
+/**
+ * Prompt hint for a day type, or '' for standard days.
+ */
+function formatDayTypeForPrompt(dayType) {
+    const def = DAY_TYPES[dayType];
+    return def && def.prompt ? `${def.label.toUpperCase()} — ${def.prompt}.` : '';
+}
+
+module.exports = {
+    DAY_TYPES,
+    MIN_CARBS_G,
+    MIN_FAT_G,
+    normalizeDaySchedule,
+    adjustTargets,
+    buildDayTargets,
+    resolveDayTargets,
+    formatDayTypeForPrompt,
+};
@@ -0,0 +1,53 @@
+/**
+ * utils/feedback-scoring.js
+ *
+ * Substitution Feedback Scoring for Cheffy
+ *
+ * PURPOSE:
+ * The scoring half of substitution feedback (utils/substitution-feedback.js):
+ * turns an ingredient's learned preferences into a score adjustment for a
+ * product. Kept apart from the KV-backed module so product-checker and
+ * product-scorer can use it without opening a KV client on import.
+ *
+ * SCORING:
+ *   product net (accepts - rejects) > 0  -> +PREFERRED_BOOST
+ *   product net < 0                      -> -REJECTED_PENALTY (still passes, ranked lower)
+ *   unknown product, brand accepted 2+ x -> +BRAND_BOOST
+ *
+ * ASSUMPTIONS:
+ * - `preferences` is the shape utils/substitution-feedback.preferencesFor returns
+ * - Pure: no KV, replay or network access
+ */
+
+const { feedbackProductId } = require('./product-id');
+
+const PREFERRED_BOOST = 0.25;
+const REJECTED_PENALTY = 0.25;
+const BRAND_BOOST = 0.12;
+const MIN_BRAND_ACCEPTS = 2;
+
+/**
+ * Score adjustment for a product from learned preferences.
+ * @returns {{ adjustment: number, reason: string|null }}
+ */
+function feedbackAdjustment(preferences, product) {
+    if (!preferences) return { adjustment: 0, reason: null };
+    const net = preferences.products?.[feedbackProductId(product)];
+    if (net > 0) return { adjustment: PREFERRED_BOOST, reason: 'preferred' };
+    if (net < 0) return { adjustment: -REJECTED_PENALTY, reason: 'rejected' };
+    if (net === undefined) {
+        const brand = String(product.product_brand || product.brand || '').toLowerCase();
+        if (brand && (preferences.brands?.[brand] || 0) >= MIN_BRAND_ACCEPTS) {
+            return { adjustment: BRAND_BOOST, reason: 'preferred_brand' };
+        }
+    }
+    return { adjustment: 0, reason: null };
+}
+
+module.exports = {
+    PREFERRED_BOOST,
+    REJECTED_PENALTY,
+    BRAND_BOOST,
+    MIN_BRAND_ACCEPTS,
+    feedbackAdjustment,
+};
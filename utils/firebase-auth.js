@@ -0,0 +1,119 @@
+/**
+ * utils/firebase-auth.js
+ *
+ * Caller Identity for Cheffy API Endpoints
+ *
+ * PURPOSE:
+ * The web app signs users in with Firebase, but per-user endpoints
+ * (/api/substitution-feedback, the plan endpoints' learned preferences) used
+ * to take `userId` from the request body on trust. This module verifies the Firebase ID token the web app sends as
+ * `Authorization: Bearer <token>` and returns the caller's uid, so an endpoint
+ * can only read and write the caller's own data.
+ *
+ * VERIFICATION (Firebase "verify ID tokens using a third-party JWT library"):
+ *   - RS256 signature against Google's securetoken public certificates
+ *     (fetched once, cached for the response's max-age)
+ *   - aud = FIREBASE_PROJECT_ID, iss = https://securetoken.google.com/<project>
+ *   - not expired, issued in the past, non-empty sub (the uid)
+ *
+ * ASSUMPTIONS:
+ * - FIREBASE_PROJECT_ID unset (local dev, offline harness) disables
+ *   verification; callers then fall back to the userId format check only
+ * - Uses node crypto + node-fetch, no Firebase Admin SDK
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CERTS_MAX_AGE_MS = 1000 * 60 * 60; // 1 hour
+const CLOCK_SKEW_S = 300;
+
+// Firebase uids are up to 128 characters; ':' is excluded because uids end up in KV keys
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+let certCache = { certs: null, expiresAt: 0 };
+
+const isValidUserId = (userId) => typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+
+const isAuthConfigured = () => !!process.env.FIREBASE_PROJECT_ID;
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+async function getSigningCerts() {
+    if (certCache.certs && Date.now() < certCache.expiresAt) return certCache.certs;
+    const response = await fetch(CERTS_URL);
+    if (!response.ok) throw new Error(`Could not fetch token certificates (HTTP ${response.status})`);
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    certCache = {
+        certs: await response.json(),
+        expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CERTS_MAX_AGE_MS)
+    };
+    return certCache.certs;
+}
+
+/**
+ * Verifies a Firebase ID token.
+ * @returns {Promise<string|null>} the caller's uid, or null when the token is invalid
+ */
+async function verifyIdToken(idToken) {
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    if (!projectId || typeof idToken !== 'string') return null;
+    const parts = idToken.split('.');
+    if (parts.length !== 3) return null;
+
+    let header, payload;
+    try {
+        header = decodeSegment(parts[0]);
+        payload = decodeSegment(parts[1]);
+    } catch {
+        return null;
+    }
+    if (header.alg !== 'RS256' || !header.kid) return null;
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) return null;
+    if (!(payload.exp > now) || !(payload.iat <= now + CLOCK_SKEW_S)) return null;
+    if (!isValidUserId(payload.sub)) return null;
+
+    const cert = (await getSigningCerts())[header.kid];
+    if (!cert) return null;
+    const signatureValid = crypto.createVerify('RSA-SHA256')
+        .update(`${parts[0]}.${parts[1]}`)
+        .verify(cert, Buffer.from(parts[2], 'base64url'));
+    return signatureValid ? payload.sub : null;
+}
+
+/**
+ * The verified uid of the caller (from `Authorization: Bearer <token>`).
+ * @returns {Promise<string|null>}
+ */
+async function getCallerUid(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers?.authorization || '');
+    if (!match) return null;
+    try {
+        return await verifyIdToken(match[1].trim());
+    } catch (error) {
+        console.warn('[firebase-auth] Token verification failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * The user a plan request runs as (whose learned preferences it loads). With
+ * auth configured this is the verified caller and `bodyUserId` is ignored;
+ * without it (local dev, offline harness) the body's userId is used as is.
+ * @returns {Promise<string|null>}
+ */
+async function resolveRequestUserId(req, bodyUserId) {
+    if (isAuthConfigured()) return getCallerUid(req);
+    return isValidUserId(bodyUserId) ? bodyUserId : null;
+}
+
+module.exports = {
+    isValidUserId,
+    isAuthConfigured,
+    verifyIdToken,
+    getCallerUid,
+    resolveRequestUserId,
+};
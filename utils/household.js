@@ -0,0 +1,111 @@
+/**
+ * utils/household.js
+ *
+ * Multi-Person Household Plans for Cheffy
+ *
+ * PURPOSE:
+ * One plan, several people. Meals are generated ONCE from the primary
+ * profile's targets (shared meals); each member then gets their own portions:
+ *   - the shared day is pre-scaled by the member's calorie ratio
+ *     (scaleDayForMember) and solved against that member's own targets
+ *   - the shopping list is aggregated across everyone by scaling the shared
+ *     ingredient totals by the household's combined ratio (applyHouseholdScale)
+ *
+ * REQUEST SHAPE (generate-full-plan / regenerate body `household`):
+ *   [{ id, name, nutritionalTargets }]  — first entry is the primary profile
+ * Targets for extra members come from /api/plan/targets (formData.household).
+ *
+ * ASSUMPTIONS:
+ * - Fewer than 2 valid members means single-person mode (returns null)
+ * - Portions scale linearly with calories before the solver refines them
+ */
+
+const MAX_HOUSEHOLD_MEMBERS = 6;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * A member's id, or `member_<position>` when it has none. `position` is the
+ * index in the full household with the primary profile first, so the i-th
+ * entry of formData.household (extra members only) is position i + 1.
+ */
+function householdMemberId(member, position) {
+    return String(member?.id || `member_${position}`);
+}
+
+/**
+ * Validates the household list and attaches each member's calorie ratio.
+ *
+ * @param {Array} household - [{ id, name, nutritionalTargets }]
+ * @param {Object} primaryTargets - The primary profile's nutritionalTargets (meal generation basis)
+ * @param {function} log - Logger
+ * @returns {Array<{ id, name, nutritionalTargets, scale }>|null}
+ */
+function normalizeHousehold(household, primaryTargets, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    if (!Array.isArray(household) || household.length < 2 || !(primaryTargets?.calories > 0)) return null;
+
+    const members = [];
+    household.slice(0, MAX_HOUSEHOLD_MEMBERS).forEach((member, i) => {
+        const targets = member?.nutritionalTargets;
+        if (!targets || !(Number(targets.calories) > 0)) {
+            safeLog(`Household member "${member?.name || i}" has no valid targets. Skipping.`, 'WARN', 'HOUSEHOLD');
+            return;
+        }
+        members.push({
+            id: householdMemberId(member, i),
+            name: member.name || `Member ${i + 1}`,
+            nutritionalTargets: targets,
+            scale: round2(Number(targets.calories) / primaryTargets.calories)
+        });
+    });
+
+    if (members.length < 2) return null;
+    safeLog(`Household mode: ${members.map(m => `${m.name} (x${m.scale})`).join(', ')}.`, 'INFO', 'HOUSEHOLD');
+    return members;
+}
+
+/**
+ * Combined portion factor for the shopping list (sum of every member's ratio).
+ */
+function householdScale(members) {
+    return round2((members || []).reduce((sum, m) => sum + m.scale, 0));
+}
+
+/**
+ * Scales aggregated ingredient totals to cover the whole household. Mutates in place.
+ */
+function applyHouseholdScale(aggregatedIngredients, members, log) {
+    const factor = householdScale(members);
+    if (!members || factor <= 0) return aggregatedIngredients;
+    aggregatedIngredients.forEach(item => {
+        item.requested_total_g = item.requested_total_g * factor;
+    });
+    if (typeof log === 'function') {
+        log(`Shopping list scaled x${factor} for ${members.length} household members.`, 'INFO', 'HOUSEHOLD');
+    }
+    return aggregatedIngredients;
+}
+
+/**
+ * Deep-copies a shared day with every item quantity multiplied by `scale`.
+ * The solver then refines the portions against the member's own targets.
+ */
+function scaleDayForMember(day, scale) {
+    const copy = JSON.parse(JSON.stringify(day));
+    copy.meals.forEach(meal => {
+        (meal.items || []).forEach(item => {
+            if (typeof item.qty_value === 'number') item.qty_value = round2(item.qty_value * scale);
+        });
+    });
+    return copy;
+}
+
+module.exports = {
+    MAX_HOUSEHOLD_MEMBERS,
+    householdMemberId,
+    normalizeHousehold,
+    householdScale,
+    applyHouseholdScale,
+    scaleDayForMember,
+};
@@ -0,0 +1,170 @@
+/**
+ * utils/leftover-planner.js
+ *
+ * Leftover-Aware Planning for Cheffy
+ *
+ * PURPOSE:
+ * Groceries are bought in whole packs, so partially used packs (e.g. 400g of
+ * a 1kg chicken pack) end up wasted. In the 'leftover_aware' planning mode the
+ * orchestrator generates days IN ORDER and, before each day, estimates which
+ * packs opened on days 1..N-1 still have surplus. That list is injected into
+ * MEAL_PLANNER_SYSTEM_PROMPT so later meals deliberately consume open packs.
+ *
+ * After the market run the REAL waste is known from each result's
+ * `purchase.leftover_g` (see utils/purchase-optimizer.js); summarizeWaste()
+ * turns that into the per-plan "waste grams" metric for both planning modes.
+ *
+ * ASSUMPTIONS:
+ * - During generation no product data exists yet, so pack sizes are estimated
+ *   from TYPICAL_PACK_SIZES_G (first entry whose `_`-separated words appear,
+ *   in order and whole, in the normalized key; a trailing "s"/"es" is allowed)
+ * - Quantities are normalized with normalizeToGramsOrMl, like Phase 2; the
+ *   surplus keeps the g/ml unit the items were written in
+ * - Pantry stock is used before any pack is opened
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { normalizeToGramsOrMl } = require('./transforms.js');
+
+const PLANNING_MODES = {
+    STANDARD: 'standard',
+    LEFTOVER_AWARE: 'leftover_aware',
+};
+
+// Typical Australian supermarket pack sizes (g/ml). First match wins, so
+// more specific keys must come before generic ones.
+const TYPICAL_PACK_SIZES_G = [
+    ['chicken_breast', 1000], ['chicken_thigh', 1000], ['chicken', 1000],
+    ['mince', 500], ['beef', 500], ['steak', 500], ['pork', 500], ['lamb', 500],
+    ['salmon', 250], ['tuna', 95], ['fish', 400], ['prawn', 500],
+    ['egg_noodle', 400], ['egg', 700], // dozen
+    ['milk', 2000], ['yogurt', 1000], ['yoghurt', 1000], ['cheese', 500],
+    ['peanut_butter', 375], ['butter', 250], ['cream', 300],
+    ['rolled_oats', 1000], ['rice', 1000], ['pasta', 500], ['noodle', 400], ['quinoa', 500], ['flour', 1000],
+    ['bread', 700], ['wrap', 400], ['tortilla', 400],
+    ['spinach', 120], ['lettuce', 400], ['broccoli', 500], ['capsicum', 500], ['tomato', 500], ['carrot', 1000],
+    ['potato', 2000], ['onion', 1000], ['banana', 1000], ['apple', 1000], ['berries', 300], ['berry', 300],
+    ['bean', 400], ['chickpea', 400], ['lentil', 400],
+    ['oil', 750], ['sauce', 500], ['honey', 500],
+];
+const DEFAULT_PACK_SIZE_G = 500;
+
+// Surplus below this is not worth steering the planner towards
+const MIN_SURPLUS_G = 50;
+// Keep the prompt short: only the biggest open packs are listed
+const MAX_PROMPT_LEFTOVERS = 10;
+
+const wordMatches = (word, fragmentWord) =>
+    word === fragmentWord || word === `${fragmentWord}s` || word === `${fragmentWord}es`;
+
+/**
+ * True if the fragment's words appear, whole and in order, in the key's words
+ * ("egg" matches "egg" and "eggs" but not "eggplant").
+ */
+function keyContainsWords(keyWords, fragment) {
+    const fragmentWords = fragment.split('_');
+    for (let start = 0; start + fragmentWords.length <= keyWords.length; start++) {
+        if (fragmentWords.every((fw, i) => wordMatches(keyWords[start + i], fw))) return true;
+    }
+    return false;
+}
+
+/**
+ * Estimates a typical retail pack size for a normalized ingredient key.
+ */
+function estimatePackSize(normalizedKey) {
+    const keyWords = String(normalizedKey || '').toLowerCase().split('_').filter(Boolean);
+    const match = TYPICAL_PACK_SIZES_G.find(([fragment]) => keyContainsWords(keyWords, fragment));
+    return match ? match[1] : DEFAULT_PACK_SIZE_G;
+}
+
+/**
+ * Estimates the open-pack surplus left after the given days.
+ *
+ * @param {Array} days - Generated days so far ({ dayNumber, meals })
+ * @param {Map} pantryMap - From utils/pantry.normalizePantry (optional)
+ * @returns {Array<{ key, normalizedKey, used_g, packSize_g, surplus_g, unit }>} sorted by surplus desc
+ */
+function estimateOpenPacks(days, pantryMap = null) {
+    const usage = new Map(); // normalizedKey -> { key, used_g, unit }
+
+    for (const day of days || []) {
+        for (const meal of day.meals || []) {
+            for (const item of meal.items || []) {
+                if (!item || !item.key) continue;
+                const normalizedKey = normalizeKey(item.key);
+                const { value: grams, unit } = normalizeToGramsOrMl(item, () => {});
+                const existing = usage.get(normalizedKey);
+                if (existing) {
+                    existing.used_g += grams;
+                } else {
+                    usage.set(normalizedKey, { key: item.key, used_g: grams, unit });
+                }
+            }
+        }
+    }
+
+    const openPacks = [];
+    for (const [normalizedKey, { key, used_g, unit }] of usage.entries()) {
+        const have = pantryMap?.get(normalizedKey)?.have_g || 0;
+        const toBuy = used_g - have;
+        if (toBuy <= 0) continue;
+
+        const packSize = estimatePackSize(normalizedKey);
+        const surplus = Math.ceil(toBuy / packSize) * packSize - toBuy;
+        if (surplus >= MIN_SURPLUS_G) {
+            openPacks.push({
+                key,
+                normalizedKey,
+                used_g: Math.round(used_g),
+                packSize_g: packSize,
+                surplus_g: Math.round(surplus),
+                unit
+            });
+        }
+    }
+    return openPacks.sort((a, b) => b.surplus_g - a.surplus_g);
+}
+
+/**
+ * Formats open packs for the meal planner prompt, e.g. "chicken breast (~400g), milk (~1200ml)".
+ */
+function formatLeftoversForPrompt(openPacks) {
+    return (openPacks || [])
+        .slice(0, MAX_PROMPT_LEFTOVERS)
+        .map(p => `${p.key} (~${p.surplus_g}${p.unit || 'g'})`)
+        .join(', ');
+}
+
+/**
+ * Builds the per-plan waste metric from market results carrying `purchase`.
+ *
+ * @param {Iterable} results - Market results (e.g. fullResultsMap.values())
+ * @param {string} planningMode - The mode the plan was generated with
+ * @returns {{ planningMode, waste_g, items: Array<{ key, leftover_g }> }}
+ */
+function summarizeWaste(results, planningMode = PLANNING_MODES.STANDARD) {
+    const items = [];
+    let waste = 0;
+    for (const result of results || []) {
+        const leftover = result?.purchase?.leftover_g;
+        if (!leftover || leftover <= 0) continue;
+        waste += leftover;
+        items.push({ key: result.originalIngredient || result.normalizedKey, leftover_g: leftover });
+    }
+    return {
+        planningMode,
+        waste_g: Math.round(waste),
+        items: items.sort((a, b) => b.leftover_g - a.leftover_g)
+    };
+}
+
+module.exports = {
+    PLANNING_MODES,
+    TYPICAL_PACK_SIZES_G,
+    MIN_SURPLUS_G,
+    estimatePackSize,
+    estimateOpenPacks,
+    formatLeftoversForPrompt,
+    summarizeWaste,
+};
@@ -1,5 +1,5 @@
 // --- Cheffy: utils/llm-provider.js ---
-// [V3.1] LLM Provider Abstraction Layer
+// [V3.4] LLM Provider Abstraction Layer
 //
 // CHANGELOG:
 // V3.0 — Added isReasoningModel() detection. Reasoning models (o-series,
@@ -9,27 +9,57 @@
 // V3.1 — Increased groceryQuery max_tokens 2048 → 4096 for GPT-5.1
 //         reasoning overhead (internal chain-of-thought tokens consume
 //         part of max_completion_tokens; 2048 was too tight for 20+ ingredients).
+// V3.2 — Added Anthropic (Messages API, claude-* models) and local providers.
+//         Local = any OpenAI-compatible chat endpoint (Ollama, llama.cpp
+//         server, vLLM) at CHEFFY_LOCAL_LLM_BASE_URL; model ids are
+//         'local' (CHEFFY_LOCAL_MODEL) or 'local:<model>'. A local primary
+//         falls back to itself so prompts never leave the self-hosted box.
+// V3.3 — Structured outputs. Each agentType maps to a utils/llmValidator.js
+//         schema, sent as OpenAI json_schema / Gemini responseSchema.
+//         callStructured validates + auto-corrects every response and, on
+//         failure, sends one repair turn listing the validation errors.
+// V3.4 — Token usage. parseLLMResponse returns a normalised `usage`
+//         ({ inputTokens, outputTokens, reasoningTokens }); callStructured
+//         prices it from MODEL_PRICING and records it in the run's usage
+//         ledger (utils/llm-usage.js).
 //
 // DESIGN DECISIONS:
 // - Callers continue to build payloads in Gemini format (the existing shape).
-//   This module translates on the fly when the target is an OpenAI model.
+//   This module translates on the fly when the target is an OpenAI,
+//   Anthropic or local model.
 // - Response parsing is normalised so callers always receive the same shape.
 // - The module does NOT own retry logic — fetchLLMWithRetry in each file
-//   still handles retries + abort timeouts.
+//   still handles retries + abort timeouts. The repair turn is not a retry:
+//   it is a follow-up that shows the model its own answer and what was wrong.
 
 'use strict';
 
+const { SCHEMAS, validateLLMOutput } = require('./llmValidator.js');
+const { recordUsage } = require('./llm-usage.js');
+
 // ============================================================
 // 1. ENVIRONMENT & CONSTANTS
 // ============================================================
 
 const OPENAI_API_KEY  = process.env.OPENAI_API_KEY  || '';
 const GEMINI_API_KEY  = process.env.GEMINI_API_KEY   || '';
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || '';
+const LOCAL_LLM_API_KEY = process.env.CHEFFY_LOCAL_LLM_API_KEY || ''; // most local servers ignore it
 
 const PRIMARY_MODEL   = process.env.CHEFFY_PRIMARY_MODEL  || 'gemini-2.5-flash-lite';
 const FALLBACK_MODEL  = process.env.CHEFFY_FALLBACK_MODEL || 'gemini-2.0-flash';
 
 const OPENAI_BASE_URL = 'https://api.openai.com/v1/chat/completions';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION  = '2023-06-01';
+
+// OpenAI-compatible server root, e.g. Ollama http://localhost:11434/v1, llama.cpp http://localhost:8080/v1
+const LOCAL_LLM_BASE_URL = (process.env.CHEFFY_LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LOCAL_MODEL        = process.env.CHEFFY_LOCAL_MODEL || 'llama3.1:8b';
+const LOCAL_MODEL_PREFIX = 'local:';
+
+// V3.2: Anthropic and local models have no reliable JSON mode; appended to the system prompt
+const JSON_ONLY_INSTRUCTION = 'Respond with a single valid JSON object only: no prose, no markdown code fences.';
 
 const getGeminiApiUrl = (modelName) =>
     `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
@@ -38,10 +68,20 @@ const getGeminiApiUrl = (modelName) =>
 const DEFAULT_MAX_TOKENS = {
     mealPlan:       4096,
     groceryQuery:   4096,
-    chefRecipe:     1024,
+    chef:           1024,
     default:        4096,
 };
 
+// V3.3: Response schema per agentType (llmValidator SCHEMAS)
+const AGENT_SCHEMAS = {
+    mealPlan:     'MEAL_PLAN_RESPONSE',
+    groceryQuery: 'GROCERY_QUERIES_RESPONSE',
+    chef:         'CHEF_RECIPE_SCHEMA',
+};
+
+const MAX_REPAIR_ATTEMPTS = 1;
+const MAX_REPAIR_ERRORS   = 15; // listed in the repair prompt
+
 // V3.0: Added gpt-4.1, gpt-4.1-mini, o4-mini with reasoning flags
 const SUPPORTED_MODELS = {
     'gpt-5.1':               { provider: 'openai',  label: 'GPT-5.1 (Primary)',      reasoning: true  },
@@ -50,6 +90,23 @@ const SUPPORTED_MODELS = {
     'o4-mini':               { provider: 'openai',  label: 'o4-mini (Reasoning)',     reasoning: true  },
     'gemini-2.0-flash':      { provider: 'gemini',  label: 'Gemini 2.0 Flash',       reasoning: false },
     'gemini-2.5-flash-lite': { provider: 'gemini',  label: 'Gemini 2.5 Flash Lite',  reasoning: false },
+    'claude-sonnet-4-5':     { provider: 'anthropic', label: 'Claude Sonnet 4.5',    reasoning: false },
+    'claude-haiku-4-5':      { provider: 'anthropic', label: 'Claude Haiku 4.5',     reasoning: false },
+    'local':                 { provider: 'local',   label: `Local (${LOCAL_MODEL})`, reasoning: false },
+};
+
+// V3.4: List prices, USD per 1M tokens (reasoning/thinking tokens bill as output).
+// Update when providers change pricing; models missing here are reported as unpriced.
+const MODEL_PRICING = {
+    'gpt-5.1':               { input: 1.25, output: 10.00 },
+    'gpt-4.1':               { input: 2.00, output: 8.00  },
+    'gpt-4.1-mini':          { input: 0.40, output: 1.60  },
+    'o4-mini':               { input: 1.10, output: 4.40  },
+    'gemini-2.0-flash':      { input: 0.10, output: 0.40  },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40  },
+    'claude-sonnet-4-5':     { input: 3.00, output: 15.00 },
+    'claude-haiku-4-5':      { input: 1.00, output: 5.00  },
+    'local':                 { input: 0,    output: 0     }, // self-hosted: no per-token spend
 };
 
 // ============================================================
@@ -59,12 +116,41 @@ const SUPPORTED_MODELS = {
 function detectProvider(modelName) {
     if (!modelName || typeof modelName !== 'string') return 'gemini';
     const lower = modelName.toLowerCase();
+    if (lower === 'local' || lower.startsWith(LOCAL_MODEL_PREFIX)) return 'local';
+    if (lower.startsWith('claude-')) return 'anthropic';
     if (lower.startsWith('gpt-') || lower.startsWith('o1') || lower.startsWith('o3') || lower.startsWith('o4')) {
         return 'openai';
     }
     return 'gemini';
 }
 
+/**
+ * V3.2: Model name sent to the local server ('local' → CHEFFY_LOCAL_MODEL).
+ */
+function resolveLocalModelName(modelName) {
+    if (modelName.toLowerCase().startsWith(LOCAL_MODEL_PREFIX)) return modelName.slice(LOCAL_MODEL_PREFIX.length);
+    return LOCAL_MODEL;
+}
+
+/**
+ * V3.2: Fallback for a user-selected primary. Local models fall back to
+ * themselves (privacy: no cloud retry); others use the "other" default model.
+ */
+function getFallbackModel(primaryModel) {
+    if (detectProvider(primaryModel) === 'local') return primaryModel;
+    return primaryModel === PRIMARY_MODEL ? FALLBACK_MODEL : PRIMARY_MODEL;
+}
+
+/**
+ * V3.4: Cost of one response in USD, or null when the model has no price entry.
+ */
+function estimateLLMCost(modelName, usage) {
+    if (!usage) return 0;
+    const pricing = MODEL_PRICING[modelName] || (detectProvider(modelName) === 'local' ? MODEL_PRICING.local : null);
+    if (!pricing) return null;
+    return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
 /**
  * V3.0: Reasoning models reject temperature/top_p with a 400 error.
  * They use reasoning_effort instead.
@@ -95,10 +181,53 @@ function buildLLMRequest(modelName, geminiPayload, options = {}) {
     if (provider === 'openai') {
         return _buildOpenAIRequest(modelName, geminiPayload, options);
     }
-    return _buildGeminiRequest(modelName, geminiPayload);
+    if (provider === 'anthropic') {
+        return _buildAnthropicRequest(modelName, geminiPayload, options);
+    }
+    if (provider === 'local') {
+        return _buildLocalRequest(modelName, geminiPayload, options);
+    }
+    return _buildGeminiRequest(modelName, geminiPayload, options);
 }
 
-function _buildGeminiRequest(modelName, geminiPayload) {
+// V3.3: Schema name for a request: options.schemaName, else the agentType's schema
+function _schemaNameFor(options = {}) {
+    const name = options.schemaName || AGENT_SCHEMAS[options.agentType];
+    return name && SCHEMAS[name] ? name : null;
+}
+
+// V3.2: Shared by the non-Gemini builders: system text, chat turns, generationConfig.
+// V3.3: Turns keep their role (a repair payload has a 'model' turn); consecutive
+// turns of one role are merged, so a single-content payload is one user message.
+function _readGeminiPayload(geminiPayload) {
+    const systemText = geminiPayload.systemInstruction?.parts?.[0]?.text || '';
+    const turns = [];
+    for (const c of geminiPayload.contents || []) {
+        const text = (c.parts || []).map(p => p.text).filter(Boolean).join('\n');
+        if (!text) continue;
+        const role = c.role === 'model' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) last.content += `\n${text}`;
+        else turns.push({ role, content: text });
+    }
+    const genConfig = geminiPayload.generationConfig || {};
+    return { systemText, turns, genConfig, wantsJson: genConfig.responseMimeType === 'application/json' };
+}
+
+function _resolveMaxTokens({ agentType = 'default', maxTokens } = {}) {
+    return maxTokens || DEFAULT_MAX_TOKENS[agentType] || DEFAULT_MAX_TOKENS.default;
+}
+
+// V3.3: Adds generationConfig.responseSchema for JSON requests with a known schema
+function _buildGeminiRequest(modelName, geminiPayload, options = {}) {
+    const genConfig = geminiPayload.generationConfig || {};
+    const schemaName = _schemaNameFor(options);
+    if (schemaName && genConfig.responseMimeType === 'application/json' && !genConfig.responseSchema) {
+        geminiPayload = {
+            ...geminiPayload,
+            generationConfig: { ...genConfig, responseSchema: _toGeminiSchema(SCHEMAS[schemaName]) },
+        };
+    }
     return {
         url:     getGeminiApiUrl(modelName),
         headers: {
@@ -111,34 +240,21 @@ function _buildGeminiRequest(modelName, geminiPayload) {
 
 // V3.0: Diverges for reasoning vs standard models
 function _buildOpenAIRequest(modelName, geminiPayload, options = {}) {
-    const { agentType = 'default', maxTokens } = options;
+    const { agentType = 'default' } = options;
     const reasoning = isReasoningModel(modelName);
 
-    // 1. Extract system prompt
-    const systemText = geminiPayload.systemInstruction?.parts?.[0]?.text || '';
-
-    // 2. Extract user message(s)
-    const userParts = (geminiPayload.contents || [])
-        .flatMap(c => (c.parts || []).map(p => p.text).filter(Boolean));
-    const userText = userParts.join('\n');
+    // 1. System prompt, chat turns, generationConfig, JSON mode
+    const { systemText, turns, genConfig, wantsJson } = _readGeminiPayload(geminiPayload);
 
-    // 3. Build messages array
+    // 2. Build messages array
     const messages = [];
     if (systemText) messages.push({ role: 'system', content: systemText });
-    if (userText)   messages.push({ role: 'user',   content: userText });
-
-    // 4. generationConfig
-    const genConfig = geminiPayload.generationConfig || {};
+    messages.push(...turns);
 
-    // 5. JSON mode
-    const wantsJson = genConfig.responseMimeType === 'application/json';
+    // 3. max_tokens
+    const resolvedMaxTokens = _resolveMaxTokens(options);
 
-    // 6. max_tokens
-    const resolvedMaxTokens = maxTokens
-        || DEFAULT_MAX_TOKENS[agentType]
-        || DEFAULT_MAX_TOKENS.default;
-
-    // 7. Assemble body
+    // 4. Assemble body
     const body = {
         model:    modelName,
         messages,
@@ -150,7 +266,7 @@ function _buildOpenAIRequest(modelName, geminiPayload, options = {}) {
         // temperature/top_p MUST be omitted — they cause 400 errors.
         const effortMap = {
             mealPlan:     'medium',
-            chefRecipe:   'medium',
+            chef:         'medium',
             groceryQuery: 'medium',
             default:      'medium',
         };
@@ -162,7 +278,15 @@ function _buildOpenAIRequest(modelName, geminiPayload, options = {}) {
         // topK silently dropped — OpenAI doesn't support it.
     }
 
-    if (wantsJson) {
+    // V3.3: Structured outputs when the agent has a schema (non-strict: the
+    // validator schemas use optional fields and nullable types)
+    const schemaName = _schemaNameFor(options);
+    if (wantsJson && schemaName) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: schemaName.toLowerCase(), schema: SCHEMAS[schemaName], strict: false },
+        };
+    } else if (wantsJson) {
         body.response_format = { type: 'json_object' };
     }
 
@@ -176,6 +300,88 @@ function _buildOpenAIRequest(modelName, geminiPayload, options = {}) {
     };
 }
 
+// V3.2: Anthropic Messages API. No JSON mode: the system prompt asks for bare
+// JSON and the parser strips a stray code fence.
+function _buildAnthropicRequest(modelName, geminiPayload, options = {}) {
+    const { systemText, turns, genConfig, wantsJson } = _readGeminiPayload(geminiPayload);
+
+    const system = [systemText, wantsJson ? JSON_ONLY_INSTRUCTION : '']
+        .filter(Boolean).join('\n\n');
+
+    const body = {
+        model:      modelName,
+        max_tokens: _resolveMaxTokens(options),
+        messages:   turns,
+        // temperature only: current Claude models reject temperature + top_p together
+        temperature: genConfig.temperature ?? 0.3,
+    };
+    if (system) body.system = system;
+    if (genConfig.topK) body.top_k = genConfig.topK;
+
+    return {
+        url:     ANTHROPIC_BASE_URL,
+        headers: {
+            'Content-Type':      'application/json',
+            'x-api-key':         ANTHROPIC_API_KEY,
+            'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify(body),
+    };
+}
+
+// V3.2: OpenAI-compatible local server. Plain max_tokens / json_object, which
+// Ollama, llama.cpp and vLLM all accept (max_completion_tokens is OpenAI-only).
+function _buildLocalRequest(modelName, geminiPayload, options = {}) {
+    const { systemText, turns, genConfig, wantsJson } = _readGeminiPayload(geminiPayload);
+
+    const messages = [];
+    const system = [systemText, wantsJson ? JSON_ONLY_INSTRUCTION : ''].filter(Boolean).join('\n\n');
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push(...turns);
+
+    const body = {
+        model:       resolveLocalModelName(modelName),
+        messages,
+        max_tokens:  _resolveMaxTokens(options),
+        temperature: genConfig.temperature ?? 0.3,
+        top_p:       genConfig.topP ?? 0.9,
+        stream:      false,
+    };
+    if (wantsJson) {
+        body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (LOCAL_LLM_API_KEY) headers.Authorization = `Bearer ${LOCAL_LLM_API_KEY}`;
+
+    return {
+        url:  `${LOCAL_LLM_BASE_URL}/chat/completions`,
+        headers,
+        body: JSON.stringify(body),
+    };
+}
+
+
+// V3.3: Validator schema → Gemini Schema (OpenAPI subset: upper-case types,
+// nullable instead of type arrays, no string/number bounds)
+function _toGeminiSchema(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(t => t && t !== 'null');
+    const out = {};
+    if (type) out.type = type.toUpperCase();
+    if (types.includes('null')) out.nullable = true;
+    if (schema.enum) out.enum = schema.enum;
+    if (schema.minItems !== undefined) out.minItems = schema.minItems;
+    if (schema.properties) {
+        out.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, _toGeminiSchema(value)])
+        );
+    }
+    if (schema.required) out.required = schema.required;
+    if (schema.items) out.items = _toGeminiSchema(schema.items);
+    return out;
+}
+
 
 // ============================================================
 // 4. RESPONSE PARSING
@@ -184,6 +390,11 @@ function _buildOpenAIRequest(modelName, geminiPayload, options = {}) {
 function parseLLMResponse(modelName, rawJson) {
     const provider = detectProvider(modelName);
     if (provider === 'openai') return _parseOpenAIResponse(modelName, rawJson);
+    if (provider === 'anthropic') return _parseAnthropicResponse(modelName, rawJson);
+    if (provider === 'local') {
+        const parsed = _parseOpenAIResponse(modelName, rawJson);
+        return { ...parsed, text: _stripCodeFence(parsed.text), provider: 'local' };
+    }
     return _parseGeminiResponse(modelName, rawJson);
 }
 
@@ -196,7 +407,18 @@ function _parseGeminiResponse(modelName, rawJson) {
     if (!content || !content.parts || content.parts.length === 0 || !content.parts[0].text) {
         throw new Error(`Model ${modelName} response missing content or text part.`);
     }
-    return { text: content.parts[0].text, finishReason: normalisedFinish, provider: 'gemini', raw: rawJson };
+    return { text: content.parts[0].text, finishReason: normalisedFinish, provider: 'gemini', usage: _geminiUsage(rawJson.usageMetadata), raw: rawJson };
+}
+
+// Thinking tokens are billed as output but reported separately
+function _geminiUsage(meta) {
+    if (!meta) return null;
+    const reasoningTokens = meta.thoughtsTokenCount || 0;
+    return {
+        inputTokens:  meta.promptTokenCount || 0,
+        outputTokens: (meta.candidatesTokenCount || 0) + reasoningTokens,
+        reasoningTokens,
+    };
 }
 
 function _normaliseGeminiFinishReason(reason) {
@@ -221,7 +443,17 @@ function _parseOpenAIResponse(modelName, rawJson) {
     if (!text || typeof text !== 'string') {
         throw new Error(`Model ${modelName} response missing message.content.`);
     }
-    return { text, finishReason: normalisedFinish, provider: 'openai', raw: rawJson };
+    return { text, finishReason: normalisedFinish, provider: 'openai', usage: _openAIUsage(rawJson.usage), raw: rawJson };
+}
+
+// completion_tokens already includes reasoning tokens
+function _openAIUsage(usage) {
+    if (!usage) return null;
+    return {
+        inputTokens:     usage.prompt_tokens || 0,
+        outputTokens:    usage.completion_tokens || 0,
+        reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+    };
 }
 
 function _normaliseOpenAIFinishReason(reason) {
@@ -233,6 +465,46 @@ function _normaliseOpenAIFinishReason(reason) {
     }
 }
 
+function _parseAnthropicResponse(modelName, rawJson) {
+    if (rawJson.type === 'error' || rawJson.error) {
+        throw new Error(`Anthropic API error: ${rawJson.error?.message || JSON.stringify(rawJson.error)}`);
+    }
+    const text = (rawJson.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    if (!text) throw new Error(`Model ${modelName} response missing text content.`);
+
+    const normalisedFinish = _normaliseAnthropicFinishReason(rawJson.stop_reason);
+    return { text: _stripCodeFence(text), finishReason: normalisedFinish, provider: 'anthropic', usage: _anthropicUsage(rawJson.usage), raw: rawJson };
+}
+
+// Cache reads/writes are input tokens too
+function _anthropicUsage(usage) {
+    if (!usage) return null;
+    return {
+        inputTokens:     (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
+        outputTokens:    usage.output_tokens || 0,
+        reasoningTokens: 0,
+    };
+}
+
+function _normaliseAnthropicFinishReason(reason) {
+    switch (reason) {
+        case 'end_turn':      return 'STOP';
+        case 'stop_sequence': return 'STOP';
+        case 'max_tokens':    return 'MAX_TOKENS';
+        case 'refusal':       return 'SAFETY';
+        default:              return reason || 'ERROR';
+    }
+}
+
+// Models without a JSON mode sometimes wrap the object in ```json ... ```
+function _stripCodeFence(text) {
+    const match = (text || '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return match ? match[1] : text;
+}
+
 
 // ============================================================
 // 5. HIGH-LEVEL CONVENIENCE: callLLM
@@ -245,6 +517,7 @@ async function callLLM({ modelName, geminiPayload, fetchFn, log, logPrefix, opti
     const response = await fetchFn(url, { method: 'POST', headers, body }, log, logPrefix);
     const rawJson  = await response.json();
     const parsed   = parseLLMResponse(modelName, rawJson);
+    recordUsage({ model: modelName, agent: options.agentType, usage: parsed.usage, costUsd: estimateLLMCost(modelName, parsed.usage) });
 
     if (parsed.finishReason !== 'STOP') {
         throw new Error(`Model ${modelName} failed: finishReason was ${parsed.finishReason}.`);
@@ -253,6 +526,122 @@ async function callLLM({ modelName, geminiPayload, fetchFn, log, logPrefix, opti
 }
 
 
+// ============================================================
+// 5b. STRUCTURED CALLS: VALIDATION + REPAIR (V3.3)
+// ============================================================
+
+/**
+ * Parses response text and validates it against the request's schema
+ * (or the top-level expectedShape when the agent has none).
+ * @returns {{ valid, data, errors, schemaErrors, corrections }}
+ */
+function validateStructuredText(text, options = {}, expectedShape = null) {
+    const invalid = (error) => ({ valid: false, data: null, errors: [error], schemaErrors: [error], corrections: [] });
+
+    let data;
+    try {
+        data = JSON.parse(_stripCodeFence((text || '').trim()).trim());
+    } catch (e) {
+        return invalid(`Response is not valid JSON: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return invalid('Response is not a JSON object.');
+    }
+
+    const schemaName = _schemaNameFor(options);
+    if (schemaName) {
+        const validation = validateLLMOutput(data, schemaName);
+        return {
+            valid:        validation.valid,
+            data:         validation.correctedOutput || data,
+            errors:       validation.errors,
+            schemaErrors: validation.schemaErrors,
+            corrections:  validation.corrections,
+        };
+    }
+
+    const errors = [];
+    for (const key in expectedShape || {}) {
+        if (!Object.prototype.hasOwnProperty.call(data, key)) errors.push(`Missing required field: ${key}`);
+        else if (Array.isArray(expectedShape[key]) && !Array.isArray(data[key])) errors.push(`Field '${key}': expected array`);
+    }
+    return { valid: errors.length === 0, data, errors, schemaErrors: errors, corrections: [] };
+}
+
+/**
+ * The original request plus the model's answer and a user turn listing what
+ * failed validation.
+ */
+function buildRepairPayload(geminiPayload, previousText, errors) {
+    const listed = errors.slice(0, MAX_REPAIR_ERRORS).map(e => `- ${e}`).join('\n');
+    const more = errors.length > MAX_REPAIR_ERRORS ? `\n- ...and ${errors.length - MAX_REPAIR_ERRORS} more` : '';
+    const repairText = `Your previous response failed validation:\n${listed}${more}\n` +
+        'Return the complete corrected JSON object with the same structure, changing only what is needed to fix these errors. Output ONLY the JSON.';
+
+    return {
+        ...geminiPayload,
+        contents: [
+            ...(geminiPayload.contents || []).map(c => ({ role: 'user', ...c })),
+            { role: 'model', parts: [{ text: previousText || '' }] },
+            { role: 'user', parts: [{ text: repairText }] },
+        ],
+    };
+}
+
+/**
+ * One model, one JSON answer: request → validate/auto-correct → (on schema
+ * failure) up to MAX_REPAIR_ATTEMPTS repair turns. An answer whose only
+ * errors are constraint errors (e.g. an unknown unit) is accepted with a
+ * warning and never repaired, since the repair result would be accepted
+ * either way; structural errors that survive repair throw so the caller can
+ * fall back to another model.
+ *
+ * @param {Object} params
+ * @param {function} params.fetchFn - (url, init, log, logPrefix) => Response (fetchLLMWithRetry)
+ * @param {Object} [params.options] - { agentType, schemaName, maxTokens }
+ * @param {Object} [params.expectedShape] - top-level keys, for agents without a schema
+ * @returns {Promise<Object>} validated (auto-corrected) JSON
+ */
+async function callStructured({ modelName, geminiPayload, fetchFn, log, logPrefix, options = {}, expectedShape = null, logCategory = 'LLM' }) {
+    let payload = geminiPayload;
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const { url, headers, body } = buildLLMRequest(modelName, payload, options);
+        const response = await fetchFn(url, { method: 'POST', headers, body }, log, logPrefix);
+        const rawJson = await response.json();
+        const { text, finishReason, usage } = parseLLMResponse(modelName, rawJson);
+        recordUsage({ model: modelName, agent: options.agentType, usage, costUsd: estimateLLMCost(modelName, usage) });
+
+        if (finishReason !== 'STOP') {
+            log(`${logPrefix}: Model ${modelName} failed with finishReason: ${finishReason}.`, 'WARN', logCategory, finishReason === 'MAX_TOKENS' ? undefined : { result: rawJson });
+            throw new Error(`Model ${modelName} failed: FinishReason was ${finishReason}.`);
+        }
+        log(`${logPrefix} Raw JSON Text`, 'DEBUG', logCategory, { raw: text.substring(0, 300) + '...' });
+
+        const check = validateStructuredText(text, options, expectedShape);
+        if (check.corrections.length > 0) {
+            log(`${logPrefix}: ${check.corrections.length} auto-correction(s) applied to ${modelName} output.`, 'INFO', 'LLM_VALIDATION', { corrections: check.corrections });
+        }
+        if (check.valid) {
+            log(`${logPrefix}: Model ${modelName} succeeded${attempt > 0 ? ' after repair' : ''}.`, 'SUCCESS', logCategory);
+            return check.data;
+        }
+
+        if (check.data && check.schemaErrors.length === 0) {
+            log(`${logPrefix}: ${modelName} output has ${check.errors.length} constraint issue(s); accepting it without repair.`, 'WARN', 'LLM_VALIDATION', { errors: check.errors.slice(0, MAX_REPAIR_ERRORS) });
+            return check.data;
+        }
+        if (attempt < MAX_REPAIR_ATTEMPTS) {
+            log(`${logPrefix}: ${modelName} output failed validation (${check.errors.length} error(s)). Sending repair prompt.`, 'WARN', 'LLM_VALIDATION', { errors: check.errors.slice(0, MAX_REPAIR_ERRORS) });
+            payload = buildRepairPayload(geminiPayload, text, check.errors);
+            continue;
+        }
+        log(`${logPrefix}: ${modelName} output failed validation after repair.`, 'CRITICAL', 'LLM_VALIDATION', { errors: check.errors.slice(0, MAX_REPAIR_ERRORS), raw: text.substring(0, 300) });
+        throw new Error(`Model ${modelName} failed: Invalid JSON response. ${check.errors.slice(0, 3).join('; ')}`);
+    }
+}
+
+
 // ============================================================
 // 6. FALLBACK ORCHESTRATOR
 // ============================================================
@@ -319,19 +708,7 @@ function _validateAndParseText(text, modelName, logPrefix, expectedShape, log) {
 
 
 // ============================================================
-// 8. CHEF-SPECIFIC VALIDATOR
-// ============================================================
-
-function validateChefRecipeShape(parsed) {
-    if (!parsed || typeof parsed.description !== 'string' ||
-        !Array.isArray(parsed.instructions) || parsed.instructions.length === 0) {
-        throw new Error("Invalid Chef JSON structure: 'description' (string) or 'instructions' (non-empty array) missing.");
-    }
-}
-
-
-// ============================================================
-// 9. EXPORTS
+// 8. EXPORTS
 // ============================================================
 
 module.exports = {
@@ -339,13 +716,21 @@ module.exports = {
     parseLLMResponse,
     detectProvider,
     isReasoningModel,
+    getFallbackModel,
+    estimateLLMCost,
     callLLM,
     callWithFallback,
-    validateChefRecipeShape,
+    callStructured,
+    validateStructuredText,
+    buildRepairPayload,
     PRIMARY_MODEL,
     FALLBACK_MODEL,
     SUPPORTED_MODELS,
+    MODEL_PRICING,
     DEFAULT_MAX_TOKENS,
+    AGENT_SCHEMAS,
     OPENAI_BASE_URL,
+    ANTHROPIC_BASE_URL,
+    LOCAL_LLM_BASE_URL,
     getGeminiApiUrl,
 };
\ No newline at end of file
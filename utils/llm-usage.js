@@ -0,0 +1,123 @@
+/**
+ * utils/llm-usage.js
+ *
+ * LLM Token & Cost Accounting for Cheffy
+ *
+ * PURPOSE:
+ * Collects the token usage of every LLM call made during one plan run (all
+ * agents, fallbacks and repair turns included) and summarises it per agent,
+ * per plan day and per model, with the cost from the llm-provider price table.
+ * The summary is sent as `llmUsage` in the plan:complete payload and counted
+ * in api/metrics.js.
+ *
+ * SUMMARY SHAPE:
+ *   { calls, inputTokens, outputTokens, totalTokens, costUsd, unpricedModels,
+ *     byAgent: { mealPlan: {calls, inputTokens, outputTokens, costUsd}, ... },
+ *     byDay:   [{ day, calls, inputTokens, outputTokens, costUsd }],
+ *     byModel: { [model]: {calls, inputTokens, outputTokens, costUsd} },
+ *     breakdown: [{ agent, model, calls, inputTokens, outputTokens, costUsd }] }
+ *   Plan-wide calls (grocery queries) have no day, so byDay sums to less than the total.
+ *
+ * ASSUMPTIONS:
+ * - Ledgers are scoped with AsyncLocalStorage (like utils/replay.js): concurrent
+ *   runs in one instance are counted separately, and calls made outside a
+ *   ledger are not recorded
+ * - costUsd is computed by the caller (llm-provider estimateLLMCost); null means
+ *   the model has no price entry and is listed in unpricedModels
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const ledgerStore = new AsyncLocalStorage();
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Runs `fn` with a fresh usage ledger (one per plan run).
+ */
+function withUsageLedger(fn) {
+    return ledgerStore.run({ calls: [], context: {} }, fn);
+}
+
+/**
+ * Runs `fn` with extra attribution for the calls it makes, e.g. { day: 3 }.
+ * Outside a ledger `fn` just runs.
+ */
+function withUsageContext(context, fn) {
+    const ledger = ledgerStore.getStore();
+    if (!ledger) return fn();
+    return ledgerStore.run({ calls: ledger.calls, context: { ...ledger.context, ...context } }, fn);
+}
+
+/**
+ * Records one LLM response.
+ * @param {{ model: string, agent: string, usage: { inputTokens, outputTokens }|null, costUsd: number|null }} call
+ */
+function recordUsage({ model, agent, usage, costUsd }) {
+    const ledger = ledgerStore.getStore();
+    if (!ledger || !usage) return;
+    ledger.calls.push({
+        model,
+        agent: agent || 'default',
+        day: ledger.context.day ?? null,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        costUsd,
+    });
+}
+
+const emptyBucket = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+function addToBucket(bucket, call) {
+    bucket.calls += 1;
+    bucket.inputTokens += call.inputTokens;
+    bucket.outputTokens += call.outputTokens;
+    bucket.costUsd = round6(bucket.costUsd + (call.costUsd || 0));
+}
+
+/**
+ * Summary of the current ledger (null outside a ledger).
+ */
+function summarizeUsage() {
+    const ledger = ledgerStore.getStore();
+    if (!ledger) return null;
+
+    const total = emptyBucket();
+    const byAgent = {};
+    const byDay = new Map();
+    const byModel = {};
+    const breakdown = new Map();
+    const unpriced = new Set();
+
+    for (const call of ledger.calls) {
+        addToBucket(total, call);
+        addToBucket(byAgent[call.agent] || (byAgent[call.agent] = emptyBucket()), call);
+        addToBucket(byModel[call.model] || (byModel[call.model] = emptyBucket()), call);
+        const pairKey = `${call.agent}|${call.model}`;
+        if (!breakdown.has(pairKey)) breakdown.set(pairKey, { agent: call.agent, model: call.model, ...emptyBucket() });
+        addToBucket(breakdown.get(pairKey), call);
+        if (call.day !== null) {
+            if (!byDay.has(call.day)) byDay.set(call.day, { day: call.day, ...emptyBucket() });
+            addToBucket(byDay.get(call.day), call);
+        }
+        if (call.costUsd === null || call.costUsd === undefined) unpriced.add(call.model);
+    }
+
+    return {
+        ...total,
+        totalTokens: total.inputTokens + total.outputTokens,
+        currency: 'USD',
+        unpricedModels: [...unpriced],
+        byAgent,
+        byDay: [...byDay.values()].sort((a, b) => a.day - b.day),
+        byModel,
+        breakdown: [...breakdown.values()],
+    };
+}
+
+module.exports = {
+    withUsageLedger,
+    withUsageContext,
+    recordUsage,
+    summarizeUsage,
+};
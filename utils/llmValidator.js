@@ -23,6 +23,9 @@
  * - LLM outputs are JavaScript objects (parsed JSON)
  * - Auto-corrections are safe and deterministic
  * - Unknown fields are allowed (lenient parsing)
+ * - The *_RESPONSE / CHEF_RECIPE_SCHEMA schemas describe whole agent responses;
+ *   utils/llm-provider.js sends them to providers with structured outputs and
+ *   validates every agent response against them
  */
 
 /**
@@ -140,7 +143,7 @@ const VALID_STATE_HINTS = ['dry', 'raw', 'cooked', 'as_pack', null, undefined, '
 const VALID_METHOD_HINTS = [
   'boiled', 'fried', 'baked', 'steamed', 'grilled', 'roasted', 
   'sauteed', 'sautéed', 'poached', 'braised', 'pan-fried', 
-  'stir-fried', 'deep-fried', null, undefined, ''
+  'stir-fried', 'deep-fried', 'pan_fried', null, undefined, ''
 ];
 
 /**
@@ -272,6 +275,71 @@ const SCHEMAS = {
   }
 };
 
+/**
+ * Agent response schemas (full nesting, no $ref, so they can be sent to providers).
+ * Meal 'type' stays a free string: the planner is asked for 'B'/'L'/'D'/'S1' codes
+ * or names and the UI shows it as given.
+ */
+SCHEMAS.MEAL_PLAN_RESPONSE = {
+  type: 'object',
+  required: ['meals'],
+  properties: {
+    meals: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'name', 'items'],
+        properties: {
+          type: { type: 'string', minLength: 1 },
+          name: { type: 'string', minLength: 1 },
+          items: { type: 'array', minItems: 1, items: SCHEMAS.ITEM_SCHEMA }
+        }
+      }
+    }
+  }
+};
+
+SCHEMAS.GROCERY_QUERIES_RESPONSE = {
+  type: 'object',
+  required: ['ingredients'],
+  properties: {
+    ingredients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['originalIngredient', ...SCHEMAS.GROCERY_QUERY_SCHEMA.required],
+        properties: {
+          originalIngredient: { type: 'string', minLength: 1 },
+          category: { type: ['string', 'null'] },
+          ...SCHEMAS.GROCERY_QUERY_SCHEMA.properties,
+          tightQuery: { type: ['string', 'null'] },
+          wideQuery: { type: ['string', 'null'] },
+          targetSize: {
+            type: ['object', 'null'],
+            required: ['value', 'unit'],
+            properties: {
+              value: { type: 'number', minimum: 0 },
+              unit: { type: 'string', enum: ['g', 'ml'] }
+            }
+          },
+          totalGramsRequired: { type: 'number', minimum: 0 },
+          quantityUnits: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+SCHEMAS.CHEF_RECIPE_SCHEMA = {
+  type: 'object',
+  required: ['description', 'instructions'],
+  properties: {
+    description: { type: 'string', minLength: 1 },
+    instructions: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
 /**
  * Validates a value against a simple type
  * 
@@ -400,6 +468,16 @@ function validateSchema(obj, schema) {
           errors.push(`Field '${field}': array must have at least ${fieldSchema.minItems} items`);
         }
       }
+
+      // Nested objects and array elements
+      if (fieldSchema.properties && validateType(value, 'object')) {
+        validateSchema(value, fieldSchema).forEach(err => errors.push(`${field}: ${err}`));
+      }
+      if (fieldSchema.items && Array.isArray(value)) {
+        value.forEach((element, index) => {
+          validateSchema(element, fieldSchema.items).forEach(err => errors.push(`${field}[${index}]: ${err}`));
+        });
+      }
     }
   }
   
@@ -487,7 +565,7 @@ function validateMethodHint(methodHint) {
   }
   
   const normalizedMethod = methodHint.toLowerCase().trim();
-  const validMethods = ['boiled', 'fried', 'baked', 'steamed', 'grilled', 'roasted', 'sauteed', 'poached', 'braised', 'pan-fried', 'stir-fried', 'deep-fried'];
+  const validMethods = ['boiled', 'fried', 'baked', 'steamed', 'grilled', 'roasted', 'sauteed', 'poached', 'braised', 'pan-fried', 'stir-fried', 'deep-fried', 'pan_fried'];
   
   if (!validMethods.includes(normalizedMethod)) {
     return { valid: false, error: `Invalid methodHint '${methodHint}', must be one of: ${validMethods.join(', ')}` };
@@ -692,7 +770,8 @@ function autocorrectMethodHint(item) {
   }
   
   const normalized = item.methodHint.toLowerCase().trim();
-  const validMethods = ['boiled', 'fried', 'baked', 'steamed', 'grilled', 'roasted', 'sauteed', 'poached', 'braised'];
+  // 'pan_fried' is the meal planner's own value (oil absorption in utils/transforms.js)
+  const validMethods = ['boiled', 'fried', 'baked', 'steamed', 'grilled', 'roasted', 'sauteed', 'poached', 'braised', 'pan_fried'];
   
   // Map common variations
   const methodMapping = {
@@ -854,18 +933,54 @@ function validateItemConstraints(item) {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Auto-corrects and constraint-checks every item of a meal
+ * (corrections and item errors are added to the validation result)
+ *
+ * @param {Object} meal - Meal with an items array
+ * @param {Object} result - validateLLMOutput result being built
+ * @returns {Object} Meal with corrected items
+ */
+function correctMealItems(meal, result) {
+  const correctedMeal = { ...meal };
+  if (!Array.isArray(meal.items)) return correctedMeal;
+
+  correctedMeal.items = [];
+  for (const item of meal.items) {
+    if (!item || typeof item !== 'object') {
+      correctedMeal.items.push(item);
+      continue;
+    }
+
+    // Apply auto-corrections
+    const { item: correctedItem, corrections } = applyItemAutocorrections(item);
+    result.corrections.push(...corrections);
+
+    // Validate constraints on corrected item
+    const constraintValidation = validateItemConstraints(correctedItem);
+    if (!constraintValidation.valid) {
+      result.errors.push(...constraintValidation.errors.map(e => `Item '${correctedItem.key}': ${e}`));
+    }
+
+    correctedMeal.items.push(correctedItem);
+  }
+  return correctedMeal;
+}
+
 /**
  * Main validation function
  * Validates LLM output against schema and constraints, applies auto-corrections
  * 
  * @param {*} output - Raw LLM output
  * @param {string} schemaName - Name of schema to validate against
- * @returns {Object} { valid: boolean, errors: Array, corrections: Array, correctedOutput: Object|null }
+ * @returns {Object} { valid: boolean, errors: Array, schemaErrors: Array, corrections: Array, correctedOutput: Object|null }
+ *   schemaErrors is the structural subset of errors (missing/mistyped fields)
  */
 function validateLLMOutput(output, schemaName) {
   const result = {
     valid: true,
     errors: [],
+    schemaErrors: [],
     corrections: [],
     correctedOutput: null
   };
@@ -882,6 +997,21 @@ function validateLLMOutput(output, schemaName) {
   if (output === null || output === undefined) {
     result.valid = false;
     result.errors.push('Output is null or undefined');
+    result.schemaErrors.push('Output is null or undefined');
+    return result;
+  }
+  
+  // Meal plan responses are corrected first: a string qty_value the
+  // corrections fix is not a schema error
+  if (schemaName === 'MEAL_PLAN_RESPONSE' && Array.isArray(output.meals)) {
+    const correctedOutput = {
+      ...output,
+      meals: output.meals.map(meal => (meal && typeof meal === 'object' ? correctMealItems(meal, result) : meal))
+    };
+    result.schemaErrors = validateSchema(correctedOutput, schema);
+    result.errors.unshift(...result.schemaErrors);
+    result.correctedOutput = correctedOutput;
+    result.valid = result.errors.length === 0;
     return result;
   }
   
@@ -890,6 +1020,7 @@ function validateLLMOutput(output, schemaName) {
   if (schemaErrors.length > 0) {
     result.valid = false;
     result.errors.push(...schemaErrors);
+    result.schemaErrors.push(...schemaErrors);
     // Continue to attempt corrections
   }
   
@@ -897,42 +1028,7 @@ function validateLLMOutput(output, schemaName) {
   let correctedOutput = output;
   
   if (schemaName === 'MEALS_ARRAY' && Array.isArray(output)) {
-    correctedOutput = [];
-    
-    for (const meal of output) {
-      if (!meal || typeof meal !== 'object') {
-        correctedOutput.push(meal);
-        continue;
-      }
-      
-      const correctedMeal = { ...meal };
-      
-      // Process items in meal
-      if (Array.isArray(meal.items)) {
-        correctedMeal.items = [];
-        
-        for (const item of meal.items) {
-          if (!item || typeof item !== 'object') {
-            correctedMeal.items.push(item);
-            continue;
-          }
-          
-          // Apply auto-corrections
-          const { item: correctedItem, corrections } = applyItemAutocorrections(item);
-          result.corrections.push(...corrections);
-          
-          // Validate constraints on corrected item
-          const constraintValidation = validateItemConstraints(correctedItem);
-          if (!constraintValidation.valid) {
-            result.errors.push(...constraintValidation.errors.map(e => `Item '${correctedItem.key}': ${e}`));
-          }
-          
-          correctedMeal.items.push(correctedItem);
-        }
-      }
-      
-      correctedOutput.push(correctedMeal);
-    }
+    correctedOutput = output.map(meal => (meal && typeof meal === 'object' ? correctMealItems(meal, result) : meal));
   } else if (schemaName === 'ITEM_SCHEMA' && typeof output === 'object') {
     const { item: correctedItem, corrections } = applyItemAutocorrections(output);
     result.corrections.push(...corrections);
@@ -944,28 +1040,7 @@ function validateLLMOutput(output, schemaName) {
     
     correctedOutput = correctedItem;
   } else if (schemaName === 'MEAL_SCHEMA' && typeof output === 'object') {
-    correctedOutput = { ...output };
-    
-    if (Array.isArray(output.items)) {
-      correctedOutput.items = [];
-      
-      for (const item of output.items) {
-        if (!item || typeof item !== 'object') {
-          correctedOutput.items.push(item);
-          continue;
-        }
-        
-        const { item: correctedItem, corrections } = applyItemAutocorrections(item);
-        result.corrections.push(...corrections);
-        
-        const constraintValidation = validateItemConstraints(correctedItem);
-        if (!constraintValidation.valid) {
-          result.errors.push(...constraintValidation.errors.map(e => `Item '${correctedItem.key}': ${e}`));
-        }
-        
-        correctedOutput.items.push(correctedItem);
-      }
-    }
+    correctedOutput = correctMealItems(output, result);
   }
   
   result.correctedOutput = correctedOutput;
@@ -0,0 +1,269 @@
+/**
+ * utils/macro-solver.js
+ *
+ * Constrained Day Solver ("Solver V1") for Cheffy
+ *
+ * PURPOSE:
+ * reconcileNonProtein() scales non-protein items by one factor to hit calories,
+ * so fat and carbs land wherever the recipe puts them (keto and low-fat plans
+ * missed their fat target by 30%+). This solver picks a quantity scale for
+ * EVERY item so the day hits calories, protein, fat and carbs within
+ * per-macro tolerance bands and a fiber minimum.
+ *
+ * METHOD:
+ * - Item macros are linear in quantity, so day totals are linear in the
+ *   per-item scales s_i (1 = quantity the LLM wrote)
+ * - Objective (convex): for each macro, a heavy penalty on the relative error
+ *   OUTSIDE its band plus a light pull toward the centre; a penalty for fiber
+ *   below the minimum (only when the items can reach it at all); a small
+ *   regulariser keeping s_i near 1 so meals still look like the recipe
+ * - Box constraints per item: INV-003 portion bounds (5g-1000g) intersected
+ *   with SCALE_BOUNDS, so no item drifts beyond 0.25x-3x of what the recipe wrote
+ * - Minimised by cyclic coordinate descent with an exact 1-D golden-section
+ *   search per item (each 1-D slice is convex)
+ *
+ * ASSUMPTIONS:
+ * - getItemMacros(item, mealItems) returns { p, f, c, kcal, fiber, grams } for
+ *   the item's CURRENT quantity (grams = portion used for INV-003, may be null)
+ * - Items with zero quantity are skipped; unknown grams keep SCALE_BOUNDS only
+ * - Quantities are rounded like the reconciler (g whole, ml to 5, min 1), so
+ *   callers must recompute totals and call computeResiduals() on the result
+ */
+
+const { INVARIANT_CONFIG } = require('./invariants');
+
+/**
+ * Allowed relative deviation per macro before the solver penalises it.
+ */
+const DEFAULT_TOLERANCES = {
+    calories: 0.05,
+    protein: 0.10,
+    fat: 0.15,
+    carbs: 0.15,
+};
+
+// Penalty weights: calories matter most, then protein
+const MACRO_WEIGHTS = { calories: 4, protein: 3, fat: 2, carbs: 2 };
+const FIBER_WEIGHT = 1;
+const FIBER_LINEAR_WEIGHT = 0.1; // Keeps pulling right up to the floor, where the squared term flattens out
+const CENTER_WEIGHT = 0.05;   // Pull toward the exact target inside the band
+const SCALE_REGULARISER = 0.002;
+
+// Relative quantity bounds per item (wider than INV-004's day factor: one item moves, not the whole day)
+const SCALE_BOUNDS = { min: 0.25, max: 3.0 };
+
+const FIBER_G_PER_1000_KCAL = 14;
+const MAX_SWEEPS = 200;
+const CONVERGENCE_EPS = 1e-3;
+const GOLDEN_ITERATIONS = 30;
+
+const MACRO_KEYS = ['calories', 'protein', 'fat', 'carbs'];
+
+/**
+ * Fiber floor for a target. Uses targets.fiber when set, otherwise 14g per
+ * 1000 kcal, capped at half the carb target so low-carb days stay feasible.
+ */
+function resolveFiberMinimum(targets) {
+    if (Number(targets?.fiber) > 0) return Number(targets.fiber);
+    const byCalories = (Number(targets?.calories) || 0) / 1000 * FIBER_G_PER_1000_KCAL;
+    const carbCap = Number(targets?.carbs) > 0 ? Number(targets.carbs) * 0.5 : byCalories;
+    return Math.round(Math.min(byCalories, carbCap));
+}
+
+/**
+ * Per-macro residuals of day totals against targets.
+ *
+ * @param {Object} totals - { calories, protein, fat, carbs, fiber }
+ * @param {Object} targets - { calories, protein, fat, carbs }
+ * @param {Object} [tolerances] - Relative bands, defaults to DEFAULT_TOLERANCES
+ * @param {number} [fiberMinG] - Defaults to resolveFiberMinimum(targets)
+ * @returns {Object} { calories: { target, actual, diff, pct, tolerancePct, within }, ..., fiber: { minimum, actual, diff, within }, allWithin }
+ */
+function computeResiduals(totals, targets, tolerances = DEFAULT_TOLERANCES, fiberMinG = resolveFiberMinimum(targets)) {
+    const residuals = {};
+    let allWithin = true;
+    for (const key of MACRO_KEYS) {
+        const target = Number(targets?.[key]) || 0;
+        const actual = Number(totals?.[key]) || 0;
+        const pct = target > 0 ? (actual - target) / target : 0;
+        const within = target <= 0 || Math.abs(pct) <= tolerances[key];
+        residuals[key] = {
+            target: Math.round(target),
+            actual: Math.round(actual),
+            diff: Math.round(actual - target),
+            pct: Math.round(pct * 1000) / 10,
+            tolerancePct: Math.round(tolerances[key] * 100),
+            within,
+        };
+        allWithin = allWithin && within;
+    }
+    const fiberActual = Number(totals?.fiber) || 0;
+    const fiberWithin = fiberActual >= fiberMinG;
+    residuals.fiber = {
+        minimum: fiberMinG,
+        actual: Math.round(fiberActual * 10) / 10,
+        diff: Math.round((fiberActual - fiberMinG) * 10) / 10,
+        within: fiberWithin,
+    };
+    residuals.allWithin = allWithin && fiberWithin;
+    return residuals;
+}
+
+/**
+ * Rounds a scaled quantity the same way reconcileNonProtein does.
+ */
+function roundQuantity(qty, unit) {
+    let newQty = unit === 'ml' ? Math.round(qty / 5) * 5 : Math.round(qty);
+    if (qty > 0 && newQty < 1) newQty = 1;
+    return newQty;
+}
+
+/**
+ * Solves item quantities for one day.
+ *
+ * @param {Object} params
+ * @param {Array} params.meals - Meals with items ({ key, qty_value, qty_unit, ... })
+ * @param {Object} params.targets - { calories, protein, fat, carbs, fiber? }
+ * @param {function} params.getItemMacros - (item, mealItems) => { p, f, c, kcal, fiber, grams }
+ * @param {Object} [params.tolerances] - Per-macro relative bands
+ * @param {number} [params.fiberMinG] - Fiber floor in grams
+ * @param {function} [params.log] - Logger
+ * @returns {{ adjusted: boolean, converged: boolean, sweeps: number, meals: Array, predicted: Object }}
+ */
+function solveDayMacros({ meals, targets, getItemMacros, tolerances = DEFAULT_TOLERANCES, fiberMinG, log = () => {} }) {
+    const fiberMin = fiberMinG ?? resolveFiberMinimum(targets);
+    const { minGrams, maxGrams } = INVARIANT_CONFIG.portionBounds;
+    const { min: minScale, max: maxScale } = SCALE_BOUNDS;
+
+    // 1. Linearise: per-item contribution at scale 1, plus its allowed scale range
+    const vars = [];
+    for (const meal of meals) {
+        for (const item of (meal.items || [])) {
+            const qty = Number(item.qty_value) || 0;
+            if (qty <= 0) continue;
+            const mm = getItemMacros(item, meal.items);
+            if (!mm || !(mm.kcal > 0)) continue;
+            const grams = Number(mm.grams) || 0;
+            let lo = minScale;
+            let hi = maxScale;
+            if (grams > 0) {
+                // Already outside INV-003 (e.g. 2g of salt): leave untouched
+                if (grams < minGrams || grams > maxGrams) { lo = 1; hi = 1; }
+                else {
+                    lo = Math.max(lo, minGrams / grams);
+                    hi = Math.min(hi, maxGrams / grams);
+                }
+            }
+            vars.push({
+                item,
+                coeffs: { calories: mm.kcal, protein: mm.p, fat: mm.f, carbs: mm.c, fiber: Number(mm.fiber) || 0 },
+                lo,
+                hi,
+                s: 1,
+            });
+        }
+    }
+
+    if (vars.length === 0 || !(targets?.calories > 0)) {
+        return { adjusted: false, converged: false, sweeps: 0, meals, predicted: null };
+    }
+
+    // A floor the items can't reach even at their upper bounds is left out of the
+    // objective: chasing it only maxes out every fiber source and drags macros
+    // off target, and the day misses it anyway (computeResiduals still reports it)
+    const fiberReachable = vars.reduce((sum, v) => sum + v.coeffs.fiber * v.hi, 0);
+    const fiberFloor = fiberReachable >= fiberMin ? fiberMin : 0;
+    if (fiberMin > 0 && fiberFloor === 0) {
+        log(`[SOLVER_V1] Fiber floor ${fiberMin}g is out of reach (max ${Math.round(fiberReachable)}g); solving macros only.`, 'INFO', 'SOLVER');
+    }
+
+    const totals = { calories: 0, protein: 0, fat: 0, carbs: 0, fiber: 0 };
+    for (const v of vars) {
+        for (const key in totals) totals[key] += v.coeffs[key] * v.s;
+    }
+
+    const objective = (t, regulariser) => {
+        let value = regulariser;
+        for (const key of MACRO_KEYS) {
+            const target = Number(targets[key]) || 0;
+            if (target <= 0) continue;
+            const r = (t[key] - target) / target;
+            const outside = Math.max(0, Math.abs(r) - tolerances[key]);
+            value += MACRO_WEIGHTS[key] * (outside * outside + CENTER_WEIGHT * r * r);
+        }
+        if (fiberFloor > 0) {
+            const short = Math.max(0, (fiberFloor - t.fiber) / fiberFloor);
+            value += FIBER_WEIGHT * short * short + FIBER_LINEAR_WEIGHT * short;
+        }
+        return value;
+    };
+
+    // 2. Cyclic coordinate descent
+    const trial = { calories: 0, protein: 0, fat: 0, carbs: 0, fiber: 0 };
+    const evaluateAt = (v, s) => {
+        for (const key in totals) trial[key] = totals[key] + v.coeffs[key] * (s - v.s);
+        return objective(trial, SCALE_REGULARISER * (s - 1) * (s - 1));
+    };
+
+    const GOLDEN = (Math.sqrt(5) - 1) / 2;
+    let sweeps = 0;
+    let converged = false;
+    while (sweeps < MAX_SWEEPS) {
+        sweeps++;
+        let maxStep = 0;
+        for (const v of vars) {
+            if (v.hi - v.lo < 1e-9) continue;
+            let a = v.lo, b = v.hi;
+            let x1 = b - GOLDEN * (b - a), x2 = a + GOLDEN * (b - a);
+            let f1 = evaluateAt(v, x1), f2 = evaluateAt(v, x2);
+            for (let i = 0; i < GOLDEN_ITERATIONS; i++) {
+                if (f1 < f2) {
+                    b = x2; x2 = x1; f2 = f1;
+                    x1 = b - GOLDEN * (b - a); f1 = evaluateAt(v, x1);
+                } else {
+                    a = x1; x1 = x2; f1 = f2;
+                    x2 = a + GOLDEN * (b - a); f2 = evaluateAt(v, x2);
+                }
+            }
+            const next = (a + b) / 2;
+            for (const key in totals) totals[key] += v.coeffs[key] * (next - v.s);
+            maxStep = Math.max(maxStep, Math.abs(next - v.s));
+            v.s = next;
+        }
+        if (maxStep < CONVERGENCE_EPS) {
+            converged = true;
+            break;
+        }
+    }
+
+    // 3. Write back rounded quantities
+    const scales = new Map(vars.map(v => [v.item, v.s]));
+    let adjusted = false;
+    const outMeals = meals.map(meal => ({
+        ...meal,
+        items: (meal.items || []).map(item => {
+            const s = scales.get(item);
+            if (s === undefined || Math.abs(s - 1) < 0.005) return item;
+            const newQty = roundQuantity(item.qty_value * s, item.qty_unit);
+            if (newQty === item.qty_value) return item;
+            adjusted = true;
+            return { ...item, qty_value: newQty, qty: newQty };
+        }),
+    }));
+
+    log(`[SOLVER_V1] ${converged ? 'Converged' : 'Stopped'} after ${sweeps} sweeps over ${vars.length} items.`, 'INFO', 'SOLVER', {
+        predicted: Object.fromEntries(Object.entries(totals).map(([k, val]) => [k, Math.round(val)])),
+        fiberMinG: fiberMin,
+        fiberFloorReachable: fiberFloor > 0,
+    });
+
+    return { adjusted, converged, sweeps, meals: outMeals, predicted: totals };
+}
+
+module.exports = {
+    DEFAULT_TOLERANCES,
+    SCALE_BOUNDS,
+    resolveFiberMinimum,
+    computeResiduals,
+    solveDayMacros,
+};
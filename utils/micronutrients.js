@@ -0,0 +1,111 @@
+/**
+ * utils/micronutrients.js
+ *
+ * Micronutrient Fields for the Cheffy Nutrition Pipeline
+ *
+ * PURPOSE:
+ * Lookups used to carry only kcal/protein/fat/carbs/fiber. This module is the
+ * single list of extra nutrients tracked end to end:
+ *   - raw data (Data/CanonicalNutrition, hot path) uses the plain key, e.g. `sodium_mg`
+ *   - the built canon (api/_canon.js) stores `${key}_per_100g`
+ *   - lookupIngredientNutrition() output carries the plain key (per 100g)
+ *   - computeDetailedItemMacros() scales them to the item's grams and
+ *     calculateTotals() sums them into day totals (`totals.micros`)
+ *
+ * ASSUMPTIONS:
+ * - Missing data is `null` (unknown), never 0 — fallback nutrition and many
+ *   canon rows have no micronutrients
+ * - Day totals therefore carry `coverage`: the share of items with data, so
+ *   a sodium total at 60% coverage is a lower bound
+ */
+
+const MICRONUTRIENTS = [
+    { key: 'sodium_mg', label: 'Sodium', unit: 'mg' },
+    { key: 'sugar_g', label: 'Sugar', unit: 'g' },
+    { key: 'saturated_fat_g', label: 'Saturated Fat', unit: 'g' },
+    { key: 'iron_mg', label: 'Iron', unit: 'mg' },
+    { key: 'calcium_mg', label: 'Calcium', unit: 'mg' },
+    { key: 'potassium_mg', label: 'Potassium', unit: 'mg' },
+    { key: 'vitamin_c_mg', label: 'Vitamin C', unit: 'mg' },
+];
+
+const MICRONUTRIENT_KEYS = MICRONUTRIENTS.map(m => m.key);
+
+const toNullableNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Reads every micronutrient from a source object.
+ * @param {Object} source - Raw row, canon row or lookup output
+ * @param {string} [suffix] - '_per_100g' for canon rows
+ * @returns {Object} { sodium_mg, sugar_g, ... } with null for unknown values
+ */
+function pickMicros(source, suffix = '') {
+    const micros = {};
+    for (const key of MICRONUTRIENT_KEYS) {
+        micros[key] = toNullableNumber(source ? source[`${key}${suffix}`] : null);
+    }
+    return micros;
+}
+
+/**
+ * Scales per-100g micronutrients to an item weight.
+ * @returns {Object|null} null when the source has no micronutrient data at all
+ */
+function scaleMicros(per100, grams) {
+    const base = pickMicros(per100);
+    if (MICRONUTRIENT_KEYS.every(key => base[key] === null)) return null;
+    const scaled = {};
+    for (const key of MICRONUTRIENT_KEYS) {
+        scaled[key] = base[key] === null ? null : (base[key] / 100) * grams;
+    }
+    return scaled;
+}
+
+/**
+ * Empty accumulator for addMicros().
+ */
+function createMicroTotals() {
+    const totals = { itemsWithData: 0, items: 0 };
+    for (const key of MICRONUTRIENT_KEYS) totals[key] = 0;
+    return totals;
+}
+
+/**
+ * Adds one item's scaled micronutrients (or null) to an accumulator. Mutates totals.
+ */
+function addMicros(totals, micros) {
+    totals.items++;
+    if (!micros) return totals;
+    totals.itemsWithData++;
+    for (const key of MICRONUTRIENT_KEYS) {
+        if (micros[key] !== null) totals[key] += micros[key];
+    }
+    return totals;
+}
+
+/**
+ * Turns an accumulator into the response shape: rounded values + coverage (0-1).
+ */
+function finalizeMicroTotals(totals) {
+    if (!totals) return null;
+    const out = {};
+    for (const key of MICRONUTRIENT_KEYS) {
+        out[key] = Math.round(totals[key] * 10) / 10;
+    }
+    out.coverage = totals.items > 0 ? Math.round((totals.itemsWithData / totals.items) * 100) / 100 : 0;
+    return out;
+}
+
+module.exports = {
+    MICRONUTRIENTS,
+    MICRONUTRIENT_KEYS,
+    pickMicros,
+    scaleMicros,
+    createMicroTotals,
+    addMicros,
+    finalizeMicroTotals,
+};
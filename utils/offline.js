@@ -0,0 +1,153 @@
+/**
+ * utils/offline.js
+ *
+ * Offline Fixture Mode for Cheffy
+ *
+ * PURPOSE:
+ * Runs the whole plan pipeline (generate-full-plan, day, regenerate, status)
+ * without LLM keys, RapidAPI or Upstash, so bug reports can be reproduced and
+ * end-to-end runs don't burn credits or need the network:
+ *   - LLM calls are served from recorded responses keyed by a hash of the
+ *     request (model endpoint + prompt payload)
+ *   - price searches use the recorded catalogue (utils/stores/fixture.js)
+ *     behind every store id
+ *   - KV is an in-memory store shared by all modules in the process
+ *   - external nutrition APIs are skipped (hot path / canon / fallback only)
+ *
+ * ENV:
+ *   CHEFFY_OFFLINE=1        replay from fixtures
+ *   CHEFFY_OFFLINE=record   same, but LLM calls go live and each response is
+ *                           written as a fixture (needs the real LLM keys)
+ *   CHEFFY_LLM_FIXTURES     fixture directory (default data/llm-fixtures)
+ *   CHEFFY_STORE_FIXTURES   product catalogue (default data/store-fixtures.json)
+ *
+ * ASSUMPTIONS:
+ * - Prompts are deterministic for a given request body; a changed prompt is
+ *   a new hash and needs re-recording
+ * - A missing LLM fixture answers 404, which fetchLLMWithRetry treats as
+ *   non-retryable, so the run fails fast and the log names the hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LLM_FIXTURE_DIR = path.join(__dirname, '../data/llm-fixtures');
+
+const offlineSetting = () => String(process.env.CHEFFY_OFFLINE || '').toLowerCase();
+
+/**
+ * True in replay and record mode.
+ */
+function isOfflineMode() {
+    const setting = offlineSetting();
+    return setting !== '' && setting !== '0' && setting !== 'false';
+}
+
+function isRecordMode() {
+    return offlineSetting() === 'record';
+}
+
+const llmFixtureDir = () => process.env.CHEFFY_LLM_FIXTURES || DEFAULT_LLM_FIXTURE_DIR;
+
+/**
+ * Fixture key for an LLM request. The query string (Gemini API key) and
+ * headers are left out so fixtures don't depend on credentials.
+ */
+function hashLlmRequest(url, body) {
+    const endpoint = String(url || '').split('?')[0];
+    return crypto.createHash('sha256').update(`${endpoint}\n${body || ''}`).digest('hex').slice(0, 24);
+}
+
+const jsonResponse = (status, payload) => new Response(
+    typeof payload === 'string' ? payload : JSON.stringify(payload),
+    { status, headers: { 'Content-Type': 'application/json' } }
+);
+
+/**
+ * Wraps the fetch used for LLM calls. Outside offline mode it is returned as is.
+ * @param {function} fetchImpl - node-fetch / global fetch
+ * @returns {function} (url, options) => Promise<Response>
+ */
+function createLlmFetch(fetchImpl) {
+    if (!isOfflineMode()) return fetchImpl;
+
+    return async (url, options = {}) => {
+        const hash = hashLlmRequest(url, options.body);
+        const fixturePath = path.join(llmFixtureDir(), `${hash}.json`);
+
+        if (isRecordMode()) {
+            const response = await fetchImpl(url, options);
+            const rawText = await response.text();
+            if (response.ok) {
+                fs.mkdirSync(llmFixtureDir(), { recursive: true });
+                const fixture = {
+                    _meta: { hash, endpoint: String(url).split('?')[0], recordedAt: new Date().toISOString() },
+                    response: JSON.parse(rawText)
+                };
+                fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+            }
+            return jsonResponse(response.status, rawText);
+        }
+
+        if (!fs.existsSync(fixturePath)) {
+            return jsonResponse(404, { error: { message: `No offline LLM fixture ${hash} (${fixturePath}). Record it with CHEFFY_OFFLINE=record.` } });
+        }
+        const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        return jsonResponse(200, fixture.response);
+    };
+}
+
+// --- In-memory KV ---
+// Implements the subset of the @vercel/kv client the API uses. Values go
+// through JSON like the real client, so callers can't share references.
+const memoryStore = new Map(); // Map<key, { json, expiresAt }>
+
+const memoryKv = {
+    async get(key) {
+        const entry = memoryStore.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            memoryStore.delete(key);
+            return null;
+        }
+        return JSON.parse(entry.json);
+    },
+    async set(key, value, options = {}) {
+        const ttlMs = options.px || (options.ex ? options.ex * 1000 : null);
+        memoryStore.set(key, { json: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+        return 'OK';
+    },
+    async del(...keys) {
+        return keys.reduce((count, key) => count + (memoryStore.delete(key) ? 1 : 0), 0);
+    },
+    async ping() {
+        return 'PONG';
+    }
+};
+
+/**
+ * The KV client for a module: the shared in-memory store offline, otherwise
+ * an @vercel/kv client for the given config.
+ */
+function createKvClient(config) {
+    if (isOfflineMode()) return memoryKv;
+    const { createClient } = require('@vercel/kv');
+    return createClient(config);
+}
+
+/**
+ * Whether KV can be used (credentials present, or offline).
+ */
+function isKvConfigured() {
+    return isOfflineMode() || !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+module.exports = {
+    isOfflineMode,
+    isRecordMode,
+    hashLlmRequest,
+    createLlmFetch,
+    createKvClient,
+    isKvConfigured,
+};
@@ -0,0 +1,154 @@
+/**
+ * utils/pantry.js
+ *
+ * Pantry Inventory for Cheffy
+ *
+ * PURPOSE:
+ * Users record what they already have at home (key, quantity, unit, expiry).
+ * During Phase 2 aggregation the orchestrator subtracts this stock from each
+ * ingredient's requested_total_g, so only the shortfall is sent to the market
+ * run and fully-covered ingredients are skipped entirely.
+ *
+ * PANTRY ENTRY SHAPE (request body `pantry: [...]`):
+ *   { key: "rolled oats", quantity: 500, unit: "g", expiry: "2025-12-31" | null }
+ *
+ * ASSUMPTIONS:
+ * - Keys are normalized through normalizeKey (same as aggregation)
+ * - Quantities are normalized through normalizeToGramsOrMl (same as aggregation),
+ *   so "2 eggs" in the pantry and "2 eggs" in a meal resolve to the same grams
+ * - Expired entries (expiry before today) are ignored
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { normalizeToGramsOrMl } = require('./transforms.js');
+
+const PANTRY_SOURCE = 'pantry';
+
+/**
+ * Returns true when the entry's expiry date is before the start of `now`'s day.
+ * Entries without a (parseable) expiry never expire.
+ */
+function isExpired(expiry, now = new Date()) {
+    if (!expiry) return false;
+    const expiryDate = new Date(expiry);
+    if (isNaN(expiryDate.getTime())) return false;
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    return expiryDate < today;
+}
+
+/**
+ * Normalizes raw pantry entries into a Map<normalizedKey, { normalizedKey, key, have_g, expiry }>.
+ * Entries sharing a normalized key are summed; the earliest expiry is kept.
+ *
+ * @param {Array} pantryItems - Raw entries from the request body
+ * @param {Function} log - Logger function
+ * @param {Date} now - Reference date for expiry checks
+ * @returns {Map<string, Object>}
+ */
+function normalizePantry(pantryItems, log, now = new Date()) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const pantryMap = new Map();
+    if (!Array.isArray(pantryItems)) return pantryMap;
+
+    for (const entry of pantryItems) {
+        if (!entry || typeof entry.key !== 'string' || !entry.key.trim()) continue;
+
+        const quantity = parseFloat(entry.quantity);
+        if (isNaN(quantity) || quantity <= 0) {
+            safeLog(`[Pantry] Ignoring "${entry.key}": invalid quantity.`, 'WARN', 'PANTRY', entry);
+            continue;
+        }
+        if (isExpired(entry.expiry, now)) {
+            safeLog(`[Pantry] Ignoring "${entry.key}": expired on ${entry.expiry}.`, 'INFO', 'PANTRY');
+            continue;
+        }
+
+        const { value: grams } = normalizeToGramsOrMl({
+            key: entry.key,
+            qty_value: quantity,
+            qty_unit: typeof entry.unit === 'string' && entry.unit.trim() ? entry.unit : 'g'
+        }, () => {});
+        if (!grams || grams <= 0) continue;
+
+        const normalizedKey = normalizeKey(entry.key);
+        const existing = pantryMap.get(normalizedKey);
+        if (existing) {
+            existing.have_g += grams;
+            if (entry.expiry && (!existing.expiry || new Date(entry.expiry) < new Date(existing.expiry))) {
+                existing.expiry = entry.expiry;
+            }
+        } else {
+            pantryMap.set(normalizedKey, {
+                normalizedKey,
+                key: entry.key,
+                have_g: grams,
+                expiry: entry.expiry || null
+            });
+        }
+    }
+    return pantryMap;
+}
+
+/**
+ * Subtracts pantry stock from the aggregated ingredients (mutates them in place).
+ * Each ingredient gains:
+ *   - gross_total_g:  what the plan needs in total
+ *   - pantry_have_g:  how much of that the pantry covers
+ *   - requested_total_g: reduced to the amount still to buy
+ *   - pantryCovered:  true when nothing needs to be bought
+ *
+ * @returns {{ toBuy: Array, covered: Array }}
+ */
+function applyPantryStock(aggregatedIngredients, pantryMap, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const toBuy = [];
+    const covered = [];
+
+    for (const item of aggregatedIngredients) {
+        const stock = pantryMap ? pantryMap.get(item.normalizedKey) : null;
+        const needed = item.gross_total_g ?? item.requested_total_g;
+        const have = stock ? Math.min(stock.have_g, needed) : 0;
+
+        item.gross_total_g = needed;
+        item.pantry_have_g = have;
+        item.requested_total_g = Math.max(0, needed - have);
+        item.pantryCovered = needed > 0 && item.requested_total_g <= 0;
+
+        if (item.pantryCovered) {
+            covered.push(item);
+        } else {
+            toBuy.push(item);
+        }
+    }
+
+    if (pantryMap && pantryMap.size > 0) {
+        safeLog(`[Pantry] ${covered.length} ingredients fully covered, ${toBuy.filter(i => i.pantry_have_g > 0).length} partially covered.`, 'INFO', 'PANTRY', {
+            covered: covered.map(i => i.normalizedKey)
+        });
+    }
+    return { toBuy, covered };
+}
+
+/**
+ * Builds the shopping-list result entry for an ingredient the pantry fully covers.
+ * Uses a non-'discovery' source so it never counts towards totalCost.
+ */
+function buildPantryResult(item) {
+    const { dayRefs, ...rest } = item; // dayRefs is a Set; callers attach the array form
+    return {
+        ...rest,
+        source: PANTRY_SOURCE,
+        category: PANTRY_SOURCE,
+        allProducts: [],
+        currentSelectionURL: null
+    };
+}
+
+module.exports = {
+    PANTRY_SOURCE,
+    isExpired,
+    normalizePantry,
+    applyPantryStock,
+    buildPantryResult,
+};
@@ -0,0 +1,207 @@
+/**
+ * utils/price-history.js
+ *
+ * Price History & Good-Deal Detection for Cheffy
+ *
+ * PURPOSE:
+ * Price searches are cached for 3 hours and then forgotten. Every market run
+ * now appends one observation per product to a KV history, and products whose
+ * current price is well below their rolling median are flagged as specials
+ * (`product.deal`), shown in ProductCard and the shopping list.
+ *
+ * KV LAYOUT:
+ *   price-history:v1:<store>:<productId>  { store, productId, name, size, observations: [{ date, price, unitPrice }] }
+ *   price-history:v1:specials:<store>     { updatedAt, items: { [productId]: special } }  (current specials per store)
+ *
+ * DEAL RULE:
+ *   Median price over the last ROLLING_WINDOW_DAYS (earlier days only), at
+ *   least MIN_OBSERVATION_DAYS distinct days of history, and today's price at
+ *   least DEAL_THRESHOLD below it.
+ *
+ * ASSUMPTIONS:
+ * - Product id is the barcode, else the product URL, else name + size
+ * - One observation per product per day (a later run the same day replaces it)
+ * - History is best-effort and runs on the market hot path: reads go through
+ *   price-search's kvGetSafe (timeout + circuit breaker), writes and the
+ *   specials update are fire-and-forget. KV failures never fail or stall the plan
+ */
+
+const { isKvConfigured } = require('./offline');
+const { replayable } = require('./replay');
+const { productIdFor } = require('./product-id');
+const { mapLimited } = require('./concurrency');
+const { kvGetSafe, kvSetAsync } = require('../api/price-search');
+
+const KEY_PREFIX = 'price-history:v1';
+const MAX_OBSERVATIONS = 120;
+const HISTORY_TTL_MS = 1000 * 60 * 60 * 24 * 180; // 180 days
+const ROLLING_WINDOW_DAYS = 56;
+const MIN_OBSERVATION_DAYS = 3;
+const DEAL_THRESHOLD = 0.15; // 15% below the median
+const SPECIALS_MAX_AGE_DAYS = 7;
+const MAX_PRODUCTS_PER_RUN = 200;
+const KV_CONCURRENCY = 10;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const round2 = (n) => Math.round(n * 100) / 100;
+const todayIso = () => new Date().toISOString().slice(0, 10);
+const daysBetween = (fromIso, toIso) => Math.round((Date.parse(toIso) - Date.parse(fromIso)) / DAY_MS);
+
+const historyKey = (store, productId) => `${KEY_PREFIX}:${String(store).toLowerCase()}:${productId}`;
+const specialsKey = (store) => `${KEY_PREFIX}:specials:${String(store).toLowerCase()}`;
+
+const noopLog = () => {};
+
+async function kvGet(key, log = noopLog) {
+    if (!isKvConfigured()) return null;
+    return replayable('kv', key, () => kvGetSafe(key, log));
+}
+
+function kvSet(key, value, ttlMs, log = noopLog) {
+    if (!isKvConfigured()) return;
+    kvSetAsync(key, value, { px: ttlMs }, log);
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Compares a price with the product's history.
+ * @returns {{ isGoodDeal: boolean, median: number|null, discountPct: number|null, observationDays: number }}
+ */
+function evaluateDeal(history, price, date = todayIso()) {
+    const window = (history?.observations || []).filter(obs => {
+        const age = daysBetween(obs.date, date);
+        return age > 0 && age <= ROLLING_WINDOW_DAYS && obs.price > 0;
+    });
+    if (window.length < MIN_OBSERVATION_DAYS || !(price > 0)) {
+        return { isGoodDeal: false, median: null, discountPct: null, observationDays: window.length };
+    }
+    const medianPrice = median(window.map(obs => obs.price));
+    const discountPct = (medianPrice - price) / medianPrice;
+    return {
+        isGoodDeal: discountPct >= DEAL_THRESHOLD,
+        median: round2(medianPrice),
+        discountPct: Math.round(discountPct * 1000) / 10,
+        observationDays: window.length
+    };
+}
+
+function appendObservation(history, store, productId, product, date) {
+    const observations = (history?.observations || []).filter(obs => obs.date !== date);
+    observations.push({ date, price: product.price, unitPrice: product.unit_price_per_100 ?? null });
+    return {
+        store,
+        productId,
+        name: product.name,
+        size: product.size || null,
+        observations: observations.slice(-MAX_OBSERVATIONS)
+    };
+}
+
+/**
+ * Flags specials on market results and records today's prices.
+ * Sets `product.deal` on good-deal products in each result's allProducts.
+ *
+ * @param {Map|Array} results - market results (fullResultsMap values)
+ * @param {string} defaultStore - store for results without their own `store`
+ * @param {function} log - Logger
+ * @returns {Promise<{ observed: number, deals: number }>}
+ */
+async function trackPrices(results, defaultStore, log) {
+    if (!isKvConfigured()) return { observed: 0, deals: 0 };
+    const date = todayIso();
+
+    // Selected products first, so they're kept if the run is over the cap
+    const seen = new Set();
+    const entries = [];
+    for (const result of (results instanceof Map ? results.values() : results)) {
+        if (result?.source !== 'discovery') continue;
+        const store = result.store || defaultStore;
+        const products = (result.allProducts || []).slice()
+            .sort((a, b) => (b?.url === result.currentSelectionURL) - (a?.url === result.currentSelectionURL));
+        for (const product of products) {
+            const productId = productIdFor(product);
+            if (!productId || !(product.price > 0) || seen.has(`${store}|${productId}`)) continue;
+            seen.add(`${store}|${productId}`);
+            entries.push({ store, productId, product });
+        }
+    }
+    const tracked = entries.slice(0, MAX_PRODUCTS_PER_RUN);
+
+    // Only the history reads are awaited (they decide product.deal); writes don't block the run
+    const specialsByStore = {};
+    let deals = 0;
+    await mapLimited(tracked, KV_CONCURRENCY, async ({ store, productId, product }) => {
+        const key = historyKey(store, productId);
+        const history = await kvGet(key, log);
+        const deal = evaluateDeal(history, product.price, date);
+        if (deal.isGoodDeal) {
+            deals++;
+            product.deal = { median: deal.median, discountPct: deal.discountPct, observationDays: deal.observationDays };
+        }
+        (specialsByStore[store] = specialsByStore[store] || []).push({ productId, product, deal });
+        kvSet(key, appendObservation(history, store, productId, product, date), HISTORY_TTL_MS, log);
+    });
+
+    for (const [store, observed] of Object.entries(specialsByStore)) {
+        updateSpecials(store, observed, date, log).catch(() => { /* best-effort */ });
+    }
+    log(`[PriceHistory] Recorded ${tracked.length} prices, ${deals} on special.`, 'INFO', 'PRICE_HISTORY');
+    return { observed: tracked.length, deals };
+}
+
+/**
+ * Read-modify-write of the store's specials list. Runs in the background of trackPrices.
+ */
+async function updateSpecials(store, observed, date, log) {
+    const current = (await kvGet(specialsKey(store), log)) || { items: {} };
+    const items = { ...current.items };
+    for (const { productId, product, deal } of observed) {
+        if (deal.isGoodDeal) {
+            items[productId] = { productId, name: product.name, size: product.size || null, price: product.price, url: product.url || null, median: deal.median, discountPct: deal.discountPct, date };
+        } else {
+            delete items[productId];
+        }
+    }
+    for (const [productId, special] of Object.entries(items)) {
+        if (daysBetween(special.date, date) > SPECIALS_MAX_AGE_DAYS) delete items[productId];
+    }
+    kvSet(specialsKey(store), { updatedAt: date, items }, HISTORY_TTL_MS, log);
+}
+
+/**
+ * Price history for one product.
+ * @returns {Promise<Object|null>} stored history plus `deal` for the latest price
+ */
+async function getPriceHistory(store, productId) {
+    const history = await kvGet(historyKey(store, productId));
+    if (!history) return null;
+    const latest = history.observations[history.observations.length - 1];
+    return { ...history, deal: latest ? evaluateDeal(history, latest.price, latest.date) : null };
+}
+
+/**
+ * Current specials for a store, biggest discount first.
+ */
+async function getSpecials(store) {
+    const current = await kvGet(specialsKey(store));
+    const date = todayIso();
+    return Object.values(current?.items || {})
+        .filter(special => daysBetween(special.date, date) <= SPECIALS_MAX_AGE_DAYS)
+        .sort((a, b) => b.discountPct - a.discountPct);
+}
+
+module.exports = {
+    DEAL_THRESHOLD,
+    ROLLING_WINDOW_DAYS,
+    MIN_OBSERVATION_DAYS,
+    productIdFor,
+    evaluateDeal,
+    trackPrices,
+    getPriceHistory,
+    getSpecials,
+};
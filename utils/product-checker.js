@@ -11,6 +11,14 @@
  * 2. Graduated scoring (0–1) instead of binary 1.0/0
  * 3. Token-overlap scoring so "Woolworths Cheddar Cheese Block" beats
  *    "Chicken Burgers Zucchini & Cheddar Cheese"
+ * 4. Allergen hard-fail — products whose names indicate an allergen in
+ *    ingredientData.excludedAllergens never pass
+ * 5. Learned substitution feedback (ingredientData.learnedPreferences, see
+ *    utils/substitution-feedback.js, scored by utils/feedback-scoring.js) boosts
+ *    preferred and penalises rejected products
+ * 6. User product rules (ingredientData.productRules, see utils/product-rules.js):
+ *    'only' / 'never' rules hard-fail, 'prefer' / 'avoid' rules adjust the score;
+ *    hits are returned as ruleHits for the match trace
  *
  * Version: 1.0.0
  */
@@ -18,6 +26,12 @@
 'use strict';
 
 const { isPreparedProduct, isWholeFood } = require('./ingredient-query-cleaner');
+const { productContainsAllergen } = require('./allergens');
+const { feedbackAdjustment, PREFERRED_BOOST } = require('./feedback-scoring');
+const { evaluateProductRules, describeRule, unitPricePer100, RULE_BOOST } = require('./product-rules');
+
+// Feedback and rule boosts are added after the 0–1 clamp
+const MAX_ADJUSTED_SCORE = 1.0 + PREFERRED_BOOST + RULE_BOOST;
 
 // ============================================================================
 // SCORING
@@ -28,10 +42,10 @@ const { isPreparedProduct, isWholeFood } = require('./ingredient-query-cleaner')
  * Signature and return type are identical to the existing runSmarterChecklist.
  *
  * @param {object} product - Store API product { product_name, product_category, product_size, ... }
- * @param {object} ingredientData - LLM output { originalIngredient, requiredWords, negativeKeywords, targetSize, allowedCategories, _cleanName?, _isWholeFood? }
+ * @param {object} ingredientData - LLM output { originalIngredient, requiredWords, negativeKeywords, targetSize, allowedCategories, _cleanName?, _isWholeFood?, excludedAllergens?, learnedPreferences?, productRules? }
  * @param {function} log - Logger
  * @param {object} [ctx] - Extra context: { bannedKeywords, pantryCategories }
- * @returns {{ pass: boolean, score: number }}
+ * @returns {{ pass: boolean, score: number, reason?: string, feedback?: string, ruleHits?: Array }}
  */
 function runEnhancedChecklist(product, ingredientData, log, ctx = {}) {
   const productNameLower = (product.product_name || '').toLowerCase();
@@ -50,6 +64,8 @@ function runEnhancedChecklist(product, ingredientData, log, ctx = {}) {
     allowedCategories = [],
     _cleanName,
     _isWholeFood,
+    excludedAllergens = [],
+    productRules = [],
   } = ingredientData;
 
   const prefix = `Checklist [${originalIngredient}] → "${product.product_name}"`;
@@ -64,6 +80,13 @@ function runEnhancedChecklist(product, ingredientData, log, ctx = {}) {
     return { pass: false, score: 0 };
   }
 
+  // 1b. ★ NEW — Allergen profile (see utils/allergens.js)
+  const allergen = productContainsAllergen(product.product_name, excludedAllergens);
+  if (allergen) {
+    log(`${prefix}: FAIL (Allergen: '${allergen}')`, 'DEBUG', 'CHECKLIST');
+    return { pass: false, score: 0 };
+  }
+
   // 2. Negative keywords
   if (negativeKeywords.length > 0) {
     const neg = negativeKeywords.find(kw => kw && productNameLower.includes(kw.toLowerCase()));
@@ -102,6 +125,14 @@ function runEnhancedChecklist(product, ingredientData, log, ctx = {}) {
     }
   }
 
+  // 7. ★ NEW — User product rules ('only' / 'never' are hard filters)
+  const ruleCheck = evaluateProductRules(productRules, product, unitPricePer100(product, parseSize(product.product_size || product.size)));
+  if (!ruleCheck.pass) {
+    const rule = describeRule(ruleCheck.failedRule);
+    log(`${prefix}: FAIL (Rule: ${rule})`, 'DEBUG', 'CHECKLIST');
+    return { pass: false, score: 0, reason: `rule:${rule}`, ruleHits: ruleCheck.hits };
+  }
+
   // ── GRADUATED SCORING (all hard checks passed) ─────────────────
 
   let score = 0.65; // Base pass score
@@ -133,6 +164,17 @@ function runEnhancedChecklist(product, ingredientData, log, ctx = {}) {
 
   score = Math.min(1.0, Math.max(0, score));
 
+  // ★ NEW — Learned substitution feedback and rule boosts, after the clamp (a preferred product may exceed 1.0)
+  const feedback = feedbackAdjustment(ingredientData.learnedPreferences, product);
+  if (feedback.reason || ruleCheck.hits.length > 0) {
+    score = Math.max(0.01, Math.min(MAX_ADJUSTED_SCORE, score + feedback.adjustment + ruleCheck.adjustment));
+    log(`${prefix}: PASS (score=${score.toFixed(3)}${feedback.reason ? `, feedback=${feedback.reason}` : ''}${ruleCheck.hits.length > 0 ? `, rules=${ruleCheck.hits.length}` : ''})`, 'DEBUG', 'CHECKLIST');
+    const result = { pass: true, score };
+    if (feedback.reason) result.feedback = feedback.reason;
+    if (ruleCheck.hits.length > 0) result.ruleHits = ruleCheck.hits;
+    return result;
+  }
+
   log(`${prefix}: PASS (score=${score.toFixed(3)})`, 'DEBUG', 'CHECKLIST');
   return { pass: true, score };
 }
@@ -0,0 +1,43 @@
+/**
+ * utils/product-id.js
+ *
+ * Stable Product Ids for Cheffy
+ *
+ * PURPOSE:
+ * One id per product within a store, shared by the price history
+ * (utils/price-history.js) and substitution feedback (utils/feedback-scoring.js,
+ * utils/substitution-feedback.js) so both remember the same product the same way.
+ *
+ * ASSUMPTIONS:
+ * - The barcode is the best id, then the product URL, then name + size
+ * - Pure: no KV or network access, safe to require from scoring code
+ */
+
+/**
+ * Stable id for a product within a store.
+ */
+function productIdFor(product) {
+    if (!product) return null;
+    if (product.barcode) return `bc:${product.barcode}`;
+    if (product.url) return `url:${product.url}`;
+    if (product.name) return `name:${String(product.name).toLowerCase()}|${String(product.size || '').toLowerCase()}`;
+    return null;
+}
+
+/**
+ * Id for a product in either shape (market run { name, size } or raw { product_name, product_size }).
+ */
+function feedbackProductId(product) {
+    if (!product) return null;
+    return productIdFor({
+        barcode: product.barcode,
+        url: product.url,
+        name: product.product_name || product.name,
+        size: product.product_size || product.size
+    });
+}
+
+module.exports = {
+    productIdFor,
+    feedbackProductId,
+};
@@ -10,6 +10,8 @@
  *   3. Scoring/ranking outcome per product
  *   4. Final selected product
  *   5. Rejection reasons for non-selected products
+ *   6. User product rule hits (utils/product-rules.js) and learned
+ *      substitution feedback (utils/substitution-feedback.js)
  *
  * Performance: When disabled (MATCH_TRACE_ENABLED=false), all methods
  * are no-ops with zero object allocation. When enabled, trace data is
@@ -20,6 +22,8 @@
 
 'use strict';
 
+const { describeRule } = require('./product-rules');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -87,6 +91,7 @@ function createMatchTrace(ingredientKey, ingredientData) {
             negativeKeywords: ingredientData?.negativeKeywords || [],
             allowedCategories: ingredientData?.allowedCategories || [],
             targetSize: ingredientData?.targetSize || null,
+            productRules: (ingredientData?.productRules || []).map(describeRule),
         },
         attempts: [],
         selection: null,
@@ -108,6 +113,7 @@ function createMatchTrace(ingredientKey, ingredientData) {
                 rawResults: [],
                 scoredResults: [],
                 rejections: [],
+                ruleHits: [],
                 status: 'pending', // 'success' | 'no_match' | 'no_match_post_filter' | 'fetch_error'
                 rawCount: 0,
                 passCount: 0,
@@ -135,16 +141,22 @@ function createMatchTrace(ingredientKey, ingredientData) {
                 /**
                  * Record a product that PASSED scoring.
                  * @param {object} product - The product object
-                 * @param {number} score - The score (0-1)
+                 * @param {number} score - The score (0-1, higher with feedback / rule boosts)
+                 * @param {object} [notes] - { feedback, ruleHits } from the checklist
                  */
-                addPassedResult(product, score) {
+                addPassedResult(product, score, notes = {}) {
                     if (attempt.scoredResults.length < MAX_SCORED_PRODUCTS_PER_QUERY) {
-                        attempt.scoredResults.push({
+                        const scored = {
                             name: product.product_name || product.name || '??',
                             price: product.current_price || product.price || null,
                             size: product.product_size || product.size || null,
                             score: Math.round(score * 1000) / 1000,
-                        });
+                        };
+                        if (notes.feedback) scored.feedback = notes.feedback;
+                        if (notes.ruleHits && notes.ruleHits.length > 0) {
+                            scored.rules = notes.ruleHits.map(hit => `${hit.rule} (${hit.effect})`);
+                        }
+                        attempt.scoredResults.push(scored);
                     }
                     attempt.passCount++;
                     if (score > attempt.bestScore) {
@@ -167,6 +179,24 @@ function createMatchTrace(ingredientKey, ingredientData) {
                     }
                 },
 
+                /**
+                 * Record user product rule hits for a product.
+                 * @param {object} product - The product object
+                 * @param {object[]} hits - [{ ruleId, rule, effect }] from evaluateProductRules
+                 */
+                addRuleHits(product, hits) {
+                    for (const hit of hits) {
+                        if (attempt.ruleHits.length >= MAX_RAW_PRODUCTS_PER_QUERY) break;
+                        attempt.ruleHits.push({
+                            name: product.product_name || product.name || '??',
+                            ruleId: hit.ruleId,
+                            rule: hit.rule,
+                            effect: hit.effect,
+                        });
+                    }
+                    attempt.ruleHitCount = (attempt.ruleHitCount || 0) + hits.length;
+                },
+
                 /**
                  * Mark this attempt as complete.
                  * @param {string} status - Final status
@@ -243,6 +273,7 @@ const NO_OP_ATTEMPT = {
     addRawResult() {},
     addPassedResult() {},
     addRejection() {},
+    addRuleHits() {},
     finalize() {},
 };
 
@@ -294,6 +325,9 @@ function formatTracesAsText(traces) {
         output += `    Required Words:    [${trace.validationRules.requiredWords.join(', ')}]\n`;
         output += `    Negative Keywords: [${trace.validationRules.negativeKeywords.join(', ')}]\n`;
         output += `    Allowed Categories: [${trace.validationRules.allowedCategories.join(', ')}]\n`;
+        if (trace.validationRules.productRules && trace.validationRules.productRules.length > 0) {
+            output += `    Product Rules:     [${trace.validationRules.productRules.join('; ')}]\n`;
+        }
 
         // Attempts
         for (const attempt of trace.attempts) {
@@ -311,7 +345,7 @@ function formatTracesAsText(traces) {
             if (attempt.scoredResults.length > 0) {
                 output += `      Scored (Passed):\n`;
                 for (const scored of attempt.scoredResults) {
-                    output += `        ★ "${scored.name}" → score=${scored.score} ($${scored.price || '?'})\n`;
+                    output += `        ★ "${scored.name}" → score=${scored.score} ($${scored.price || '?'})${scored.feedback ? ` [feedback: ${scored.feedback}]` : ''}${scored.rules ? ` [rules: ${scored.rules.join('; ')}]` : ''}\n`;
                 }
             }
 
@@ -321,6 +355,13 @@ function formatTracesAsText(traces) {
                     output += `        ✗ "${rej.name}" → ${rej.reason}\n`;
                 }
             }
+
+            if (attempt.ruleHits && attempt.ruleHits.length > 0) {
+                output += `      Rule Hits (${attempt.ruleHitCount}):\n`;
+                for (const hit of attempt.ruleHits) {
+                    output += `        ⚑ "${hit.name}" → ${hit.rule} (${hit.effect})\n`;
+                }
+            }
         }
 
         // Selection
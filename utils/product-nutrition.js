@@ -0,0 +1,151 @@
+/**
+ * utils/product-nutrition.js
+ *
+ * Product-Accurate Macros for Cheffy
+ *
+ * PURPOSE:
+ * Macros are computed ingredient-centric: "greek yoghurt" uses the same
+ * hot-path / canonical entry whichever tub the market run picked. With the
+ * opt-in formData.nutritionMode 'product', the label nutrition of each
+ * ingredient's selected product (looked up by barcode, fetchProductLabel)
+ * replaces the ingredient entry in the nutrition map that
+ * computeDetailedItemMacros reads, so a high-protein yoghurt counts as one.
+ *
+ * Every checked ingredient carries `productNutrition` (copied onto the
+ * macroDebug items): { barcode, productName, used, confidence, label, canonical, diffPct }
+ *
+ * CONFIDENCE (label kcal vs the ingredient entry):
+ *   high       within HIGH_CONFIDENCE_PCT
+ *   medium     within MEDIUM_CONFIDENCE_PCT
+ *   low        further off: probably a different product form (milk powder
+ *              for milk, a sauce for a vegetable): the ingredient entry is kept
+ *   unverified no ingredient entry to compare with (missing or generic fallback): label used
+ *
+ * ASSUMPTIONS:
+ * - Labels are per 100g/ml as sold, the same basis as gramsAsSold
+ * - Fiber and micronutrients stay from the ingredient entry (labels here only carry macros)
+ * - Pantry-covered, failed and barcode-less results keep the ingredient entry
+ */
+
+const { fetchProductLabel } = require('../api/nutrition-search');
+const { mapLimited } = require('./concurrency');
+
+const NUTRITION_MODES = {
+    INGREDIENT: 'ingredient',
+    PRODUCT: 'product',
+};
+
+const HIGH_CONFIDENCE_PCT = 25;
+const MEDIUM_CONFIDENCE_PCT = 50;
+const LABEL_CONCURRENCY = 6;
+
+function isProductAccurateMode(formData) {
+    return formData?.nutritionMode === NUTRITION_MODES.PRODUCT;
+}
+
+function selectedProductFor(result) {
+    if (!result) return null;
+    const products = result.allProducts || [];
+    return products.find(p => p && p.url === result.currentSelectionURL) || null;
+}
+
+const per100Of = (nut) => ({
+    kcal: Number(nut.calories ?? nut.kcal) || 0,
+    protein: Number(nut.protein) || 0,
+    fat: Number(nut.fat) || 0,
+    carbs: Number(nut.carbs) || 0,
+});
+
+const pctDiff = (value, reference) => (reference > 0 ? Math.round(((value - reference) / reference) * 1000) / 10 : null);
+
+/**
+ * Compares label and ingredient-entry macros per 100g.
+ * @returns {{ confidence: 'high'|'medium'|'low'|'unverified', diffPct: Object|null }}
+ */
+function compareWithCanonical(label, canonical) {
+    if (!canonical) return { confidence: 'unverified', diffPct: null };
+    const diffPct = {
+        kcal: pctDiff(label.kcal, canonical.kcal),
+        protein: pctDiff(label.protein, canonical.protein),
+        fat: pctDiff(label.fat, canonical.fat),
+        carbs: pctDiff(label.carbs, canonical.carbs),
+    };
+    if (diffPct.kcal === null) return { confidence: 'unverified', diffPct };
+    const kcalOff = Math.abs(diffPct.kcal);
+    const confidence = kcalOff <= HIGH_CONFIDENCE_PCT ? 'high' : kcalOff <= MEDIUM_CONFIDENCE_PCT ? 'medium' : 'low';
+    return { confidence, diffPct };
+}
+
+/**
+ * Swaps ingredient nutrition for label nutrition of the selected products (in place).
+ *
+ * @param {Map<string, Object>} nutritionDataMap - from fetchNutritionForIngredients
+ * @param {Map<string, Object>|Object} results - market results by normalizedKey
+ * @param {Function} log
+ * @returns {Promise<{ checked: number, used: number, lowConfidence: number, noLabel: number }>}
+ */
+async function applyProductNutrition(nutritionDataMap, results, log) {
+    const resultFor = (key) => (results instanceof Map ? results.get(key) : results?.[key]);
+    const candidates = [...nutritionDataMap.keys()]
+        .map(key => ({ key, product: selectedProductFor(resultFor(key)) }))
+        .filter(({ product }) => product?.barcode);
+
+    const summary = { checked: candidates.length, used: 0, lowConfidence: 0, noLabel: 0 };
+    await mapLimited(candidates, LABEL_CONCURRENCY, async ({ key, product }) => {
+        let label;
+        try {
+            label = await fetchProductLabel(product.barcode, log);
+        } catch (err) {
+            log(`Label lookup failed for ${key} (${product.barcode}): ${err.message}`, 'WARN', 'PRODUCT_NUTRITION');
+            label = null;
+        }
+        if (label?.status !== 'found') {
+            summary.noLabel++;
+            return;
+        }
+
+        const nut = nutritionDataMap.get(key);
+        const hasCanonical = nut?.status === 'found' && String(nut.source || '').toLowerCase() !== 'fallback';
+        const canonical = hasCanonical ? { ...per100Of(nut), source: String(nut.source).toLowerCase() } : null;
+        const labelPer100 = per100Of(label);
+        const { confidence, diffPct } = compareWithCanonical(labelPer100, canonical);
+        const used = confidence !== 'low';
+
+        const productNutrition = {
+            barcode: product.barcode,
+            productName: product.name,
+            used,
+            confidence,
+            label: labelPer100,
+            canonical,
+            diffPct,
+        };
+        if (used) {
+            summary.used++;
+            nutritionDataMap.set(key, {
+                ...(nut || {}),
+                status: 'found',
+                source: 'label',
+                calories: labelPer100.kcal,
+                protein: labelPer100.protein,
+                fat: labelPer100.fat,
+                carbs: labelPer100.carbs,
+                productNutrition,
+            });
+        } else {
+            summary.lowConfidence++;
+            log(`Label for ${key} ("${product.name}") is ${diffPct.kcal}% off the ingredient entry; keeping ${canonical.source}.`, 'WARN', 'PRODUCT_NUTRITION');
+            nutritionDataMap.set(key, { ...nut, productNutrition });
+        }
+    });
+
+    log(`Product-accurate macros: ${summary.used}/${summary.checked} labels used (${summary.lowConfidence} low confidence, ${summary.noLabel} without label).`, 'INFO', 'PRODUCT_NUTRITION');
+    return summary;
+}
+
+module.exports = {
+    NUTRITION_MODES,
+    isProductAccurateMode,
+    compareWithCanonical,
+    applyProductNutrition,
+};
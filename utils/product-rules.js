@@ -0,0 +1,211 @@
+/**
+ * utils/product-rules.js
+ *
+ * Per-User Brand & Product Rules for Cheffy
+ *
+ * PURPOSE:
+ * Users can pin down how the market run picks products (formData.productRules,
+ * saved with the profile):
+ *   "always buy a2 for milk"       { kind: 'brand', value: 'a2', mode: 'only', ingredient: 'milk' }
+ *   "never buy home-brand meat"    { kind: 'home_brand', mode: 'never', category: 'meat' }
+ *   "organic only for produce"     { kind: 'keyword', value: 'organic', mode: 'only', category: 'produce' }
+ *   "prefer under $15/kg"          { kind: 'max_unit_price', value: 15, mode: 'prefer' }
+ * Rules in scope for an ingredient are attached to it (ingredientData.productRules)
+ * and enforced by runEnhancedChecklist / scoreProduct; every hit is recorded in
+ * the match trace (utils/product-match-logger.js).
+ *
+ * RULE SHAPE:
+ *   { id, kind: 'brand'|'home_brand'|'keyword'|'max_unit_price', value,
+ *     mode: 'only'|'never'|'prefer'|'avoid', ingredient?, category? }
+ *   only   -> hard filter: products NOT matching fail
+ *   never  -> hard filter: matching products fail
+ *   prefer -> +RULE_BOOST for matching products
+ *   avoid  -> -RULE_PENALTY for matching products (still pass)
+ *   max_unit_price (value in $/kg or $/L) "matches" products at or under the
+ *   price, so only = hard cap, prefer = boost; never/avoid are not allowed
+ *
+ * ASSUMPTIONS:
+ * - No ingredient and no category = applies to every ingredient
+ * - A brand rule matches whole words of the brand or the start of the product
+ *   name ("a2" matches "a2 Milk", not "Ka2"); keyword rules match anywhere in the name
+ * - `ingredient` matches whole words of the ingredient name ("milk" covers
+ *   "full cream milk", not "buttermilk"); `category` matches the Grocery
+ *   Optimizer's allowedCategories, with 'produce' also covering fruit and veg
+ * - Products without a parseable size never match a max_unit_price rule
+ * - Invalid rules are dropped, never fail the plan
+ */
+
+const RULE_KINDS = ['brand', 'home_brand', 'keyword', 'max_unit_price'];
+const RULE_MODES = ['only', 'never', 'prefer', 'avoid'];
+const MAX_RULES = 30;
+
+const RULE_BOOST = 0.15;
+const RULE_PENALTY = 0.15;
+
+// Store own-label ranges, matched against brand and the start of the product name
+const HOME_BRANDS = [
+    'coles', 'coles simply', 'coles finest', 'woolworths', 'woolworths essentials', 'essentials', 'homebrand',
+    'macro', 'community co', 'aldi', 'farmdale', 'remano', 'iga', 'black & gold', 'black and gold', 'select',
+];
+
+const CATEGORY_GROUPS = {
+    produce: ['produce', 'fruit', 'veg'],
+};
+
+const words = (text) => String(text || '').toLowerCase().split(/[^a-z0-9&]+/).filter(Boolean);
+
+// Whether phraseWords occur in textWords starting at index `at`
+const wordsAt = (textWords, phraseWords, at) => phraseWords.length > 0 && phraseWords.every((word, i) => textWords[at + i] === word);
+
+/**
+ * Validates and normalises formData.productRules.
+ * @returns {Array<Object>} valid rules (ids filled in)
+ */
+function normalizeProductRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    const valid = [];
+    for (const [index, rule] of rules.entries()) {
+        if (!rule || !RULE_KINDS.includes(rule.kind) || !RULE_MODES.includes(rule.mode)) continue;
+        const normalized = {
+            id: String(rule.id || `rule_${index + 1}`),
+            kind: rule.kind,
+            mode: rule.mode,
+            value: null,
+            ingredient: rule.ingredient ? String(rule.ingredient).trim().toLowerCase() : null,
+            category: rule.category ? String(rule.category).trim().toLowerCase() : null,
+        };
+        if (rule.kind === 'brand' || rule.kind === 'keyword') {
+            normalized.value = String(rule.value || '').trim().toLowerCase();
+            if (!normalized.value) continue;
+        } else if (rule.kind === 'max_unit_price') {
+            normalized.value = Number(rule.value);
+            if (!(normalized.value > 0) || normalized.mode === 'never' || normalized.mode === 'avoid') continue;
+        }
+        valid.push(normalized);
+        if (valid.length >= MAX_RULES) break;
+    }
+    return valid;
+}
+
+/**
+ * Human-readable rule, used in logs and the match trace.
+ */
+function describeRule(rule) {
+    const target = {
+        brand: `brand "${rule.value}"`,
+        home_brand: 'home brand',
+        keyword: `"${rule.value}"`,
+        max_unit_price: `≤ $${rule.value}/kg`,
+    }[rule.kind];
+    const scope = rule.ingredient || rule.category ? ` for ${rule.ingredient || rule.category}` : '';
+    return `${rule.mode} ${target}${scope}`;
+}
+
+function ruleInScope(rule, ingredient) {
+    if (rule.ingredient) {
+        const ruleWords = words(rule.ingredient);
+        const ingredientWords = new Set(words(`${ingredient.originalIngredient || ''} ${(ingredient.normalizedKey || '').replace(/_/g, ' ')}`));
+        if (!ruleWords.every(word => ingredientWords.has(word) || ingredientWords.has(`${word}s`))) return false;
+    }
+    if (rule.category) {
+        const accepted = CATEGORY_GROUPS[rule.category] || [rule.category];
+        const categories = [...(ingredient.allowedCategories || []), ingredient.category].filter(Boolean).map(c => String(c).toLowerCase());
+        if (!categories.some(c => accepted.includes(c))) return false;
+    }
+    return true;
+}
+
+/**
+ * Adds the rules in scope to each ingredient of a market-run plan (ingredient.productRules).
+ */
+function attachProductRules(ingredientPlan, rules) {
+    if (!rules || rules.length === 0) return ingredientPlan;
+    return ingredientPlan.map(ingredient => {
+        const productRules = rules.filter(rule => ruleInScope(rule, ingredient));
+        return productRules.length > 0 ? { ...ingredient, productRules } : ingredient;
+    });
+}
+
+function isHomeBrand(product) {
+    const brand = String(product.product_brand || product.brand || '').toLowerCase().trim();
+    const name = String(product.product_name || product.name || '').toLowerCase();
+    return HOME_BRANDS.some(home => brand === home || name.startsWith(`${home} `));
+}
+
+function ruleMatches(rule, product, unitPricePer100) {
+    switch (rule.kind) {
+        case 'brand': {
+            const ruleWords = words(rule.value);
+            const brandWords = words(product.product_brand || product.brand);
+            return brandWords.some((_, at) => wordsAt(brandWords, ruleWords, at))
+                || wordsAt(words(product.product_name || product.name), ruleWords, 0);
+        }
+        case 'home_brand':
+            return isHomeBrand(product);
+        case 'keyword':
+            return String(product.product_name || product.name || '').toLowerCase().includes(rule.value);
+        case 'max_unit_price':
+            return unitPricePer100 != null && unitPricePer100 * 10 <= rule.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Price per 100g/ml: the store's unit price, else price / parsed size.
+ * @param {Object} product - store product
+ * @param {{ value: number }|null} parsedSize - the product size parsed to g/ml
+ * @returns {number|null} null when neither is known
+ */
+function unitPricePer100(product, parsedSize) {
+    if (product.unit_price_per_100 != null) return product.unit_price_per_100;
+    const price = product.current_price ?? product.price;
+    return parsedSize && parsedSize.value > 0 && price > 0 ? (price / parsedSize.value) * 100 : null;
+}
+
+/**
+ * Evaluates an ingredient's rules against one product.
+ *
+ * @param {Array<Object>} rules - ingredientData.productRules
+ * @param {Object} product - store product
+ * @param {number|null} unitPricePer100 - price per 100g/ml, null if unknown
+ * @returns {{ pass: boolean, adjustment: number, hits: Array<{ ruleId, rule, effect }>, failedRule: Object|null }}
+ *   effect: 'filtered' | 'boost' | 'penalty'
+ */
+function evaluateProductRules(rules, product, unitPricePer100 = null) {
+    const result = { pass: true, adjustment: 0, hits: [], failedRule: null };
+    if (!rules || rules.length === 0) return result;
+
+    for (const rule of rules) {
+        const matches = ruleMatches(rule, product, unitPricePer100);
+        const hit = (effect) => result.hits.push({ ruleId: rule.id, rule: describeRule(rule), effect });
+        if ((rule.mode === 'only' && !matches) || (rule.mode === 'never' && matches)) {
+            hit('filtered');
+            result.pass = false;
+            result.failedRule = rule;
+            return result;
+        }
+        if (rule.mode === 'prefer' && matches) {
+            hit('boost');
+            result.adjustment += RULE_BOOST;
+        } else if (rule.mode === 'avoid' && matches) {
+            hit('penalty');
+            result.adjustment -= RULE_PENALTY;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    RULE_KINDS,
+    RULE_MODES,
+    RULE_BOOST,
+    RULE_PENALTY,
+    HOME_BRANDS,
+    normalizeProductRules,
+    describeRule,
+    attachProductRules,
+    isHomeBrand,
+    unitPricePer100,
+    evaluateProductRules,
+};
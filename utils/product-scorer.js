@@ -17,6 +17,8 @@
  */
 
 const { PRODUCE_DERIVATIVE_MARKERS } = require('./ingredient-preprocessor');
+const { feedbackAdjustment, PREFERRED_BOOST } = require('./feedback-scoring');
+const { evaluateProductRules, describeRule, unitPricePer100, RULE_BOOST } = require('./product-rules');
 
 // ============================================================================
 // CONSTANTS
@@ -73,12 +75,14 @@ const WEIGHTS = {
  * @param {object} ingredientData - Ingredient query data from LLM
  *   Required fields: originalIngredient, requiredWords, negativeKeywords,
  *                    targetSize, allowedCategories
+ *   Optional: learnedPreferences (utils/substitution-feedback.js),
+ *             productRules (utils/product-rules.js)
  * @param {function} log - Logger function
  * @param {object} [options] - Optional configuration
  *   - preprocessed: Preprocessed data from ingredient-preprocessor.js
  *   - bannedKeywords: Override the default BANNED_KEYWORDS list
  *   - pantryCategories: Override pantry category list
- * @returns {object} { pass: boolean, score: number (0-1), reason: string }
+ * @returns {object} { pass: boolean, score: number (0-1, higher with feedback / rule boosts), reason: string, feedback?: string, ruleHits?: Array }
  */
 function scoreProduct(product, ingredientData, log, options = {}) {
   const productNameLower = (product.product_name || product.name || '').toLowerCase();
@@ -153,6 +157,14 @@ function scoreProduct(product, ingredientData, log, options = {}) {
     }
   }
 
+  // 7. User product rules — 'only' / 'never' rules are hard filters
+  const ruleCheck = evaluateProductRules(ingredientData.productRules, product, unitPricePer100(product, parseSize(product.product_size || product.size)));
+  if (!ruleCheck.pass) {
+    const rule = describeRule(ruleCheck.failedRule);
+    log(`${checkLogPrefix}: FAIL (Rule: ${rule})`, 'DEBUG', 'SCORER');
+    return { pass: false, score: 0, reason: `rule:${rule}`, ruleHits: ruleCheck.hits };
+  }
+
   // ─────────────────────────────────────────────
   // GRADUATED SCORING (all hard checks passed)
   // ─────────────────────────────────────────────
@@ -184,6 +196,19 @@ function scoreProduct(product, ingredientData, log, options = {}) {
   // Clamp to [0, 1]
   score = Math.max(0, Math.min(1, score));
 
+  // S7: Learned substitution feedback and user rule boosts — applied after the
+  //     clamp so a preferred product can outrank equally good matches; a
+  //     rejected / avoided one still passes
+  const feedback = feedbackAdjustment(ingredientData.learnedPreferences, product);
+  if (feedback.reason || ruleCheck.hits.length > 0) {
+    score = Math.max(0.01, Math.min(1 + PREFERRED_BOOST + RULE_BOOST, score + feedback.adjustment + ruleCheck.adjustment));
+    log(`${checkLogPrefix}: PASS (score=${score.toFixed(3)}${feedback.reason ? `, feedback=${feedback.reason}` : ''}${ruleCheck.hits.length > 0 ? `, rules=${ruleCheck.hits.length}` : ''})`, 'DEBUG', 'SCORER');
+    const result = { pass: true, score, reason: 'pass' };
+    if (feedback.reason) result.feedback = feedback.reason;
+    if (ruleCheck.hits.length > 0) result.ruleHits = ruleCheck.hits;
+    return result;
+  }
+
   log(`${checkLogPrefix}: PASS (score=${score.toFixed(3)})`, 'DEBUG', 'SCORER');
   return { pass: true, score, reason: 'pass' };
 }
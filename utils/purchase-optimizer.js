@@ -0,0 +1,183 @@
+/**
+ * utils/purchase-optimizer.js
+ *
+ * Pack-Size-Aware Purchase Optimizer for Cheffy
+ *
+ * PURPOSE:
+ * The market run picks a product by match score and unit price, but a plan
+ * needs a whole number of packs. This module works out, for each ingredient,
+ * which product and how many units cover totalGramsRequired at the lowest
+ * TOTAL checkout cost (not the lowest unit price), and how much is left over.
+ *
+ * RESULT SHAPE (attached to each market result as `purchase`):
+ *   {
+ *     units:        number of packs to buy (>= 1)
+ *     packSize_g:   grams (or ml) per pack, null if the size is unparseable
+ *     required_g:   grams the plan needs (after pantry stock)
+ *     purchased_g:  units * packSize_g
+ *     leftover_g:   purchased_g - required_g
+ *     totalCost:    price * units
+ *     estimated:    true when packSize_g is a count x unit-weight estimate,
+ *                   or unknown (in which case one unit is assumed)
+ *   }
+ *
+ * ASSUMPTIONS:
+ * - Pack sizes are parsed with product-checker's parseSize (g/kg/ml/l)
+ * - ml and g are treated as equivalent, matching Phase 2 aggregation
+ * - Only products whose match score is within SCORE_TOLERANCE of the best
+ *   match are eligible, so a cheaper but worse match is never picked
+ * - Count packs ("12 pack", "dozen", "each") are weighed as count x the
+ *   ingredient's unit weight from transforms' getUnitWeight; the estimate is
+ *   written to the product as packSize_g so the shopping list buys the same
+ * - Products with no weight or count are bought as a single unit and are
+ *   only compared on cost when no eligible product has a known pack size
+ */
+
+const { parseSize } = require('./product-checker');
+const { getUnitWeight } = require('./transforms');
+
+// Same threshold the market run uses to treat two match scores as equivalent
+const SCORE_TOLERANCE = 0.1;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Number of pieces in a count-pack size string ("12 pack", "pk 6", "dozen", "each").
+ * @returns {number|null} piece count, or null if the string is not a count
+ */
+function parseCountSize(sizeString) {
+    if (typeof sizeString !== 'string') return null;
+    const s = sizeString.toLowerCase();
+    if (/\bhalf\s*(a\s*)?dozen\b/.test(s)) return 6;
+    if (/\bdozen\b/.test(s)) return 12;
+    const match = s.match(/(\d+)\s*(?:pk|pack|ct|count|pcs|pieces?|eggs?)\b/) || s.match(/\b(?:pk|pack)\s*(?:of\s*)?(\d+)/);
+    if (match) return parseInt(match[1], 10) > 0 ? parseInt(match[1], 10) : null;
+    if (/\b(each|ea)\b/.test(s)) return 1;
+    return null;
+}
+
+/**
+ * Grams (or ml) per pack: the labelled weight, else count x unit weight.
+ * @returns {{ grams: number, estimated: boolean } | null}
+ */
+function packSizeFor(product, ingredientKey) {
+    const sizeString = product?.size || product?.product_size;
+    const size = parseSize(sizeString);
+    if (size && size.value > 0) return { grams: size.value, estimated: false };
+    const count = parseCountSize(sizeString);
+    if (!count) return null;
+    return { grams: count * getUnitWeight(ingredientKey, 'piece'), estimated: true };
+}
+
+/**
+ * Computes how many units of `product` cover `requiredGrams`.
+ * `ingredientKey` is used to weigh count packs (see packSizeFor).
+ * @returns {Object|null} purchase plan, or null if the product has no usable price
+ */
+function planUnits(product, requiredGrams, ingredientKey = null) {
+    const price = parseFloat(product?.price);
+    if (!product || isNaN(price) || price <= 0) return null;
+
+    const required = Number(requiredGrams) > 0 ? Number(requiredGrams) : 0;
+    const size = packSizeFor(product, ingredientKey);
+    const packSize = size ? size.grams : null;
+
+    const units = packSize && required > 0 ? Math.max(1, Math.ceil(required / packSize)) : 1;
+    const purchased = packSize ? units * packSize : null;
+
+    return {
+        units,
+        packSize_g: packSize,
+        required_g: Math.round(required),
+        purchased_g: purchased,
+        leftover_g: purchased !== null ? Math.round(Math.max(0, purchased - required)) : null,
+        totalCost: round2(price * units),
+        estimated: !size || size.estimated
+    };
+}
+
+/**
+ * Picks the eligible product with the lowest total cost for `requiredGrams`.
+ * Ties are broken by the smaller leftover. Products of unknown size look like
+ * a single cheap unit, so they only compete when nothing eligible has a size.
+ * @returns {{ product: Object, plan: Object } | null}
+ */
+function optimizePurchase(allProducts, requiredGrams, ingredientKey = null) {
+    const candidates = (allProducts || []).filter(p => p && parseFloat(p.price) > 0);
+    if (candidates.length === 0) return null;
+
+    const bestScore = candidates.reduce((max, p) => Math.max(max, p._matchScore ?? 0), 0);
+    const eligible = candidates.filter(p => (p._matchScore ?? 0) >= bestScore - SCORE_TOLERANCE);
+
+    const plans = eligible
+        .map(product => ({ product, plan: planUnits(product, requiredGrams, ingredientKey) }))
+        .filter(entry => entry.plan);
+    const sized = plans.filter(entry => entry.plan.packSize_g !== null);
+
+    let best = null;
+    for (const { product, plan } of (sized.length > 0 ? sized : plans)) {
+        if (!best
+            || plan.totalCost < best.plan.totalCost
+            || (plan.totalCost === best.plan.totalCost && (plan.leftover_g ?? Infinity) < (best.plan.leftover_g ?? Infinity))) {
+            best = { product, plan };
+        }
+    }
+    return best;
+}
+
+const ingredientKeyOf = (result) => result.normalizedKey || result.originalIngredient || null;
+
+/**
+ * Writes the estimated packSize_g onto count-pack products so the shopping
+ * list (web/src/helpers.js calculatePurchaseUnits) buys the same number.
+ */
+function annotatePackSizes(result) {
+    for (const product of result.allProducts || []) {
+        const size = product ? packSizeFor(product, ingredientKeyOf(result)) : null;
+        if (size?.estimated) product.packSize_g = size.grams;
+    }
+}
+
+/**
+ * Re-selects the cheapest-to-buy product on a market result and attaches `purchase`.
+ * Mutates and returns the result. Only 'discovery' results are touched.
+ */
+function applyPurchaseOptimization(result, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    if (!result || result.source !== 'discovery') return result;
+
+    annotatePackSizes(result);
+    const requiredGrams = result.totalGramsRequired ?? result.requested_total_g;
+    const best = optimizePurchase(result.allProducts, requiredGrams, ingredientKeyOf(result));
+    if (!best) return result;
+
+    if (best.product.url !== result.currentSelectionURL) {
+        safeLog(`[Purchase] ${result.originalIngredient}: switched to "${best.product.name}" (${best.plan.units} x ${best.product.size}) for $${best.plan.totalCost.toFixed(2)}.`, 'INFO', 'PURCHASE');
+    }
+    result.currentSelectionURL = best.product.url;
+    result.purchase = best.plan;
+    return result;
+}
+
+/**
+ * Recomputes `purchase` for the CURRENT selection without changing it
+ * (e.g. after a user substitution or when the required grams change).
+ */
+function describePurchase(result) {
+    if (!result || result.source !== 'discovery') return result;
+    annotatePackSizes(result);
+    const selected = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+    const plan = selected ? planUnits(selected, result.totalGramsRequired ?? result.requested_total_g, ingredientKeyOf(result)) : null;
+    if (plan) result.purchase = plan;
+    return result;
+}
+
+module.exports = {
+    SCORE_TOLERANCE,
+    parseCountSize,
+    packSizeFor,
+    planUnits,
+    optimizePurchase,
+    applyPurchaseOptimization,
+    describePurchase,
+};
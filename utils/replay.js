@@ -0,0 +1,247 @@
+/**
+ * utils/replay.js
+ *
+ * Record-and-Replay of Plan Runs for Cheffy
+ *
+ * PURPOSE:
+ * Captures every external interaction of a generate-full-plan run into one
+ * replay bundle, so the run can be re-executed later against exactly the same
+ * LLM answers, search results and nutrition data. Changing product-scorer.js
+ * weights or transforms.js yields and replaying a set of bundles shows which
+ * historical plans changed and how (scripts/replay-plans.js).
+ *
+ * BUNDLE SHAPE (one JSON file per run):
+ *   {
+ *     _meta: { version, run_id, recordedAt },
+ *     request:   request body ({ formData, nutritionalTargets, ... }),
+ *     llm:       { [request hash]: { endpoint, response } },
+ *     prices:    { 'store|query|page': fetchPriceData() result },
+ *     nutrition: { 'lookup|key' | 'fetch|barcode|query': nutrition result },
+ *     kv:        { [key]: value or null }   (plan-level cache reads)
+ *     finalData: the plan:complete payload
+ *   }
+ *
+ * ENV:
+ *   CHEFFY_RECORD_DIR  record every plan run into this directory
+ *
+ * ASSUMPTIONS:
+ * - Sessions are scoped with AsyncLocalStorage, so concurrent runs in one
+ *   instance record separately and code outside a session is untouched
+ * - Values are JSON-cloned on the way in and out: the orchestrator mutates
+ *   market results, and the bundle must keep what the source returned
+ * - On replay, interactions missing from the bundle (e.g. a changed prompt)
+ *   fall through to the live function and are reported as misses; the
+ *   harness runs with CHEFFY_OFFLINE so "live" stays local
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { hashLlmRequest } = require('./offline');
+
+const BUNDLE_VERSION = 1;
+const MACRO_KEYS = ['calories', 'protein', 'fat', 'carbs', 'fiber'];
+
+const sessionStore = new AsyncLocalStorage();
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+function createBundle(requestBody) {
+    return {
+        _meta: { version: BUNDLE_VERSION, run_id: null, recordedAt: new Date().toISOString() },
+        request: clone(requestBody),
+        llm: {},
+        prices: {},
+        nutrition: {},
+        kv: {},
+        finalData: null
+    };
+}
+
+const currentSession = () => sessionStore.getStore() || null;
+
+/**
+ * Runs a plan request inside a recording session when CHEFFY_RECORD_DIR is
+ * set (and no replay session is already active).
+ */
+function withRecording(requestBody, fn) {
+    if (currentSession() || !process.env.CHEFFY_RECORD_DIR) return fn();
+    return sessionStore.run({ mode: 'record', bundle: createBundle(requestBody), misses: [] }, fn);
+}
+
+/**
+ * Runs `fn` against a recorded bundle.
+ * @returns {Promise<{ result: *, session: Object }>} session.finalData / session.misses
+ */
+async function withReplay(bundle, fn) {
+    const session = { mode: 'replay', bundle, misses: [], finalData: null };
+    const result = await sessionStore.run(session, fn);
+    return { result, session };
+}
+
+/**
+ * Serves `kind/key` from the replay bundle, or calls `liveFn` (recording its
+ * result when recording). Pass-through outside a session.
+ */
+async function replayable(kind, key, liveFn) {
+    const session = currentSession();
+    if (!session) return liveFn();
+
+    const entries = session.bundle[kind];
+    if (session.mode === 'replay') {
+        if (Object.prototype.hasOwnProperty.call(entries, key)) return clone(entries[key]);
+        session.misses.push({ kind, key });
+        return liveFn();
+    }
+
+    const result = await liveFn();
+    entries[key] = clone(result);
+    return result;
+}
+
+/**
+ * Wraps the fetch used for LLM calls; responses are keyed like offline fixtures.
+ */
+function wrapLlmFetch(fetchImpl) {
+    return async (url, options = {}) => {
+        const session = currentSession();
+        if (!session) return fetchImpl(url, options);
+
+        const hash = hashLlmRequest(url, options.body);
+        const recorded = session.bundle.llm[hash];
+        if (session.mode === 'replay') {
+            if (recorded) {
+                return new Response(JSON.stringify(recorded.response), { status: 200, headers: { 'Content-Type': 'application/json' } });
+            }
+            session.misses.push({ kind: 'llm', key: hash });
+            return fetchImpl(url, options);
+        }
+
+        const response = await fetchImpl(url, options);
+        const rawText = await response.text();
+        if (response.ok) {
+            try {
+                session.bundle.llm[hash] = { endpoint: String(url).split('?')[0], response: JSON.parse(rawText) };
+            } catch { /* non-JSON bodies are retried by fetchLLMWithRetry, nothing to record */ }
+        }
+        return new Response(rawText, { status: response.status, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+/**
+ * Stores the final payload. When recording, writes the bundle and returns its path.
+ */
+function finishSession(run_id, finalData, log) {
+    const session = currentSession();
+    if (!session) return null;
+    if (session.mode === 'replay') {
+        session.finalData = clone(finalData);
+        return null;
+    }
+
+    session.bundle._meta.run_id = run_id;
+    session.bundle.finalData = clone(finalData);
+    const bundlePath = path.join(process.env.CHEFFY_RECORD_DIR, `${run_id}.json`);
+    try {
+        fs.mkdirSync(process.env.CHEFFY_RECORD_DIR, { recursive: true });
+        fs.writeFileSync(bundlePath, JSON.stringify(session.bundle));
+        if (log) log(`Replay bundle written: ${bundlePath}`, 'INFO', 'REPLAY');
+        return bundlePath;
+    } catch (e) {
+        if (log) log(`Replay bundle write failed: ${e.message}`, 'WARN', 'REPLAY');
+        return null;
+    }
+}
+
+// --- Diffing ---
+
+const round1 = (n) => Math.round((Number(n) || 0) * 10) / 10;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function planCost(finalData) {
+    return round2(Object.values(finalData?.results || {})
+        .filter(r => r?.source === 'discovery' && r.purchase)
+        .reduce((sum, r) => sum + r.purchase.totalCost, 0));
+}
+
+function selectedProduct(result) {
+    if (!result) return null;
+    if (result.source !== 'discovery') return { product: null, source: result.source, cost: 0 };
+    const selected = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+    return { product: selected?.name || result.productName || null, source: result.source, cost: round2(result.purchase?.totalCost) };
+}
+
+function diffMeals(beforeMeals = [], afterMeals = []) {
+    const changes = [];
+    const count = Math.max(beforeMeals.length, afterMeals.length);
+    for (let i = 0; i < count; i++) {
+        const before = beforeMeals[i];
+        const after = afterMeals[i];
+        const mealName = after?.name || before?.name;
+        if (!before || !after) {
+            changes.push({ meal: mealName, change: before ? 'removed' : 'added' });
+            continue;
+        }
+        const beforeItems = new Map((before.items || []).map(item => [item.key, item]));
+        const afterItems = new Map((after.items || []).map(item => [item.key, item]));
+        for (const key of new Set([...beforeItems.keys(), ...afterItems.keys()])) {
+            const b = beforeItems.get(key);
+            const a = afterItems.get(key);
+            if (!b || !a) changes.push({ meal: mealName, item: key, change: b ? 'removed' : 'added' });
+            else if (round1(b.qty) !== round1(a.qty) || b.unit !== a.unit) {
+                changes.push({ meal: mealName, item: key, before: `${round1(b.qty)}${b.unit}`, after: `${round1(a.qty)}${a.unit}` });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compares a recorded plan:complete payload with a replayed one.
+ * @returns {{ changed: boolean, cost: Object|null, days: Array, products: Array }}
+ */
+function diffFinalData(expected, actual) {
+    const days = [];
+    const beforeDays = expected?.mealPlan || [];
+    const afterDays = actual?.mealPlan || [];
+    for (let i = 0; i < Math.max(beforeDays.length, afterDays.length); i++) {
+        const before = beforeDays[i];
+        const after = afterDays[i];
+        const macros = {};
+        for (const key of MACRO_KEYS) {
+            const b = round1(before?.totals?.[key]);
+            const a = round1(after?.totals?.[key]);
+            if (b !== a) macros[key] = { before: b, after: a, diff: round1(a - b) };
+        }
+        const meals = diffMeals(before?.meals, after?.meals);
+        if (Object.keys(macros).length > 0 || meals.length > 0) {
+            days.push({ dayNumber: after?.dayNumber ?? before?.dayNumber ?? i + 1, macros, meals });
+        }
+    }
+
+    const products = [];
+    const beforeResults = expected?.results || {};
+    const afterResults = actual?.results || {};
+    for (const key of new Set([...Object.keys(beforeResults), ...Object.keys(afterResults)])) {
+        const before = selectedProduct(beforeResults[key]);
+        const after = selectedProduct(afterResults[key]);
+        if (JSON.stringify(before) !== JSON.stringify(after)) products.push({ key, before, after });
+    }
+
+    const beforeCost = planCost(expected);
+    const afterCost = planCost(actual);
+    const cost = beforeCost !== afterCost ? { before: beforeCost, after: afterCost, diff: round2(afterCost - beforeCost) } : null;
+
+    return { changed: days.length > 0 || products.length > 0 || !!cost, cost, days, products };
+}
+
+module.exports = {
+    BUNDLE_VERSION,
+    withRecording,
+    withReplay,
+    replayable,
+    wrapLlmFetch,
+    finishSession,
+    planCost,
+    diffFinalData,
+};
@@ -0,0 +1,126 @@
+/**
+ * utils/run-cancellation.js
+ *
+ * Cancellation of In-Flight Plan Runs for Cheffy
+ *
+ * PURPOSE:
+ * Lets a user stop a generate-full-plan run instead of letting it finish
+ * detached. POST /api/plan/cancel sets a flag in KV (cancelFlagKey); the
+ * orchestrator watches the flag, checks it between phases, and each run owns
+ * an AbortController whose signal:
+ *   - stops concurrentlyMap from starting new items
+ *   - aborts outstanding LLM fetches (fetchLLMWithRetry) and RapidAPI
+ *     searches (utils/stores/rapidapi.js)
+ * The run then fails with RunCancelledError and is marked `cancelled`.
+ *
+ * ASSUMPTIONS:
+ * - Runs are scoped with AsyncLocalStorage (like utils/replay.js): concurrent
+ *   runs in one instance cancel separately, and code outside a run never sees
+ *   a signal
+ * - The flag lives in KV because the cancel request may reach another
+ *   instance than the one running the plan; without KV runs can't be cancelled
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CANCEL_FLAG_TTL_MS = 1000 * 60 * 60; // 1 hour, same as the run status record
+const CANCEL_POLL_INTERVAL_MS = 2000;
+
+const runStore = new AsyncLocalStorage();
+
+/**
+ * Thrown inside a run once it has been cancelled.
+ */
+class RunCancelledError extends Error {
+    constructor(message = 'Plan generation was cancelled.') {
+        super(message);
+        this.name = 'RunCancelledError';
+        this.code = 'RUN_CANCELLED';
+    }
+}
+
+const cancelFlagKey = (runId) => `cheffy:run:${runId}:cancel`;
+
+/**
+ * Runs `fn` with a fresh cancellation scope (one per plan run).
+ */
+function withCancellation(fn) {
+    return runStore.run({ controller: new AbortController() }, fn);
+}
+
+/**
+ * The current run's abort signal (undefined outside a run).
+ */
+function getRunSignal() {
+    return runStore.getStore()?.controller.signal;
+}
+
+/**
+ * `signal` combined with the current run's signal, for fetches that already
+ * have their own (timeout) signal.
+ */
+function linkRunSignal(signal) {
+    const runSignal = getRunSignal();
+    if (!runSignal) return signal;
+    return signal ? AbortSignal.any([signal, runSignal]) : runSignal;
+}
+
+function isRunCancelled() {
+    return !!getRunSignal()?.aborted;
+}
+
+function throwIfCancelled() {
+    if (isRunCancelled()) throw new RunCancelledError();
+}
+
+/**
+ * Whether an error is (or was caused by) the cancellation of the current run.
+ * Aborted fetches reject with an AbortError, so a run that was cancelled
+ * treats any error as a cancellation.
+ */
+function isCancellation(error) {
+    return error instanceof RunCancelledError || isRunCancelled();
+}
+
+/**
+ * Polls `isFlagSet()` and aborts the current run once it returns true.
+ * @param {function} isFlagSet - async () => boolean (reads cancelFlagKey from KV)
+ * @returns {{ check: function, stop: function }} check() reads the flag now and
+ *   throws RunCancelledError if the run is cancelled; stop() ends the polling
+ */
+function watchCancelFlag(isFlagSet, intervalMs = CANCEL_POLL_INTERVAL_MS) {
+    const scope = runStore.getStore();
+    if (!scope) return { check: async () => {}, stop: () => {} };
+
+    const poll = async () => {
+        if (scope.controller.signal.aborted) return;
+        try {
+            if (await isFlagSet()) scope.controller.abort(new RunCancelledError());
+        } catch {
+            // KV hiccup: keep running, the next poll retries
+        }
+    };
+    const timer = setInterval(poll, intervalMs);
+    if (timer.unref) timer.unref();
+
+    return {
+        check: async () => {
+            await poll();
+            if (scope.controller.signal.aborted) throw new RunCancelledError();
+        },
+        stop: () => clearInterval(timer),
+    };
+}
+
+module.exports = {
+    CANCEL_FLAG_TTL_MS,
+    RunCancelledError,
+    cancelFlagKey,
+    withCancellation,
+    getRunSignal,
+    linkRunSignal,
+    isRunCancelled,
+    throwIfCancelled,
+    isCancellation,
+    watchCancelFlag,
+};
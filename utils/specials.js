@@ -0,0 +1,207 @@
+/**
+ * utils/specials.js
+ *
+ * Specials-Driven Planning for Cheffy
+ *
+ * PURPOSE:
+ * With formData.specialsMode === 'plan' ("plan around this week's specials"),
+ * the orchestrator loads the store's discounted products before meal
+ * generation, turns them into ingredient keys and asks the meal planner to
+ * prefer them. After the market run the plan reports how much the specials
+ * it bought saved versus their regular prices.
+ *
+ * SOURCES (merged, deduped by product id):
+ *   - the store adapter's listSpecials() (was_price = regular price), when it has one
+ *   - price history specials (utils/price-history.js; median = regular price)
+ *
+ * Only the fixture adapter has listSpecials(): the RapidAPI providers have no
+ * specials endpoint, so live stores rely on price history alone. The plan and
+ * its report carry `storeList: false` then, and the UI says so.
+ *
+ * ASSUMPTIONS:
+ * - Product names map to ingredient keys via normalizeKey (scripts/normalize.js),
+ *   snapped to the longest hot-path key whose words all appear in the name
+ *   ("Atlantic Salmon Fillets" -> salmon)
+ * - Specials are preferences, not requirements: targets, allergens and the
+ *   diet still win, so a plan may use none of them
+ * - Loading specials is best-effort: failures plan normally without them
+ */
+
+const { normalizeKey } = require('../scripts/normalize');
+const { getHotPathKeys } = require('../api/nutrition-hotpath');
+const { getStoreAdapter } = require('./stores');
+const { productIdFor, getSpecials } = require('./price-history');
+
+const SPECIALS_MODES = {
+    OFF: 'off',
+    PLAN: 'plan'
+};
+
+const MAX_PROMPT_SPECIALS = 12;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const singular = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+const keyWords = (key) => key.split('_').filter(Boolean).map(singular);
+
+function isSpecialsMode(formData) {
+    return formData?.specialsMode === SPECIALS_MODES.PLAN;
+}
+
+let hotPathKeyWords = null;
+function getHotPathKeyWords() {
+    if (!hotPathKeyWords) {
+        hotPathKeyWords = getHotPathKeys().map(key => ({ key, words: keyWords(key) }));
+    }
+    return hotPathKeyWords;
+}
+
+/**
+ * Candidate ingredient key for a product name.
+ * @param {string} name - product name, e.g. "Coles Atlantic Salmon Fillets"
+ * @param {string[]} stripWords - store / brand words to drop first
+ */
+function ingredientKeyFor(name, stripWords = []) {
+    const strip = new Set(stripWords.map(word => String(word).toLowerCase()));
+    const cleaned = String(name || '').split(/\s+/).filter(word => !strip.has(word.toLowerCase())).join(' ');
+    const normalized = normalizeKey(cleaned);
+    if (normalized === 'unknown') return null;
+
+    const words = new Set(keyWords(normalized));
+    let best = null;
+    for (const candidate of getHotPathKeyWords()) {
+        if (candidate.words.every(word => words.has(word)) && (!best || candidate.words.length > best.words.length)) {
+            best = candidate;
+        }
+    }
+    if (best) return best.key;
+    // No hot-path match: the normalized name without pack sizes ("free_range_eggs_12")
+    return normalized.split('_').filter(part => part && !/\d/.test(part)).join('_') || null;
+}
+
+/**
+ * Loads this week's specials for a store and groups them by ingredient key.
+ *
+ * @returns {Promise<{ store: string, storeList: boolean, specials: Array, candidates: Array<{ key, label, discountPct, productIds }> }>}
+ *   storeList: whether the store's adapter listed its specials
+ *   specials: { productId, name, size, price, regularPrice, discountPct, source }
+ *   candidates: best discount first
+ */
+async function loadSpecialsPlan(store, log) {
+    const adapter = getStoreAdapter(store);
+    const byProductId = new Map();
+    const add = (special) => {
+        if (!special.productId || !(special.regularPrice > special.price)) return;
+        const existing = byProductId.get(special.productId);
+        if (!existing || special.discountPct > existing.discountPct) byProductId.set(special.productId, special);
+    };
+
+    const storeList = !!adapter && typeof adapter.listSpecials === 'function' && adapter.isConfigured();
+    if (storeList) {
+        try {
+            const products = await adapter.listSpecials(log);
+            for (const product of products || []) {
+                const price = product.current_price;
+                add({
+                    productId: productIdFor({ barcode: product.barcode, url: product.url, name: product.product_name, size: product.product_size }),
+                    name: product.product_name,
+                    brand: product.product_brand,
+                    size: product.product_size || null,
+                    price,
+                    regularPrice: product.was_price,
+                    discountPct: Math.round(((product.was_price - price) / product.was_price) * 1000) / 10,
+                    source: 'store'
+                });
+            }
+        } catch (error) {
+            log(`[Specials] ${store} specials list failed: ${error.message}`, 'WARN', 'SPECIALS');
+        }
+    }
+
+    try {
+        for (const special of await getSpecials(store)) {
+            add({
+                productId: special.productId,
+                name: special.name,
+                size: special.size,
+                price: special.price,
+                regularPrice: special.median,
+                discountPct: special.discountPct,
+                source: 'history'
+            });
+        }
+    } catch (error) {
+        log(`[Specials] Price history specials failed: ${error.message}`, 'WARN', 'SPECIALS');
+    }
+
+    const specials = Array.from(byProductId.values()).sort((a, b) => b.discountPct - a.discountPct);
+    const stripWords = [store, adapter?.id].filter(Boolean);
+    const byKey = new Map();
+    for (const special of specials) {
+        const key = ingredientKeyFor(special.name, [...stripWords, ...(special.brand ? special.brand.split(/\s+/) : [])]);
+        if (!key) continue;
+        const candidate = byKey.get(key) || { key, label: key.replace(/_/g, ' '), discountPct: special.discountPct, productIds: [] };
+        candidate.productIds.push(special.productId);
+        byKey.set(key, candidate);
+    }
+
+    const candidates = Array.from(byKey.values());
+    log(`[Specials] ${specials.length} specials at ${store} -> ${candidates.length} ingredients.`, 'INFO', 'SPECIALS', { candidates: candidates.map(c => c.key) });
+    return { store, storeList, specials, candidates };
+}
+
+/**
+ * Prompt fragment listing the specials, biggest discount first.
+ */
+function formatSpecialsForPrompt(candidates) {
+    return (candidates || [])
+        .slice(0, MAX_PROMPT_SPECIALS)
+        .map(c => `${c.label} (-${Math.round(c.discountPct)}%)`)
+        .join(', ');
+}
+
+/**
+ * Savings on the specials the plan actually bought.
+ *
+ * @param {Object} results - final market results, keyed by ingredient
+ * @param {Object} specialsPlan - loadSpecialsPlan() result
+ * @returns {{ store, storeList: boolean, candidates: string[], used: Array<{ ingredient, product, price, regularPrice, units, saving }>, totalSaving: number }}
+ */
+function summarizeSpecialsSavings(results, specialsPlan) {
+    const specialsById = new Map((specialsPlan?.specials || []).map(special => [special.productId, special]));
+    const used = [];
+    for (const [ingredient, result] of Object.entries(results || {})) {
+        if (result?.source !== 'discovery' || !result.purchase) continue;
+        const selected = (result.allProducts || []).find(p => p && p.url === result.currentSelectionURL);
+        if (!selected || !(selected.price > 0)) continue;
+        const special = specialsById.get(productIdFor(selected));
+        const regularPrice = special?.regularPrice || selected.deal?.median;
+        if (!(regularPrice > selected.price)) continue;
+        const units = result.purchase.units || 1;
+        used.push({
+            ingredient,
+            product: selected.name,
+            price: selected.price,
+            regularPrice,
+            units,
+            saving: round2((regularPrice - selected.price) * units)
+        });
+    }
+    used.sort((a, b) => b.saving - a.saving);
+    return {
+        store: specialsPlan?.store || null,
+        storeList: !!specialsPlan?.storeList,
+        candidates: (specialsPlan?.candidates || []).map(c => c.key),
+        used,
+        totalSaving: round2(used.reduce((sum, item) => sum + item.saving, 0))
+    };
+}
+
+module.exports = {
+    SPECIALS_MODES,
+    MAX_PROMPT_SPECIALS,
+    isSpecialsMode,
+    ingredientKeyFor,
+    loadSpecialsPlan,
+    formatSpecialsForPrompt,
+    summarizeSpecialsSavings,
+};
@@ -0,0 +1,193 @@
+/**
+ * utils/store-comparison.js
+ *
+ * Cross-Store Price Comparison for Cheffy
+ *
+ * PURPOSE:
+ * The market run normally searches only formData.store. In comparison mode
+ * (formData.storeMode === 'compare') the orchestrator runs the same market
+ * search (same queries with the store name swapped, same runEnhancedChecklist
+ * scoring) against both COMPARISON_STORES, and this module turns the two
+ * result maps into:
+ *   - a single-store basket per store (total + items it could not find)
+ *   - the cheapest single-store basket
+ *   - the optimal two-store split: every item from whichever store sells it
+ *     cheapest (after the purchase optimizer picked packs in each store)
+ *   - the recommended basket, used as the plan's live shopping list
+ *
+ * REPORT SHAPE (response `storeComparison`, SSE 'store:comparison'):
+ *   {
+ *     stores: { Coles: { total, itemCount, missing: [...] }, Woolworths: {...} },
+ *     cheapestStore, cheapestTotal,
+ *     split: { total, saving, extraItems, byStore: { Coles: { total, items: [...] }, ... } },
+ *     recommended: 'single' | 'split',
+ *     recommendedStore          // store of the single basket (null when split)
+ *   }
+ *
+ * ASSUMPTIONS:
+ * - Results have already been through applyPurchaseOptimization (`purchase`)
+ * - Pantry-covered results (source 'pantry') are identical in both maps and ignored
+ * - A split is only recommended when it saves at least SPLIT_MIN_SAVING:
+ *   a second shop has to be worth the trip
+ */
+
+const COMPARISON_STORES = ['Coles', 'Woolworths'];
+const SPLIT_MIN_SAVING = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isPurchasable = (result) => result?.source === 'discovery' && !!result.purchase;
+
+/**
+ * True when the user asked to compare stores and the store is one we can compare.
+ */
+function isComparisonMode(formData) {
+    return formData?.storeMode === 'compare' && COMPARISON_STORES.includes(formData.store);
+}
+
+/**
+ * The store compared against `store` (the other half of COMPARISON_STORES).
+ */
+function otherStoreFor(store) {
+    return COMPARISON_STORES.find(s => s !== store) || null;
+}
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Swaps the store name in a search query ("coles eggs" -> "woolworths eggs").
+ * Queries without the store name are left as they are.
+ */
+function retargetQuery(query, fromStore, toStore) {
+    if (typeof query !== 'string' || !fromStore || !toStore) return query;
+    const storePattern = new RegExp(`\\b${escapeRegExp(fromStore)}\\b`, 'gi');
+    const match = query.match(storePattern);
+    if (!match) return query;
+    const rest = query.replace(storePattern, ' ').replace(/\s+/g, ' ').trim();
+    const storeName = match[0] === match[0].toLowerCase() ? toStore.toLowerCase() : toStore;
+    return rest ? `${storeName} ${rest}` : storeName;
+}
+
+/**
+ * The primary store's ingredient plan, re-pointed at `toStore`: same
+ * validation rules, store name swapped in the tight/normal/wide queries.
+ */
+function retargetIngredientPlan(ingredientPlan, fromStore, toStore) {
+    return ingredientPlan.map(ingredient => ({
+        ...ingredient,
+        store: toStore,
+        tightQuery: retargetQuery(ingredient.tightQuery, fromStore, toStore),
+        normalQuery: retargetQuery(ingredient.normalQuery, fromStore, toStore),
+        wideQuery: retargetQuery(ingredient.wideQuery, fromStore, toStore),
+    }));
+}
+
+/**
+ * Cost of buying everything in one store.
+ * @returns {{ total: number, itemCount: number, missing: string[] }}
+ */
+function summarizeBasket(resultsMap) {
+    let total = 0;
+    let itemCount = 0;
+    const missing = [];
+    for (const result of resultsMap.values()) {
+        if (result?.source === 'pantry') continue;
+        if (isPurchasable(result)) {
+            total += result.purchase.totalCost;
+            itemCount++;
+        } else {
+            missing.push(result?.originalIngredient || result?.normalizedKey);
+        }
+    }
+    return { total: round2(total), itemCount, missing };
+}
+
+/**
+ * Compares the per-store result maps.
+ *
+ * @param {Object<string, Map>} resultsByStore - { [store]: Map<normalizedKey, result> }
+ * @param {function} [log] - Logger
+ * @returns {{ report: Object, assignments: Map<string, string> }}
+ *          assignments maps normalizedKey -> store for the recommended basket
+ */
+function compareStores(resultsByStore, log) {
+    const safeLog = typeof log === 'function' ? log : () => {};
+    const storeNames = Object.keys(resultsByStore);
+
+    const stores = {};
+    for (const storeName of storeNames) {
+        stores[storeName] = summarizeBasket(resultsByStore[storeName]);
+    }
+
+    // Cheapest single store: fewest missing items first, then lowest total
+    const cheapestStore = storeNames.slice().sort((a, b) =>
+        (stores[a].missing.length - stores[b].missing.length) || (stores[a].total - stores[b].total)
+    )[0];
+
+    // Optimal split: each item from the store with the lowest purchase cost
+    const splitAssignments = new Map();
+    const byStore = Object.fromEntries(storeNames.map(s => [s, { total: 0, items: [] }]));
+    let saving = 0;
+    let extraItems = 0;
+    const keys = new Set(storeNames.flatMap(s => Array.from(resultsByStore[s].keys())));
+    for (const key of keys) {
+        const offers = storeNames
+            .map(storeName => ({ storeName, result: resultsByStore[storeName].get(key) }))
+            .filter(({ result }) => isPurchasable(result));
+        if (offers.length === 0) continue;
+        const best = offers.reduce((a, b) => (b.result.purchase.totalCost < a.result.purchase.totalCost ? b : a));
+        splitAssignments.set(key, best.storeName);
+        byStore[best.storeName].total += best.result.purchase.totalCost;
+        byStore[best.storeName].items.push(best.result.originalIngredient);
+
+        const singleResult = resultsByStore[cheapestStore].get(key);
+        if (isPurchasable(singleResult)) saving += singleResult.purchase.totalCost - best.result.purchase.totalCost;
+        else extraItems++;
+    }
+    Object.values(byStore).forEach(entry => { entry.total = round2(entry.total); });
+    const splitTotal = round2(Object.values(byStore).reduce((sum, entry) => sum + entry.total, 0));
+    const storesUsed = Object.values(byStore).filter(entry => entry.items.length > 0).length;
+
+    const useSplit = storesUsed > 1 && (saving >= SPLIT_MIN_SAVING || extraItems > 0);
+    const assignments = useSplit
+        ? splitAssignments
+        : new Map(Array.from(keys).map(key => [key, cheapestStore]));
+
+    const report = {
+        stores,
+        cheapestStore,
+        cheapestTotal: stores[cheapestStore].total,
+        split: { total: splitTotal, saving: round2(saving), extraItems, byStore },
+        recommended: useSplit ? 'split' : 'single',
+        recommendedStore: useSplit ? null : cheapestStore
+    };
+    safeLog(`[StoreCompare] ${storeNames.map(s => `${s} $${stores[s].total.toFixed(2)} (${stores[s].missing.length} missing)`).join(' vs ')}; split $${splitTotal.toFixed(2)} saves $${report.split.saving.toFixed(2)} -> ${useSplit ? 'split' : cheapestStore}.`, 'INFO', 'MARKET_RUN');
+    return { report, assignments };
+}
+
+/**
+ * Builds the live results map for the recommended basket. Each result keeps
+ * its own `store`, which the shopping list uses to group a split basket.
+ * Keys with no purchasable offer keep the primary store's result (failed/pantry).
+ */
+function selectBasket(resultsByStore, assignments, primaryStore) {
+    const selected = new Map();
+    for (const [key, primaryResult] of resultsByStore[primaryStore].entries()) {
+        const storeName = assignments.get(key);
+        const chosen = storeName ? resultsByStore[storeName].get(key) : null;
+        selected.set(key, isPurchasable(chosen) ? chosen : primaryResult);
+    }
+    return selected;
+}
+
+module.exports = {
+    COMPARISON_STORES,
+    SPLIT_MIN_SAVING,
+    isComparisonMode,
+    otherStoreFor,
+    retargetQuery,
+    retargetIngredientPlan,
+    summarizeBasket,
+    compareStores,
+    selectBasket,
+};
@@ -0,0 +1,33 @@
+/**
+ * utils/stores/aldi.js
+ *
+ * Aldi adapter.
+ *
+ * ASSUMPTIONS:
+ * - Aldi has no first-party API; the provider is a RapidAPI scraper whose
+ *   host is set with ALDI_RAPIDAPI_HOST (the adapter reports unconfigured
+ *   without it, so Aldi searches fail fast instead of hitting a wrong host)
+ * - Providers differ in field names, so normalisation accepts the common
+ *   variants (name/title, price/current_price/price.amount, size/pack_size, ...)
+ * - Aldi sells almost only its own labels: a missing brand defaults to 'Aldi'
+ */
+
+const { createRapidApiSearch, normalizeLooseResponse, pickLoosePrice } = require('./rapidapi');
+const { toProduct } = require('./product');
+
+module.exports = {
+    id: 'Aldi',
+    // Scraper-backed providers throttle harder than the Coles/Woolworths APIs
+    rateLimit: { capacity: 5, refillPerSec: 5 },
+    ...createRapidApiSearch({ host: () => process.env.ALDI_RAPIDAPI_HOST, path: () => process.env.ALDI_SEARCH_PATH || '/aldi/product-search/' }),
+    normalizeResponse: normalizeLooseResponse,
+    normalizeProduct: (raw) => toProduct({
+        name: raw.product_name || raw.name || raw.title,
+        brand: raw.product_brand || raw.brand || 'Aldi',
+        price: pickLoosePrice(raw),
+        size: raw.product_size || raw.size || raw.pack_size || raw.packSize,
+        url: raw.url || raw.link,
+        barcode: raw.barcode || raw.gtin || raw.ean,
+        category: raw.product_category || raw.category
+    })
+};
@@ -0,0 +1,27 @@
+/**
+ * utils/stores/coles.js
+ *
+ * Coles adapter (coles-product-price-api on RapidAPI).
+ * The response is already in Cheffy's product shape, so normalisation only
+ * fills the unit price and guards missing fields.
+ */
+
+const { createRapidApiSearch } = require('./rapidapi');
+const { toProduct } = require('./product');
+
+const COLES_HOST = 'coles-product-price-api.p.rapidapi.com';
+
+module.exports = {
+    id: 'Coles',
+    rateLimit: { capacity: 12, refillPerSec: 12 },
+    ...createRapidApiSearch({ host: () => COLES_HOST, path: () => '/coles/product-search/' }),
+    normalizeProduct: (raw) => toProduct({
+        name: raw.product_name,
+        brand: raw.product_brand,
+        price: raw.current_price,
+        size: raw.product_size,
+        url: raw.url,
+        barcode: raw.barcode,
+        category: raw.product_category
+    })
+};
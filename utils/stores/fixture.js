@@ -0,0 +1,98 @@
+/**
+ * utils/stores/fixture.js
+ *
+ * Local JSON-fixture store adapter.
+ *
+ * PURPOSE:
+ * Lets the market run work offline (development, tests) by searching a
+ * recorded catalogue instead of a retailer API. Registered as store 'Fixture'
+ * (every store's products) in offline and test runs only;
+ * createFixtureAdapter({ id, catalogueStore }) can also stand in for a single
+ * real store.
+ *
+ * CATALOGUE FORMAT (data/store-fixtures.json, or CHEFFY_STORE_FIXTURES):
+ *   { "_meta": {...}, "stores": { "Coles": [product, ...], "Aldi": [...] } }
+ *   Products use the RapidAPI field names (product_name, current_price, ...).
+ *   An optional was_price marks a product as on special (listSpecials()).
+ *
+ * ASSUMPTIONS:
+ * - A product matches when every query word appears in its name; store
+ *   names in the query are ignored ("coles chicken breast")
+ * - Never cached in KV (cacheable: false): the file is the cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toProduct } = require('./product');
+
+const DEFAULT_CATALOGUE_PATH = path.join(__dirname, '../../data/store-fixtures.json');
+const PAGE_SIZE = 20;
+
+const catalogueCache = new Map(); // Map<file path, parsed catalogue>
+
+const resolveCataloguePath = (explicitPath) => explicitPath || process.env.CHEFFY_STORE_FIXTURES || DEFAULT_CATALOGUE_PATH;
+
+function loadCatalogue(filePath) {
+    if (!catalogueCache.has(filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        catalogueCache.set(filePath, parsed.stores || {});
+    }
+    return catalogueCache.get(filePath);
+}
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.id='Fixture'] - Store id to register under
+ * @param {string|null} [options.catalogueStore=null] - Catalogue section to search (null = all)
+ * @param {string} [options.path] - Catalogue file (default: env / data/store-fixtures.json)
+ */
+function createFixtureAdapter({ id = 'Fixture', catalogueStore = null, path: cataloguePath } = {}) {
+    const search = async (query, page = 1) => {
+        const stores = loadCatalogue(resolveCataloguePath(cataloguePath));
+        const sections = catalogueStore ? [stores[catalogueStore] || []] : Object.values(stores);
+        const storeWords = new Set(Object.keys(stores).flatMap(tokenize));
+        const queryWords = tokenize(query).filter(word => !storeWords.has(word));
+
+        const matches = sections.flat().filter(product => {
+            const nameWords = new Set(tokenize(product.product_name));
+            return queryWords.length > 0 && queryWords.every(word => nameWords.has(word));
+        });
+
+        const totalPages = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+        const start = (page - 1) * PAGE_SIZE;
+        return { results: matches.slice(start, start + PAGE_SIZE), total_pages: totalPages, current_page: page };
+    };
+
+    const normalizeProduct = (raw) => toProduct({
+        name: raw.product_name,
+        brand: raw.product_brand,
+        price: raw.current_price,
+        size: raw.product_size,
+        url: raw.url,
+        barcode: raw.barcode,
+        category: raw.product_category
+    });
+
+    const listSpecials = async () => {
+        const stores = loadCatalogue(resolveCataloguePath(cataloguePath));
+        const sections = catalogueStore ? [stores[catalogueStore] || []] : Object.values(stores);
+        return sections.flat()
+            .filter(raw => raw.was_price > raw.current_price)
+            .map(raw => ({ ...normalizeProduct(raw), was_price: raw.was_price }))
+            .filter(product => product.product_name);
+    };
+
+    return {
+        id,
+        rateLimit: { capacity: 1000, refillPerSec: 1000 },
+        cacheable: false,
+        isConfigured: () => fs.existsSync(resolveCataloguePath(cataloguePath)),
+        search,
+        listSpecials,
+        normalizeProduct
+    };
+}
+
+module.exports = { createFixtureAdapter };
@@ -0,0 +1,34 @@
+/**
+ * utils/stores/iga.js
+ *
+ * IGA adapter.
+ *
+ * ASSUMPTIONS:
+ * - IGA stores are independently owned and prices vary by store; the
+ *   provider (RapidAPI host in IGA_RAPIDAPI_HOST) returns one reference
+ *   store's prices, pinned with IGA_STORE_ID when set
+ * - Field names vary between providers, handled like the Aldi adapter
+ */
+
+const { createRapidApiSearch, normalizeLooseResponse, pickLoosePrice } = require('./rapidapi');
+const { toProduct } = require('./product');
+
+module.exports = {
+    id: 'IGA',
+    rateLimit: { capacity: 5, refillPerSec: 5 },
+    ...createRapidApiSearch({
+        host: () => process.env.IGA_RAPIDAPI_HOST,
+        path: () => process.env.IGA_SEARCH_PATH || '/iga/product-search/',
+        extraParams: () => (process.env.IGA_STORE_ID ? { store_id: process.env.IGA_STORE_ID } : {})
+    }),
+    normalizeResponse: normalizeLooseResponse,
+    normalizeProduct: (raw) => toProduct({
+        name: raw.product_name || raw.name || raw.title,
+        brand: raw.product_brand || raw.brand,
+        price: pickLoosePrice(raw),
+        size: raw.product_size || raw.size || raw.pack_size || raw.packSize,
+        url: raw.url || raw.link,
+        barcode: raw.barcode || raw.gtin || raw.ean,
+        category: raw.product_category || raw.category
+    })
+};
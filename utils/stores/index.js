@@ -0,0 +1,96 @@
+/**
+ * utils/stores/index.js
+ *
+ * Store Adapter Registry for Cheffy
+ *
+ * PURPOSE:
+ * api/price-search.js used to hardcode two RapidAPI hosts and assume their
+ * response shape. Each retailer is now an adapter registered here; the price
+ * search layer keeps retries, 429 handling and KV caching, and asks the
+ * adapter to do the store-specific parts.
+ *
+ * ADAPTER INTERFACE:
+ *   {
+ *     id:             store name as used in formData.store ('Coles', 'Aldi', ...)
+ *     rateLimit:      { capacity, refillPerSec } for the in-memory token bucket
+ *     cacheable:      false to skip the KV search cache (local fixtures)
+ *     isConfigured(): true when credentials / hosts are available
+ *     search(query, page, log): Promise<raw response>  (throw with statusCode 429 on rate limit)
+ *     normalizeResponse(raw):   { results: [raw products], total_pages, current_page }
+ *     normalizeProduct(raw):    common product (./product.js), or null to drop it
+ *     listSpecials(log):        optional; Promise<[common product + was_price]> currently discounted
+ *   }
+ *
+ * PRODUCT SHAPE: see ./product.js (toProduct builds it from store fields)
+ *
+ * ASSUMPTIONS:
+ * - Store ids are matched case-insensitively ('aldi' === 'Aldi')
+ * - Adapters are registered once at module load; registerStoreAdapter() with an
+ *   existing id replaces it (used by tests and CHEFFY_OFFLINE, which swaps every
+ *   store for its fixture catalogue)
+ * - The all-stores 'Fixture' store exists only in offline and test runs, so
+ *   production never offers it
+ */
+
+const { computeUnitPrice, toProduct } = require('./product');
+const { createFixtureAdapter } = require('./fixture');
+const { isOfflineMode } = require('../offline');
+
+const DEFAULT_RATE_LIMIT = { capacity: 12, refillPerSec: 12 };
+
+const adapters = new Map(); // Map<lowercase id, adapter>
+
+/**
+ * Adds (or replaces) an adapter.
+ */
+function registerStoreAdapter(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.search !== 'function' || typeof adapter.normalizeProduct !== 'function') {
+        throw new Error('Store adapter needs id, search() and normalizeProduct().');
+    }
+    adapters.set(adapter.id.toLowerCase(), {
+        rateLimit: DEFAULT_RATE_LIMIT,
+        cacheable: true,
+        isConfigured: () => true,
+        normalizeResponse: (raw) => raw,
+        ...adapter
+    });
+}
+
+/**
+ * @returns {Object|null} adapter for a store name
+ */
+function getStoreAdapter(store) {
+    if (!store) return null;
+    return adapters.get(String(store).toLowerCase()) || null;
+}
+
+/**
+ * Registered store ids, e.g. for error messages.
+ */
+function listStores() {
+    return Array.from(adapters.values()).map(a => a.id);
+}
+
+registerStoreAdapter(require('./coles'));
+registerStoreAdapter(require('./woolworths'));
+registerStoreAdapter(require('./aldi'));
+registerStoreAdapter(require('./iga'));
+if (isOfflineMode() || process.env.NODE_ENV === 'test') {
+    registerStoreAdapter(createFixtureAdapter());
+}
+
+// Offline mode (utils/offline.js): every store searches its own section of the recorded catalogue
+if (isOfflineMode()) {
+    listStores()
+        .filter(id => id !== 'Fixture')
+        .forEach(id => registerStoreAdapter(createFixtureAdapter({ id, catalogueStore: id })));
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT,
+    computeUnitPrice,
+    toProduct,
+    registerStoreAdapter,
+    getStoreAdapter,
+    listStores,
+};
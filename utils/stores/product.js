@@ -0,0 +1,44 @@
+/**
+ * utils/stores/product.js
+ *
+ * Common product shape returned by every store adapter.
+ *
+ *   { product_name, product_brand, current_price, product_size,
+ *     unit_price_per_100, barcode, url, product_category }
+ *
+ * These are the RapidAPI field names the market run and product-checker
+ * already read, so new adapters slot in without touching the scorer.
+ */
+
+const { parseSize } = require('../product-checker');
+
+/**
+ * Price per 100g/ml, or null when the size has no weight/volume.
+ */
+function computeUnitPrice(price, size) {
+    const parsed = parseSize(size);
+    if (!(price > 0) || !parsed || parsed.value <= 0) return null;
+    return Math.round((price / parsed.value) * 100 * 100) / 100;
+}
+
+/**
+ * Builds the common product shape from store-specific fields.
+ * @returns {Object|null} null when the product has no name
+ */
+function toProduct({ name, brand, price, size, url, barcode, category }) {
+    if (!name) return null;
+    const currentPrice = Number(price);
+    const productSize = size ? String(size) : '';
+    return {
+        product_name: String(name),
+        product_brand: brand || null,
+        current_price: Number.isFinite(currentPrice) ? currentPrice : null,
+        product_size: productSize,
+        unit_price_per_100: computeUnitPrice(currentPrice, productSize),
+        barcode: barcode ? String(barcode) : null,
+        url: url || null,
+        product_category: category || ''
+    };
+}
+
+module.exports = { computeUnitPrice, toProduct };
@@ -0,0 +1,68 @@
+/**
+ * utils/stores/rapidapi.js
+ *
+ * Shared RapidAPI transport for store adapters.
+ *
+ * PURPOSE:
+ * Coles and Woolworths (and the Aldi/IGA providers) are all RapidAPI
+ * product-search APIs that differ only in host, path and response fields.
+ * createRapidApiSearch() returns the adapter's search() and isConfigured().
+ *
+ * ASSUMPTIONS:
+ * - RAPIDAPI_KEY is shared by every RapidAPI store
+ * - The provider takes `query`, `page`, `page_size` query params
+ * - One request per call: retries and 429 back-off live in api/price-search.js
+ * - Requests made inside a plan run are aborted when the run is cancelled
+ */
+
+const axios = require('axios');
+const { getRunSignal } = require('../run-cancellation');
+
+const REQUEST_TIMEOUT_MS = 6000;
+const PAGE_SIZE = '20';
+
+/**
+ * @param {Object} options
+ * @param {function} options.host - () => RapidAPI host (read lazily so env can change in tests)
+ * @param {function} options.path - () => search path, e.g. '/coles/product-search/' (read lazily, like host)
+ * @param {function} [options.extraParams] - () => additional query params (e.g. a store id)
+ * @returns {{ search: function, isConfigured: function }}
+ */
+function createRapidApiSearch({ host, path, extraParams = () => ({}) }) {
+    const isConfigured = () => !!process.env.RAPIDAPI_KEY && !!host();
+
+    const search = async (query, page = 1) => {
+        const resolvedHost = host();
+        const rapidResp = await axios.get(`https://${resolvedHost}${path()}`, {
+            params: { query, page: page.toString(), page_size: PAGE_SIZE, ...extraParams() },
+            headers: { 'x-rapidapi-key': process.env.RAPIDAPI_KEY, 'x-rapidapi-host': resolvedHost },
+            timeout: REQUEST_TIMEOUT_MS,
+            signal: getRunSignal()
+        });
+        return rapidResp.data;
+    };
+
+    return { search, isConfigured };
+}
+
+/**
+ * Response normaliser for providers that don't use the Coles/Woolworths field names.
+ */
+function normalizeLooseResponse(raw) {
+    return {
+        ...raw,
+        results: raw.results || raw.products || raw.items || [],
+        total_pages: raw.total_pages ?? raw.totalPages ?? 1,
+        current_page: raw.current_page ?? raw.page ?? 1
+    };
+}
+
+/**
+ * Price from `current_price`, `price` or a `{ amount }` / `{ value }` object.
+ */
+function pickLoosePrice(raw) {
+    const value = raw.current_price ?? raw.price;
+    return value && typeof value === 'object' ? value.amount ?? value.value : value;
+}
+
+module.exports = { createRapidApiSearch, normalizeLooseResponse, pickLoosePrice };
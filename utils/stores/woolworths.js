@@ -0,0 +1,26 @@
+/**
+ * utils/stores/woolworths.js
+ *
+ * Woolworths adapter (woolworths-products-api on RapidAPI).
+ * Same response shape as the Coles provider.
+ */
+
+const { createRapidApiSearch } = require('./rapidapi');
+const { toProduct } = require('./product');
+
+const WOOLWORTHS_HOST = 'woolworths-products-api.p.rapidapi.com';
+
+module.exports = {
+    id: 'Woolworths',
+    rateLimit: { capacity: 12, refillPerSec: 12 },
+    ...createRapidApiSearch({ host: () => WOOLWORTHS_HOST, path: () => '/woolworths/product-search/' }),
+    normalizeProduct: (raw) => toProduct({
+        name: raw.product_name,
+        brand: raw.product_brand,
+        price: raw.current_price,
+        size: raw.product_size,
+        url: raw.url,
+        barcode: raw.barcode,
+        category: raw.product_category
+    })
+};
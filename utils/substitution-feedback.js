@@ -0,0 +1,170 @@
+/**
+ * utils/substitution-feedback.js
+ *
+ * Substitution Feedback Learning for Cheffy
+ *
+ * PURPOSE:
+ * Picking a different product in the shopping list's substitute list used to
+ * change only that plan. Each pick is now recorded as an accept (the new
+ * product) and a reject (the product it replaced) for the ingredient key and
+ * store. The next market run for the same user feeds the learned preferences
+ * into product scoring (scoreProduct / runEnhancedChecklist via
+ * ingredientData.learnedPreferences): preferred products get a boost, rejected
+ * ones a penalty, so the same brand doesn't have to be re-selected every week.
+ *
+ * KV LAYOUT:
+ *   sub-feedback:v1:<userId>:<store>
+ *     { userId, store, updatedAt,
+ *       ingredients: { [ingredientKey]: { [productId]: { name, brand, accepts, rejects, lastAt } } } }
+ *
+ * SCORING (utils/feedback-scoring.js, kept pure for the scorers):
+ *   product net (accepts - rejects) > 0  -> +PREFERRED_BOOST
+ *   product net < 0                      -> -REJECTED_PENALTY (still passes, ranked lower)
+ *   unknown product, brand accepted 2+ x -> +BRAND_BOOST
+ *   Boosts exceed SCORE_TOLERANCE in the market run / purchase optimizer, so a
+ *   preferred product wins over equally good matches even when it costs more.
+ *
+ * ASSUMPTIONS:
+ * - Product ids are the price-history ids (barcode, else URL, else name + size)
+ * - Feedback is per user; requests without a valid userId (utils/firebase-auth
+ *   format) neither record nor learn
+ * - Recording is best-effort and bounded (oldest entries are dropped)
+ */
+
+const { createKvClient, isKvConfigured } = require('./offline');
+const { replayable } = require('./replay');
+const { feedbackProductId } = require('./product-id');
+const { isValidUserId } = require('./firebase-auth');
+const { PREFERRED_BOOST, REJECTED_PENALTY, BRAND_BOOST, feedbackAdjustment } = require('./feedback-scoring');
+
+const KEY_PREFIX = 'sub-feedback:v1';
+const FEEDBACK_TTL_MS = 1000 * 60 * 60 * 24 * 365; // 1 year
+const MAX_PRODUCTS_PER_INGREDIENT = 20;
+const MAX_INGREDIENTS = 300;
+
+const kv = createKvClient({
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN,
+});
+
+const feedbackKey = (userId, store) => `${KEY_PREFIX}:${userId}:${String(store).toLowerCase()}`;
+
+async function getFeedback(userId, store) {
+    if (!isValidUserId(userId) || !store || !isKvConfigured()) return null;
+    const key = feedbackKey(userId, store);
+    return replayable('kv', key, async () => {
+        try { return await kv.get(key); } catch { return null; }
+    });
+}
+
+function bumpProduct(entries, product, field, at) {
+    const productId = feedbackProductId(product);
+    if (!productId) return false;
+    const entry = entries[productId] || { name: product.product_name || product.name || null, brand: product.product_brand || product.brand || null, accepts: 0, rejects: 0 };
+    entries[productId] = { ...entry, [field]: entry[field] + 1, lastAt: at };
+    return true;
+}
+
+const byLastAtDesc = ([, a], [, b]) => String(b.lastAt || '').localeCompare(String(a.lastAt || ''));
+
+/**
+ * Records one substitute pick.
+ *
+ * @param {string} userId
+ * @param {{ store: string, ingredientKey: string, accepted: Object, rejected?: Object }} event
+ * @returns {Promise<Object|null>} learned preferences for the ingredient after the update, null if not recorded
+ */
+async function recordFeedback(userId, { store, ingredientKey, accepted, rejected }) {
+    if (!isValidUserId(userId) || !store || !ingredientKey || !accepted || !isKvConfigured()) return null;
+    const at = new Date().toISOString();
+    const doc = (await getFeedback(userId, store)) || { userId, store, ingredients: {} };
+    const entries = { ...(doc.ingredients[ingredientKey] || {}) };
+
+    const acceptedId = feedbackProductId(accepted);
+    if (!bumpProduct(entries, accepted, 'accepts', at)) return null;
+    if (rejected && feedbackProductId(rejected) !== acceptedId) bumpProduct(entries, rejected, 'rejects', at);
+
+    const ingredients = {
+        ...doc.ingredients,
+        [ingredientKey]: Object.fromEntries(Object.entries(entries).sort(byLastAtDesc).slice(0, MAX_PRODUCTS_PER_INGREDIENT))
+    };
+    const keep = Object.entries(ingredients)
+        .map(([key, products]) => [key, products, Object.values(products).reduce((latest, p) => (p.lastAt > latest ? p.lastAt : latest), '')])
+        .sort((a, b) => b[2].localeCompare(a[2]))
+        .slice(0, MAX_INGREDIENTS);
+    const updated = { userId, store, updatedAt: at, ingredients: Object.fromEntries(keep.map(([key, products]) => [key, products])) };
+
+    try {
+        await kv.set(feedbackKey(userId, store), updated, { px: FEEDBACK_TTL_MS });
+    } catch {
+        return null;
+    }
+    return preferencesFor(updated, ingredientKey);
+}
+
+/**
+ * Learned preferences for one ingredient, in the shape scoring reads.
+ * @returns {{ products: Object<productId, number>, brands: Object<brand, number>, preferred: Array, rejected: Array }|null}
+ */
+function preferencesFor(doc, ingredientKey) {
+    const entries = doc?.ingredients?.[ingredientKey];
+    if (!entries || Object.keys(entries).length === 0) return null;
+
+    const products = {};
+    const brands = {};
+    const preferred = [];
+    const rejected = [];
+    for (const [productId, entry] of Object.entries(entries)) {
+        const net = entry.accepts - entry.rejects;
+        products[productId] = net;
+        if (entry.brand && entry.accepts > 0) {
+            const brand = entry.brand.toLowerCase();
+            brands[brand] = (brands[brand] || 0) + entry.accepts;
+        }
+        if (net > 0) preferred.push({ productId, name: entry.name, brand: entry.brand, net });
+        if (net < 0) rejected.push({ productId, name: entry.name, brand: entry.brand, net });
+    }
+    preferred.sort((a, b) => b.net - a.net);
+    rejected.sort((a, b) => a.net - b.net);
+    return { products, brands, preferred, rejected };
+}
+
+/**
+ * Adds `learnedPreferences` to each ingredient of a market-run plan.
+ */
+function attachLearnedPreferences(ingredientPlan, doc) {
+    if (!doc) return ingredientPlan;
+    return ingredientPlan.map(ingredient => {
+        const learnedPreferences = preferencesFor(doc, ingredient.normalizedKey);
+        return learnedPreferences ? { ...ingredient, learnedPreferences } : ingredient;
+    });
+}
+
+/**
+ * Everything learned for a user at a store, for the inspect endpoint.
+ */
+async function getLearnedPreferences(userId, store) {
+    const doc = await getFeedback(userId, store);
+    if (!doc) return null;
+    const ingredients = {};
+    for (const ingredientKey of Object.keys(doc.ingredients || {})) {
+        const { preferred, rejected, brands } = preferencesFor(doc, ingredientKey) || {};
+        if (preferred) ingredients[ingredientKey] = { preferred, rejected, brands };
+    }
+    return { userId: doc.userId, store: doc.store, updatedAt: doc.updatedAt, ingredients };
+}
+
+module.exports = {
+    PREFERRED_BOOST,
+    REJECTED_PENALTY,
+    BRAND_BOOST,
+    MAX_PRODUCTS_PER_INGREDIENT,
+    MAX_INGREDIENTS,
+    feedbackProductId,
+    getFeedback,
+    recordFeedback,
+    preferencesFor,
+    feedbackAdjustment,
+    attachLearnedPreferences,
+    getLearnedPreferences,
+};
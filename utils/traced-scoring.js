@@ -49,10 +49,14 @@ function tracedScoring(scoreFn, product, ingredientData, log, attemptRecorder, c
     // Record the outcome
     if (TRACE_ENABLED && attemptRecorder) {
         if (result.pass) {
-            attemptRecorder.addPassedResult(product, result.score);
+            attemptRecorder.addPassedResult(product, result.score, { feedback: result.feedback, ruleHits: result.ruleHits });
         } else {
             attemptRecorder.addRejection(product, result.reason || 'score=0');
         }
+        // User product rules (utils/product-rules.js): filters, boosts and penalties
+        if (result.ruleHits && result.ruleHits.length > 0) {
+            attemptRecorder.addRuleHits(product, result.ruleHits);
+        }
     }
 
     return result;
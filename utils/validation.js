@@ -95,6 +95,10 @@ const DAY_THRESHOLDS = {
     // Number of meals
     minMealsPerDay: 1,
     maxMealsPerDay: 8,
+
+    // Micronutrient upper limits (dayTotals.micros, see utils/micronutrients.js)
+    maxDailySodiumMg: 2300,         // mg - NHMRC suggested dietary target upper bound
+    maxDailySugarG: 90,             // g - Total sugars, not just added
 };
 
 // =====================================================================
@@ -143,6 +147,8 @@ const WARNING_CODES = {
     DAY_HIGH_CARBS: 'DAY_HIGH_CARBS',
     DAY_FEW_MEALS: 'DAY_FEW_MEALS',
     DAY_MANY_MEALS: 'DAY_MANY_MEALS',
+    DAY_HIGH_SODIUM: 'DAY_HIGH_SODIUM',
+    DAY_HIGH_SUGAR: 'DAY_HIGH_SUGAR',
     
     // Fallback-related
     PLAN_USES_FALLBACKS: 'PLAN_USES_FALLBACKS',
@@ -581,6 +587,29 @@ function validateDay(dayTotals, targets, meals, result) {
         );
     }
     
+    // Check micronutrient limits (totals are a lower bound when coverage < 1)
+    const micros = dayTotals.micros;
+    if (micros) {
+        const coverageNote = micros.coverage < 1 ? ` (data for ${(micros.coverage * 100).toFixed(0)}% of items)` : '';
+        if (micros.sodium_mg > DAY_THRESHOLDS.maxDailySodiumMg) {
+            result.addIssue(
+                WARNING_CODES.DAY_HIGH_SODIUM,
+                SEVERITY.WARNING,
+                `Daily sodium (${micros.sodium_mg.toFixed(0)}mg) exceeds ${DAY_THRESHOLDS.maxDailySodiumMg}mg${coverageNote}`,
+                { actual: micros.sodium_mg, maximum: DAY_THRESHOLDS.maxDailySodiumMg, coverage: micros.coverage }
+            );
+        }
+        
+        if (micros.sugar_g > DAY_THRESHOLDS.maxDailySugarG) {
+            result.addIssue(
+                WARNING_CODES.DAY_HIGH_SUGAR,
+                SEVERITY.WARNING,
+                `Daily sugar (${micros.sugar_g.toFixed(0)}g) exceeds ${DAY_THRESHOLDS.maxDailySugarG}g${coverageNote}`,
+                { actual: micros.sugar_g, maximum: DAY_THRESHOLDS.maxDailySugarG, coverage: micros.coverage }
+            );
+        }
+    }
+    
     // Check fallback ratio
     if (result.fallbackCount > 0 && result.itemsValidated > 0) {
         const fallbackRatio = result.fallbackCount / result.itemsValidated;
@@ -611,7 +640,7 @@ function validateDay(dayTotals, targets, meals, result) {
  * 
  * @param {object} params - Validation parameters
  * @param {Array} params.meals - Array of meal objects with items
- * @param {object} params.dayTotals - { calories, protein, fat, carbs }
+ * @param {object} params.dayTotals - { calories, protein, fat, carbs, micros? }
  * @param {object} params.targets - Nutritional targets { calories, protein, fat, carbs }
  * @param {Map|object} params.nutritionDataMap - Map of normalizedKey -> nutrition data
  * @param {function} params.getMacros - Function to get macros for an item: (item) => { p, f, c, kcal }
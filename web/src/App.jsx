@@ -47,9 +47,10 @@ const App = () => {
     // --- Form Data State (needed by hook and MainApp) ---
     const [formData, setFormData] = useState({ 
         name: '', height: '180', weight: '75', age: '30', gender: 'male', 
-        activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', 
+        activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', allergens: [], household: [], daySchedule: [], productRules: [],
         days: 7, store: 'Woolworths', eatingOccasions: '3', 
         costPriority: 'Best Value', mealVariety: 'Balanced Variety', 
+        planningMode: 'standard', storeMode: 'single', specialsMode: 'off', nutritionMode: 'ingredient', weeklyBudget: '',
         cuisine: '', bodyFat: '', measurementUnits: 'metric'
     });
     
@@ -346,6 +347,7 @@ const App = () => {
                     isLogOpen={logic.isLogOpen}
                     setIsLogOpen={logic.setIsLogOpen} 
                     latestLog={logic.latestLog}
+                    llmUsage={logic.llmUsage}
                     
                     // Macro Debug Log props (with defensive defaults)
                     macroDebug={logic.macroDebug || {}}
@@ -368,6 +370,15 @@ const App = () => {
                     showSuccessModal={logic.showSuccessModal}
                     setShowSuccessModal={logic.setShowSuccessModal}
                     planStats={logic.planStats}
+                    budgetReport={logic.budgetReport}
+                    
+                    // Household
+                    householdPlans={logic.householdPlans}
+                    selectedMemberId={logic.selectedMemberId}
+                    setSelectedMemberId={logic.setSelectedMemberId}
+                    dayTargets={logic.dayTargets}
+                    storeComparison={logic.storeComparison}
+                    specialsReport={logic.specialsReport}
                     
                     // Settings
                     isSettingsOpen={isSettingsOpen}
@@ -375,6 +386,10 @@ const App = () => {
                     // AI Model
                     selectedModel={logic.selectedModel}
                     setSelectedModel={logic.setSelectedModel}
+                    // Pantry
+                    pantryItems={logic.pantryItems}
+                    handleAddPantryItem={logic.handleAddPantryItem}
+                    handleRemovePantryItem={logic.handleRemovePantryItem}
                     
                     // Toasts
                     toasts={logic.toasts}
@@ -382,10 +397,16 @@ const App = () => {
                     
                     // Handlers
                     handleGeneratePlan={logic.handleGeneratePlan}
+                    handleCancelGeneration={logic.handleCancelGeneration}
                     // handleLoadProfile/SaveProfile removed as UI triggers for them are gone
                     handleFetchNutrition={logic.handleFetchNutrition}
                     handleSubstituteSelection={logic.handleSubstituteSelection}
+                    handleLookupBarcode={logic.handleLookupBarcode}
+                    handlePinScannedProduct={logic.handlePinScannedProduct}
+                    handleApplyLabelNutrition={logic.handleApplyLabelNutrition}
                     handleQuantityChange={logic.handleQuantityChange}
+                    handleRegenerateSlot={logic.handleRegenerateSlot}
+                    regeneratingSlot={logic.regeneratingSlot}
 handleDownloadMatchTraceReport={logic.handleDownloadMatchTraceReport || (() => {})}
 matchTraces={logic.matchTraces || []}
 showMatchTraceLogs={logic.showMatchTraceLogs ?? false}
@@ -0,0 +1,335 @@
+// web/src/components/BarcodeScanner.jsx
+// =============================================================================
+// BarcodeScanner — In-store barcode scanning for the shopping list
+//
+// Opened from ShoppingListWithDetails ("Scan"). Reads the item's barcode with
+// the camera (utils/barcode.js: BarcodeDetector, JS decoder fallback) or a
+// typed code, then:
+//   - shows whether the product matches a shopping list entry (the selected
+//     product, or one of its alternatives)
+//   - "Pin as preferred": switches to it / records it for the next plans
+//     (useAppLogic.handlePinScannedProduct)
+//   - "Use label nutrition": recomputes the ingredient's macros in the plan
+//     from the label (useAppLogic.handleApplyLabelNutrition)
+//
+// Rendered via portal at the same z-index as ProductDetailModal.
+// =============================================================================
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, ScanBarcode, CameraOff, CheckCircle, AlertTriangle, Pin, Flame } from 'lucide-react';
+import { useTheme } from '../contexts/ThemeContext';
+import { COLORS } from '../constants';
+import { createBarcodeReader, findScannedMatches, isValidBarcode } from '../utils/barcode';
+
+const MODAL_Z = 9998;
+const SCAN_INTERVAL_MS = 250;
+
+const BarcodeScanner = ({
+  isOpen,
+  onClose,
+  results = {},
+  onLookupBarcode,
+  onPinProduct,
+  onApplyLabel,
+}) => {
+  const { isDark } = useTheme();
+  const videoRef = useRef(null);
+  const [code, setCode] = useState(null);
+  const [manualCode, setManualCode] = useState('');
+  const [cameraError, setCameraError] = useState(null);
+  const [usingNative, setUsingNative] = useState(null);
+  const [label, setLabel] = useState(null);
+  const [loadingLabel, setLoadingLabel] = useState(false);
+  const [selectedKey, setSelectedKey] = useState('');
+
+  const listEntries = useMemo(
+    () => Object.entries(results)
+      .filter(([, result]) => result?.source !== 'failed')
+      .map(([key, result]) => ({ key, name: result?.originalIngredient || key })),
+    [results]
+  );
+  const matches = useMemo(() => (code ? findScannedMatches(results, code) : []), [results, code]);
+
+  const reset = useCallback(() => {
+    setCode(null);
+    setCameraError(null);
+    setManualCode('');
+    setLabel(null);
+    setSelectedKey('');
+  }, []);
+
+  // Read through a ref so a results update (e.g. after pinning) doesn't
+  // restart the camera effect, which depends on handleCode
+  const resultsRef = useRef(results);
+  useEffect(() => { resultsRef.current = results; }, [results]);
+
+  const handleCode = useCallback(async (scanned) => {
+    const found = findScannedMatches(resultsRef.current, scanned);
+    setCode(scanned);
+    setSelectedKey(found[0]?.key || '');
+    setLabel(null);
+    if (!isValidBarcode(scanned)) return;
+    setLoadingLabel(true);
+    try {
+      setLabel(await onLookupBarcode(scanned));
+    } finally {
+      setLoadingLabel(false);
+    }
+  }, [onLookupBarcode]);
+
+  // Escape key handler
+  useEffect(() => {
+    if (!isOpen) return;
+    const handler = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [isOpen, onClose]);
+
+  useEffect(() => {
+    if (!isOpen) reset();
+  }, [isOpen, reset]);
+
+  // Camera + decode loop while nothing has been scanned
+  useEffect(() => {
+    if (!isOpen || code) return;
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const start = async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setCameraError('Camera not available in this browser. Type the barcode instead.');
+        return;
+      }
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false });
+        if (cancelled) {
+          // Closed while the permission prompt was up: cleanup already ran without a stream
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        const video = videoRef.current;
+        if (!video) return;
+        video.srcObject = stream;
+        await video.play();
+        const reader = await createBarcodeReader();
+        if (cancelled) return;
+        setUsingNative(reader.native);
+        setCameraError(null);
+
+        const tick = async () => {
+          if (cancelled) return;
+          try {
+            const scanned = await reader.read(video);
+            if (scanned && !cancelled) {
+              handleCode(scanned);
+              return;
+            }
+          } catch (err) {
+            console.warn('[BARCODE] Frame decode failed:', err.message);
+          }
+          timer = setTimeout(tick, SCAN_INTERVAL_MS);
+        };
+        tick();
+      } catch (err) {
+        if (!cancelled) setCameraError(`Camera unavailable (${err.name || err.message}). Type the barcode instead.`);
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [isOpen, code, handleCode]);
+
+  if (!isOpen) return null;
+
+  const t = {
+    cardBg:        isDark ? '#1e2130' : '#ffffff',
+    border:        isDark ? '#2d3148' : '#e5e7eb',
+    titleColor:    isDark ? '#f0f1f5' : '#111827',
+    labelColor:    isDark ? '#9ca3b0' : '#6b7280',
+    sectionBg:     isDark ? '#252839' : '#f9fafb',
+    inputBg:       isDark ? '#181a24' : '#ffffff',
+    closeBtnBg:    isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.05)',
+    closeBtnColor: isDark ? '#d1d5db' : '#6b7280',
+  };
+
+  const selectedMatch = matches.find((m) => m.key === selectedKey);
+  const labelFound = label?.status === 'found';
+  const scannedProduct = selectedMatch?.product || {
+    name: [label?.brand, label?.name].filter(Boolean).join(' ') || `Barcode ${code}`,
+    brand: label?.brand || null,
+    barcode: code,
+  };
+
+  const buttonStyle = (enabled, color) => ({
+    flex: 1,
+    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px',
+    padding: '10px 12px', borderRadius: '12px', fontSize: '13px', fontWeight: 600,
+    border: `1.5px solid ${enabled ? color : t.border}`,
+    background: 'transparent',
+    color: enabled ? color : t.labelColor,
+    cursor: enabled ? 'pointer' : 'not-allowed',
+  });
+
+  const modalContent = (
+    <div
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      style={{
+        position: 'fixed', inset: 0, zIndex: MODAL_Z,
+        background: isDark ? 'rgba(0,0,0,0.7)' : 'rgba(0,0,0,0.55)',
+        backdropFilter: 'blur(4px)', WebkitBackdropFilter: 'blur(4px)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '12px',
+      }}
+    >
+      <div
+        style={{
+          width: '100%', maxWidth: '460px', maxHeight: '92dvh', overflowY: 'auto',
+          background: t.cardBg, borderRadius: '20px', borderTop: '3.5px solid #6366f1',
+          fontFamily: "'DM Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+        }}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '1rem 1.25rem', borderBottom: `1px solid ${t.border}` }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <ScanBarcode size={20} style={{ color: COLORS.primary[500] }} />
+            <h2 style={{ fontSize: '1.1rem', fontWeight: 700, color: t.titleColor, margin: 0 }}>Scan a product</h2>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close scanner"
+            style={{ width: '36px', height: '36px', borderRadius: '10px', border: 'none', cursor: 'pointer', background: t.closeBtnBg, color: t.closeBtnColor, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div style={{ padding: '1rem 1.25rem', display: 'flex', flexDirection: 'column', gap: '14px' }}>
+          {!code && (
+            <>
+              {cameraError ? (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '14px', borderRadius: '12px', background: t.sectionBg, color: t.labelColor, fontSize: '13px' }}>
+                  <CameraOff size={18} />
+                  <span>{cameraError}</span>
+                </div>
+              ) : (
+                <div style={{ position: 'relative', borderRadius: '14px', overflow: 'hidden', background: '#000', aspectRatio: '4 / 3' }}>
+                  <video ref={videoRef} muted playsInline style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                  <div style={{ position: 'absolute', left: '10%', right: '10%', top: '50%', height: '2px', background: COLORS.error.main, boxShadow: `0 0 8px ${COLORS.error.main}` }} />
+                </div>
+              )}
+              <p style={{ margin: 0, fontSize: '12px', color: t.labelColor }}>
+                Hold the barcode across the line.
+                {usingNative === false && ' (Using the built-in decoder: EAN-13, EAN-8 and UPC-A.)'}
+              </p>
+              <form
+                onSubmit={(e) => { e.preventDefault(); const typed = manualCode.replace(/\D/g, ''); if (typed) handleCode(typed); }}
+                style={{ display: 'flex', gap: '8px' }}
+              >
+                <input
+                  value={manualCode}
+                  onChange={(e) => setManualCode(e.target.value)}
+                  inputMode="numeric"
+                  placeholder="Or type the barcode digits"
+                  style={{ flex: 1, padding: '10px 12px', borderRadius: '12px', border: `1.5px solid ${t.border}`, background: t.inputBg, color: t.titleColor, fontSize: '14px' }}
+                />
+                <button type="submit" style={{ ...buttonStyle(!!manualCode.trim(), COLORS.primary[500]), flex: 'none' }} disabled={!manualCode.trim()}>
+                  Look up
+                </button>
+              </form>
+            </>
+          )}
+
+          {code && (
+            <>
+              {/* Scanned product + label */}
+              <div style={{ padding: '12px 14px', borderRadius: '12px', background: t.sectionBg }}>
+                <div style={{ fontSize: '11px', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.05em', color: t.labelColor }}>
+                  Barcode {code}
+                </div>
+                <div style={{ fontSize: '15px', fontWeight: 600, color: t.titleColor, marginTop: '2px' }}>
+                  {selectedMatch?.product.name || label?.name || (loadingLabel ? 'Looking up…' : 'Unknown product')}
+                </div>
+                {loadingLabel && <div style={{ fontSize: '12px', color: t.labelColor, marginTop: '6px' }}>Reading label nutrition…</div>}
+                {labelFound && (
+                  <div style={{ fontSize: '12px', color: t.labelColor, marginTop: '6px' }}>
+                    Label per 100g: {Math.round(label.calories)} kcal · P {label.protein}g · F {label.fat}g · C {label.carbs}g
+                  </div>
+                )}
+                {!loadingLabel && label && !labelFound && (
+                  <div style={{ fontSize: '12px', color: t.labelColor, marginTop: '6px' }}>No label nutrition found for this barcode.</div>
+                )}
+              </div>
+
+              {/* Shopping list match */}
+              {matches.length > 0 ? matches.map((match) => (
+                <div key={match.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: match.isSelected ? COLORS.success.main : COLORS.warning.main }}>
+                  {match.isSelected ? <CheckCircle size={16} /> : <AlertTriangle size={16} />}
+                  <span>
+                    {match.isSelected
+                      ? `Matches your list: ${match.ingredient}`
+                      : `An alternative for ${match.ingredient} (not the product on your list)`}
+                  </span>
+                </div>
+              )) : (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: t.labelColor }}>
+                  <AlertTriangle size={16} />
+                  <span>Not on your shopping list. Choose the ingredient it is for:</span>
+                </div>
+              )}
+
+              <select
+                value={selectedKey}
+                onChange={(e) => setSelectedKey(e.target.value)}
+                style={{ padding: '10px 12px', borderRadius: '12px', border: `1.5px solid ${t.border}`, background: t.inputBg, color: t.titleColor, fontSize: '14px' }}
+              >
+                <option value="">Select ingredient…</option>
+                {listEntries.map((entry) => (
+                  <option key={entry.key} value={entry.key}>{entry.name}</option>
+                ))}
+              </select>
+
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  type="button"
+                  disabled={!selectedKey}
+                  onClick={() => onPinProduct(selectedKey, scannedProduct)}
+                  style={buttonStyle(!!selectedKey, COLORS.primary[500])}
+                >
+                  <Pin size={15} />
+                  Pin as preferred
+                </button>
+                <button
+                  type="button"
+                  disabled={!selectedKey || !labelFound}
+                  onClick={() => onApplyLabel(selectedKey, label)}
+                  style={buttonStyle(!!selectedKey && labelFound, COLORS.success.main)}
+                >
+                  <Flame size={15} />
+                  Use label nutrition
+                </button>
+              </div>
+
+              <button
+                type="button"
+                onClick={reset}
+                style={{ ...buttonStyle(true, t.labelColor), flex: 'none' }}
+              >
+                <ScanBarcode size={15} />
+                Scan another
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default BarcodeScanner;
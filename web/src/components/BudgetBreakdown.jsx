@@ -0,0 +1,85 @@
+// web/src/components/BudgetBreakdown.jsx
+//
+// Before/after cost breakdown for the hard weekly budget cap.
+// Fed by the 'budget:rebalance' SSE event (see utils/budget-balancer.js):
+//   { cap, before, after, withinBudget, swaps, substitutions, breakdown, reason }
+//
+// Rendered by GenerationProgressDisplay and StoryModeGeneration.
+
+import React from 'react';
+import { Wallet, ArrowRight } from 'lucide-react';
+import { COLORS } from '../constants';
+import { useTheme } from '../contexts/ThemeContext';
+
+const MAX_CHANGES_SHOWN = 5;
+
+const formatMoney = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+const BudgetBreakdown = ({ report }) => {
+    const { isDark } = useTheme();
+    if (!report) return null;
+
+    const statusColor = report.withinBudget ? COLORS.success.main : COLORS.error.main;
+    const mutedColor = isDark ? '#9ca3b0' : COLORS.gray[500];
+    const textColor = isDark ? '#f0f1f5' : COLORS.gray[900];
+
+    // Product swaps and ingredient substitutions share one list, biggest saving first
+    const changes = [
+        ...(report.substitutions || []).map(s => ({ ...s, label: `${s.from} → ${s.to}` })),
+        ...(report.swaps || []).map(s => ({ ...s, label: `${s.ingredient}: ${s.to}` })),
+    ].sort((a, b) => b.saving - a.saving);
+
+    return (
+        <div
+            className="w-full max-w-md mx-auto mt-5 rounded-xl p-4 text-left animate-fadeIn"
+            style={{
+                backgroundColor: isDark ? 'rgba(255,255,255,0.04)' : '#fff',
+                border: `1px solid ${isDark ? 'rgba(255,255,255,0.08)' : COLORS.gray[200]}`,
+            }}
+        >
+            <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                    <Wallet size={16} style={{ color: statusColor }} />
+                    <span className="text-sm font-semibold" style={{ color: textColor }}>
+                        Budget cap {formatMoney(report.cap)}
+                    </span>
+                </div>
+                <span className="text-xs font-semibold" style={{ color: statusColor }}>
+                    {report.withinBudget ? 'Within budget' : 'Over budget'}
+                </span>
+            </div>
+
+            <div className="flex items-center space-x-2 mt-2 text-sm" style={{ color: mutedColor }}>
+                <span style={{ textDecoration: report.after < report.before ? 'line-through' : 'none' }}>
+                    {formatMoney(report.before)}
+                </span>
+                <ArrowRight size={14} />
+                <span className="font-bold" style={{ color: statusColor }}>{formatMoney(report.after)}</span>
+            </div>
+
+            {changes.length > 0 && (
+                <ul className="mt-3 space-y-1">
+                    {changes.slice(0, MAX_CHANGES_SHOWN).map((change, i) => (
+                        <li key={i} className="flex justify-between text-xs" style={{ color: mutedColor }}>
+                            <span className="truncate pr-2">{change.label}</span>
+                            <span className="flex-shrink-0" style={{ color: COLORS.success.main }}>
+                                -{formatMoney(change.saving)}
+                            </span>
+                        </li>
+                    ))}
+                    {changes.length > MAX_CHANGES_SHOWN && (
+                        <li className="text-xs" style={{ color: mutedColor }}>
+                            +{changes.length - MAX_CHANGES_SHOWN} more change{changes.length - MAX_CHANGES_SHOWN > 1 ? 's' : ''}
+                        </li>
+                    )}
+                </ul>
+            )}
+
+            {report.reason && (
+                <p className="mt-3 text-xs" style={{ color: COLORS.error.main }}>{report.reason}</p>
+            )}
+        </div>
+    );
+};
+
+export default BudgetBreakdown;
@@ -5,7 +5,33 @@ import { Terminal, ChevronRight, GripVertical, ChevronDown, ChevronUp, Download
 // --- Local Dependencies ---
 import LogEntry from './LogEntry';
 
-const DiagnosticLogViewer = ({ logs, height, setHeight, isOpen, setIsOpen, onDownloadLogs }) => {
+const formatTokens = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n || 0));
+const formatUsd = (n) => `$${(n || 0).toFixed(n >= 1 ? 2 : 4)}`;
+
+/**
+ * LLM spend of the last run (llmUsage from plan:complete): per agent and per day
+ */
+const LlmUsageBreakdown = ({ usage }) => (
+    <div className="mb-2 p-2 bg-gray-800/70 rounded border border-gray-700 text-gray-300">
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {Object.entries(usage.byAgent || {}).map(([agent, bucket]) => (
+                <span key={agent}>{agent}: {bucket.calls} calls · {formatTokens(bucket.inputTokens)} in / {formatTokens(bucket.outputTokens)} out · {formatUsd(bucket.costUsd)}</span>
+            ))}
+        </div>
+        {usage.byDay && usage.byDay.length > 0 && (
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1 text-gray-400">
+                {usage.byDay.map(day => (
+                    <span key={day.day}>Day {day.day}: {formatTokens(day.inputTokens + day.outputTokens)} tokens · {formatUsd(day.costUsd)}</span>
+                ))}
+            </div>
+        )}
+        {usage.unpricedModels && usage.unpricedModels.length > 0 && (
+            <p className="mt-1 text-yellow-400">No price for: {usage.unpricedModels.join(', ')} (excluded from cost)</p>
+        )}
+    </div>
+);
+
+const DiagnosticLogViewer = ({ logs, llmUsage = null, height, setHeight, isOpen, setIsOpen, onDownloadLogs }) => {
     const logContainerRef = useRef(null);
     const resizeHandleRef = useRef(null);
     const minHeight = 50;
@@ -57,13 +83,15 @@ const DiagnosticLogViewer = ({ logs, height, setHeight, isOpen, setIsOpen, onDow
                 <GripVertical className="text-gray-600 group-hover:text-indigo-400" size={16} />
             </div>
             <div className="p-3 bg-gray-800 border-b border-gray-700 flex items-center justify-between">
-                <div className="flex items-center"><Terminal className="w-5 h-5 mr-3 text-green-400" /><h3 className="font-bold">Orchestrator Logs</h3></div>
+                <div className="flex items-center"><Terminal className="w-5 h-5 mr-3 text-green-400" /><h3 className="font-bold">Orchestrator Logs</h3>
+                    {llmUsage && llmUsage.calls > 0 && (<span className="ml-3 text-gray-400" title="LLM tokens and estimated cost of the last run">{formatTokens(llmUsage.totalTokens)} tokens · {formatUsd(llmUsage.costUsd)}</span>)}
+                </div>
                 <div className="flex items-center space-x-4">
                     {logs && logs.length > 0 && (<button onClick={onDownloadLogs} className="flex items-center px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-xs font-semibold" title="Download Logs"><Download size={14} className="mr-1" /> Download</button>)}
                     <button onClick={toggleOpen} className="text-gray-400 hover:text-white">{isOpen ? <ChevronDown size={20} /> : <ChevronUp size={20} />}</button>
                 </div>
             </div>
-            {isOpen && (<div ref={logContainerRef} className="flex-grow overflow-y-auto p-2">{logs.length > 0 ? logs.map((log, index) => <LogEntry key={index} log={log} />) : <span className="text-gray-500 p-2">Awaiting plan generation...</span>}</div>)}
+            {isOpen && (<div ref={logContainerRef} className="flex-grow overflow-y-auto p-2">{llmUsage && llmUsage.calls > 0 && <LlmUsageBreakdown usage={llmUsage} />}{logs.length > 0 ? logs.map((log, index) => <LogEntry key={index} log={log} />) : <span className="text-gray-500 p-2">Awaiting plan generation...</span>}</div>)}
         </div>
     );
 };
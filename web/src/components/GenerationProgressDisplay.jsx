@@ -14,6 +14,7 @@ import {
     Circle, // Used for pending steps
     Grid,   // Fallback for finalizing
 } from 'lucide-react';
+import BudgetBreakdown from './BudgetBreakdown';
 
 // --- Thematic "Fun Name" Mapping ---
 // We map the *technical log tag* to a fun name for the live-ticker
@@ -134,6 +135,7 @@ const GenerationProgressDisplay = ({
     activeStepKey, // 'targets', 'planning', 'market', 'finalizing', 'complete', 'error'
     errorMsg,
     latestLog,
+    budgetReport, // [NEW] 'budget:rebalance' event payload (before/after cost breakdown)
 }) => {
     // 1. Determine overall state from the activeStepKey
     const isError = activeStepKey === 'error';
@@ -174,6 +176,7 @@ const GenerationProgressDisplay = ({
                         <CheckCircle className="w-8 h-8 text-green-500" />
                     </div>
                     <p className="text-gray-600 mt-4">Your plan is ready. You can now view your meals and ingredients.</p>
+                    <BudgetBreakdown report={budgetReport} />
                 </div>
             )}
 
@@ -198,6 +201,7 @@ const GenerationProgressDisplay = ({
                             />
                         );
                     })}
+                    <BudgetBreakdown report={budgetReport} />
                     <p className="text-center text-sm text-indigo-500 font-medium pt-4 border-t border-indigo-100">
                         Please wait, this can take up to a minute...
                     </p>
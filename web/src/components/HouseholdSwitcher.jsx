@@ -0,0 +1,51 @@
+// web/src/components/HouseholdSwitcher.jsx
+//
+// Member tabs for household plans. Everyone shares the same meals; switching
+// member swaps MealPlanDisplay to that member's portions and macro targets.
+// Fed by plan:complete `household` (see utils/household.js):
+//   [{ id, name, nutritionalTargets, scale, mealPlan }]  — first entry is the primary profile
+//
+// Rendered by MainApp above MealPlanDisplay.
+
+import React from 'react';
+import { Users } from 'lucide-react';
+import { COLORS } from '../constants';
+import { useTheme } from '../contexts/ThemeContext';
+
+const HouseholdSwitcher = ({ members = [], selectedMemberId, onSelect }) => {
+    const { isDark } = useTheme();
+    if (members.length === 0) return null;
+
+    const mutedColor = isDark ? '#9ca3b0' : COLORS.gray[500];
+    const inactiveBg = isDark ? '#252839' : '#fff';
+    const inactiveBorder = isDark ? '#3d4158' : COLORS.gray[200];
+
+    return (
+        <div className="flex items-center flex-wrap gap-2 mb-4">
+            <Users size={16} style={{ color: mutedColor }} />
+            {members.map((member) => {
+                const isActive = member.id === selectedMemberId;
+                return (
+                    <button
+                        key={member.id}
+                        type="button"
+                        onClick={() => onSelect(member.id)}
+                        className="px-3 py-1.5 rounded-full text-sm font-semibold transition-all"
+                        style={{
+                            backgroundColor: isActive ? COLORS.primary[500] : inactiveBg,
+                            border: `1.5px solid ${isActive ? COLORS.primary[500] : inactiveBorder}`,
+                            color: isActive ? '#fff' : mutedColor,
+                        }}
+                    >
+                        {member.name}
+                        <span className="ml-1.5 text-xs font-normal" style={{ opacity: 0.8 }}>
+                            {Math.round(member.nutritionalTargets?.calories || 0)} kcal
+                        </span>
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default HouseholdSwitcher;
@@ -13,6 +13,13 @@
 //     null price handling, reduced-motion support, a11y focus styles
 //
 // NO LOGIC CHANGES — identical props interface and behavior.
+//
+// [Pantry] Optional haveAmount / needAmount props render a "Have | Need to buy"
+// row; inPantry swaps the "Price N/A" label for "In pantry".
+// [Purchase] Optional units / leftoverAmount props show the pack count
+// ("× 2") and the grams left over after covering the plan.
+// [Price history] Optional deal ({ median, discountPct }) shows a "Special"
+// badge and the usual price.
 // =============================================================================
 
 import React, { useRef, useCallback } from 'react';
@@ -21,9 +28,15 @@ const IngredientCard = ({
   ingredientName,
   price,
   size,
+  units = 1,
+  leftoverAmount = null,
   isCheapest,
   onViewProduct,
   index = 0,
+  haveAmount = null,
+  needAmount = null,
+  inPantry = false,
+  deal = null,
 }) => {
   const cardRef = useRef(null);
   const buttonRef = useRef(null);
@@ -84,11 +97,18 @@ const IngredientCard = ({
           {ingredientName}
         </div>
 
-        {isCheapest && (
-          <div className="glass-card__badge">
-            Cheapest
-          </div>
-        )}
+        <div className="glass-card__badges">
+          {deal && (
+            <div className="glass-card__badge glass-card__badge--special">
+              Special −{Math.round(deal.discountPct)}%
+            </div>
+          )}
+          {isCheapest && (
+            <div className="glass-card__badge">
+              Cheapest
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Price + Size Row */}
@@ -96,10 +116,13 @@ const IngredientCard = ({
         {formattedPrice !== null ? (
           <span className="glass-card__price">
             ${formattedPrice}
+            {units > 1 && (
+              <span className="glass-card__units"> × {units}</span>
+            )}
           </span>
         ) : (
           <span className="glass-card__price glass-card__price--na">
-            Price N/A
+            {inPantry ? 'In pantry' : 'Price N/A'}
           </span>
         )}
         {size && (
@@ -107,6 +130,32 @@ const IngredientCard = ({
         )}
       </div>
 
+      {deal && deal.median && (
+        <div className="glass-card__leftover">
+          Usually ${deal.median.toFixed(2)}
+        </div>
+      )}
+
+      {leftoverAmount && (
+        <div className="glass-card__leftover">
+          {leftoverAmount} left over
+        </div>
+      )}
+
+      {/* Pantry Row: Have | Need to buy */}
+      {haveAmount !== null && (
+        <div className="glass-card__pantry">
+          <div className="glass-card__pantry-cell">
+            <span className="glass-card__pantry-label">Have</span>
+            <span className="glass-card__pantry-value">{haveAmount}</span>
+          </div>
+          <div className="glass-card__pantry-cell">
+            <span className="glass-card__pantry-label">Need to buy</span>
+            <span className="glass-card__pantry-value">{needAmount ?? '—'}</span>
+          </div>
+        </div>
+      )}
+
       {/* View Product Button — gradient CTA */}
       <button
         ref={buttonRef}
@@ -361,6 +410,12 @@ const IngredientCard = ({
           flex: 1;
         }
 
+        .glass-card__badges {
+          display: flex;
+          gap: 6px;
+          flex-shrink: 0;
+        }
+
         .glass-card__badge {
           background: linear-gradient(135deg, #10b981 0%, #059669 100%);
           color: #ffffff;
@@ -375,6 +430,11 @@ const IngredientCard = ({
           flex-shrink: 0;
         }
 
+        .glass-card__badge--special {
+          background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
+          box-shadow: 0 2px 8px rgba(245, 158, 11, 0.3);
+        }
+
 
         /* ==============================================
            PRICE + SIZE ROW
@@ -405,6 +465,20 @@ const IngredientCard = ({
           font-style: italic;
         }
 
+        .glass-card__units {
+          font-size: 14px;
+          font-weight: 600;
+          color: var(--color-text-secondary, #9ca3b0);
+        }
+
+        .glass-card__leftover {
+          margin: -10px 0 14px;
+          font-size: 12px;
+          color: var(--color-text-tertiary, #6b7280);
+          position: relative;
+          z-index: 1;
+        }
+
         .glass-card__size-pill {
           background: rgba(255, 255, 255, 0.06);
           border: 1px solid rgba(255, 255, 255, 0.08);
@@ -422,6 +496,49 @@ const IngredientCard = ({
         }
 
 
+        /* ==============================================
+           PANTRY ROW — Have | Need to buy
+           ============================================== */
+
+        .glass-card__pantry {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+          margin: -6px 0 16px;
+          position: relative;
+          z-index: 1;
+        }
+
+        .glass-card__pantry-cell {
+          display: flex;
+          flex-direction: column;
+          padding: 6px 10px;
+          border-radius: 10px;
+          background: rgba(255, 255, 255, 0.04);
+          border: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        [data-theme="light"] .glass-card__pantry-cell {
+          background: rgba(99, 102, 241, 0.04);
+          border-color: rgba(99, 102, 241, 0.1);
+        }
+
+        .glass-card__pantry-label {
+          font-size: 10px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.06em;
+          color: var(--color-text-tertiary, #6b7280);
+        }
+
+        .glass-card__pantry-value {
+          font-size: 14px;
+          font-weight: 600;
+          color: var(--color-text-primary, #f0f1f5);
+          font-variant-numeric: tabular-nums;
+        }
+
+
         /* ==============================================
            VIEW PRODUCT BUTTON — Gradient CTA
            ============================================== */
@@ -4,7 +4,8 @@ import { Target, Download, ChevronDown, ChevronUp } from 'lucide-react';
 
 /**
  * MacroDebugLogViewer - Displays macro debug data from plan generation
- * Shows per-day, per-meal breakdown of macro calculations
+ * Shows per-day, per-meal breakdown of macro calculations, and in product-accurate
+ * mode the label vs ingredient-entry nutrition of each item (item.productNutrition)
  * 
  * @param {object} macroDebug - The macro debug object from plan generation (default: {})
  * @param {function} onDownload - Handler to download macro debug as JSON (default: () => {})
@@ -23,6 +24,34 @@ const MacroDebugLogViewer = ({
         return null;
     }
 
+    const formatPer100 = (values) => values
+        ? `${Math.round(values.kcal)} kcal · P ${values.protein}g · F ${values.fat}g · C ${values.carbs}g`
+        : 'n/a';
+
+    /**
+     * Product-accurate mode: the selected product's label next to the ingredient
+     * entry it replaced (or was rejected against), per 100g
+     */
+    const renderProductNutrition = (item, itemIndex) => {
+        const pn = item.productNutrition;
+        const confidenceColor = { high: 'text-green-300', medium: 'text-yellow-300', low: 'text-red-300' }[pn.confidence] || 'text-teal-300';
+        return (
+            <div key={itemIndex} className="mt-1 pl-2 text-xs bg-black/20 p-1 rounded">
+                <p className="text-teal-100">
+                    {item.key}: <span className={confidenceColor}>{pn.confidence}</span>
+                    {' · '}{pn.used ? 'label used' : 'ingredient entry kept'}
+                    {pn.diffPct?.kcal != null && ` · kcal ${pn.diffPct.kcal > 0 ? '+' : ''}${pn.diffPct.kcal}%`}
+                </p>
+                <p className={pn.used ? 'text-teal-100' : 'text-teal-400'}>
+                    Label ({pn.productName || pn.barcode}): {formatPer100(pn.label)}
+                </p>
+                <p className={pn.used ? 'text-teal-400' : 'text-teal-100'}>
+                    Ingredient ({pn.canonical?.source || 'none'}): {formatPer100(pn.canonical)}
+                </p>
+            </div>
+        );
+    };
+
     /**
      * Renders a single day's macro debug data
      */
@@ -52,7 +81,7 @@ const MacroDebugLogViewer = ({
                         {dayData.meals.map((meal, mealIndex) => (
                             <div key={mealIndex} className="mb-2 pl-2 border-l-2 border-teal-600/50">
                                 <p className="text-teal-100 text-xs font-medium">
-                                    {meal.name || `Meal ${mealIndex + 1}`}
+                                    {meal.name || meal.mealName || `Meal ${mealIndex + 1}`}
                                 </p>
                                 {meal.macros && (
                                     <div className="text-teal-200 text-xs mt-1 grid grid-cols-4 gap-1">
@@ -62,6 +91,9 @@ const MacroDebugLogViewer = ({
                                         <span>C: {meal.macros.carbs || 0}g</span>
                                     </div>
                                 )}
+                                {(meal.items || []).filter(item => item.productNutrition).map((item, itemIndex) => (
+                                    renderProductNutrition(item, itemIndex)
+                                ))}
                                 {meal.adjustments && (
                                     <pre className="text-yellow-200 text-xs bg-yellow-900/30 p-1 rounded mt-1">
                                         Adjustments: {JSON.stringify(meal.adjustments, null, 2)}
@@ -178,6 +210,12 @@ const MacroDebugLogViewer = ({
             {/* Content */}
             {isOpen && (
                 <div className="max-h-80 overflow-y-auto p-3">
+                    {macroDebug.productNutrition && (
+                        <p className="mb-3 text-teal-200">
+                            Product-accurate macros: {macroDebug.productNutrition.used}/{macroDebug.productNutrition.checked} labels used
+                            {' '}({macroDebug.productNutrition.lowConfidence} low confidence, {macroDebug.productNutrition.noLabel} without label)
+                        </p>
+                    )}
                     {renderMacroDebugContent()}
                 </div>
             )}
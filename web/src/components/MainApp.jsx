@@ -14,6 +14,7 @@ import StoryModeGeneration from './StoryModeGeneration';
 import NutritionalInfo from './NutritionalInfo';
 import IngredientResultBlock from './IngredientResultBlock';
 import MealPlanDisplay from './MealPlanDisplay';
+import HouseholdSwitcher from './HouseholdSwitcher';
 import ShoppingListWithDetails from './ShoppingListWithDetails';
 import LogEntry from './LogEntry';
 import DiagnosticLogViewer from './DiagnosticLogViewer';
@@ -115,6 +116,7 @@ const MainApp = ({
     isLogOpen,
     setIsLogOpen,
     latestLog,
+    llmUsage = null,
     
     // Macro Debug Log props
     macroDebug = {},
@@ -140,6 +142,15 @@ const MainApp = ({
     showSuccessModal,
     setShowSuccessModal,
     planStats,
+    budgetReport = null,
+    
+    // Household
+    householdPlans = [],
+    selectedMemberId = 'primary',
+    setSelectedMemberId,
+    dayTargets = null,
+    storeComparison = null,
+    specialsReport = null,
     
     // Settings
     isSettingsOpen,
@@ -148,6 +159,11 @@ const MainApp = ({
     // AI Model
     selectedModel,
     setSelectedModel,
+
+    // Pantry
+    pantryItems = [],
+    handleAddPantryItem = () => {},
+    handleRemovePantryItem = () => {},
     
     // Toasts
     toasts,
@@ -155,9 +171,15 @@ const MainApp = ({
     
     // Handlers
     handleGeneratePlan,
+    handleCancelGeneration,
     handleFetchNutrition,
     handleSubstituteSelection,
+    handleLookupBarcode,
+    handlePinScannedProduct,
+    handleApplyLabelNutrition,
     handleQuantityChange,
+    handleRegenerateSlot,
+    regeneratingSlot = null,
     handleDownloadMatchTraceReport,
     handleDownloadLogs,
     onToggleMealEaten,
@@ -265,24 +287,42 @@ const handleEditProfileClean = useCallback(() => {
     // Memoize content for meals tab
     const mealPlanContent = useMemo(() => {
         if (!mealPlan || mealPlan.length === 0) return null;
+        // Household mode: show the selected member's portions and targets
+        const activeMember = householdPlans.find(m => m.id === selectedMemberId);
         return (
+            <>
+            {householdPlans.length > 0 && (
+                <HouseholdSwitcher
+                    members={householdPlans}
+                    selectedMemberId={selectedMemberId}
+                    onSelect={setSelectedMemberId}
+                />
+            )}
             <MealPlanDisplay
-                mealPlan={mealPlan}
+                mealPlan={activeMember?.mealPlan || mealPlan}
                 selectedDay={selectedDay}
                 setSelectedDay={setSelectedDay}
                 eatenMeals={eatenMeals}
                 onToggleMealEaten={onToggleMealEaten}
                 formData={formData}
-                nutritionalTargets={nutritionalTargets}
+                nutritionalTargets={activeMember?.nutritionalTargets || nutritionalTargets}
+                dayTargets={activeMember ? activeMember.dayTargets : dayTargets}
                 nutritionCache={nutritionCache}
                 loadingNutritionFor={loadingNutritionFor}
                 onFetchNutrition={handleFetchNutrition}
                 onViewRecipe={handleViewRecipe}
+                onRegenerateSlot={handleRegenerateSlot}
+                regeneratingSlot={regeneratingSlot}
                 showToast={showToast}
             />
+            </>
         );
     }, [
         mealPlan, 
+        householdPlans,
+        selectedMemberId,
+        setSelectedMemberId,
+        dayTargets,
         selectedDay, 
         eatenMeals, 
         formData, 
@@ -292,6 +332,8 @@ const handleEditProfileClean = useCallback(() => {
         handleFetchNutrition, 
         handleViewRecipe, 
         onToggleMealEaten, 
+        handleRegenerateSlot,
+        regeneratingSlot,
         setSelectedDay,
         showToast
     ]);
@@ -306,9 +348,14 @@ const handleEditProfileClean = useCallback(() => {
                 results={results}
                 totalCost={totalCost}
                 storeName={formData?.store || 'Woolworths'}
+                storeComparison={storeComparison}
+                specialsReport={specialsReport}
                 categorizedResults={categorizedResults}
                 onSelectSubstitute={handleSubstituteSelection}
                 onQuantityChange={handleQuantityChange}
+                onLookupBarcode={handleLookupBarcode}
+                onPinScannedProduct={handlePinScannedProduct}
+                onApplyLabelNutrition={handleApplyLabelNutrition}
                 onShowToast={showToast}
                 onFetchNutrition={handleFetchNutrition}
                 nutritionCache={nutritionCache}
@@ -320,8 +367,13 @@ const handleEditProfileClean = useCallback(() => {
         uniqueIngredients, 
         totalCost, 
         formData?.store, 
+        storeComparison,
+        specialsReport,
         categorizedResults, 
         handleSubstituteSelection, 
+        handleLookupBarcode,
+        handlePinScannedProduct,
+        handleApplyLabelNutrition,
         handleQuantityChange, 
         handleFetchNutrition, 
         nutritionCache, 
@@ -441,9 +493,14 @@ const handleEditProfileClean = useCallback(() => {
                                                     nutritionalTargets={nutritionalTargets}
                                                     results={results}
                                                     mealPlan={mealPlan}
+                                                    budgetReport={budgetReport}
+                                                    onCancel={handleCancelGeneration}
                                                 />
                                             </div>
                                         )}
+
+                                        {/* Streamed days: provisional meal cards while the plan is still generating */}
+                                        {loading && contentView !== 'meals' && mealPlan?.length > 0 && mealPlanContent}
                                 
                                         {contentView === 'profile' && (
                                             <ProfileTab 
@@ -517,6 +574,9 @@ const handleEditProfileClean = useCallback(() => {
 
                 selectedModel={selectedModel}
                 onModelChange={setSelectedModel}
+                pantryItems={pantryItems}
+                onAddPantryItem={handleAddPantryItem}
+                onRemovePantryItem={handleRemovePantryItem}
                 measurementUnits={formData.measurementUnits || 'metric'}
                 onMeasurementUnitsChange={(units) => {
                     handleChange({ target: { name: 'measurementUnits', value: units } });
@@ -605,7 +665,7 @@ const handleEditProfileClean = useCallback(() => {
             {/* Fixed bottom log area */}
             <div className="fixed bottom-0 left-0 right-0 z-[100] flex flex-col-reverse">
                 {showOrchestratorLogs && (
-                    <DiagnosticLogViewer logs={diagnosticLogs} height={logHeight} setHeight={setLogHeight} isOpen={isLogOpen} setIsOpen={setIsLogOpen} onDownloadLogs={handleDownloadLogs} />
+                    <DiagnosticLogViewer logs={diagnosticLogs} llmUsage={llmUsage} height={logHeight} setHeight={setLogHeight} isOpen={isLogOpen} setIsOpen={setIsLogOpen} onDownloadLogs={handleDownloadLogs} />
                 )}
                 {/* UPDATED: Condition now uses showProductMatchTrace */}
                 {showProductMatchTrace && (
@@ -6,8 +6,8 @@
 // - Meal cards below are UNCHANGED
 
 import React, { useMemo, useState, useRef, useEffect, useCallback } from 'react';
-import { BookOpen, CheckCircle, AlertTriangle, Copy } from 'lucide-react';
-import { COLORS } from '../constants';
+import { BookOpen, CheckCircle, AlertTriangle, Copy, RefreshCw } from 'lucide-react';
+import { COLORS, DAY_TYPE_LABELS } from '../constants';
 import { exportMealPlanToClipboard } from '../utils/mealPlanExporter';
 
 
@@ -205,6 +205,33 @@ const NeonTilesCard = ({ calories, protein, fat, carbs, targets }) => {
 };
 
 
+// ─────────────────────────────────────────────────────────────
+// PROVISIONAL MEAL CARD — streamed meal (day:meals) before the
+// solver and chef have run; replaced in place by the final card
+// ─────────────────────────────────────────────────────────────
+const ProvisionalMealCard = ({ meal }) => (
+    <div className="p-5 rounded-xl border-2 border-dashed bg-white border-gray-200">
+        <h4 className="text-xl font-bold text-gray-900 mb-1">{meal.name}</h4>
+        <div className="flex flex-wrap gap-3 text-sm">
+            <span className="px-3 py-1 bg-gray-100 text-gray-500 rounded-full font-semibold animate-pulse">
+                Calculating macros...
+            </span>
+        </div>
+        {Array.isArray(meal.items) && meal.items.length > 0 && (
+            <ul className="mt-3 list-disc list-inside space-y-1 text-sm text-gray-600">
+                {meal.items.map((item, idx) => (
+                    <li key={idx}>{item.qty_value} {item.qty_unit} {item.key}</li>
+                ))}
+            </ul>
+        )}
+        <div className="w-full mt-3 py-2 px-4 bg-gray-100 text-gray-400 font-semibold rounded-lg flex items-center justify-center gap-2">
+            <BookOpen className="w-4 h-4" />
+            Writing recipe...
+        </div>
+    </div>
+);
+
+
 // ─────────────────────────────────────────────────────────────
 // MEAL PLAN DISPLAY — Main component
 // ─────────────────────────────────────────────────────────────
@@ -213,9 +240,12 @@ const MealPlanDisplay = ({
     selectedDay,
     setSelectedDay,
     nutritionalTargets,
+    dayTargets = null,
     eatenMeals,
     onToggleMealEaten,
     onViewRecipe,
+    onRegenerateSlot,
+    regeneratingSlot,
     showToast,
     // These are passed by MainApp but unused here; accept to avoid console warnings
     formData,
@@ -287,6 +317,17 @@ const MealPlanDisplay = ({
         };
     }, [dayData, eatenMeals, selectedDay]);
 
+    // Calorie cycling: the selected day's own targets (falls back to the plan-wide target)
+    const dayEntry = Array.isArray(dayTargets) ? dayTargets.find(d => d.dayNumber === selectedDay) : null;
+    const dayTypeMeta = dayEntry ? DAY_TYPE_LABELS[dayEntry.dayType] : null;
+
+    // Streaming: provisional days are still being solved/written (or not generated yet)
+    const isProvisional = !!dayData.provisional;
+    const isPlanStreaming = mealPlan.some(day => day && day.provisional);
+
+    // Regeneration state for the selected day (mealType null = whole day)
+    const isRegeneratingDay = !!regeneratingSlot && regeneratingSlot.day === selectedDay && !regeneratingSlot.mealType;
+
     // Copy all meals handler
     const handleCopyAllMeals = async () => {
         setCopying(true);
@@ -313,20 +354,39 @@ const MealPlanDisplay = ({
                         <div className="mpd-header-pill">Day {selectedDay}</div>
                         <div>
                             <h3 className="mpd-header-title">Your Nutrition</h3>
-                            <p className="mpd-header-sub">Personalized daily plan</p>
+                            <p className="mpd-header-sub">
+                                {isProvisional
+                                    ? 'Generating... macros and recipes will fill in'
+                                    : dayTypeMeta ? `${dayTypeMeta.label} day · ${dayEntry.calories} kcal` : 'Personalized daily plan'}
+                            </p>
                         </div>
                     </div>
-                    <button
-                        onClick={handleCopyAllMeals}
-                        disabled={copying || !mealPlan || mealPlan.length === 0}
-                        className="mpd-copy-btn"
-                        title="Copy all meals to clipboard"
-                    >
-                        <Copy className="w-4 h-4" />
-                        <span className="hidden sm:inline">
-                            {copying ? 'Copying...' : 'Copy'}
-                        </span>
-                    </button>
+                    <div className="mpd-header-actions">
+                        {onRegenerateSlot && !isPlanStreaming && (
+                            <button
+                                onClick={() => onRegenerateSlot(selectedDay)}
+                                disabled={!!regeneratingSlot}
+                                className="mpd-copy-btn"
+                                title={`Regenerate all meals for Day ${selectedDay}`}
+                            >
+                                <RefreshCw className={`w-4 h-4 ${isRegeneratingDay ? 'animate-spin' : ''}`} />
+                                <span className="hidden sm:inline">
+                                    {isRegeneratingDay ? 'Regenerating...' : 'Regenerate'}
+                                </span>
+                            </button>
+                        )}
+                        <button
+                            onClick={handleCopyAllMeals}
+                            disabled={copying || !mealPlan || mealPlan.length === 0 || isPlanStreaming}
+                            className="mpd-copy-btn"
+                            title="Copy all meals to clipboard"
+                        >
+                            <Copy className="w-4 h-4" />
+                            <span className="hidden sm:inline">
+                                {copying ? 'Copying...' : 'Copy'}
+                            </span>
+                        </button>
+                    </div>
                 </div>
 
                 {/* Calendar Strip Day Selector */}
@@ -344,19 +404,30 @@ const MealPlanDisplay = ({
                     protein={dailyMacrosEaten.protein}
                     fat={dailyMacrosEaten.fat}
                     carbs={dailyMacrosEaten.carbs}
-                    targets={nutritionalTargets}
+                    targets={dayEntry || nutritionalTargets}
                 />
             </div>
 
             {/* ════════ Meal Cards (UNCHANGED — do not modify below) ════════ */}
             <div className="space-y-4 mt-6">
+                {isProvisional && dayData.meals.length === 0 && (
+                    <div className="p-5 rounded-xl border-2 border-dashed border-gray-200 text-center text-sm text-gray-500 animate-pulse">
+                        Day {selectedDay} is still being generated...
+                    </div>
+                )}
                 {dayData.meals.map((meal, index) => {
                     if (!meal || !meal.name) {
                         console.warn(`[MealPlanDisplay] Invalid meal at index ${index}:`, meal);
                         return null;
                     }
 
+                    if (isProvisional) {
+                        return <ProvisionalMealCard key={`${meal.name}-${index}`} meal={meal} />;
+                    }
+
                     const mealEaten = eatenMeals?.[`day${selectedDay}`]?.[meal.name] || false;
+                    const isRegeneratingMeal = !!regeneratingSlot && regeneratingSlot.day === selectedDay
+                        && (!regeneratingSlot.mealType || regeneratingSlot.mealType === meal.type);
 
                     return (
                         <div
@@ -393,6 +464,16 @@ const MealPlanDisplay = ({
                                     </div>
                                 </div>
 
+                                {onRegenerateSlot && meal.type && (
+                                    <button
+                                        onClick={() => onRegenerateSlot(selectedDay, meal.type)}
+                                        disabled={!!regeneratingSlot}
+                                        className="ml-4 p-2 rounded-full transition-all bg-gray-200 text-gray-500 hover:bg-indigo-100 hover:text-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        title="Swap this meal"
+                                    >
+                                        <RefreshCw className={`w-6 h-6 ${isRegeneratingMeal ? 'animate-spin' : ''}`} />
+                                    </button>
+                                )}
                                 <button
                                     onClick={() => onToggleMealEaten && onToggleMealEaten(selectedDay, meal.name)}
                                     className={`ml-4 p-2 rounded-full transition-all ${
@@ -481,6 +562,11 @@ const MealPlanDisplay = ({
                     color: #7b809a;
                     margin-top: 1px;
                 }
+                .mpd-header-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                }
                 .mpd-copy-btn {
                     display: flex;
                     align-items: center;
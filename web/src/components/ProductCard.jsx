@@ -1,6 +1,6 @@
 // web/src/components/ProductCard.js
 import React from 'react';
-import { DollarSign, Package, Zap, ExternalLink, ShoppingBag, CheckCircle } from 'lucide-react';
+import { DollarSign, Package, Zap, ExternalLink, ShoppingBag, CheckCircle, Tag } from 'lucide-react';
 
 // --- MOCK DATA ---
 const MOCK_PRODUCT_TEMPLATE = {
@@ -15,6 +15,11 @@ const ProductCard = ({ product, isAbsoluteCheapest = false, onSelect = null, isC
             {isCurrentSelection && <CheckCircle className="text-indigo-600 w-6 h-6" />}
         </div>
         <p className="text-sm text-indigo-600 font-semibold mb-2">{product.brand}</p>
+        {product.deal && (
+            <p className="inline-flex items-center px-2 py-0.5 mb-1 text-xs font-bold bg-amber-100 text-amber-800 rounded-full">
+                <Tag className="w-3 h-3 mr-1" /> Special: {Math.round(product.deal.discountPct)}% below usual ${product.deal.median.toFixed(2)}
+            </p>
+        )}
         <div className="text-sm space-y-1 mt-2">
             <p><DollarSign className="inline w-4 h-4 mr-1" /> Price: <span className="font-bold text-red-600">${product.price ? product.price.toFixed(2) : 'N/A'}</span></p>
             <p><Package className="inline w-4 h-4 mr-1" /> Size: {product.size || 'N/A'}</p>
@@ -118,6 +118,20 @@ const TraceItem = ({ trace }) => {
                                         )}
                                     </div>
                                 )}
+                                {attempt.ruleHits && attempt.ruleHits.length > 0 && (
+                                    <div className="mt-1 space-y-0.5">
+                                        {attempt.ruleHits.slice(0, 3).map((hit, hi) => (
+                                            <div key={hi} className="text-[10px] text-amber-400 font-mono">
+                                                ⚑ {hit.name} → {hit.effect} ({hit.rule})
+                                            </div>
+                                        ))}
+                                        {attempt.ruleHits.length > 3 && (
+                                            <div className="text-[9px] text-gray-600">
+                                                +{attempt.ruleHits.length - 3} more rule hits
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
@@ -1,5 +1,7 @@
 // web/src/components/SettingsPanel.jsx
 // =============================================================================
+// [V4.1] Added Pantry section (what the user already has at home)
+//
 // [V4.0] Voice Cooking removal:
 //   - Removed "Disable Cheffy TTS" debug toggle and entire Voice Cooking section
 //   - Removed cheffyTTSDisabled and onToggleCheffyTTS props
@@ -8,7 +10,7 @@
 // [V3.2] Removed "Failed Ingredients" toggle and "Edit Profile" button
 // [V3.1] Added Product Match Trace toggle
 // =============================================================================
-import React from 'react';
+import React, { useState } from 'react';
 import {
   X,
   User,
@@ -21,6 +23,8 @@ import {
   Palette,
   Ruler,
   Search,
+  Package,
+  Plus,
 } from 'lucide-react';
 import { COLORS, Z_INDEX } from '../constants';
 import { useTheme } from '../contexts/ThemeContext';
@@ -51,8 +55,31 @@ const AI_MODELS = [
     badge: 'Reasoning',
     description: 'Lightweight, quick responses for testing or small tasks',
   },
+  {
+    value: 'claude-sonnet-4-5',
+    label: 'Claude Sonnet 4.5',
+    badge: null,
+    description: 'Anthropic model with strong instruction following for detailed recipes',
+  },
+  {
+    value: 'claude-haiku-4-5',
+    label: 'Claude Haiku 4.5',
+    badge: null,
+    description: 'Fast Anthropic model for quick plans',
+  },
+  {
+    value: 'local',
+    label: 'Local model',
+    badge: 'Private',
+    description: 'Self-hosted OpenAI-compatible server (Ollama, llama.cpp) configured on the server; prompts never leave your infrastructure',
+  },
 ];
 
+// --- Pantry units (normalized server-side via normalizeToGramsOrMl) ---
+const PANTRY_UNITS = ['g', 'kg', 'ml', 'l', 'piece', 'cup', 'tbsp', 'tsp'];
+
+const EMPTY_PANTRY_DRAFT = { key: '', quantity: '', unit: 'g', expiry: '' };
+
 const SettingsPanel = ({
   isOpen,
   onClose,
@@ -70,8 +97,13 @@ const SettingsPanel = ({
   // AI Model
   selectedModel = 'gpt-5.1',
   onModelChange = () => {},
+  // Pantry
+  pantryItems = [],
+  onAddPantryItem = () => {},
+  onRemovePantryItem = () => {},
 }) => {
   const { theme, setTheme, isDark } = useTheme();
+  const [pantryDraft, setPantryDraft] = useState(EMPTY_PANTRY_DRAFT);
 
   if (!isOpen) return null;
 
@@ -81,6 +113,18 @@ const SettingsPanel = ({
     onClose();
   };
 
+  const handleAddPantry = () => {
+    if (!pantryDraft.key.trim() || !pantryDraft.quantity) return;
+    onAddPantryItem(pantryDraft);
+    setPantryDraft(EMPTY_PANTRY_DRAFT);
+  };
+
+  const pantryInputStyle = {
+    backgroundColor: isDark ? '#1e2130' : COLORS.gray[50],
+    border: `1px solid ${isDark ? '#2d3148' : COLORS.gray[200]}`,
+    color: isDark ? '#d1d5db' : COLORS.gray[700],
+  };
+
   return (
     <>
       {/* Backdrop */}
@@ -253,6 +297,99 @@ const SettingsPanel = ({
             </div>
           </div>
 
+          {/* ─── Pantry Section ─── */}
+          <div>
+            <div className="flex items-center mb-2">
+              <Package size={20} className="mr-2" style={{ color: COLORS.primary[600] }} />
+              <h3 className="font-bold" style={{ color: isDark ? '#f0f1f5' : COLORS.gray[900] }}>
+                Pantry
+              </h3>
+            </div>
+            <p className="text-xs mb-3" style={{ color: isDark ? '#6b7280' : COLORS.gray[400] }}>
+              Items you already have are deducted from your next shopping list.
+            </p>
+
+            <div className="grid grid-cols-6 gap-2 mb-2">
+              <input
+                type="text"
+                placeholder="Ingredient"
+                value={pantryDraft.key}
+                onChange={(e) => setPantryDraft((d) => ({ ...d, key: e.target.value }))}
+                className="col-span-6 p-2 rounded-lg text-sm"
+                style={pantryInputStyle}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Qty"
+                value={pantryDraft.quantity}
+                onChange={(e) => setPantryDraft((d) => ({ ...d, quantity: e.target.value }))}
+                className="col-span-2 p-2 rounded-lg text-sm"
+                style={pantryInputStyle}
+              />
+              <select
+                value={pantryDraft.unit}
+                onChange={(e) => setPantryDraft((d) => ({ ...d, unit: e.target.value }))}
+                className="col-span-2 p-2 rounded-lg text-sm"
+                style={pantryInputStyle}
+              >
+                {PANTRY_UNITS.map((unit) => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddPantry}
+                className="col-span-2 flex items-center justify-center gap-1 rounded-lg text-sm font-semibold text-white bg-gradient-to-r from-indigo-500 to-purple-600"
+              >
+                <Plus size={14} />
+                Add
+              </button>
+              <input
+                type="date"
+                title="Expiry date (optional)"
+                value={pantryDraft.expiry}
+                onChange={(e) => setPantryDraft((d) => ({ ...d, expiry: e.target.value }))}
+                className="col-span-6 p-2 rounded-lg text-sm"
+                style={pantryInputStyle}
+              />
+            </div>
+
+            {pantryItems.length === 0 ? (
+              <p className="text-xs" style={{ color: isDark ? '#6b7280' : COLORS.gray[400], margin: 0 }}>
+                Your pantry is empty.
+              </p>
+            ) : (
+              pantryItems.map((item) => (
+                <div
+                  key={item.id}
+                  className="flex items-center justify-between p-2 rounded-lg mb-1.5"
+                  style={{
+                    backgroundColor: isDark ? '#1e2130' : COLORS.gray[50],
+                    border: `1px solid ${isDark ? '#2d3148' : COLORS.gray[200]}`,
+                  }}
+                >
+                  <div>
+                    <span className="text-sm font-medium" style={{ color: isDark ? '#d1d5db' : COLORS.gray[700] }}>
+                      {item.key}
+                    </span>
+                    <span className="text-xs ml-2" style={{ color: isDark ? '#9ca3b0' : COLORS.gray[500] }}>
+                      {item.quantity} {item.unit}
+                      {item.expiry ? ` · exp ${item.expiry}` : ''}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => onRemovePantryItem(item.id)}
+                    className="p-1 rounded-full"
+                    style={{ color: isDark ? '#f87171' : '#dc2626' }}
+                    title="Remove from pantry"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+
           {/* ─── Developer Logs Section ─── */}
           <div>
             <div className="flex items-center mb-4">
@@ -22,17 +22,47 @@
 //   - Both `products` and `modalProductData` memos now honour
 //     `currentSelectionURL` (set by useAppLogic.handleSubstituteSelection)
 //     falling back to `selectedIndex → 0` when not set.
+//
+// PANTRY:
+//   - When the plan was generated with pantry stock, every card shows
+//     "Have / Need to buy" columns (pantry_have_g / requested_total_g).
+//   - Fully-covered items (source 'pantry') show "In pantry" instead of a price.
+//
+// PURCHASE QUANTITIES:
+//   - Each card shows how many packs cover totalGramsRequired and the
+//     leftover grams (calculatePurchaseUnits mirrors the backend optimizer).
+//     A manual quantity from the product modal (userQuantity) always wins.
+//
+// PRICE HISTORY:
+//   - Products priced well below their usual price (backend `product.deal`,
+//     utils/price-history.js) get a "Special" badge on their card.
+//
+// STORE COMPARISON:
+//   - Plans generated with storeMode 'compare' show StoreComparisonCard.
+//   - Plans generated with specialsMode 'plan' show SpecialsCard (saving
+//     versus regular prices on the specials bought).
+//   - When the recommended basket is split, the list is grouped by each
+//     result's `store` with a per-store subtotal (copy text too).
+//
+// BARCODE SCANNER:
+//   - "Scan" opens BarcodeScanner: check an item in-store against the list,
+//     pin it as the preferred product, or use its label nutrition in the plan.
 // =============================================================================
 
-import React, { useState, useMemo, useRef, useEffect } from 'react';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
 import { 
   ShoppingBag, 
   Copy,
   Printer,
-  Share2
+  Share2,
+  ScanBarcode
 } from 'lucide-react';
 import IngredientCard from './IngredientCard';
 import ProductDetailModal from './ProductDetailModal';
+import StoreComparisonCard from './StoreComparisonCard';
+import SpecialsCard from './SpecialsCard';
+import BarcodeScanner from './BarcodeScanner';
+import { calculatePurchaseUnits, productPackSize } from '../helpers';
 
 // ── Helper: resolve the "selected" product from a result object ──────────
 // Priority: currentSelectionURL match → selectedIndex → first product
@@ -52,14 +82,37 @@ const resolveSelectedProduct = (result) => {
 };
 
 
+// ── Helper: format a gram amount for the Have / Need to buy columns ─────
+const formatGrams = (grams) => {
+  const value = Number(grams) || 0;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)} kg`;
+  return `${Math.round(value)} g`;
+};
+
+
+// ── Helper: packs to buy + leftover grams for the selected product ──────
+const resolvePurchase = (result, selectedProduct, fallbackGrams) => {
+  const requiredGrams = result?.totalGramsRequired ?? fallbackGrams ?? 0;
+  const units = result?.userQuantity || calculatePurchaseUnits(selectedProduct, requiredGrams);
+  const packSize = productPackSize(selectedProduct);
+  const leftoverG = packSize && requiredGrams > 0 ? Math.max(0, packSize * units - requiredGrams) : null;
+  return { units, leftoverG };
+};
+
+
 const ShoppingListWithDetails = ({ 
   ingredients = [],
   results = {},
   totalCost = 0,
   storeName = 'Woolworths',
+  storeComparison = null,
+  specialsReport = null,
   onShowToast = () => {},
   onSelectSubstitute,
   onQuantityChange,
+  onLookupBarcode,
+  onPinScannedProduct,
+  onApplyLabelNutrition,
   onFetchNutrition,
   nutritionCache = {},
   loadingNutritionFor = null,
@@ -67,6 +120,7 @@ const ShoppingListWithDetails = ({
 }) => {
   const [activeCategory, setActiveCategory] = useState('all');
   const [selectedProductModal, setSelectedProductModal] = useState(null);
+  const [scannerOpen, setScannerOpen] = useState(false);
   const stripRef = useRef(null);
 
   // Auto-scroll active category into view
@@ -78,8 +132,17 @@ const ShoppingListWithDetails = ({
     }
   }, [activeCategory]);
 
+  const isSplitBasket = storeComparison?.recommended === 'split';
+
   // Store name detection
   const actualStoreName = useMemo(() => {
+    if (isSplitBasket) {
+      return Object.entries(storeComparison.split.byStore || {})
+        .filter(([, entry]) => entry.items.length > 0)
+        .map(([name]) => name)
+        .join(' + ');
+    }
+    if (storeComparison?.recommendedStore) return storeComparison.recommendedStore;
     for (const [key, result] of Object.entries(results)) {
       const products = result.allProducts || result.products || [];
       for (const product of products) {
@@ -89,11 +152,12 @@ const ShoppingListWithDetails = ({
           if (product.url.includes('woolworths')) return 'Woolworths';
           if (product.url.includes('coles')) return 'Coles';
           if (product.url.includes('aldi')) return 'ALDI';
+          if (product.url.includes('iga')) return 'IGA';
         }
       }
     }
     return storeName || 'Woolworths';
-  }, [results, storeName]);
+  }, [results, storeName, storeComparison, isSplitBasket]);
 
   // Transform ingredients into product cards
   // FIX: Uses resolveSelectedProduct which honours currentSelectionURL
@@ -123,6 +187,7 @@ const ShoppingListWithDetails = ({
       }, allProducts[0]);
 
       const isCheapest = selectedProduct && cheapest && selectedProduct?.url === cheapest?.url;
+      const { units, leftoverG } = resolvePurchase(result, selectedProduct, item.requested_total_g);
 
       return {
         id: `${normalizedKey}-${idx}`,
@@ -130,12 +195,28 @@ const ShoppingListWithDetails = ({
         name: item.originalIngredient || 'Unknown',
         price,
         size,
+        units,
+        leftoverG,
         cheapest: isCheapest,
+        deal: selectedProduct?.deal || null,
         category: item.category || 'uncategorized',
+        store: result.store || null,
+        haveG: item.pantry_have_g || 0,
+        needG: item.requested_total_g ?? 0,
+        inPantry: item.source === 'pantry' || !!item.pantryCovered,
       };
     });
   }, [ingredients, results]);
 
+  // Plan-wide waste: grams left over in purchased packs
+  const totalLeftoverG = useMemo(
+    () => products.reduce((sum, p) => sum + (p.leftoverG || 0), 0),
+    [products]
+  );
+
+  // Show the Have / Need to buy columns only if the pantry covered anything
+  const hasPantryData = useMemo(() => products.some(p => p.haveG > 0), [products]);
+
   // Categorize products
   const categorizedProducts = useMemo(() => {
     const cats = {};
@@ -164,6 +245,22 @@ const ShoppingListWithDetails = ({
     return categorizedProducts[activeCategory] || [];
   }, [activeCategory, products, categorizedProducts]);
 
+  // Split basket: one group per store with its subtotal; otherwise a single unnamed group
+  const groupByStore = useCallback((list) => {
+    if (!isSplitBasket) return [{ store: null, subtotal: null, items: list }];
+    const groups = new Map();
+    list.forEach(product => {
+      const key = product.store || storeName;
+      if (!groups.has(key)) groups.set(key, { store: key, subtotal: 0, items: [] });
+      const group = groups.get(key);
+      group.items.push(product);
+      if (product.price !== null && !product.inPantry) group.subtotal += product.price * product.units;
+    });
+    return Array.from(groups.values());
+  }, [isSplitBasket, storeName]);
+
+  const productGroups = useMemo(() => groupByStore(filteredProducts), [filteredProducts, groupByStore]);
+
   // Modal data computation
   // FIX: Uses resolveSelectedProduct which honours currentSelectionURL
   const modalProductData = useMemo(() => {
@@ -201,16 +298,23 @@ const ShoppingListWithDetails = ({
       currentSelection,
       absoluteCheapestProduct: cheapest,
       substitutes,
-      currentQuantity: freshResult.userQuantity || 1,
+      currentQuantity: resolvePurchase(freshResult, currentSelection).units,
     };
   }, [selectedProductModal, results]);
 
   const handleCopyList = async () => {
     try {
-      const text = products.map(p => {
-        const priceStr = p.price !== null ? `$${p.price.toFixed(2)}` : 'N/A';
+      const formatLine = (p) => {
+        const priceStr = p.price !== null ? `${p.units > 1 ? `${p.units} x ` : ''}$${p.price.toFixed(2)}` : 'N/A';
         const sizeStr = p.size ? ` (${p.size})` : '';
-        return `${p.name} - ${priceStr}${sizeStr}`;
+        const dealStr = p.deal ? ` [special, ${Math.round(p.deal.discountPct)}% off]` : '';
+        if (p.inPantry) return `${p.name} - in pantry`;
+        const pantryStr = p.haveG > 0 ? ` [have ${formatGrams(p.haveG)}, buy ${formatGrams(p.needG)}]` : '';
+        return `${p.name} - ${priceStr}${sizeStr}${dealStr}${pantryStr}`;
+      };
+      const text = groupByStore(products).map(group => {
+        const lines = group.items.map(formatLine).join('\n');
+        return group.store ? `\n${group.store} ($${group.subtotal.toFixed(2)})\n${lines}` : lines;
       }).join('\n');
 
       await navigator.clipboard.writeText(
@@ -252,6 +356,8 @@ const ShoppingListWithDetails = ({
     setSelectedProductModal(null);
   };
 
+  const handleCloseScanner = useCallback(() => setScannerOpen(false), []);
+
   // FIX: No longer closes the modal after a substitute swap.
   // The modal stays open so users can see the updated selection in-place.
   // The `results` prop update (from useAppLogic.handleSubstituteSelection)
@@ -283,6 +389,7 @@ const ShoppingListWithDetails = ({
               <h2 className="sld-header-title">Shopping List</h2>
               <p className="sld-header-sub">
                 {products.length} items from {actualStoreName}
+                {totalLeftoverG > 0 && ` · ${formatGrams(totalLeftoverG)} left over`}
               </p>
             </div>
           </div>
@@ -298,6 +405,7 @@ const ShoppingListWithDetails = ({
             { Icon: Copy, label: 'Copy', onClick: handleCopyList },
             { Icon: Printer, label: 'Print', onClick: handlePrint },
             { Icon: Share2, label: 'Share', onClick: handleShare },
+            ...(onLookupBarcode ? [{ Icon: ScanBarcode, label: 'Scan', onClick: () => setScannerOpen(true) }] : []),
           ].map(({ Icon, label, onClick }) => (
             <button
               key={label}
@@ -337,6 +445,9 @@ const ShoppingListWithDetails = ({
       {/* ── end .sld-section-card ── */}
 
 
+      <StoreComparisonCard comparison={storeComparison} />
+      <SpecialsCard report={specialsReport} />
+
       {/* ════════ Product list ════════ */}
       <div className="sld-product-list">
         {filteredProducts.length === 0 ? (
@@ -350,16 +461,32 @@ const ShoppingListWithDetails = ({
             </div>
           </div>
         ) : (
-          filteredProducts.map((product, index) => (
-            <IngredientCard
-              key={product.id}
-              ingredientName={product.name}
-              price={product.price}
-              size={product.size}
-              isCheapest={product.cheapest}
-              onViewProduct={() => handleViewProduct(product.normalizedKey)}
-              index={index}
-            />
+          productGroups.map((group) => (
+            <React.Fragment key={group.store || 'all'}>
+              {group.store && (
+                <div className="sld-store-heading">
+                  <span>{group.store}</span>
+                  <span>{group.items.length} items · ${group.subtotal.toFixed(2)}</span>
+                </div>
+              )}
+              {group.items.map((product, index) => (
+                <IngredientCard
+                  key={product.id}
+                  ingredientName={product.name}
+                  price={product.price}
+                  size={product.size}
+                  units={product.units}
+                  leftoverAmount={product.leftoverG ? formatGrams(product.leftoverG) : null}
+                  isCheapest={product.cheapest}
+                  deal={product.deal}
+                  onViewProduct={() => handleViewProduct(product.normalizedKey)}
+                  index={index}
+                  haveAmount={hasPantryData ? formatGrams(product.haveG) : null}
+                  needAmount={hasPantryData ? formatGrams(product.needG) : null}
+                  inPantry={product.inPantry}
+                />
+              ))}
+            </React.Fragment>
           ))
         )}
       </div>
@@ -382,6 +509,18 @@ const ShoppingListWithDetails = ({
       )}
 
 
+      {/* ════════ Barcode Scanner ════════ */}
+      {onLookupBarcode && (
+        <BarcodeScanner
+          isOpen={scannerOpen}
+          onClose={handleCloseScanner}
+          results={results}
+          onLookupBarcode={onLookupBarcode}
+          onPinProduct={onPinScannedProduct}
+          onApplyLabel={onApplyLabelNutrition}
+        />
+      )}
+
       {/* ════════════════════════════════════════════════════════════════════════
            SCOPED STYLES
            ════════════════════════════════════════════════════════════════════════
@@ -707,6 +846,28 @@ const ShoppingListWithDetails = ({
           gap: 12px;
         }
 
+        /* Split basket: store group heading */
+        .sld-store-heading {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          padding: 8px 4px 0 4px;
+          font-size: 0.8rem;
+          font-weight: 700;
+          color: #f0f1f5;
+        }
+
+        .sld-store-heading span:last-child {
+          font-size: 0.72rem;
+          font-weight: 600;
+          color: #7b809a;
+          font-variant-numeric: tabular-nums;
+        }
+
+        [data-theme="light"] .sld-store-heading {
+          color: #1f2937;
+        }
+
 
         /* ==========================================================
            EMPTY STATE — theme-aware
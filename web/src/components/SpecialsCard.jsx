@@ -0,0 +1,88 @@
+// web/src/components/SpecialsCard.jsx
+//
+// Savings report for plans generated with specialsMode 'plan'.
+// Fed by plan:complete `specials` (see utils/specials.js):
+//   { store, storeList, candidates: [ingredient keys], used: [{ ingredient, product, price, regularPrice, units, saving }], totalSaving }
+// storeList is false for stores without a specials list (every live store today): their
+// specials are only the price drops Cheffy has tracked, and the card says so.
+//
+// Rendered by ShoppingListWithDetails above the product list.
+
+import React from 'react';
+import { Tag } from 'lucide-react';
+import { COLORS } from '../constants';
+import { useTheme } from '../contexts/ThemeContext';
+
+const formatMoney = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+const SpecialsCard = ({ report }) => {
+    const { isDark } = useTheme();
+    if (!report) return null;
+
+    const mutedColor = isDark ? '#9ca3b0' : COLORS.gray[500];
+    const textColor = isDark ? '#f0f1f5' : COLORS.gray[900];
+    const rowBorder = isDark ? 'rgba(255,255,255,0.08)' : COLORS.gray[200];
+    const used = report.used || [];
+    const atStore = report.store ? ` at ${report.store}` : '';
+
+    return (
+        <div
+            className="rounded-xl p-4 mb-4"
+            style={{
+                backgroundColor: isDark ? 'rgba(255,255,255,0.04)' : '#fff',
+                border: `1px solid ${rowBorder}`,
+            }}
+        >
+            <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                    <Tag size={16} style={{ color: COLORS.warning.main }} />
+                    <span className="text-sm font-semibold" style={{ color: textColor }}>
+                        This week's specials
+                    </span>
+                </div>
+                {report.totalSaving > 0 && (
+                    <span className="text-xs font-semibold" style={{ color: COLORS.success.main }}>
+                        Saved {formatMoney(report.totalSaving)}
+                    </span>
+                )}
+            </div>
+
+            {used.length > 0 && (
+                <ul className="mt-3 space-y-1">
+                    {used.map((item) => (
+                        <li
+                            key={item.ingredient}
+                            className="flex justify-between items-center text-sm px-2 py-1"
+                            style={{ color: mutedColor }}
+                        >
+                            <span className="truncate pr-2">
+                                <span style={{ color: textColor }}>{item.product}</span>
+                                {item.units > 1 && <span className="ml-1 text-xs">×{item.units}</span>}
+                                <span className="ml-2 text-xs line-through">{formatMoney(item.regularPrice)}</span>
+                                <span className="ml-1 text-xs">{formatMoney(item.price)}</span>
+                            </span>
+                            <span className="flex-shrink-0 font-semibold" style={{ color: COLORS.success.main }}>
+                                −{formatMoney(item.saving)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <p className="mt-2 text-xs" style={{ color: mutedColor }}>
+                {report.candidates?.length > 0
+                    ? `Meals were planned around ${report.candidates.length} ingredient${report.candidates.length === 1 ? '' : 's'} on special${atStore}${used.length === 0 ? ', but none fit your targets this time' : ''}.`
+                    : report.storeList === false
+                        ? `Specials aren't available${atStore} yet, so the plan uses regular prices.`
+                        : `No specials were found${atStore}, so the plan uses regular prices.`}
+            </p>
+            {report.storeList === false && (
+                <p className="mt-1 text-xs" style={{ color: mutedColor }}>
+                    {report.store || 'This store'} doesn't publish a specials list to Cheffy, so only price drops Cheffy has tracked over the past weeks count as specials.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SpecialsCard;
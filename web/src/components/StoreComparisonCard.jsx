@@ -0,0 +1,94 @@
+// web/src/components/StoreComparisonCard.jsx
+//
+// Coles vs Woolworths comparison for plans generated with storeMode 'compare'.
+// Fed by plan:complete `storeComparison` (see utils/store-comparison.js):
+//   { stores, cheapestStore, cheapestTotal, split: { total, saving, extraItems, byStore }, recommended, recommendedStore }
+//
+// Rendered by ShoppingListWithDetails above the product list.
+
+import React from 'react';
+import { Store, Scissors } from 'lucide-react';
+import { COLORS } from '../constants';
+import { useTheme } from '../contexts/ThemeContext';
+
+const formatMoney = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+const StoreComparisonCard = ({ comparison }) => {
+    const { isDark } = useTheme();
+    if (!comparison || !comparison.stores) return null;
+
+    const mutedColor = isDark ? '#9ca3b0' : COLORS.gray[500];
+    const textColor = isDark ? '#f0f1f5' : COLORS.gray[900];
+    const rowBorder = isDark ? 'rgba(255,255,255,0.08)' : COLORS.gray[200];
+    const isSplit = comparison.recommended === 'split';
+
+    const rows = Object.entries(comparison.stores).map(([storeName, basket]) => ({
+        key: storeName,
+        label: `All at ${storeName}`,
+        total: basket.total,
+        note: basket.missing?.length > 0 ? `${basket.missing.length} not found` : null,
+        active: !isSplit && comparison.recommendedStore === storeName,
+    }));
+    rows.push({
+        key: 'split',
+        label: 'Split basket',
+        total: comparison.split.total,
+        note: Object.entries(comparison.split.byStore || {})
+            .filter(([, entry]) => entry.items.length > 0)
+            .map(([storeName, entry]) => `${entry.items.length} at ${storeName}`)
+            .join(' · '),
+        active: isSplit,
+    });
+
+    return (
+        <div
+            className="rounded-xl p-4 mb-4"
+            style={{
+                backgroundColor: isDark ? 'rgba(255,255,255,0.04)' : '#fff',
+                border: `1px solid ${rowBorder}`,
+            }}
+        >
+            <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                    <Store size={16} style={{ color: COLORS.primary[500] }} />
+                    <span className="text-sm font-semibold" style={{ color: textColor }}>
+                        Store comparison
+                    </span>
+                </div>
+                {comparison.split.saving > 0 && (
+                    <span className="flex items-center text-xs font-semibold" style={{ color: COLORS.success.main }}>
+                        <Scissors size={12} className="mr-1" />
+                        Split saves {formatMoney(comparison.split.saving)}
+                    </span>
+                )}
+            </div>
+
+            <ul className="mt-3 space-y-1">
+                {rows.map((row) => (
+                    <li
+                        key={row.key}
+                        className="flex justify-between items-center text-sm rounded-lg px-2 py-1.5"
+                        style={{
+                            backgroundColor: row.active ? (isDark ? 'rgba(99,102,241,0.15)' : COLORS.primary[50]) : 'transparent',
+                            color: row.active ? textColor : mutedColor,
+                        }}
+                    >
+                        <span className="truncate pr-2">
+                            <span className={row.active ? 'font-semibold' : ''}>{row.label}</span>
+                            {row.note && <span className="ml-2 text-xs">{row.note}</span>}
+                        </span>
+                        <span className="flex-shrink-0 font-semibold">{formatMoney(row.total)}</span>
+                    </li>
+                ))}
+            </ul>
+
+            <p className="mt-2 text-xs" style={{ color: mutedColor }}>
+                {isSplit
+                    ? 'Your list below uses the split basket, grouped by store.'
+                    : `A split isn't worth a second trip, so everything comes from ${comparison.recommendedStore}.`}
+            </p>
+        </div>
+    );
+};
+
+export default StoreComparisonCard;
@@ -12,7 +12,8 @@
 //
 // Props contract (same activeStepKey values as GenerationProgressDisplay):
 //   activeStepKey: 'targets' | 'planning' | 'market' | 'finalizing' | 'complete' | 'error'
-//   errorMsg, latestLog, formData, nutritionalTargets, results, mealPlan
+//   errorMsg, latestLog, formData, nutritionalTargets, results, mealPlan, budgetReport,
+//   onCancel (optional: shows a Cancel button while the plan is generating)
 
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
@@ -22,12 +23,14 @@ import {
     Sparkles,
     CheckCircle,
     AlertTriangle,
+    XCircle,
     Flame,
     Droplet,
     Wheat,
 } from 'lucide-react';
 import { COLORS } from '../constants';
 import { useTheme } from '../contexts/ThemeContext';
+import BudgetBreakdown from './BudgetBreakdown';
 
 // ============================================
 // SCENE DEFINITIONS
@@ -362,8 +365,11 @@ const StoryModeGeneration = ({
     nutritionalTargets,
     results,
     mealPlan,
+    budgetReport,
+    onCancel,
 }) => {
     const { isDark } = useTheme();
+    const [isCancelling, setIsCancelling] = useState(false);
     const [tipIdx, setTipIdx] = useState(0);
     const [progress, setProgress] = useState(0);
     const tipTimer = useRef(null);
@@ -467,6 +473,7 @@ const StoryModeGeneration = ({
 
                 {/* COMPLETE */}
                 {isComplete && <CompletionScene isDark={isDark} />}
+                {isComplete && <BudgetBreakdown report={budgetReport} />}
 
                 {/* RUNNING — Story Mode */}
                 {!isError && !isComplete && (
@@ -495,6 +502,9 @@ const StoryModeGeneration = ({
                         {/* Macro targets (visible after first scene) */}
                         {sceneIdx >= 1 && <MacroMini nutritionalTargets={nutritionalTargets} isDark={isDark} />}
 
+                        {/* Budget cap re-balancing (market scene onwards) */}
+                        <BudgetBreakdown report={budgetReport} />
+
                         {/* Progressive ingredient pills */}
                         {showIngredients && <IngredientPills results={results} />}
 
@@ -523,6 +533,23 @@ const StoryModeGeneration = ({
                                 💡 {TIPS[tipIdx]}
                             </p>
                         </div>
+
+                        {/* Cancel (stops the server run too) */}
+                        {onCancel && (
+                            <button
+                                onClick={() => { setIsCancelling(true); onCancel(); }}
+                                disabled={isCancelling}
+                                className="mt-4 inline-flex items-center gap-1.5 px-4 py-2 rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+                                style={{
+                                    color: isDark ? '#fca5a5' : COLORS.error.main,
+                                    backgroundColor: isDark ? 'rgba(239,68,68,0.1)' : 'rgba(239,68,68,0.06)',
+                                    border: isDark ? '1px solid rgba(239,68,68,0.25)' : '1px solid rgba(239,68,68,0.15)',
+                                }}
+                            >
+                                <XCircle size={16} />
+                                {isCancelling ? 'Cancelling...' : 'Cancel'}
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
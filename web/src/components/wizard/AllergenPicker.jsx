@@ -0,0 +1,72 @@
+// web/src/components/wizard/AllergenPicker.jsx
+// Multi-select chips for the structured allergen profile (formData.allergens).
+// Unlike the free-text dietary field, these are enforced server-side (utils/allergens.js).
+import React from 'react';
+import { COLORS, ALLERGEN_LABELS } from '../../constants';
+import { useTheme } from '../../contexts/ThemeContext';
+
+const AllergenPicker = ({ value = [], onChange }) => {
+  const { isDark } = useTheme();
+  const selected = Array.isArray(value) ? value : [];
+
+  const handleToggle = (id) => {
+    const next = selected.includes(id) ? selected.filter((a) => a !== id) : [...selected, id];
+    onChange({ target: { name: 'allergens', value: next } });
+  };
+
+  const labelColor = isDark ? '#9ca3b0' : COLORS.gray[400];
+  const unselectedBg = isDark ? '#252839' : '#fff';
+  const unselectedBorder = isDark ? '#3d4158' : COLORS.gray[200];
+  const unselectedColor = isDark ? '#9ca3b0' : COLORS.gray[600];
+
+  return (
+    <div>
+      {/* Header row */}
+      <div className="flex justify-between items-center mb-3">
+        <span
+          className="font-semibold uppercase"
+          style={{
+            fontSize: '11px',
+            letterSpacing: '0.05em',
+            color: labelColor,
+          }}
+        >
+          Allergies & Intolerances
+        </span>
+        {selected.length > 0 && (
+          <span className="font-semibold" style={{ fontSize: '12px', color: COLORS.error.main }}>
+            {selected.length} excluded
+          </span>
+        )}
+      </div>
+
+      {/* Allergen chips */}
+      <div className="flex flex-wrap gap-1.5">
+        {Object.entries(ALLERGEN_LABELS).map(([id, { label, icon }]) => {
+          const isSelected = selected.includes(id);
+          return (
+            <button
+              key={id}
+              type="button"
+              onClick={() => handleToggle(id)}
+              className="rounded-full font-medium transition-all"
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                border: `1.5px solid ${isSelected ? COLORS.error.main : unselectedBorder}`,
+                background: isSelected ? COLORS.error.main : unselectedBg,
+                color: isSelected ? '#fff' : unselectedColor,
+                cursor: 'pointer',
+                transitionDuration: '200ms',
+              }}
+            >
+              {icon} {label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AllergenPicker;
@@ -1,18 +1,32 @@
 // web/src/components/wizard/DayPicker.jsx
 // Full dark mode support — day buttons, labels, borders.
+// [NEW] Calorie cycling: each planned day can be marked with a day type
+// (formData.daySchedule, index 0 = Day 1). Tapping a day cycles its type;
+// /api/plan/targets turns the schedule into per-day targets (utils/day-targets.js).
 import React from 'react';
-import { COLORS, SHADOWS } from '../../constants';
+import { COLORS, SHADOWS, DAY_TYPE_LABELS } from '../../constants';
 import { useTheme } from '../../contexts/ThemeContext';
 
 const DAYS = [1, 2, 3, 4, 5, 6, 7];
+const DAY_TYPE_IDS = Object.keys(DAY_TYPE_LABELS);
 
-const DayPicker = ({ value, onChange }) => {
+const DayPicker = ({ value, onChange, schedule = [] }) => {
   const { isDark } = useTheme();
+  const daySchedule = Array.isArray(schedule) ? schedule : [];
 
   const handleSelect = (day) => {
     onChange({ target: { name: 'days', value: day } });
   };
 
+  const handleCycleDayType = (index) => {
+    const current = daySchedule[index] || 'standard';
+    const nextType = DAY_TYPE_IDS[(DAY_TYPE_IDS.indexOf(current) + 1) % DAY_TYPE_IDS.length];
+    const next = DAYS.slice(0, value).map((_, i) => (i === index ? nextType : daySchedule[i] || 'standard'));
+    onChange({ target: { name: 'daySchedule', value: next } });
+  };
+
+  const hasCycling = daySchedule.slice(0, value).some((type) => type && type !== 'standard');
+
   const labelColor = isDark ? '#9ca3b0' : COLORS.gray[400];
   const valueColor = isDark ? '#a5b4fc' : COLORS.primary[600];
   const unselectedBg = isDark ? '#252839' : '#fff';
@@ -70,6 +84,46 @@ const DayPicker = ({ value, onChange }) => {
           );
         })}
       </div>
+
+      {/* Day types (calorie cycling) */}
+      <div className="flex justify-between items-center mt-4 mb-2">
+        <span
+          className="font-semibold uppercase"
+          style={{ fontSize: '11px', letterSpacing: '0.05em', color: labelColor }}
+        >
+          Day Types
+        </span>
+        <span style={{ fontSize: '11px', color: unselectedColor }}>
+          {hasCycling ? 'Calorie cycling on' : 'Tap a day to mark training, rest or refeed'}
+        </span>
+      </div>
+      <div className="flex gap-1.5">
+        {DAYS.slice(0, value).map((day, index) => {
+          const dayType = daySchedule[index] || 'standard';
+          const meta = DAY_TYPE_LABELS[dayType] || DAY_TYPE_LABELS.standard;
+          const isMarked = dayType !== 'standard';
+          return (
+            <button
+              key={day}
+              type="button"
+              onClick={() => handleCycleDayType(index)}
+              title={`Day ${day}: ${meta.label}`}
+              className="flex-1 rounded-lg transition-all"
+              style={{
+                height: '36px',
+                fontSize: '11px',
+                fontWeight: 700,
+                border: `1.5px solid ${isMarked ? meta.color : unselectedBorder}`,
+                background: isMarked ? `${meta.color}1a` : unselectedBg,
+                color: isMarked ? meta.color : unselectedColor,
+                cursor: 'pointer',
+              }}
+            >
+              {meta.short}
+            </button>
+          );
+        })}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,113 @@
+// web/src/components/wizard/HouseholdStep.jsx
+// Optional household members (formData.household). Everyone shares the same meals;
+// each member gets their own targets from /api/plan/targets and their own portions.
+// Values are stored as metric (cm, kg), same as PersonalInfoStep.
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import FloatingInput from './FloatingInput';
+import FloatingSelect from './FloatingSelect';
+import { COLORS, ACTIVITY_LABELS, GOAL_LABELS } from '../../constants';
+import { useTheme } from '../../contexts/ThemeContext';
+
+// Matches MAX_HOUSEHOLD_MEMBERS in utils/household.js (primary profile included)
+const MAX_EXTRA_MEMBERS = 5;
+
+const GENDER_OPTIONS = [
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' },
+];
+const ACTIVITY_OPTIONS = Object.entries(ACTIVITY_LABELS).map(([value, { label }]) => ({ value, label }));
+const GOAL_OPTIONS = Object.entries(GOAL_LABELS).map(([value, { label }]) => ({ value, label }));
+
+const createMember = () => ({
+  id: `member_${Date.now()}`,
+  name: '',
+  age: '',
+  gender: 'male',
+  height: '',
+  weight: '',
+  activityLevel: 'moderate',
+  goal: 'maintain',
+});
+
+const HouseholdStep = ({ formData, onChange, errors = {} }) => {
+  const { isDark } = useTheme();
+  const members = Array.isArray(formData.household) ? formData.household : [];
+
+  const emit = (next) => onChange({ target: { name: 'household', value: next } });
+
+  const handleMemberChange = (index) => (e) => {
+    const { name, value } = e.target;
+    emit(members.map((m, i) => (i === index ? { ...m, [name]: value } : m)));
+  };
+
+  const labelColor = isDark ? '#9ca3b0' : COLORS.gray[400];
+  const cardBorder = isDark ? '#3d4158' : COLORS.gray[200];
+  const cardBg = isDark ? '#252839' : COLORS.gray[50];
+  const nameColor = isDark ? '#f0f1f5' : COLORS.gray[900];
+
+  return (
+    <div className="flex flex-col gap-4">
+      <p className="text-sm" style={{ color: labelColor }}>
+        Cooking for more than one? Everyone eats the same meals — portions and the
+        shopping list are sized for each person. Leave empty to plan just for you.
+      </p>
+
+      {errors.household && (
+        <p className="text-xs font-semibold" style={{ color: COLORS.error.main }}>
+          {errors.household}
+        </p>
+      )}
+
+      {members.map((member, index) => {
+        const onMemberChange = handleMemberChange(index);
+        return (
+          <div
+            key={member.id}
+            className="rounded-xl p-4 flex flex-col gap-3"
+            style={{ border: `1.5px solid ${cardBorder}`, backgroundColor: cardBg }}
+          >
+            <div className="flex justify-between items-center">
+              <span className="text-sm font-semibold" style={{ color: nameColor }}>
+                {member.name || `Person ${index + 2}`}
+              </span>
+              <button
+                type="button"
+                onClick={() => emit(members.filter((_, i) => i !== index))}
+                className="p-1.5 rounded-lg transition-colors"
+                style={{ color: COLORS.error.main }}
+                aria-label="Remove household member"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+
+            <FloatingInput label="Name" name="name" value={member.name} onChange={onMemberChange} />
+            <div className="grid grid-cols-2 gap-3">
+              <FloatingInput label="Age" name="age" type="number" value={member.age} onChange={onMemberChange} min={13} max={99} required />
+              <FloatingSelect label="Gender" name="gender" value={member.gender} onChange={onMemberChange} options={GENDER_OPTIONS} required />
+              <FloatingInput label="Height" name="height" type="number" suffix="cm" value={member.height} onChange={onMemberChange} min={100} max={250} required />
+              <FloatingInput label="Weight" name="weight" type="number" suffix="kg" value={member.weight} onChange={onMemberChange} min={30} max={300} required />
+            </div>
+            <FloatingSelect label="Activity Level" name="activityLevel" value={member.activityLevel} onChange={onMemberChange} options={ACTIVITY_OPTIONS} required />
+            <FloatingSelect label="Goal" name="goal" value={member.goal} onChange={onMemberChange} options={GOAL_OPTIONS} required />
+          </div>
+        );
+      })}
+
+      {members.length < MAX_EXTRA_MEMBERS && (
+        <button
+          type="button"
+          onClick={() => emit([...members, createMember()])}
+          className="flex items-center justify-center gap-2 rounded-xl py-3 text-sm font-semibold transition-colors"
+          style={{ border: `1.5px dashed ${cardBorder}`, color: COLORS.primary[500] }}
+        >
+          <Plus size={16} />
+          Add household member
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdStep;
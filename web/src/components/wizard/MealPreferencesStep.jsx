@@ -4,6 +4,8 @@ import React from 'react';
 import FloatingInput from './FloatingInput';
 import FloatingSelect from './FloatingSelect';
 import DayPicker from './DayPicker';
+import AllergenPicker from './AllergenPicker';
+import ProductRulesEditor from './ProductRulesEditor';
 
 const MealPreferencesStep = ({ formData, onChange }) => {
   return (
@@ -19,6 +21,8 @@ const MealPreferencesStep = ({ formData, onChange }) => {
         ]}
       />
 
+      <AllergenPicker value={formData.allergens} onChange={onChange} />
+
       <FloatingSelect
         label="Meals Per Day"
         name="eatingOccasions"
@@ -39,6 +43,30 @@ const MealPreferencesStep = ({ formData, onChange }) => {
         options={[
           { value: 'Woolworths', label: 'Woolworths' },
           { value: 'Coles', label: 'Coles' },
+          { value: 'Aldi', label: 'Aldi' },
+          { value: 'IGA', label: 'IGA' },
+        ]}
+      />
+
+      <FloatingSelect
+        label="Store Comparison"
+        name="storeMode"
+        value={formData.storeMode || 'single'}
+        onChange={onChange}
+        options={[
+          { value: 'single', label: 'Only my store' },
+          { value: 'compare', label: 'Compare Coles & Woolworths (cheapest basket or split)' },
+        ]}
+      />
+
+      <FloatingSelect
+        label="Specials"
+        name="specialsMode"
+        value={formData.specialsMode || 'off'}
+        onChange={onChange}
+        options={[
+          { value: 'off', label: 'Plan as usual' },
+          { value: 'plan', label: "Plan around this week's specials" },
         ]}
       />
 
@@ -54,6 +82,18 @@ const MealPreferencesStep = ({ formData, onChange }) => {
         ]}
       />
 
+      <FloatingInput
+        label="Weekly Budget Cap"
+        name="weeklyBudget"
+        type="number"
+        value={formData.weeklyBudget || ''}
+        onChange={onChange}
+        placeholder="Optional, e.g., 120"
+        suffix="$/wk"
+        min="0"
+        step="1"
+      />
+
       <FloatingSelect
         label="Meal Variety"
         name="mealVariety"
@@ -66,6 +106,28 @@ const MealPreferencesStep = ({ formData, onChange }) => {
         ]}
       />
 
+      <FloatingSelect
+        label="Planning Mode"
+        name="planningMode"
+        value={formData.planningMode || 'standard'}
+        onChange={onChange}
+        options={[
+          { value: 'standard', label: 'Standard' },
+          { value: 'leftover_aware', label: 'Leftover-Aware (reuse open packs, less waste)' },
+        ]}
+      />
+
+      <FloatingSelect
+        label="Macro Source"
+        name="nutritionMode"
+        value={formData.nutritionMode || 'ingredient'}
+        onChange={onChange}
+        options={[
+          { value: 'ingredient', label: 'Standard (ingredient averages)' },
+          { value: 'product', label: 'Product-accurate (use the chosen products\' labels)' },
+        ]}
+      />
+
       <FloatingInput
         label="Cuisine Profile"
         name="cuisine"
@@ -74,7 +136,9 @@ const MealPreferencesStep = ({ formData, onChange }) => {
         placeholder="e.g., Mediterranean, Spicy Thai, Asian fusion"
       />
 
-      <DayPicker value={formData.days} onChange={onChange} />
+      <ProductRulesEditor value={formData.productRules} onChange={onChange} />
+
+      <DayPicker value={formData.days} onChange={onChange} schedule={formData.daySchedule} />
     </div>
   );
 };
@@ -14,6 +14,7 @@ import WizardStepHeader from './WizardStepHeader';
 // Step content components
 import PersonalInfoStep from './PersonalInfoStep';
 import FitnessGoalsStep from './FitnessGoalsStep';
+import HouseholdStep from './HouseholdStep';
 import MealPreferencesStep from './MealPreferencesStep';
 import MealInspirationStep from './MealInspirationStep';
 import ReviewStep from './ReviewStep';
@@ -184,6 +185,14 @@ const PlanSetupWizard = ({
             errors={errors}
           />
         );
+      case 'household':
+        return (
+          <HouseholdStep
+            formData={formData}
+            onChange={handleFieldChange}
+            errors={errors}
+          />
+        );
       case 'preferences':
         return (
           <MealPreferencesStep formData={formData} onChange={handleFieldChange} />
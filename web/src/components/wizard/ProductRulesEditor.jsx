@@ -0,0 +1,181 @@
+// web/src/components/wizard/ProductRulesEditor.jsx
+// Brand & product rules for the market run (formData.productRules, saved with the profile).
+// Enforced server-side (utils/product-rules.js): "always"/"never" rules filter products,
+// "prefer"/"avoid" rules re-rank them.
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import FloatingInput from './FloatingInput';
+import FloatingSelect from './FloatingSelect';
+import { COLORS } from '../../constants';
+import { useTheme } from '../../contexts/ThemeContext';
+
+const MODE_OPTIONS = [
+  { value: 'only', label: 'Always buy' },
+  { value: 'never', label: 'Never buy' },
+  { value: 'prefer', label: 'Prefer' },
+  { value: 'avoid', label: 'Avoid' },
+];
+const KIND_OPTIONS = [
+  { value: 'brand', label: 'Brand' },
+  { value: 'home_brand', label: 'Home brand (store label)' },
+  { value: 'keyword', label: 'Products labelled (e.g. organic)' },
+  { value: 'max_unit_price', label: 'Under a price per kg' },
+];
+const CATEGORY_OPTIONS = [
+  { value: '', label: 'Any category' },
+  { value: 'produce', label: 'Fruit & veg' },
+  { value: 'meat', label: 'Meat' },
+  { value: 'seafood', label: 'Seafood' },
+  { value: 'dairy', label: 'Dairy' },
+  { value: 'bakery', label: 'Bakery' },
+  { value: 'pantry', label: 'Pantry' },
+  { value: 'frozen', label: 'Frozen' },
+];
+// A price cap can only be required or preferred (utils/product-rules.js drops the rest)
+const PRICE_MODES = ['only', 'prefer'];
+
+const EMPTY_DRAFT = { mode: 'only', kind: 'brand', value: '', ingredient: '', category: '' };
+
+const describeRule = (rule) => {
+  const mode = (MODE_OPTIONS.find((o) => o.value === rule.mode) || MODE_OPTIONS[0]).label;
+  const target = {
+    brand: rule.value,
+    home_brand: 'home brand',
+    keyword: rule.value,
+    max_unit_price: `under $${rule.value}/kg`,
+  }[rule.kind];
+  const category = CATEGORY_OPTIONS.find((o) => o.value === rule.category && o.value);
+  const scope = rule.ingredient || category ? ` for ${rule.ingredient || category.label.toLowerCase()}` : '';
+  return `${mode} ${target}${scope}`;
+};
+
+const isDraftValid = (draft) => {
+  if (draft.kind === 'max_unit_price') return Number(draft.value) > 0 && PRICE_MODES.includes(draft.mode);
+  if (draft.kind === 'home_brand') return true;
+  return draft.value.trim() !== '';
+};
+
+const ProductRulesEditor = ({ value = [], onChange }) => {
+  const { isDark } = useTheme();
+  const rules = Array.isArray(value) ? value : [];
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const emit = (next) => onChange({ target: { name: 'productRules', value: next } });
+
+  const handleDraftChange = (e) => {
+    const { name, value: fieldValue } = e.target;
+    setDraft((prev) => {
+      const next = { ...prev, [name]: fieldValue };
+      if (name === 'kind' && fieldValue === 'max_unit_price' && !PRICE_MODES.includes(next.mode)) next.mode = 'only';
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    if (!isDraftValid(draft)) return;
+    emit([
+      ...rules,
+      {
+        id: `rule_${Date.now()}`,
+        mode: draft.mode,
+        kind: draft.kind,
+        value: draft.kind === 'home_brand' ? null : draft.kind === 'max_unit_price' ? Number(draft.value) : draft.value.trim(),
+        ingredient: draft.ingredient.trim() || null,
+        category: draft.category || null,
+      },
+    ]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const labelColor = isDark ? '#9ca3b0' : COLORS.gray[400];
+  const cardBorder = isDark ? '#3d4158' : COLORS.gray[200];
+  const cardBg = isDark ? '#252839' : COLORS.gray[50];
+  const textColor = isDark ? '#f0f1f5' : COLORS.gray[900];
+  const canAdd = isDraftValid(draft);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <span
+          className="font-semibold uppercase"
+          style={{ fontSize: '11px', letterSpacing: '0.05em', color: labelColor }}
+        >
+          Brand & Product Rules
+        </span>
+        {rules.length > 0 && (
+          <span className="font-semibold" style={{ fontSize: '12px', color: COLORS.primary[500] }}>
+            {rules.length} rule{rules.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      {rules.length > 0 && (
+        <ul className="flex flex-col gap-1.5 mb-3">
+          {rules.map((rule) => (
+            <li
+              key={rule.id}
+              className="flex justify-between items-center rounded-lg px-3 py-2 text-sm"
+              style={{ border: `1px solid ${cardBorder}`, backgroundColor: cardBg, color: textColor }}
+            >
+              <span className="truncate pr-2">{describeRule(rule)}</span>
+              <button
+                type="button"
+                onClick={() => emit(rules.filter((r) => r.id !== rule.id))}
+                className="p-1 rounded-lg transition-colors flex-shrink-0"
+                style={{ color: COLORS.error.main }}
+                aria-label="Remove rule"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div
+        className="rounded-xl p-3 flex flex-col gap-3"
+        style={{ border: `1.5px dashed ${cardBorder}` }}
+      >
+        <div className="grid grid-cols-2 gap-3">
+          <FloatingSelect
+            label="Rule"
+            name="mode"
+            value={draft.mode}
+            onChange={handleDraftChange}
+            options={draft.kind === 'max_unit_price' ? MODE_OPTIONS.filter((o) => PRICE_MODES.includes(o.value)) : MODE_OPTIONS}
+          />
+          <FloatingSelect label="What" name="kind" value={draft.kind} onChange={handleDraftChange} options={KIND_OPTIONS} />
+        </div>
+        {draft.kind === 'brand' && (
+          <FloatingInput label="Brand" name="value" value={draft.value} onChange={handleDraftChange} placeholder="e.g., a2" />
+        )}
+        {draft.kind === 'keyword' && (
+          <FloatingInput label="Label" name="value" value={draft.value} onChange={handleDraftChange} placeholder="e.g., organic, free range" />
+        )}
+        {draft.kind === 'max_unit_price' && (
+          <FloatingInput label="Max price" name="value" type="number" value={draft.value} onChange={handleDraftChange} suffix="$/kg" min="0" step="0.5" />
+        )}
+        <div className="grid grid-cols-2 gap-3">
+          <FloatingInput label="For ingredient" name="ingredient" value={draft.ingredient} onChange={handleDraftChange} placeholder="Optional, e.g., milk" />
+          <FloatingSelect label="Category" name="category" value={draft.category} onChange={handleDraftChange} options={CATEGORY_OPTIONS} />
+        </div>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!canAdd}
+          className="flex items-center justify-center gap-2 rounded-xl py-2.5 text-sm font-semibold transition-colors"
+          style={{
+            border: `1.5px solid ${canAdd ? COLORS.primary[500] : cardBorder}`,
+            color: canAdd ? COLORS.primary[500] : labelColor,
+            cursor: canAdd ? 'pointer' : 'not-allowed',
+          }}
+        >
+          <Plus size={16} />
+          Add rule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProductRulesEditor;
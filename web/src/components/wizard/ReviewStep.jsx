@@ -2,7 +2,7 @@
 // UPDATED: Full dark mode support — summary sections, items, cuisine text.
 import React from 'react';
 import MacroPreviewCard from './MacroPreviewCard';
-import { COLORS } from '../../constants';
+import { COLORS, ALLERGEN_LABELS, DAY_TYPE_LABELS } from '../../constants';
 import { useTheme } from '../../contexts/ThemeContext';
 
 // Human-readable label maps
@@ -121,8 +121,29 @@ const ReviewStep = ({ formData, measurementUnits = 'metric' }) => {
           value={formData.dietary === 'None' ? 'No Restrictions' : formData.dietary}
           isDark={isDark}
         />
+        {formData.allergens?.length > 0 && (
+          <SummaryItem
+            label="Allergens"
+            value={formData.allergens.map((id) => ALLERGEN_LABELS[id]?.label || id).join(', ')}
+            isDark={isDark}
+          />
+        )}
       </SummarySection>
 
+      {/* Household summary (only shown if members were added) */}
+      {formData.household?.length > 0 && (
+        <SummarySection icon="👨‍👩‍👧" title="Household" isDark={isDark}>
+          {formData.household.map((member, i) => (
+            <SummaryItem
+              key={member.id || i}
+              label={member.name || `Person ${i + 2}`}
+              value={GOAL_LABELS[member.goal] || member.goal}
+              isDark={isDark}
+            />
+          ))}
+        </SummarySection>
+      )}
+
       {/* Plan summary */}
       <SummarySection icon="🍳" title="Plan" isDark={isDark}>
         <SummaryItem
@@ -130,10 +151,45 @@ const ReviewStep = ({ formData, measurementUnits = 'metric' }) => {
           value={`${formData.days} day${formData.days > 1 ? 's' : ''}`}
           isDark={isDark}
         />
+        {formData.daySchedule?.slice(0, formData.days).some((type) => type && type !== 'standard') && (
+          <SummaryItem
+            label="Day Types"
+            value={formData.daySchedule
+              .slice(0, formData.days)
+              .map((type) => (DAY_TYPE_LABELS[type] || DAY_TYPE_LABELS.standard).short)
+              .join(' · ')}
+            isDark={isDark}
+          />
+        )}
         <SummaryItem label="Meals/Day" value={formData.eatingOccasions} isDark={isDark} />
-        <SummaryItem label="Store" value={formData.store} isDark={isDark} />
+        <SummaryItem
+          label="Store"
+          value={formData.storeMode === 'compare' ? 'Coles vs Woolworths' : formData.store}
+          isDark={isDark}
+        />
+        {formData.specialsMode === 'plan' && (
+          <SummaryItem label="Specials" value="Planned around this week's specials" isDark={isDark} />
+        )}
+        {formData.productRules?.length > 0 && (
+          <SummaryItem
+            label="Product Rules"
+            value={`${formData.productRules.length} rule${formData.productRules.length === 1 ? '' : 's'}`}
+            isDark={isDark}
+          />
+        )}
         <SummaryItem label="Budget" value={formData.costPriority} isDark={isDark} />
+        {formData.weeklyBudget && (
+          <SummaryItem label="Budget Cap" value={`$${formData.weeklyBudget}/week`} isDark={isDark} />
+        )}
         <SummaryItem label="Variety" value={formData.mealVariety} isDark={isDark} />
+        {formData.nutritionMode === 'product' && (
+          <SummaryItem label="Macros" value="Product-accurate (label nutrition)" isDark={isDark} />
+        )}
+        <SummaryItem
+          label="Planning"
+          value={formData.planningMode === 'leftover_aware' ? 'Leftover-Aware' : 'Standard'}
+          isDark={isDark}
+        />
       </SummarySection>
 
       {/* Meal Inspiration summary (only shown if user provided input) */}
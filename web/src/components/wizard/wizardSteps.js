@@ -16,6 +16,13 @@ export const WIZARD_STEPS = [
     icon: '🎯',
     accentColor: '#f59e0b', // amber
   },
+  {
+    id: 'household',
+    title: 'Household',
+    subtitle: 'Plan shared meals for everyone at home',
+    icon: '👨‍👩‍👧',
+    accentColor: '#0ea5e9', // sky
+  },
   {
     id: 'preferences',
     title: 'Preferences',
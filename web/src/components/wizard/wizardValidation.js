@@ -53,6 +53,27 @@ export const STEP_VALIDATORS = {
     return errors;
   },
 
+  // Household is optional, but every added member needs a complete profile
+  household: (formData) => {
+    const errors = {};
+    const members = Array.isArray(formData.household) ? formData.household : [];
+    const incomplete = members.some((m) => {
+      const height = parseFloat(m.height);
+      const weight = parseFloat(m.weight);
+      const age = parseInt(m.age, 10);
+      return isNaN(height) || height < 100 || height > 250
+        || isNaN(weight) || weight < 30 || weight > 300
+        || isNaN(age) || age < 13 || age > 99
+        || !m.gender
+        || !VALID_ACTIVITY_LEVELS.includes(m.activityLevel)
+        || !VALID_GOALS.includes(m.goal);
+    });
+    if (incomplete) {
+      errors.household = 'Complete every member (age 13–99, height 100–250 cm, weight 30–300 kg) or remove them';
+    }
+    return errors;
+  },
+
   preferences: () => ({}),
 
   // Inspiration step is always valid — users can skip it
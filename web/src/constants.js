@@ -419,6 +419,33 @@ export const ACTIVITY_LABELS = {
   },
 };
 
+// ============================================
+// ALLERGEN LABELS (ids match utils/allergens.js)
+// ============================================
+export const ALLERGEN_LABELS = {
+  gluten: { label: 'Gluten', icon: '🌾' },
+  dairy: { label: 'Dairy', icon: '🥛' },
+  peanut: { label: 'Peanut', icon: '🥜' },
+  tree_nut: { label: 'Tree Nut', icon: '🌰' },
+  shellfish: { label: 'Shellfish', icon: '🦐' },
+  egg: { label: 'Egg', icon: '🥚' },
+  soy: { label: 'Soy', icon: '🫘' },
+  sesame: { label: 'Sesame', icon: '🥯' },
+  fish: { label: 'Fish', icon: '🐟' },
+};
+
+// ============================================
+// DAY TYPE LABELS (calorie cycling, ids match utils/day-targets.js)
+// ============================================
+export const DAY_TYPE_LABELS = {
+  standard: { label: 'Standard', short: 'STD', color: COLORS.gray[400] },
+  training: { label: 'Training', short: 'TRN', color: COLORS.primary[500] },
+  rest: { label: 'Rest', short: 'RST', color: COLORS.info.main },
+  high_carb: { label: 'High Carb', short: 'HC', color: COLORS.success.main },
+  low_carb: { label: 'Low Carb', short: 'LC', color: COLORS.warning.main },
+  refeed: { label: 'Refeed', short: 'RF', color: COLORS.error.main },
+};
+
 // Export default for convenience
 export default {
   COLORS,
@@ -434,5 +461,7 @@ export default {
   APP_CONFIG,
   GOAL_LABELS,
   ACTIVITY_LABELS,
+  ALLERGEN_LABELS,
+  DAY_TYPE_LABELS,
 };
 
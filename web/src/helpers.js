@@ -155,6 +155,46 @@ export const formatPercentage = (current, target, includeSymbol = true) => {
   return includeSymbol ? `${percentage}%` : `${percentage}`;
 };
 
+// ============================================
+// PURCHASE QUANTITIES
+// Mirrors utils/purchase-optimizer.js (planUnits) on the backend;
+// api/__test__/pack-size.test.js runs both against the same cases
+// ============================================
+
+/**
+ * Parse a product pack size into grams (or ml)
+ * @param {string} sizeString - Product size (e.g., "500g", "1.5kg", "2L")
+ * @returns {number|null} - Size in g/ml, or null if unparseable
+ */
+export const parsePackSize = (sizeString) => {
+  if (typeof sizeString !== 'string') return null;
+  const match = sizeString.toLowerCase().replace(/\s/g, '').match(/(\d+\.?\d*)(g|kg|ml|l)/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return match[2] === 'kg' || match[2] === 'l' ? value * 1000 : value;
+};
+
+/**
+ * Grams (or ml) per pack of a product. Count packs ("12 pack", "dozen") carry
+ * the backend's estimate as packSize_g (utils/purchase-optimizer.js).
+ * @param {object} product - Product with a size / product_size string
+ * @returns {number|null} - Grams per pack, or null if unknown
+ */
+export const productPackSize = (product) =>
+  parsePackSize(product?.size || product?.product_size) ?? (product?.packSize_g > 0 ? product.packSize_g : null);
+
+/**
+ * Number of packs of a product needed to cover a gram requirement
+ * @param {object} product - Product with a size / product_size string
+ * @param {number} requiredGrams - Grams required by the plan
+ * @returns {number} - Units to buy (at least 1)
+ */
+export const calculatePurchaseUnits = (product, requiredGrams) => {
+  const packSize = productPackSize(product);
+  if (!packSize || !(requiredGrams > 0)) return 1;
+  return Math.max(1, Math.ceil(requiredGrams / packSize));
+};
+
 // ============================================
 // DATE/TIME FORMATTING
 // ============================================
@@ -461,6 +501,9 @@ export default {
   formatCalories,
   calculatePercentage,
   formatPercentage,
+  parsePackSize,
+  productPackSize,
+  calculatePurchaseUnits,
   formatDate,
   getRelativeTime,
   isValidEmail,
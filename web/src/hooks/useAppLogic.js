@@ -12,15 +12,50 @@ import {
     getCachedRunState,
     clearRunState
 } from '../services/localPlanCache';
+import { calculatePurchaseUnits } from '../helpers';
+import { sameBarcode } from '../utils/barcode';
+import { applyLabelNutrition } from '../utils/labelNutrition';
 
 // --- CONFIGURATION ---
 const ORCHESTRATOR_TARGETS_API_URL = '/api/plan/targets';
 const ORCHESTRATOR_DAY_API_URL = '/api/plan/day';
 const ORCHESTRATOR_FULL_PLAN_API_URL = '/api/plan/generate-full-plan';
+const ORCHESTRATOR_REGENERATE_API_URL = '/api/plan/regenerate';
 const PLAN_STATUS_API_URL = '/api/plan/status';
+const PLAN_CANCEL_API_URL = '/api/plan/cancel';
 const NUTRITION_API_URL = '/api/nutrition-search';
+const SUBSTITUTION_FEEDBACK_API_URL = '/api/substitution-feedback';
+const BARCODE_API_URL = '/api/barcode';
+
+// Fields the substitution feedback store identifies and describes a product by
+const toFeedbackProduct = (product) => product ? {
+    name: product.name, brand: product.brand, size: product.size, url: product.url, barcode: product.barcode
+} : null;
 const MAX_SUBSTITUTES = 5;
 
+// The signed-in user's ID token; per-user endpoints resolve the user from it server-side
+const getAuthHeaders = async (auth) => {
+    const idToken = await auth?.currentUser?.getIdToken().catch(() => null);
+    return idToken ? { Authorization: `Bearer ${idToken}` } : {};
+};
+
+// Records a substitute pick, scoped to the signed-in user
+const postSubstitutionFeedback = async (auth, feedback) => fetch(SUBSTITUTION_FEEDBACK_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders(auth)) },
+    body: JSON.stringify(feedback)
+});
+
+// Streamed days (day:meals / day:final) are placed by dayNumber; days that have not
+// arrived yet are empty provisional placeholders so day selection stays stable
+const upsertStreamedDay = (plan, day, totalDays = plan.length) => {
+    const next = Array.from({ length: Math.max(totalDays || 0, plan.length, day.dayNumber) }, (_, i) =>
+        plan[i] || { dayNumber: i + 1, meals: [], provisional: true }
+    );
+    next[day.dayNumber - 1] = day;
+    return next;
+};
+
 // --- MOCK DATA ---
 const MOCK_PRODUCT_TEMPLATE = {
     name: "Placeholder (API DOWN)", 
@@ -96,6 +131,8 @@ const useAppLogic = ({
     // --- Refs ---
     const abortControllerRef = useRef(null);
     const currentRunIdRef = useRef(null);
+    // True while mealPlan holds streamed days of a run that has not sent 'plan:complete'
+    const partialPlanRef = useRef(false);
     
     // --- State ---
     const [results, setResults] = useState({});
@@ -119,6 +156,8 @@ const useAppLogic = ({
     
     // Macro Debug State
     const [macroDebug, setMacroDebug] = useState(null);
+    // LLM tokens + cost of the last run (plan:complete llmUsage)
+    const [llmUsage, setLlmUsage] = useState(null);
 
     const [showMacroDebugLog, setShowMacroDebugLog] = useState(
       () => JSON.parse(localStorage.getItem('cheffy_show_macro_debug_log') ?? 'false')
@@ -148,6 +187,8 @@ const useAppLogic = ({
     const [generationStatus, setGenerationStatus] = useState("Ready to generate plan."); 
 
     const [selectedMeal, setSelectedMeal] = useState(null);
+    // Slot currently being regenerated: { day, mealType } (mealType null = whole day)
+    const [regeneratingSlot, setRegeneratingSlot] = useState(null);
     // useBatchedMode REMOVED — batched generation is now always enabled.
 
     // --- AI Model Selection (persisted to localStorage) ---
@@ -155,9 +196,26 @@ const useAppLogic = ({
       () => localStorage.getItem('cheffy_selected_model') || 'gpt-5.1'
     );
 
+    // --- Pantry Inventory (persisted to localStorage) ---
+    // Entries: { id, key, quantity, unit, expiry }
+    const [pantryItems, setPantryItems] = useState(
+      () => JSON.parse(localStorage.getItem('cheffy_pantry') ?? '[]')
+    );
+
     const [toasts, setToasts] = useState([]);
     const [showSuccessModal, setShowSuccessModal] = useState(false);
     const [planStats, setPlanStats] = useState([]);
+    // [NEW] Hard budget cap: before/after breakdown from the 'budget:rebalance' event
+    const [budgetReport, setBudgetReport] = useState(null);
+    // [NEW] Household mode: every member's copy of the plan ({ id, name, nutritionalTargets, scale, mealPlan })
+    const [householdPlans, setHouseholdPlans] = useState([]);
+    const [selectedMemberId, setSelectedMemberId] = useState('primary');
+    // [NEW] Calorie cycling: per-day targets ([{ dayNumber, dayType, calories, protein, fat, carbs }] or null)
+    const [dayTargets, setDayTargets] = useState(null);
+    // [NEW] Cross-store comparison: per-store baskets + optimal split (null unless storeMode is 'compare')
+    const [storeComparison, setStoreComparison] = useState(null);
+    // [NEW] Specials-driven planning: specials used + saving vs regular prices (null unless specialsMode is 'plan')
+    const [specialsReport, setSpecialsReport] = useState(null);
 
     // --- Cleanup Effect (Aborts pending requests on unmount) ---
     useEffect(() => {
@@ -194,6 +252,7 @@ const useAppLogic = ({
                     setUniqueIngredients(recovered.uniqueIngredients || []);
                     recalculateTotalCost(recovered.results || {});
                     if (recovered.macroDebug) setMacroDebug(recovered.macroDebug);
+                    if (recovered.llmUsage) setLlmUsage(recovered.llmUsage);
 
                     setGenerationStepKey('complete');
                     setGenerationStatus('Plan recovered after refresh!');
@@ -266,6 +325,7 @@ const useAppLogic = ({
                     setUniqueIngredients(recovered.uniqueIngredients || []);
                     recalculateTotalCost(recovered.results || {});
                     if (recovered.macroDebug) setMacroDebug(recovered.macroDebug);
+                    if (recovered.llmUsage) setLlmUsage(recovered.llmUsage);
 
                     setGenerationStepKey('complete');
                     setGenerationStatus('Plan recovered successfully!');
@@ -344,6 +404,11 @@ const useAppLogic = ({
       localStorage.setItem('cheffy_selected_model', selectedModel);
     }, [selectedModel]);
 
+    // Persist pantry inventory
+    useEffect(() => {
+      localStorage.setItem('cheffy_pantry', JSON.stringify(pantryItems));
+    }, [pantryItems]);
+
     const showToast = useCallback((message, type = 'info', duration = 3000) => {
         const id = Date.now();
         setToasts([{ id, message, type, duration }]);
@@ -353,13 +418,15 @@ const useAppLogic = ({
       setToasts(prev => prev.filter(toast => toast.id !== id));
     }, []);
     
+    // Real checkout spend: price x packs needed to cover totalGramsRequired
+    // (a manual userQuantity from the product modal always wins).
     const recalculateTotalCost = useCallback((currentResults) => {
         let newTotal = 0;
         Object.values(currentResults).forEach(item => {
-            const qty = item.userQuantity || 1;
             if (item.source === 'discovery' && item.allProducts && item.currentSelectionURL) {
                 const selected = item.allProducts.find(p => p && p.url === item.currentSelectionURL);
                 if (selected?.price) {
+                    const qty = item.userQuantity || calculatePurchaseUnits(selected, item.totalGramsRequired ?? item.requested_total_g);
                     newTotal += selected.price * qty;
                 }
             }
@@ -413,12 +480,21 @@ const useAppLogic = ({
                     activityLevel: data.activityLevel || 'moderate',
                     goal: data.goal || 'cut_moderate',
                     dietary: data.dietary || 'None',
+                    allergens: Array.isArray(data.allergens) ? data.allergens : [],
+                    household: Array.isArray(data.household) ? data.household : [],
+                    productRules: Array.isArray(data.productRules) ? data.productRules : [],
+                    daySchedule: Array.isArray(data.daySchedule) ? data.daySchedule : [],
                     cuisine: data.cuisine || '',
                     days: data.days || 7,
                     eatingOccasions: data.eatingOccasions || '3',
                     store: data.store || 'Woolworths',
                     costPriority: data.costPriority || 'Best Value',
                     mealVariety: data.mealVariety || 'Balanced Variety',
+                    planningMode: data.planningMode || 'standard',
+                    storeMode: data.storeMode || 'single',
+                    specialsMode: data.specialsMode || 'off',
+                    nutritionMode: data.nutritionMode || 'ingredient',
+                    weeklyBudget: data.weeklyBudget || '',
                     measurementUnits: data.measurementUnits || 'metric', // Load measurement units
                 });
                 
@@ -462,6 +538,7 @@ const useAppLogic = ({
                 showMacroDebugLog: showMacroDebugLog,
                 showProductMatchTrace: showProductMatchTrace, // ADDED
                 selectedModel: selectedModel,
+                pantry: pantryItems,
                 theme: localStorage.getItem('cheffy-theme') || 'dark',
                 measurementUnits: formData.measurementUnits || 'metric', // Persist units in settings
                 lastUpdated: new Date().toISOString()
@@ -473,7 +550,7 @@ const useAppLogic = ({
         } catch (error) {
             console.error("[SETTINGS] Error saving settings:", error);
         }
-    }, [showOrchestratorLogs, showMatchTraceLogs, showMacroDebugLog, showProductMatchTrace, selectedModel, userId, db, isAuthReady, formData.measurementUnits]);
+    }, [showOrchestratorLogs, showMatchTraceLogs, showMacroDebugLog, showProductMatchTrace, selectedModel, pantryItems, userId, db, isAuthReady, formData.measurementUnits]);
 
     const handleLoadSettings = useCallback(async () => {
         if (!isAuthReady || !userId || !db || userId.startsWith('local_')) {
@@ -496,6 +573,7 @@ const useAppLogic = ({
                 
 
                 if (data.selectedModel) setSelectedModel(data.selectedModel);
+                if (Array.isArray(data.pantry)) setPantryItems(data.pantry);
                 
                 // Load measurement units from settings if available
                 if (data.measurementUnits) {
@@ -536,12 +614,21 @@ const useAppLogic = ({
                 activityLevel: formData.activityLevel,
                 goal: formData.goal,
                 dietary: formData.dietary,
+                allergens: formData.allergens || [],
+                household: formData.household || [],
+                productRules: formData.productRules || [],
+                daySchedule: formData.daySchedule || [],
                 cuisine: formData.cuisine,
                 days: formData.days,
                 eatingOccasions: formData.eatingOccasions,
                 store: formData.store,
                 costPriority: formData.costPriority,
                 mealVariety: formData.mealVariety,
+                planningMode: formData.planningMode || 'standard',
+                storeMode: formData.storeMode || 'single',
+                specialsMode: formData.specialsMode || 'off',
+                nutritionMode: formData.nutritionMode || 'ingredient',
+                weeklyBudget: formData.weeklyBudget || '',
                 measurementUnits: formData.measurementUnits || 'metric', // Save measurement units
                 nutritionalTargets: {
                     calories: nutritionalTargets.calories,
@@ -643,6 +730,9 @@ const useAppLogic = ({
                 if (data.status === 'failed') {
                     throw new Error(data.payload?.error || 'Plan generation failed on server');
                 }
+                if (data.status === 'cancelled') {
+                    return null; // Nothing to recover
+                }
             } catch (err) {
                 console.warn(`[POLL] Poll attempt ${i + 1} error:`, err.message);
             }
@@ -651,6 +741,20 @@ const useAppLogic = ({
         return null;
     }, []);
 
+    // Resets the UI after a cancelled run (Cancel button, or 'plan:cancelled' when cancelled elsewhere)
+    const finishCancelledRun = useCallback(() => {
+        clearPendingRun();
+        clearRunState();
+        if (partialPlanRef.current) {
+            partialPlanRef.current = false;
+            setMealPlan([]);
+        }
+        setGenerationStepKey(null);
+        setGenerationStatus('Plan generation cancelled.');
+        setLoading(false);
+        showToast('Plan generation cancelled', 'info');
+    }, [showToast]);
+
     const handleGeneratePlan = useCallback(async (e) => {
         e.preventDefault();
         
@@ -673,6 +777,7 @@ const useAppLogic = ({
         setResults({});
         setUniqueIngredients([]);
         setMealPlan([]);
+        partialPlanRef.current = false;
         setTotalCost(0);
         setEatenMeals({});
         
@@ -682,8 +787,17 @@ const useAppLogic = ({
         setGenerationStepKey('targets');
         if (!isLogOpen) { setLogHeight(250); setIsLogOpen(true); }
         setMacroDebug(null);
+        setLlmUsage(null);
+        setBudgetReport(null);
+        setHouseholdPlans([]);
+        setSelectedMemberId('primary');
+        setDayTargets(null);
+        setStoreComparison(null);
+        setSpecialsReport(null);
 
         let targets;
+        let household = null;
+        let planDayTargets = null;
 
         try {
             const targetsResponse = await fetch(ORCHESTRATOR_TARGETS_API_URL, {
@@ -702,6 +816,15 @@ const useAppLogic = ({
             targets = targetsData.nutritionalTargets;
             setNutritionalTargets(targets);
             setDiagnosticLogs(prev => [...prev, ...(targetsData.logs || [])]);
+            planDayTargets = targetsData.dayTargets || null;
+
+            // Household mode: the primary profile first, then every member with valid targets
+            if (targetsData.householdTargets?.length > 0) {
+                household = [
+                    { id: 'primary', name: formData.name || 'You', nutritionalTargets: targets },
+                    ...targetsData.householdTargets,
+                ];
+            }
             
         } catch (err) {
             if (err.name === 'AbortError') {
@@ -726,12 +849,17 @@ const useAppLogic = ({
                     method: 'POST',
                     headers: { 
                         'Content-Type': 'application/json',
-                        'Accept': 'text/event-stream' 
+                        'Accept': 'text/event-stream',
+                        ...(await getAuthHeaders(auth))
                     },
                     body: JSON.stringify({
                         formData,
                         nutritionalTargets: targets,
-                        preferredModel: selectedModel
+                        preferredModel: selectedModel,
+                        pantry: pantryItems,
+                        household,
+                        dayTargets: planDayTargets,
+                        userId: userId || null
                     }),
                     signal: signal,
                 });
@@ -830,12 +958,38 @@ const useAppLogic = ({
                                 }));
                                 break;
 
+                            case 'budget:rebalance':
+                                setBudgetReport(eventData);
+                                break;
+
+                            case 'store:comparison':
+                                setStoreComparison(eventData);
+                                break;
+
+                            case 'day:meals':
+                                // Provisional cards: meal names + ingredients, macros and recipes still pending
+                                partialPlanRef.current = true;
+                                setMealPlan(prev => upsertStreamedDay(prev, { ...eventData, provisional: true }, eventData.totalDays));
+                                break;
+
+                            case 'day:final':
+                                // Solved day with recipes, upgrades its provisional cards in place
+                                partialPlanRef.current = true;
+                                setMealPlan(prev => upsertStreamedDay(prev, eventData));
+                                break;
+
                             case 'plan:complete':
                                 planComplete = true;
+                                partialPlanRef.current = false;
                                 clearPendingRun();
                                 setMealPlan(eventData.mealPlan || []);
                                 setResults(eventData.results || {});
                                 setUniqueIngredients(eventData.uniqueIngredients || []);
+                                setHouseholdPlans(eventData.household || []);
+                                setDayTargets(eventData.dayTargets || null);
+                                setStoreComparison(eventData.storeComparison || null);
+                                setSpecialsReport(eventData.specials || null);
+                                setLlmUsage(eventData.llmUsage || null);
                                 recalculateTotalCost(eventData.results || {});
                                 
                                 if (eventData.macroDebug) {
@@ -849,6 +1003,8 @@ const useAppLogic = ({
                                   { label: 'Days', value: formData.days, color: '#4f46e5' },
                                   { label: 'Meals', value: eventData.mealPlan?.length * (parseInt(formData.eatingOccasions) || 3), color: '#10b981' },
                                   { label: 'Items', value: eventData.uniqueIngredients?.length || 0, color: '#f59e0b' },
+                                  ...(eventData.waste ? [{ label: 'Waste (g)', value: eventData.waste.waste_g, color: '#ef4444' }] : []),
+                                  ...(eventData.budget ? [{ label: 'Cost', value: `$${eventData.budget.after.toFixed(2)}`, color: eventData.budget.withinBudget ? '#10b981' : '#ef4444' }] : []),
                                 ]);
                                 
                                 setTimeout(() => {
@@ -880,6 +1036,10 @@ const useAppLogic = ({
                                 clearRunState();
                                 break;
 
+                            case 'plan:cancelled':
+                                finishCancelledRun();
+                                return;
+
                             case 'error':
                                 throw new Error(eventData.message || 'Unknown backend error');
                         }
@@ -908,12 +1068,14 @@ const useAppLogic = ({
                     try {
                         const recovered = await pollForCompletedPlan(currentRunIdRef.current);
                         if (recovered) {
+                            partialPlanRef.current = false;
                             clearPendingRun();
                             setMealPlan(recovered.mealPlan || []);
                             setResults(recovered.results || {});
                             setUniqueIngredients(recovered.uniqueIngredients || []);
                             recalculateTotalCost(recovered.results || {});
                             if (recovered.macroDebug) setMacroDebug(recovered.macroDebug);
+                            if (recovered.llmUsage) setLlmUsage(recovered.llmUsage);
 
                             setGenerationStepKey('complete');
                             setGenerationStatus('Plan recovered successfully!');
@@ -960,6 +1122,11 @@ const useAppLogic = ({
                 clearPendingRun();
                 console.error("Batched plan generation failed critically:", err);
                 setError(`Critical failure: ${err.message}`);
+                // A half-streamed plan is never kept, even once every day is final
+                if (partialPlanRef.current) {
+                    partialPlanRef.current = false;
+                    setMealPlan([]);
+                }
                 setGenerationStepKey('error');
                 clearRunState();
                 setDiagnosticLogs(prev => [...prev, {
@@ -967,10 +1134,141 @@ const useAppLogic = ({
                     message: `Critical failure: ${err.message}`
                 }]);
             } finally {
-                 setTimeout(() => setLoading(false), 2000);
+                 // An aborted run (cancelled or replaced by a new one) no longer owns the loading state
+                 if (!signal.aborted) setTimeout(() => setLoading(false), 2000);
             }
         
-    }, [formData, isLogOpen, recalculateTotalCost, selectedModel, showToast, nutritionalTargets, error, pollForCompletedPlan, planPersistence, getResponseErrorDetails]);
+    }, [formData, isLogOpen, recalculateTotalCost, selectedModel, pantryItems, showToast, nutritionalTargets, error, pollForCompletedPlan, planPersistence, getResponseErrorDetails, userId, auth, finishCancelledRun]);
+
+    // --- Cancel the in-flight plan generation ---
+    // Stops reading the stream right away; the server run (possibly detached) is
+    // stopped through /api/plan/cancel and marked 'cancelled'.
+    const handleCancelGeneration = useCallback(async () => {
+        const runId = currentRunIdRef.current || getPendingRun()?.runId || getCachedRunState().runId;
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+        }
+        finishCancelledRun();
+        if (!runId) return; // Still calculating targets: no server run yet
+
+        try {
+            const response = await fetch(PLAN_CANCEL_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ runId }),
+            });
+            if (!response.ok && response.status !== 404) {
+                const errorMsg = await getResponseErrorDetails(response);
+                console.warn(`[CANCEL] Cancel request failed: ${errorMsg}`);
+            }
+        } catch (err) {
+            console.warn('[CANCEL] Cancel request failed:', err.message);
+        }
+    }, [finishCancelledRun, getResponseErrorDetails]);
+
+    // --- Regenerate a single day or meal in the existing plan ---
+    const handleRegenerateSlot = useCallback(async (dayNumber, mealType = null) => {
+        if (!mealPlan || mealPlan.length === 0 || loading || regeneratingSlot) return;
+
+        setRegeneratingSlot({ day: dayNumber, mealType });
+        try {
+            const response = await fetch(ORCHESTRATOR_REGENERATE_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders(auth)) },
+                body: JSON.stringify({
+                    plan: {
+                        mealPlan,
+                        results,
+                        household: householdPlans.length > 0 ? householdPlans : undefined,
+                        dayTargets: dayTargets || undefined
+                    },
+                    target: { day: dayNumber, mealType },
+                    formData,
+                    nutritionalTargets,
+                    preferredModel: selectedModel,
+                    pantry: pantryItems,
+                    userId: userId || null
+                }),
+            });
+
+            if (!response.ok) {
+                const errorMsg = await getResponseErrorDetails(response);
+                throw new Error(errorMsg);
+            }
+
+            const data = await response.json();
+            setDiagnosticLogs(prev => [...prev, ...(data.logs || [])]);
+            setMealPlan(data.mealPlan || []);
+            setResults(data.results || {});
+            setUniqueIngredients(data.uniqueIngredients || []);
+            if (data.household) setHouseholdPlans(data.household);
+            recalculateTotalCost(data.results || {});
+
+            if (data.macroDebugDay) {
+                setMacroDebug(prev => (prev && Array.isArray(prev.days))
+                    ? { ...prev, days: prev.days.map(d => d.dayIndex === data.macroDebugDay.dayIndex ? data.macroDebugDay : d) }
+                    : prev);
+            }
+            if (showProductMatchTraceRef.current && Array.isArray(data.matchTraces) && data.matchTraces.length > 0) {
+                setMatchTraces(prev => [...prev, ...data.matchTraces]);
+            }
+
+            cachePlan({
+                mealPlan: data.mealPlan || [],
+                results: data.results || {},
+                uniqueIngredients: data.uniqueIngredients || [],
+                formData: formData,
+                nutritionalTargets: nutritionalTargets
+            });
+
+            if (planPersistence && planPersistence.autoSavePlan) {
+                try {
+                    await planPersistence.autoSavePlan({
+                        mealPlan: data.mealPlan || [],
+                        results: data.results || {},
+                        uniqueIngredients: data.uniqueIngredients || [],
+                        formData: formData,
+                        nutritionalTargets: nutritionalTargets
+                    });
+                } catch (err) {
+                    console.error('[AUTO_SAVE] Auto-save failed after regeneration:', err.message);
+                }
+            }
+
+            showToast(data.message || 'Plan updated!', 'success');
+        } catch (err) {
+            console.error('[REGENERATE] Failed:', err);
+            showToast(`Regeneration failed: ${err.message}`, 'error', 5000);
+            setDiagnosticLogs(prev => [...prev, {
+                timestamp: new Date().toISOString(), level: 'ERROR', tag: 'FRONTEND',
+                message: `Regeneration failed: ${err.message}`
+            }]);
+        } finally {
+            setRegeneratingSlot(null);
+        }
+    }, [mealPlan, results, householdPlans, dayTargets, loading, regeneratingSlot, formData, nutritionalTargets, selectedModel, pantryItems, userId, auth, getResponseErrorDetails, recalculateTotalCost, planPersistence, showToast]);
+
+    // --- Pantry Inventory Handlers ---
+    const handleAddPantryItem = useCallback((item) => {
+        const key = (item?.key || '').trim();
+        const quantity = parseFloat(item?.quantity);
+        if (!key || isNaN(quantity) || quantity <= 0) {
+            showToast('Enter an ingredient and a quantity', 'warning');
+            return;
+        }
+        setPantryItems(prev => [...prev, {
+            id: `pantry_${Date.now()}`,
+            key,
+            quantity,
+            unit: item.unit || 'g',
+            expiry: item.expiry || null
+        }]);
+        showToast(`Added ${key} to your pantry`, 'success');
+    }, [showToast]);
+
+    const handleRemovePantryItem = useCallback((id) => {
+        setPantryItems(prev => prev.filter(item => item.id !== id));
+    }, []);
 
     const handleFetchNutrition = useCallback(async (product) => {
         if (!product || !product.url || nutritionCache[product.url]) { return; }
@@ -997,13 +1295,84 @@ const useAppLogic = ({
     }, [nutritionCache]); 
 
     const handleSubstituteSelection = useCallback((key, newProduct) => {
+        const previous = results[key];
         setResults(prev => {
             const updatedItem = { ...prev[key], currentSelectionURL: newProduct.url };
             const newResults = { ...prev, [key]: updatedItem };
             recalculateTotalCost(newResults); 
             return newResults;
         });
-    }, [recalculateTotalCost]); 
+
+        // [NEW] Learn the pick for this user's next plans (accept new, reject replaced); fire-and-forget
+        const previousProduct = previous?.allProducts?.find(p => p && p.url === previous.currentSelectionURL);
+        if (userId && previousProduct?.url !== newProduct.url) {
+            postSubstitutionFeedback(auth, {
+                userId,
+                store: previous?.store || formData.store,
+                ingredientKey: key,
+                accepted: toFeedbackProduct(newProduct),
+                rejected: toFeedbackProduct(previousProduct)
+            }).catch(err => console.warn('[SUBSTITUTION_FEEDBACK] Not recorded:', err.message));
+        }
+    }, [results, auth, userId, formData.store, recalculateTotalCost]); 
+
+    // --- Barcode Scanner Handlers (BarcodeScanner.jsx) ---
+    const handleLookupBarcode = useCallback(async (code) => {
+        try {
+            const response = await fetch(`${BARCODE_API_URL}?code=${encodeURIComponent(code)}`);
+            if (!response.ok) {
+                const errorMsg = await getResponseErrorDetails(response);
+                throw new Error(errorMsg);
+            }
+            const data = await response.json();
+            return data.label || null;
+        } catch (err) {
+            console.warn('[BARCODE] Label lookup failed for', code, ':', err.message);
+            return { status: 'not_found', barcode: code, reason: err.message };
+        }
+    }, [getResponseErrorDetails]);
+
+    // Pins a scanned product for an ingredient: switches to it when it is one of the
+    // listed products, and records it as preferred for the user's next plans
+    const handlePinScannedProduct = useCallback((key, product) => {
+        const result = results[key];
+        if (!result || !product) return;
+        const ingredientName = result.originalIngredient || key;
+        const products = result.allProducts || [];
+        const listed = products.find(p => p && sameBarcode(p.barcode, product.barcode));
+        const current = products.find(p => p && p.url === result.currentSelectionURL);
+
+        if (listed && listed.url !== current?.url) {
+            handleSubstituteSelection(key, listed); // also records the pick
+            showToast(`Switched ${ingredientName} to ${listed.name}`, 'success');
+            return;
+        }
+        if (!userId) {
+            showToast('Sign in to pin products for your next plans', 'warning');
+            return;
+        }
+        postSubstitutionFeedback(auth, {
+            userId,
+            store: result.store || formData.store,
+            ingredientKey: key,
+            accepted: toFeedbackProduct(listed || product),
+            rejected: listed ? null : toFeedbackProduct(current)
+        }).catch(err => console.warn('[SUBSTITUTION_FEEDBACK] Not recorded:', err.message));
+        showToast(`Pinned ${(listed || product).name} for ${ingredientName}`, 'success');
+    }, [results, auth, userId, formData.store, handleSubstituteSelection, showToast]);
+
+    const handleApplyLabelNutrition = useCallback((key, label) => {
+        const applied = applyLabelNutrition(mealPlan, macroDebug, key, label);
+        if (!applied) {
+            showToast('No meal in this plan uses that ingredient', 'warning');
+            return;
+        }
+        setMealPlan(applied.mealPlan);
+        setMacroDebug(applied.macroDebug);
+        setResults(prev => prev[key] ? { ...prev, [key]: { ...prev[key], labelNutrition: label } } : prev);
+        const sign = applied.kcalDelta >= 0 ? '+' : '';
+        showToast(`Label nutrition applied to ${applied.itemCount} item${applied.itemCount === 1 ? '' : 's'} (${sign}${applied.kcalDelta} kcal)`, 'success');
+    }, [mealPlan, macroDebug, showToast]);
 
     const handleQuantityChange = useCallback((key, newQuantity) => {
     setResults(prev => {
@@ -1040,6 +1409,9 @@ const useAppLogic = ({
             output += `  Required: [${trace.validationRules.requiredWords.join(', ')}]\n`;
             output += `  Negative: [${trace.validationRules.negativeKeywords.join(', ')}]\n`;
             output += `  Categories: [${trace.validationRules.allowedCategories.join(', ')}]\n`;
+            if (trace.validationRules.productRules?.length > 0) {
+                output += `  Product Rules: [${trace.validationRules.productRules.join('; ')}]\n`;
+            }
             
             for (const attempt of trace.attempts) {
                 output += `\n  [${attempt.status}] ${attempt.queryType.toUpperCase()} → "${attempt.queryString}"\n`;
@@ -1054,6 +1426,9 @@ const useAppLogic = ({
                 for (const rej of attempt.rejections) {
                     output += `      ✗ "${rej.name}" → ${rej.reason}\n`;
                 }
+                for (const hit of attempt.ruleHits || []) {
+                    output += `      ⚑ "${hit.name}" ${hit.effect} by ${hit.rule}\n`;
+                }
             }
             
             if (trace.selection) {
@@ -1208,12 +1583,17 @@ const useAppLogic = ({
             }
             
             setMealPlan([]);
+            setHouseholdPlans([]);
+            setDayTargets(null);
+            setStoreComparison(null);
+            setSpecialsReport(null);
             
             setFormData({ 
                 name: '', height: '180', weight: '75', age: '30', gender: 'male', 
-                activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', 
+                activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', allergens: [], household: [], daySchedule: [], productRules: [],
                 days: 7, store: 'Woolworths', eatingOccasions: '3', 
                 costPriority: 'Best Value', mealVariety: 'Balanced Variety', 
+                planningMode: 'standard', storeMode: 'single', specialsMode: 'off', nutritionMode: 'ingredient', weeklyBudget: '',
                 cuisine: '', bodyFat: '', measurementUnits: 'metric'
             });
             setNutritionalTargets({ calories: 0, protein: 0, fat: 0, carbs: 0 });
@@ -1257,9 +1637,9 @@ const useAppLogic = ({
     const hasInvalidMeals = useMemo(() => {
         if (!mealPlan || mealPlan.length === 0) return false;
         return mealPlan.some(dayPlan =>
-            !dayPlan || !Array.isArray(dayPlan.meals) || dayPlan.meals.some(meal =>
+            !dayPlan || !Array.isArray(dayPlan.meals) || (!dayPlan.provisional && dayPlan.meals.some(meal =>
                 !meal || typeof meal.subtotal_kcal !== 'number' || meal.subtotal_kcal <= 0
-            )
+            ))
         );
     }, [mealPlan]); 
 
@@ -1293,10 +1673,19 @@ const useAppLogic = ({
         generationStatus,
         selectedMeal,
         selectedModel,
+        pantryItems,
+        regeneratingSlot,
         toasts,
         showSuccessModal,
         planStats,
+        budgetReport,
+        householdPlans,
+        selectedMemberId,
+        dayTargets,
+        storeComparison,
+        specialsReport,
         macroDebug, 
+        llmUsage,
         showMacroDebugLog,
         categorizedResults,
         hasInvalidMeals,
@@ -1304,6 +1693,7 @@ const useAppLogic = ({
         
         // Setters
         setSelectedDay,
+        setSelectedMemberId,
         setLogHeight,
         setIsLogOpen,
         setShowOrchestratorLogs,
@@ -1325,9 +1715,16 @@ const useAppLogic = ({
         handleSaveSettings,
         handleRefresh,
         handleGeneratePlan,
+        handleCancelGeneration,
         handleFetchNutrition,
         handleSubstituteSelection,
+        handleLookupBarcode,
+        handlePinScannedProduct,
+        handleApplyLabelNutrition,
         handleQuantityChange,
+        handleRegenerateSlot,
+        handleAddPantryItem,
+        handleRemovePantryItem,
         // REPLACED: handleDownloadFailedLogs -> handleDownloadMatchTraceReport
         handleDownloadMatchTraceReport,
         handleDownloadLogs,
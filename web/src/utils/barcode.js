@@ -0,0 +1,222 @@
+// web/src/utils/barcode.js
+
+/**
+ * Barcode reading for the in-store scanner (BarcodeScanner.jsx).
+ *
+ * Uses the browser BarcodeDetector API where available (Chrome / Android,
+ * Safari 17+). Elsewhere frames are drawn to a canvas and decoded by the
+ * scanline decoder below, which reads the retail symbologies found on
+ * groceries: EAN-13 (which includes UPC-A with a leading 0) and EAN-8.
+ */
+
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a'];
+const MAX_DECODE_WIDTH = 640;
+const SCANLINES = 15;
+const MIN_VOTES = 2;
+
+// Module widths of each digit, left-hand odd parity (L); R codes use the same
+// widths starting with a bar, G codes are the L widths reversed
+const L_PATTERNS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+];
+const G_PATTERNS = L_PATTERNS.map((pattern) => [...pattern].reverse());
+// Parity of the six left-hand digits encodes the first EAN-13 digit
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Mod-10 check digit shared by EAN-13, EAN-8, UPC-A and GTIN-14.
+ */
+export const isValidBarcode = (code) => {
+    if (!/^(\d{8}|\d{12,14})$/.test(code || '')) return false;
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+};
+
+/**
+ * Same product whatever the symbology (UPC-A 036000291452 === EAN-13 0036000291452).
+ */
+export const sameBarcode = (a, b) =>
+    !!a && !!b && String(a).trim().padStart(14, '0') === String(b).trim().padStart(14, '0');
+
+// --- Scanline decoder ---
+
+const toRuns = (row) => {
+    let min = 255, max = 0;
+    for (const value of row) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (max - min < 40) return []; // no contrast, nothing to read
+    const threshold = (min + max) / 2;
+
+    const runs = [];
+    let dark = row[0] < threshold;
+    let length = 0;
+    for (const value of row) {
+        const isDark = value < threshold;
+        if (isDark === dark) {
+            length++;
+        } else {
+            runs.push({ dark, length });
+            dark = isDark;
+            length = 1;
+        }
+    }
+    runs.push({ dark, length });
+    return runs;
+};
+
+// Index of the closest pattern for 4 runs, or null when nothing is close enough
+const matchDigit = (widths, patterns) => {
+    const total = widths.reduce((a, b) => a + b, 0);
+    const scaled = widths.map((w) => (w * 7) / total);
+    let best = null, bestError = Infinity;
+    patterns.forEach((pattern, digit) => {
+        const error = pattern.reduce((acc, modules, i) => acc + Math.abs(modules - scaled[i]), 0);
+        if (error < bestError) {
+            bestError = error;
+            best = digit;
+        }
+    });
+    return bestError < 1.5 ? best : null;
+};
+
+const isGuard = (widths, moduleWidth) => widths.every((w) => w > moduleWidth * 0.4 && w < moduleWidth * 1.9);
+
+// Runs starting at a start guard bar: EAN-13 is 59 runs over 95 modules, EAN-8 43 over 67
+const decodeAt = (lengths, start, digitsPerHalf, totalModules) => {
+    const runCount = 3 + digitsPerHalf * 8 + 5 + 3;
+    if (start + runCount > lengths.length) return null;
+    const window = lengths.slice(start, start + runCount);
+    const moduleWidth = window.reduce((a, b) => a + b, 0) / totalModules;
+
+    const middleStart = 3 + digitsPerHalf * 4;
+    if (!isGuard(window.slice(0, 3), moduleWidth)) return null;
+    if (!isGuard(window.slice(middleStart, middleStart + 5), moduleWidth)) return null;
+    if (!isGuard(window.slice(runCount - 3), moduleWidth)) return null;
+
+    // EAN-13 left digits are L or G codes (parity gives the first digit), EAN-8 only L
+    const leftPatterns = digitsPerHalf === 6 ? [...L_PATTERNS, ...G_PATTERNS] : L_PATTERNS;
+    let left = '', parity = '';
+    for (let d = 0; d < digitsPerHalf; d++) {
+        const match = matchDigit(window.slice(3 + d * 4, 7 + d * 4), leftPatterns);
+        if (match === null) return null;
+        left += match % 10;
+        parity += match < 10 ? 'L' : 'G';
+    }
+    let right = '';
+    for (let d = 0; d < digitsPerHalf; d++) {
+        const offset = middleStart + 5 + d * 4;
+        const digit = matchDigit(window.slice(offset, offset + 4), L_PATTERNS);
+        if (digit === null) return null;
+        right += digit;
+    }
+
+    if (digitsPerHalf === 4) return parity === 'LLLL' ? left + right : null;
+    const first = FIRST_DIGIT_PARITY.indexOf(parity);
+    return first === -1 ? null : `${first}${left}${right}`;
+};
+
+const decodeRuns = (runs) => {
+    const lengths = runs.map((run) => run.length);
+    for (let i = 0; i < runs.length; i++) {
+        if (!runs[i].dark) continue;
+        for (const [digitsPerHalf, totalModules] of [[6, 95], [4, 67]]) {
+            const code = decodeAt(lengths, i, digitsPerHalf, totalModules);
+            if (code && isValidBarcode(code)) return code;
+        }
+    }
+    return null;
+};
+
+/**
+ * Decodes an EAN-13 / EAN-8 barcode from RGBA image data by reading horizontal
+ * scanlines. A scanline across an upside-down code meets the end guard first,
+ * so when the runs don't decode in screen order they are retried reversed,
+ * which puts an upside-down code back in print order. A code is only returned
+ * when at least two scanlines agree.
+ *
+ * @param {ImageData} imageData
+ * @returns {string|null} barcode digits
+ */
+export const decodeBarcodeFromImageData = ({ data, width, height }) => {
+    const votes = new Map();
+    for (let line = 1; line <= SCANLINES; line++) {
+        const y = Math.floor((height * line) / (SCANLINES + 1));
+        const row = new Uint8ClampedArray(width);
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            row[x] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+        }
+        const runs = toRuns(row);
+        const code = decodeRuns(runs) || decodeRuns([...runs].reverse());
+        if (!code) continue;
+        const count = (votes.get(code) || 0) + 1;
+        if (count >= MIN_VOTES) return code;
+        votes.set(code, count);
+    }
+    return null;
+};
+
+/**
+ * Reader for video frames: BarcodeDetector when the browser supports the retail
+ * formats, otherwise the canvas + scanline decoder.
+ *
+ * @returns {Promise<{ native: boolean, read: (video: HTMLVideoElement) => Promise<string|null> }>}
+ */
+export const createBarcodeReader = async () => {
+    if (typeof window !== 'undefined' && 'BarcodeDetector' in window) {
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = NATIVE_FORMATS.filter((format) => supported.includes(format));
+            if (formats.length > 0) {
+                const detector = new window.BarcodeDetector({ formats });
+                return {
+                    native: true,
+                    read: async (video) => {
+                        const codes = await detector.detect(video);
+                        return codes.find((c) => /^\d+$/.test(c.rawValue))?.rawValue || null;
+                    },
+                };
+            }
+        } catch (err) {
+            console.warn('[BARCODE] BarcodeDetector unavailable, using the JS decoder:', err.message);
+        }
+    }
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    return {
+        native: false,
+        read: async (video) => {
+            if (!video.videoWidth) return null;
+            const scale = Math.min(1, MAX_DECODE_WIDTH / video.videoWidth);
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            return decodeBarcodeFromImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+        },
+    };
+};
+
+/**
+ * Where a scanned code sits in the plan's shopping list.
+ *
+ * @param {Object} results - useAppLogic results, keyed by ingredient
+ * @param {string} code
+ * @returns {Array<{ key, ingredient, product, isSelected }>}
+ */
+export const findScannedMatches = (results, code) => {
+    const matches = [];
+    for (const [key, result] of Object.entries(results || {})) {
+        const products = result?.allProducts || result?.products || [];
+        const product = products.find((p) => p && sameBarcode(p.barcode, code));
+        if (!product) continue;
+        const selectedUrl = result.currentSelectionURL || products[result.selectedIndex ?? 0]?.url;
+        matches.push({ key, ingredient: result.originalIngredient || key, product, isSelected: product.url === selectedUrl });
+    }
+    return matches;
+};
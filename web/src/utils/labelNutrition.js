@@ -0,0 +1,92 @@
+// web/src/utils/labelNutrition.js
+
+/**
+ * Applies a scanned product's label nutrition (per 100g, from /api/barcode)
+ * to the plan on screen.
+ *
+ * The backend computes every item's macros from ingredient-level nutrition and
+ * reports the per-100g values and as-sold grams it used in macroDebug; each
+ * item of the scanned ingredient is recomputed from the label with those same
+ * grams (kcal = 4P + 9F + 4C, like the backend), and the difference is added
+ * to its meal subtotals and day totals.
+ *
+ * Only the primary plan is updated (household copies keep their values), and a
+ * regenerated meal or day comes back with backend nutrition.
+ *
+ * @param {Array} mealPlan - days from plan:complete
+ * @param {Object} macroDebug - plan:complete macroDebug ({ days: [{ dayIndex, meals: [{ items }] }] })
+ * @param {string} ingredientKey - results key (normalized ingredient key)
+ * @param {{ calories, protein, fat, carbs, barcode }} label
+ * @returns {{ mealPlan, macroDebug, itemCount: number, kcalDelta: number }|null} null when no item uses the ingredient
+ */
+export const applyLabelNutrition = (mealPlan, macroDebug, ingredientKey, label) => {
+    if (!Array.isArray(mealPlan) || !Array.isArray(macroDebug?.days) || !label) return null;
+
+    const per100 = {
+        kcal: Number(label.calories) || 0,
+        protein: Number(label.protein) || 0,
+        fat: Number(label.fat) || 0,
+        carbs: Number(label.carbs) || 0,
+    };
+    let itemCount = 0;
+    let kcalDelta = 0;
+    const nextPlan = mealPlan.map((day) => ({ ...day, meals: (day.meals || []).map((meal) => ({ ...meal })), totals: day.totals ? { ...day.totals } : day.totals }));
+
+    const nextDebugDays = macroDebug.days.map((debugDay) => {
+        const planDay = nextPlan.find((day) => day.dayNumber === debugDay.dayIndex + 1) || nextPlan[debugDay.dayIndex];
+        const meals = (debugDay.meals || []).map((debugMeal, mealIndex) => {
+            const planMeal = planDay?.meals.find((meal) => meal.name === debugMeal.mealName) || planDay?.meals[mealIndex];
+            const mealDelta = { calories: 0, protein: 0, fat: 0, carbs: 0 };
+
+            const items = (debugMeal.items || []).map((item) => {
+                const grams = Number(item.gramsAsSold ?? item.gramsInput) || 0;
+                if (item.nutritionKey !== ingredientKey || grams <= 0) return item;
+
+                // Keep fat the backend added on top of the ingredient (absorbed frying oil)
+                const extraFat = Math.max(0, (item.computedMacros?.fat || 0) - ((item.per100?.fat || 0) / 100) * grams);
+                const protein = (per100.protein / 100) * grams;
+                const fat = (per100.fat / 100) * grams + extraFat;
+                const carbs = (per100.carbs / 100) * grams;
+                const computedMacros = { calories: protein * 4 + fat * 9 + carbs * 4, protein, fat, carbs };
+
+                for (const macro of Object.keys(mealDelta)) {
+                    mealDelta[macro] += computedMacros[macro] - (item.computedMacros?.[macro] || 0);
+                }
+                itemCount++;
+                return {
+                    ...item,
+                    per100,
+                    computedMacros,
+                    source: 'label',
+                    notes: `Label nutrition from scanned barcode ${label.barcode || ''}`.trim(),
+                };
+            });
+
+            if (planMeal && mealDelta.calories !== 0) {
+                planMeal.subtotal_kcal = Math.round((planMeal.subtotal_kcal || 0) + mealDelta.calories);
+                planMeal.subtotal_protein = Math.round((planMeal.subtotal_protein || 0) + mealDelta.protein);
+                planMeal.subtotal_fat = Math.round((planMeal.subtotal_fat || 0) + mealDelta.fat);
+                planMeal.subtotal_carbs = Math.round((planMeal.subtotal_carbs || 0) + mealDelta.carbs);
+                if (planDay.totals) {
+                    planDay.totals.calories = Math.round((planDay.totals.calories || 0) + mealDelta.calories);
+                    planDay.totals.protein = Math.round((planDay.totals.protein || 0) + mealDelta.protein);
+                    planDay.totals.fat = Math.round((planDay.totals.fat || 0) + mealDelta.fat);
+                    planDay.totals.carbs = Math.round((planDay.totals.carbs || 0) + mealDelta.carbs);
+                }
+            }
+            kcalDelta += mealDelta.calories;
+
+            const computedTotals = debugMeal.computedTotals && {
+                calories: Math.round(debugMeal.computedTotals.calories + mealDelta.calories),
+                protein: Math.round(debugMeal.computedTotals.protein + mealDelta.protein),
+                fat: Math.round(debugMeal.computedTotals.fat + mealDelta.fat),
+                carbs: Math.round(debugMeal.computedTotals.carbs + mealDelta.carbs),
+            };
+            return { ...debugMeal, items, computedTotals };
+        });
+        return { ...debugDay, meals };
+    });
+
+    if (itemCount === 0) return null;
+    return { mealPlan: nextPlan, macroDebug: { ...macroDebug, days: nextDebugDays }, itemCount, kcalDelta: Math.round(kcalDelta) };
+};